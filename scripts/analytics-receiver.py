@@ -0,0 +1,71 @@
+#!/usr/bin/env python3
+"""Local stand-in for an analytics endpoint.
+
+Receives the batches the tutorial POSTs (`{"events": [...]}`) and appends
+every event as one JSON line to a file. Point the tutorial at it with
+?analytics=http://localhost:8787/events or from the instructor dialog.
+
+    python3 scripts/analytics-receiver.py [--port 8787] [--out analytics-events.jsonl]
+"""
+
+import argparse
+import json
+from http.server import BaseHTTPRequestHandler, ThreadingHTTPServer
+
+
+class Receiver(BaseHTTPRequestHandler):
+    out_path = 'analytics-events.jsonl'
+
+    def _cors(self):
+        self.send_header('Access-Control-Allow-Origin', '*')
+        self.send_header('Access-Control-Allow-Methods', 'POST, OPTIONS')
+        self.send_header('Access-Control-Allow-Headers', 'Content-Type')
+
+    def do_OPTIONS(self):
+        self.send_response(204)
+        self._cors()
+        self.end_headers()
+
+    def do_POST(self):
+        length = int(self.headers.get('Content-Length') or 0)
+        try:
+            events = json.loads(self.rfile.read(length) or b'{}').get('events', [])
+            if not isinstance(events, list):
+                raise ValueError('events is not a list')
+        except ValueError as error:
+            self.send_response(400)
+            self._cors()
+            self.end_headers()
+            self.wfile.write(str(error).encode())
+            return
+
+        with open(self.out_path, 'a', encoding='utf-8') as out:
+            for event in events:
+                out.write(json.dumps(event, ensure_ascii=False) + '\n')
+        for event in events:
+            print(f"{event.get('time', '?')}  {event.get('type', '?'):<17} lesson={event.get('lesson')} step={event.get('step')}")
+
+        self.send_response(204)
+        self._cors()
+        self.end_headers()
+
+    def log_message(self, format, *args):
+        pass
+
+
+def main():
+    parser = argparse.ArgumentParser(description=__doc__.splitlines()[0])
+    parser.add_argument('--port', type=int, default=8787)
+    parser.add_argument('--out', default='analytics-events.jsonl')
+    args = parser.parse_args()
+    Receiver.out_path = args.out
+    server = ThreadingHTTPServer(('127.0.0.1', args.port), Receiver)
+    print(f'Receiving analytics on http://127.0.0.1:{args.port}/ -> {args.out}')
+    try:
+        server.serve_forever()
+    except KeyboardInterrupt:
+        pass
+
+
+if __name__ == '__main__':
+    main()
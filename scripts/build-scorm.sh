@@ -0,0 +1,69 @@
+#!/usr/bin/env bash
+# Zip the tutorial as a SCORM 1.2 package for an LMS.
+#
+# The package holds index.html, src/ and assets/ plus an imsmanifest.xml that
+# launches index.html?scorm=1 (see src/ScormAdapter.js). fabric.js and the icon
+# font still come from their CDNs, so learners need internet access.
+#
+#   scripts/build-scorm.sh [output.zip]        # default: dist/inkscape-tutorial-scorm.zip
+
+set -eu
+
+cd "$(dirname "$0")/.." || exit 2
+
+OUT="${1:-dist/inkscape-tutorial-scorm.zip}"
+TITLE="${SCORM_TITLE:-Inkscape Tutorial (MaakBib)}"
+IDENTIFIER="${SCORM_IDENTIFIER:-be.maakbib.inkscape-tutorial}"
+
+command -v zip >/dev/null || { echo "zip is required" >&2; exit 2; }
+
+# Text going into imsmanifest.xml, as element content or attribute value
+xml_escape() {
+  sed -e 's/&/\&amp;/g' -e 's/</\&lt;/g' -e 's/>/\&gt;/g' -e 's/"/\&quot;/g'
+}
+
+TITLE_XML="$(printf '%s\n' "$TITLE" | xml_escape)"
+IDENTIFIER_XML="$(printf '%s\n' "$IDENTIFIER" | xml_escape)"
+
+STAGE="$(mktemp -d)"
+trap 'rm -rf "$STAGE"' EXIT
+
+cp index.html "$STAGE/"
+cp -R src assets "$STAGE/"
+
+# Every file in the package is listed in the manifest's resource
+FILES="$(cd "$STAGE" && find . -type f ! -name imsmanifest.xml | sed 's|^\./||' | sort \
+  | xml_escape | sed -e 's|.*|      <file href="&"/>|')"
+
+cat > "$STAGE/imsmanifest.xml" <<EOF
+<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="$IDENTIFIER_XML" version="1.0"
+          xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2"
+          xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_rootv1p2"
+          xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+          xsi:schemaLocation="http://www.imsproject.org/xsd/imscp_rootv1p1p2 imscp_rootv1p1p2.xsd http://www.imsglobal.org/xsd/imsmd_rootv1p2p1 imsmd_rootv1p2p1.xsd http://www.adlnet.org/xsd/adlcp_rootv1p2 adlcp_rootv1p2.xsd">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>1.2</schemaversion>
+  </metadata>
+  <organizations default="org">
+    <organization identifier="org">
+      <title>$TITLE_XML</title>
+      <item identifier="item-tutorial" identifierref="res-tutorial" isvisible="true">
+        <title>$TITLE_XML</title>
+      </item>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="res-tutorial" type="webcontent" adlcp:scormtype="sco" href="index.html?scorm=1">
+$FILES
+    </resource>
+  </resources>
+</manifest>
+EOF
+
+mkdir -p "$(dirname "$OUT")"
+rm -f "$OUT"
+OUT_ABS="$(cd "$(dirname "$OUT")" && pwd)/$(basename "$OUT")"
+(cd "$STAGE" && zip -qr "$OUT_ABS" .)
+echo "SCORM 1.2 package: $OUT ($(find "$STAGE" -type f | wc -l) files)"
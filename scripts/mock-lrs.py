@@ -0,0 +1,171 @@
+#!/usr/bin/env python3
+"""Local mock learning record store for the tutorial's xAPI statements.
+
+Accepts statements the way an LRS does (POST/PUT <base>/statements with the
+X-Experience-API-Version header), checks that each has an actor, a verb and
+an object, and appends them as JSON lines to a file. GET <base>/statements
+lists what was received. Point the tutorial at it with
+?xapi=http://localhost:8788/xapi or from the instructor dialog.
+
+    python3 scripts/mock-lrs.py [--port 8788] [--out xapi-statements.jsonl] [--auth key:secret]
+"""
+
+import argparse
+import base64
+import json
+import threading
+import uuid
+from http.server import BaseHTTPRequestHandler, ThreadingHTTPServer
+from urllib.parse import parse_qs, urlparse
+
+BASE_PATH = '/xapi'
+VERSION = '1.0.3'
+
+
+def check_statement(statement):
+    if not isinstance(statement, dict):
+        return 'statement is not an object'
+    actor = statement.get('actor') or {}
+    if not (actor.get('mbox') or actor.get('account') or actor.get('openid') or actor.get('mbox_sha1sum')):
+        return 'actor has no identifier'
+    if not (statement.get('verb') or {}).get('id'):
+        return 'verb has no id'
+    if not (statement.get('object') or {}).get('id'):
+        return 'object has no id'
+    return None
+
+
+class MockLrs(BaseHTTPRequestHandler):
+    out_path = 'xapi-statements.jsonl'
+    auth = None
+    statements = {}
+    lock = threading.Lock()
+
+    def _send(self, status, body=None):
+        self.send_response(status)
+        self.send_header('Access-Control-Allow-Origin', '*')
+        self.send_header('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS')
+        self.send_header('Access-Control-Allow-Headers', 'Authorization, Content-Type, X-Experience-API-Version')
+        self.send_header('X-Experience-API-Version', VERSION)
+        if body is None:
+            self.end_headers()
+            return
+        data = json.dumps(body).encode() if not isinstance(body, str) else body.encode()
+        self.send_header('Content-Type', 'application/json' if not isinstance(body, str) else 'text/plain')
+        self.send_header('Content-Length', str(len(data)))
+        self.end_headers()
+        self.wfile.write(data)
+
+    def _route(self):
+        path = urlparse(self.path).path.rstrip('/')
+        if not path.startswith(BASE_PATH):
+            return None
+        return path[len(BASE_PATH):]
+
+    def _authorized(self):
+        if not self.auth:
+            return True
+        expected = 'Basic ' + base64.b64encode(self.auth.encode()).decode()
+        return self.headers.get('Authorization') == expected
+
+    def do_OPTIONS(self):
+        self._send(204)
+
+    def do_GET(self):
+        route = self._route()
+        if route == '/about':
+            self._send(200, {'version': [VERSION]})
+        elif route == '/statements':
+            if not self._authorized():
+                self._send(401, 'Unauthorized')
+                return
+            query = parse_qs(urlparse(self.path).query)
+            with self.lock:
+                statements = list(self.statements.values())
+            if 'verb' in query:
+                statements = [s for s in statements if s['verb']['id'] == query['verb'][0]]
+            self._send(200, {'statements': statements, 'more': ''})
+        else:
+            self._send(404, 'Not found')
+
+    def do_POST(self):
+        self._store()
+
+    def do_PUT(self):
+        self._store()
+
+    def _store(self):
+        if self._route() != '/statements':
+            self._send(404, 'Not found')
+            return
+        if not self._authorized():
+            self._send(401, 'Unauthorized')
+            return
+        if not (self.headers.get('X-Experience-API-Version') or '').startswith('1.0'):
+            self._send(400, 'Missing or unsupported X-Experience-API-Version header')
+            return
+
+        length = int(self.headers.get('Content-Length') or 0)
+        try:
+            body = json.loads(self.rfile.read(length) or b'null')
+        except ValueError as error:
+            self._send(400, f'Invalid JSON: {error}')
+            return
+        batch = body if isinstance(body, list) else [body]
+        if self.command == 'PUT':
+            statement_id = parse_qs(urlparse(self.path).query).get('statementId', [None])[0]
+            if not statement_id or isinstance(body, list):
+                self._send(400, 'PUT needs one statement and ?statementId=')
+                return
+            body['id'] = statement_id
+
+        for statement in batch:
+            problem = check_statement(statement)
+            if problem:
+                self._send(400, problem)
+                return
+
+        ids = []
+        with self.lock, open(self.out_path, 'a', encoding='utf-8') as out:
+            for statement in batch:
+                statement.setdefault('id', str(uuid.uuid4()))
+                ids.append(statement['id'])
+                # The same id twice is a resend; keep the first copy
+                if statement['id'] in self.statements:
+                    continue
+                self.statements[statement['id']] = statement
+                out.write(json.dumps(statement, ensure_ascii=False) + '\n')
+                result = statement.get('result') or {}
+                score = (result.get('score') or {}).get('raw')
+                print(f"{statement.get('timestamp', '?')}  {statement['actor'].get('name', '?')} "
+                      f"{statement['verb']['id'].rsplit('/', 1)[-1]} {statement['object']['id']}"
+                      + (f" duration={result['duration']}" if 'duration' in result else '')
+                      + (f' score={score}' if score is not None else ''))
+
+        if self.command == 'PUT':
+            self._send(204)
+        else:
+            self._send(200, ids)
+
+    def log_message(self, format, *args):
+        pass
+
+
+def main():
+    parser = argparse.ArgumentParser(description=__doc__.splitlines()[0])
+    parser.add_argument('--port', type=int, default=8788)
+    parser.add_argument('--out', default='xapi-statements.jsonl')
+    parser.add_argument('--auth', help='require Basic authentication with key:secret')
+    args = parser.parse_args()
+    MockLrs.out_path = args.out
+    MockLrs.auth = args.auth
+    server = ThreadingHTTPServer(('127.0.0.1', args.port), MockLrs)
+    print(f'Mock LRS on http://127.0.0.1:{args.port}{BASE_PATH} -> {args.out}')
+    try:
+        server.serve_forever()
+    except KeyboardInterrupt:
+        pass
+
+
+if __name__ == '__main__':
+    main()
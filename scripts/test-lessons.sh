@@ -0,0 +1,43 @@
+#!/usr/bin/env bash
+# Run test-lessons.html in headless Chromium without network access.
+#
+# Needs python3 and Chromium (or Chrome; set CHROME to its binary) and a local
+# copy of fabric 5.2.4 in lib/fabric.min.js. Exits non-zero when a lesson fails.
+#
+#   scripts/test-lessons.sh
+#   CHROME=google-chrome PORT=8091 scripts/test-lessons.sh
+
+set -u
+
+cd "$(dirname "$0")/.." || exit 2
+
+CHROME="${CHROME:-chromium}"
+PORT="${PORT:-8090}"
+# Virtual time: timers run as fast as the page allows
+BUDGET_MS="${BUDGET_MS:-180000}"
+
+if [ ! -f lib/fabric.min.js ]; then
+  echo "lib/fabric.min.js is missing: download fabric 5.2.4 (dist/fabric.min.js) into lib/ first" >&2
+  exit 2
+fi
+
+python3 -m http.server "$PORT" --bind 127.0.0.1 >/dev/null 2>&1 &
+SERVER_PID=$!
+trap 'kill "$SERVER_PID" 2>/dev/null' EXIT
+sleep 1
+
+OUTPUT="$(timeout 600 "$CHROME" --headless=new --no-sandbox --disable-gpu \
+  --window-size=1400,900 \
+  --host-resolver-rules="MAP * ~NOTFOUND, EXCLUDE 127.0.0.1" \
+  --virtual-time-budget="$BUDGET_MS" \
+  --dump-dom "http://127.0.0.1:$PORT/test-lessons.html" 2>/dev/null)"
+
+# Results are the JSON inside <pre id="e2e-results">
+printf '%s\n' "$OUTPUT" | sed -n '/<pre id="e2e-results">/,/<\/pre>/p' | sed -e 's/<[^>]*>//g' -e 's/&quot;/"/g'
+
+if printf '%s' "$OUTPUT" | grep -q 'data-e2e-status="passed"'; then
+  echo "All lessons passed"
+  exit 0
+fi
+echo "Lesson tests failed (or did not finish within the time budget)" >&2
+exit 1
@@ -0,0 +1,459 @@
+/**
+ * Learning Analytics
+ * Typed event bus for lesson activity with pluggable sinks.
+ *
+ * Modules report what the learner does with analytics.emit(type, data). The
+ * type must be one of ANALYTICS_EVENTS and the data must hold that type's
+ * fields. Every event is stamped with the time, the page session, the active
+ * profile and the lesson and step it happened in, then handed to each sink:
+ * - ConsoleSink:       logs every event (?analytics=console)
+ * - LocalStorageSink:  keeps the newest ANALYTICS.MAX_STORED_EVENTS on this computer
+ * - HttpSink:          POSTs batches of events to an endpoint (?analytics=<URL>
+ *                      for one page load, or saved on this computer from the
+ *                      instructor dialog)
+ *
+ * A sink is any object with `handle(event)` and optionally `flush()`.
+ * summarize() turns stored events into completion rates and time per step.
+ */
+
+import { ANALYTICS } from './constants.js';
+import { profileStore } from './ProfileStore.js';
+import { instructorMode } from './InstructorMode.js';
+
+/**
+ * Event types and the fields each one requires
+ */
+export const ANALYTICS_EVENTS = {
+  LESSON_STARTED: 'lesson_started',
+  LESSON_COMPLETED: 'lesson_completed',
+  STEP_STARTED: 'step_started',
+  STEP_COMPLETED: 'step_completed',
+  ATTEMPT_FAILED: 'attempt_failed',
+  TOOL_SELECTED: 'tool_selected',
+  HINT_SHOWN: 'hint_shown'
+};
+
+const REQUIRED_FIELDS = {
+  lesson_started: ['lesson'],
+  lesson_completed: ['lesson'],
+  step_started: ['lesson', 'step'],
+  step_completed: ['lesson', 'step', 'durationMs'],
+  attempt_failed: ['lesson'],
+  tool_selected: ['tool'],
+  hint_shown: ['lesson', 'step', 'level']
+};
+
+const EVENTS_KEY = 'inkscape-tutorial:analytics';
+const ENDPOINT_KEY = 'inkscape-tutorial:analytics-endpoint';
+
+function createSessionId() {
+  try {
+    if (crypto && crypto.randomUUID) return crypto.randomUUID();
+  } catch (e) { /* fall through */ }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value, location.href);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * @param {string|null} url
+ * @returns {string|null} The trimmed URL, '' for none, or null if it is not http(s)
+ */
+function cleanEndpoint(url) {
+  const clean = url ? String(url).trim() : '';
+  if (clean && !isHttpUrl(clean)) {
+    console.warn('[Analytics] Not an http(s) endpoint:', url);
+    return null;
+  }
+  return clean;
+}
+
+// -------------------------
+// Sinks
+// -------------------------
+
+export class ConsoleSink {
+  constructor() {
+    this.name = 'console';
+  }
+
+  handle(event) {
+    const { type, ...data } = event;
+    console.log(`[Analytics] ${type}`, data);
+  }
+}
+
+export class LocalStorageSink {
+  constructor(key = EVENTS_KEY, maxEvents = ANALYTICS.MAX_STORED_EVENTS) {
+    this.name = 'localStorage';
+    this.key = key;
+    this.maxEvents = maxEvents;
+  }
+
+  /**
+   * Stored events, oldest first
+   * @returns {Array<Object>}
+   */
+  getEvents() {
+    try {
+      const events = JSON.parse(localStorage.getItem(this.key) || '[]');
+      return Array.isArray(events) ? events : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  handle(event) {
+    const events = this.getEvents();
+    events.push(event);
+    try {
+      localStorage.setItem(this.key, JSON.stringify(events.slice(-this.maxEvents)));
+    } catch (error) {
+      console.warn('[Analytics] Could not store event:', error);
+    }
+  }
+
+  clear() {
+    try { localStorage.removeItem(this.key); } catch (e) { /* ignore */ }
+  }
+}
+
+export class HttpSink {
+  /**
+   * @param {string} endpoint - URL that receives `{ events: [...] }`
+   * @param {Object} [options]
+   * @param {number} [options.batchSize]
+   * @param {number} [options.flushMs]
+   * @param {number} [options.maxPending]
+   */
+  constructor(endpoint, { batchSize = ANALYTICS.BATCH_SIZE, flushMs = ANALYTICS.FLUSH_MS, maxPending = ANALYTICS.MAX_PENDING } = {}) {
+    this.name = 'http';
+    this.endpoint = endpoint;
+    this.batchSize = batchSize;
+    this.flushMs = flushMs;
+    this.maxPending = maxPending;
+    this.pending = [];
+    this._timer = null;
+    this._sending = false;
+  }
+
+  handle(event) {
+    this.pending.push(event);
+    this._trim();
+    if (this.pending.length >= this.batchSize) this.flush();
+    else if (!this._timer) this._timer = setTimeout(() => this.flush(), this.flushMs);
+  }
+
+  /**
+   * Post the waiting events; failed batches are kept for the next flush.
+   * The body is JSON sent as text/plain, which needs no CORS preflight.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+    if (this._sending || this.pending.length === 0) return;
+    const batch = this.pending.splice(0, this.batchSize);
+    this._sending = true;
+    try {
+      const response = await fetch(this.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+        body: JSON.stringify({ events: batch })
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    } catch (error) {
+      console.warn('[Analytics] Could not send events, keeping them for later:', error);
+      this.pending.unshift(...batch);
+      this._trim();
+      if (!this._timer) this._timer = setTimeout(() => this.flush(), this.flushMs);
+      return;
+    } finally {
+      this._sending = false;
+    }
+    if (this.pending.length > 0) this.flush();
+  }
+
+  /**
+   * Hand the waiting events to the browser when the page goes away
+   */
+  flushOnUnload() {
+    if (this.pending.length === 0) return;
+    try {
+      if (navigator.sendBeacon(this.endpoint, JSON.stringify({ events: this.pending }))) this.pending = [];
+    } catch (e) { /* ignore */ }
+  }
+
+  _trim() {
+    if (this.pending.length > this.maxPending) this.pending.splice(0, this.pending.length - this.maxPending);
+  }
+}
+
+// -------------------------
+// Bus
+// -------------------------
+
+export class Analytics {
+  constructor() {
+    this.sessionId = createSessionId();
+    this.sinks = [];
+    this.paused = false;
+    this.storage = null;
+    this.http = null;
+    this._lesson = null;
+    this._lessonStartedAt = null;
+    this._lessonCompleted = false; // the lesson_completed of this attempt was sent
+    this._step = null;
+  }
+
+  /**
+   * Set up the sinks: localStorage always, the console and an endpoint when
+   * asked for in the URL, or the endpoint saved on this computer. The URL
+   * only applies to this page load: anyone can edit a link, so saving an
+   * endpoint is left to the instructor dialog.
+   * @param {string} [search=location.search]
+   */
+  init(search = location.search) {
+    this.storage = new LocalStorageSink();
+    this.addSink(this.storage);
+
+    const value = new URLSearchParams(search).get(ANALYTICS.URL_PARAM);
+    if (value === 'console') this.addSink(new ConsoleSink());
+    else if (value && value !== 'off') {
+      const clean = cleanEndpoint(value);
+      if (clean) this._useEndpoint(clean);
+    }
+
+    if (!this.http && value !== 'off') {
+      let saved = null;
+      try { saved = localStorage.getItem(ENDPOINT_KEY); } catch (e) { /* ignore */ }
+      if (saved) this._useEndpoint(saved);
+    }
+
+    window.addEventListener('pagehide', () => {
+      if (this.http) this.http.flushOnUnload();
+    });
+  }
+
+  /**
+   * @param {Object} sink - { handle(event), flush?() }
+   */
+  addSink(sink) {
+    if (sink && typeof sink.handle === 'function' && !this.sinks.includes(sink)) this.sinks.push(sink);
+  }
+
+  removeSink(sink) {
+    this.sinks = this.sinks.filter(s => s !== sink);
+  }
+
+  /**
+   * Endpoint that receives events, remembered on this computer. Only in
+   * instructor mode.
+   * @param {string|null} url - Null to stop posting
+   * @returns {boolean} False if the URL is not http(s) or instructor mode is off
+   */
+  setEndpoint(url) {
+    if (!instructorMode.isActive) {
+      console.warn('[Analytics] Saving an endpoint needs instructor mode');
+      return false;
+    }
+    const clean = cleanEndpoint(url);
+    if (clean === null) return false;
+    try {
+      if (clean) localStorage.setItem(ENDPOINT_KEY, clean);
+      else localStorage.removeItem(ENDPOINT_KEY);
+    } catch (e) { /* ignore */ }
+    this._useEndpoint(clean || null);
+    return true;
+  }
+
+  getEndpoint() {
+    return this.http ? this.http.endpoint : null;
+  }
+
+  _useEndpoint(url) {
+    if (this.http) {
+      this.http.flush();
+      this.removeSink(this.http);
+      this.http = null;
+    }
+    if (!url) return;
+    this.http = new HttpSink(url);
+    this.addSink(this.http);
+    console.log('[Analytics] Sending events to', url);
+  }
+
+  /**
+   * Stop recording events (e.g. while a session recording is replayed)
+   * @param {boolean} paused
+   */
+  setPaused(paused) {
+    this.paused = !!paused;
+  }
+
+  /**
+   * Report an event. Missing lesson and step fields are taken from the lesson
+   * and step the learner is in. A lesson attempt is completed once: repeated
+   * lesson_completed events for it are dropped.
+   * @param {string} type - One of ANALYTICS_EVENTS
+   * @param {Object} [data]
+   * @returns {Object|null} The event as handed to the sinks, or null if dropped
+   */
+  emit(type, data = {}) {
+    const required = REQUIRED_FIELDS[type];
+    if (!required) {
+      console.warn('[Analytics] Unknown event type:', type);
+      return null;
+    }
+
+    if (type === ANALYTICS_EVENTS.LESSON_STARTED) {
+      this._lesson = data.lesson;
+      this._lessonStartedAt = performance.now();
+      this._lessonCompleted = false;
+      this._step = null;
+    } else if (type === ANALYTICS_EVENTS.STEP_STARTED) {
+      this._step = data.step;
+    }
+
+    const event = {
+      type,
+      time: new Date().toISOString(),
+      session: this.sessionId,
+      profile: profileStore.getActiveProfile().id,
+      lesson: this._lesson,
+      step: this._step,
+      ...data
+    };
+    const inAttempt = event.lesson === this._lesson && this._lessonStartedAt !== null;
+    if (type === ANALYTICS_EVENTS.LESSON_COMPLETED && inAttempt) {
+      // A lesson may call markLessonCompleted() more than once in an attempt
+      if (this._lessonCompleted) return null;
+      if (event.durationMs === undefined) event.durationMs = Math.round(performance.now() - this._lessonStartedAt);
+    }
+
+    const missing = required.filter(field => event[field] === undefined || event[field] === null);
+    if (missing.length > 0) {
+      console.warn(`[Analytics] ${type} is missing ${missing.join(', ')}; dropped`);
+      return null;
+    }
+    if (this.paused) return null;
+    if (type === ANALYTICS_EVENTS.LESSON_COMPLETED && inAttempt) this._lessonCompleted = true;
+
+    this.sinks.forEach(sink => {
+      try {
+        sink.handle(event);
+      } catch (error) {
+        console.warn(`[Analytics] Sink ${sink.name || '?'} failed:`, error);
+      }
+    });
+    return event;
+  }
+
+  /**
+   * Events kept on this computer
+   * @returns {Array<Object>}
+   */
+  getStoredEvents() {
+    return this.storage ? this.storage.getEvents() : [];
+  }
+
+  clearStoredEvents() {
+    if (this.storage) this.storage.clear();
+  }
+
+  /**
+   * Download the stored events as a JSON file
+   * @param {string} [filename]
+   */
+  exportToFile(filename = 'inkscape-analyse.json') {
+    const data = { exportedAt: new Date().toISOString(), events: this.getStoredEvents() };
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+}
+
+/**
+ * Completion rate and time per step for each lesson. A completion counts
+ * once per attempt: it needs a lesson_started of the same session and lesson
+ * before it (events stored by older versions repeat completions).
+ * @param {Array<Object>} events
+ * @returns {{sessions: number, lessons: Array<{lesson: number, started: number, completed: number,
+ *   completionRate: number|null, medianDurationMs: number|null, failures: number, hints: number,
+ *   steps: Array<{step: string, completed: number, medianDurationMs: number}>}>}}
+ */
+export function summarize(events) {
+  const median = (values) => {
+    if (values.length === 0) return null;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+  };
+
+  const sessions = new Set();
+  const openAttempts = new Set(); // 'session:lesson' started and not yet completed
+  const lessons = new Map();
+  const lessonFor = (id) => {
+    if (!lessons.has(id)) lessons.set(id, { lesson: id, started: 0, completed: 0, durations: [], failures: 0, hints: 0, steps: new Map() });
+    return lessons.get(id);
+  };
+
+  (events || []).forEach(event => {
+    if (!event || event.lesson === null || event.lesson === undefined) return;
+    sessions.add(event.session);
+    const lesson = lessonFor(event.lesson);
+    const attempt = `${event.session}:${event.lesson}`;
+    switch (event.type) {
+      case ANALYTICS_EVENTS.LESSON_STARTED:
+        lesson.started += 1;
+        openAttempts.add(attempt);
+        break;
+      case ANALYTICS_EVENTS.LESSON_COMPLETED:
+        if (!openAttempts.delete(attempt)) break;
+        lesson.completed += 1;
+        if (typeof event.durationMs === 'number') lesson.durations.push(event.durationMs);
+        break;
+      case ANALYTICS_EVENTS.STEP_COMPLETED:
+        if (!lesson.steps.has(event.step)) lesson.steps.set(event.step, []);
+        lesson.steps.get(event.step).push(event.durationMs);
+        break;
+      case ANALYTICS_EVENTS.ATTEMPT_FAILED:
+        lesson.failures += 1;
+        break;
+      case ANALYTICS_EVENTS.HINT_SHOWN:
+        lesson.hints += 1;
+        break;
+      default:
+        break;
+    }
+  });
+
+  return {
+    sessions: sessions.size,
+    lessons: [...lessons.values()]
+      .sort((a, b) => a.lesson - b.lesson)
+      .map(({ durations, steps, ...lesson }) => ({
+        ...lesson,
+        completionRate: lesson.started > 0 ? lesson.completed / lesson.started : null,
+        medianDurationMs: median(durations),
+        steps: [...steps.entries()].map(([step, values]) => ({ step, completed: values.length, medianDurationMs: median(values) }))
+      }))
+  };
+}
+
+export const analytics = new Analytics();
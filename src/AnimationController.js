@@ -5,11 +5,17 @@
  */
 
 import { ANIMATION_DURATION, ANIMATION_SCALE } from './constants.js';
+import { GhostCursor } from './GhostCursor.js';
+
+// Every controller created, held weakly so finished lessons can be collected
+const controllers = new Set();
 
 export class AnimationController {
   constructor(canvas) {
+    controllers.add(new WeakRef(this));
     this.canvas = canvas;
     this.activeAnimations = new Map(); // Track active animations for cleanup
+    this._teardowns = new Map(); // animationId -> fn removing what the animation put on screen
     // Map from owner (object or controller) -> Map(animationId -> cancelFn)
     this._ownerAnimations = new WeakMap();
   }
@@ -316,6 +322,38 @@ export class AnimationController {
     fabric.util.requestAnimFrame(animate);
   }
 
+  /**
+   * Ghost cursor demonstration of mouse gestures (see GhostCursor.js).
+   * Leaves the canvas content and viewport untouched.
+   * @param {Array<Object>} script - Gestures to play
+   * @param {Object} [options]
+   * @param {string} [options.animationId='ghost-cursor'] - Identifier for cleanup; replaces a running demo with the same id
+   * @param {Object} [options.owner] - Register under this owner (see stopAnimationsFor)
+   * @param {number} [options.loops=1] - Times to play the script
+   * @param {Object|Function} [options.from] - Cursor start position
+   * @param {Function} [options.onComplete] - Called after the last loop
+   * @returns {Object} Control object with a stop method, and its cancel function
+   */
+  playGhostCursor(script, { animationId = 'ghost-cursor', owner = null, loops = 1, from = null, onComplete = null } = {}) {
+    this.stopAnimation(animationId);
+    const playback = new GhostCursor(this.canvas).play(script, {
+      from,
+      loops,
+      onFrame: (frameId) => this.activeAnimations.set(animationId, frameId),
+      onComplete: () => {
+        this.activeAnimations.delete(animationId);
+        this._teardowns.delete(animationId);
+        if (onComplete) onComplete();
+      }
+    });
+    if (this.activeAnimations.has(animationId)) this._teardowns.set(animationId, playback.stop);
+
+    const controller = { stop: () => this.stopAnimation(animationId) };
+    const cancelFn = () => controller.stop();
+    if (owner) this.registerAnimation(owner, animationId, cancelFn);
+    return { controller, cancelFn };
+  }
+
   /**
    * Stop a specific animation by ID
    * @param {string} animationId - Animation identifier
@@ -324,6 +362,11 @@ export class AnimationController {
     if (this._stopFlags) {
       this._stopFlags[animationId] = true;
     }
+    const teardown = this._teardowns.get(animationId);
+    if (teardown) {
+      this._teardowns.delete(animationId);
+      teardown();
+    }
     const frameId = this.activeAnimations.get(animationId);
     if (frameId) {
       try {
@@ -352,6 +395,8 @@ export class AnimationController {
       }
     });
     this.activeAnimations.clear();
+    this._teardowns.forEach(teardown => teardown());
+    this._teardowns.clear();
   }
 
   /**
@@ -388,4 +433,22 @@ export class AnimationController {
   getActiveCount() {
     return this.activeAnimations.size;
   }
+
+  /**
+   * Count continuous animations and on-screen demonstrations across every
+   * controller (used by the lesson test page to check cleanup)
+   * @returns {number}
+   */
+  static getTotalActiveCount() {
+    let total = 0;
+    controllers.forEach(ref => {
+      const controller = ref.deref();
+      if (!controller) {
+        controllers.delete(ref);
+        return;
+      }
+      total += controller.activeAnimations.size + controller._teardowns.size;
+    });
+    return total;
+  }
 }
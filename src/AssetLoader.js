@@ -128,6 +128,8 @@ export class AssetLoader {
       const fragment = fragments[id];
       if (fragment) {
         groups[id] = await this.makeFabricGroupFromFragment(fragment);
+        // Lessons may rename it; the SVG id lets tools find the object on the canvas
+        if (groups[id]) groups[id].tutorialId = id;
       } else {
         // Not all SVGs contain every requested fragment; this is informational,
         // so log at info level with the source URL to reduce console noise.
@@ -0,0 +1,519 @@
+/**
+ * Authoring Mode
+ * In-browser editor for JSON drag-to-target lessons (see LESSON_FORMAT.md).
+ * Enabled with the `?author` URL flag (optionally `?author=assets/tutorials/les1.svg`).
+ *
+ * The author loads an SVG, picks groups from the list or the canvas, marks them
+ * as draggable/target/decoration/success, fills in tolerances and instruction
+ * text, tries the lesson out and exports the definition as a JSON file.
+ */
+
+import { canvas, resetViewport } from './canvas.js';
+import { assetLoader } from './AssetLoader.js';
+import { register as registerEvent, unregisterAllForOwner } from './EventRegistry.js';
+import { DataLessonRunner, validateLessonDefinition } from './DataLessonRunner.js';
+import { ASSETS, INTERACTION_THRESHOLD } from './constants.js';
+
+const ROLES = ['draggable', 'target', 'decoration', 'success'];
+
+const ROLE_LABELS = {
+  draggable: 'Sleepbaar',
+  target: 'Doel',
+  decoration: 'Decoratie',
+  success: 'Succes'
+};
+
+const ROLE_COLORS = {
+  draggable: '#1976d2',
+  target: '#f57c00',
+  decoration: '#9e9e9e',
+  success: '#388e3c'
+};
+
+/**
+ * Check whether authoring mode was requested in the URL
+ * @param {string} search - location.search
+ * @returns {boolean}
+ */
+export function isAuthoringRequested(search = location.search) {
+  return new URLSearchParams(search).has('author');
+}
+
+/**
+ * SVG URL passed as `?author=<url>`, if any
+ * @param {string} search - location.search
+ * @returns {string|null}
+ */
+export function getAuthoringSvgParam(search = location.search) {
+  const value = new URLSearchParams(search).get('author');
+  return value ? value : null;
+}
+
+/**
+ * List the groups of an SVG document with their id and inkscape:label
+ * @param {Document} doc - Parsed SVG document
+ * @returns {Array<{identifier: string, id: string, label: string, depth: number, isLayer: boolean, topLevel: boolean}>}
+ */
+export function listSvgGroups(doc) {
+  const groups = [];
+  Array.from(doc.getElementsByTagName('g')).forEach(group => {
+    const id = group.getAttribute('id') || '';
+    const label = group.getAttribute('inkscape:label') || '';
+    // AssetLoader finds groups by exact id first, then by label
+    const identifier = id || label;
+    if (!identifier) return;
+
+    let depth = 0;
+    let hasObjectAncestor = false;
+    for (let parent = group.parentElement; parent && parent.tagName !== 'svg'; parent = parent.parentElement) {
+      if (parent.tagName === 'g') {
+        depth++;
+        if (parent.getAttribute('inkscape:groupmode') !== 'layer') hasObjectAncestor = true;
+      }
+    }
+    const isLayer = group.getAttribute('inkscape:groupmode') === 'layer';
+    groups.push({ identifier, id, label, depth, isLayer, topLevel: !isLayer && !hasObjectAncestor });
+  });
+  return groups;
+}
+
+/**
+ * Escape text for use inside HTML attributes and content
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+class AuthoringMode {
+  constructor() {
+    this.isActive = false;
+    this.assetUrl = null; // URL used to load the SVG (may be a blob: URL for local files)
+    this.assetPath = ''; // Path written to the exported definition
+    this.groups = [];
+    this.objects = new Map(); // identifier -> fabric group on canvas
+    this.specs = new Map(); // identifier -> { role, target, tolerance, ... }
+    this.selected = null;
+    this.meta = {
+      pageTitle: '',
+      title: 'Opdracht',
+      paragraphs: '',
+      steps: '',
+      message: 'Goed gedaan, je bent klaar voor de volgende les'
+    };
+    this.previewRunner = null;
+    this.problems = [];
+    this._renderOverlays = (e) => this.drawRoleOverlays(e.ctx || canvas.contextContainer);
+  }
+
+  /**
+   * Enter authoring mode
+   * @param {string|null} initialUrl - SVG to load right away
+   */
+  async start(initialUrl = null) {
+    if (this.isActive) return;
+    this.isActive = true;
+    console.log('[AuthoringMode] Starting');
+
+    document.title = 'Inkscape Les-editor';
+    const brand = document.querySelector('#toolbar .brand');
+    if (brand) {
+      const img = brand.querySelector('img');
+      brand.innerHTML = '';
+      if (img) brand.appendChild(img);
+      brand.appendChild(document.createTextNode(' Les-editor'));
+    }
+    const lessonButtons = document.getElementById('lesson-buttons');
+    if (lessonButtons) lessonButtons.style.display = 'none';
+    const panel = document.getElementById('panel');
+    if (panel) panel.classList.add('authoring');
+
+    canvas.getObjects().slice().forEach(obj => canvas.remove(obj));
+    resetViewport();
+
+    registerEvent(canvas, 'selection:created', () => this.handleCanvasSelection(), this);
+    registerEvent(canvas, 'selection:updated', () => this.handleCanvasSelection(), this);
+    registerEvent(canvas, 'after:render', this._renderOverlays, this);
+
+    this.assetPath = initialUrl || ASSETS.LESSON_1_SVG;
+    this.renderPanel();
+    if (initialUrl) await this.loadSvg(initialUrl, initialUrl);
+  }
+
+  /**
+   * Leave authoring mode and clear the canvas
+   */
+  stop() {
+    this.stopPreview();
+    unregisterAllForOwner(this);
+    this.clearObjects();
+    const panel = document.getElementById('panel');
+    if (panel) panel.classList.remove('authoring');
+    this.isActive = false;
+  }
+
+  clearObjects() {
+    this.objects.forEach(obj => { if (canvas.contains(obj)) canvas.remove(obj); });
+    this.objects.clear();
+    canvas.discardActiveObject();
+    canvas.requestRenderAll();
+  }
+
+  /**
+   * Load an SVG and put its top-level groups on the canvas
+   * @param {string} url - URL to fetch (may be a blob: URL)
+   * @param {string} assetPath - Path to write into the definition
+   */
+  async loadSvg(url, assetPath) {
+    this.clearObjects();
+    this.specs.clear();
+    this.selected = null;
+    this.assetUrl = url;
+    this.assetPath = assetPath;
+
+    try {
+      const doc = await assetLoader.loadSvgDocument(url);
+      if (doc.getElementsByTagName('parsererror').length > 0) throw new Error('Not a valid SVG file');
+      this.groups = listSvgGroups(doc);
+    } catch (error) {
+      console.error('[AuthoringMode] Could not load SVG:', error);
+      this.groups = [];
+      this.renderPanel(`Kon ${escapeHtml(assetPath)} niet laden.`);
+      return;
+    }
+
+    // Show top-level object groups; nested groups are loaded when picked from the list
+    const topLevel = this.groups.filter(g => g.topLevel).map(g => g.identifier);
+    const loaded = await assetLoader.loadFabricGroups(url, topLevel);
+    topLevel.forEach(identifier => this.addGroupToCanvas(identifier, loaded[identifier]));
+    canvas.requestRenderAll();
+
+    console.log(`[AuthoringMode] Loaded ${this.groups.length} groups from ${assetPath}`);
+    this.renderPanel();
+  }
+
+  addGroupToCanvas(identifier, group) {
+    if (!group) return;
+    group.set({
+      selectable: true,
+      evented: true,
+      hasControls: false,
+      lockMovementX: true,
+      lockMovementY: true
+    });
+    group.authoringId = identifier;
+    canvas.add(group);
+    this.objects.set(identifier, group);
+  }
+
+  /**
+   * Select a group by identifier, loading it first if needed
+   * @param {string} identifier
+   */
+  async selectIdentifier(identifier) {
+    if (!this.objects.has(identifier)) {
+      const loaded = await assetLoader.loadFabricGroups(this.assetUrl, [identifier]);
+      this.addGroupToCanvas(identifier, loaded[identifier]);
+    }
+    const obj = this.objects.get(identifier);
+    this.selected = identifier;
+    if (obj) {
+      canvas.setActiveObject(obj);
+      canvas.requestRenderAll();
+    }
+    this.renderPanel();
+  }
+
+  handleCanvasSelection() {
+    const active = canvas.getActiveObject();
+    if (!active || !active.authoringId || active.authoringId === this.selected) return;
+    this.selected = active.authoringId;
+    this.renderPanel();
+  }
+
+  /**
+   * Assign a role to a group (null removes it from the lesson)
+   */
+  setRole(identifier, role) {
+    if (!role) {
+      this.specs.delete(identifier);
+    } else {
+      const spec = this.specs.get(identifier) || {};
+      spec.role = role;
+      if (role === 'draggable' && spec.tolerance === undefined) {
+        spec.tolerance = INTERACTION_THRESHOLD.HELMET_SNAP_DISTANCE;
+      }
+      this.specs.set(identifier, spec);
+    }
+    canvas.requestRenderAll();
+    this.renderPanel();
+  }
+
+  /**
+   * Outline every group that has a role, colored by role
+   */
+  drawRoleOverlays(ctx) {
+    if (!ctx || this.previewRunner) return;
+    ctx.save();
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 4]);
+    ctx.font = '12px sans-serif';
+    this.specs.forEach((spec, identifier) => {
+      const obj = this.objects.get(identifier);
+      if (!obj || !obj.visible) return;
+      const rect = obj.getBoundingRect();
+      ctx.strokeStyle = ROLE_COLORS[spec.role];
+      ctx.fillStyle = ROLE_COLORS[spec.role];
+      ctx.strokeRect(rect.left, rect.top, rect.width, rect.height);
+      ctx.fillText(`${ROLE_LABELS[spec.role]}: ${identifier}`, rect.left, Math.max(12, rect.top - 4));
+    });
+    ctx.restore();
+  }
+
+  /**
+   * Build a lesson definition from the current state
+   * @returns {Object}
+   */
+  buildDefinition() {
+    const lines = text => text.split('\n').map(line => line.trim()).filter(Boolean);
+    const objects = [];
+    const hide = [];
+    const show = [];
+
+    // Keep SVG order so layering matches the source file
+    this.groups.forEach(({ identifier }) => {
+      const spec = this.specs.get(identifier);
+      if (!spec) return;
+      const entry = { id: identifier, role: spec.role };
+      if (spec.role === 'draggable') {
+        entry.target = spec.target || '';
+        entry.tolerance = Number(spec.tolerance) || INTERACTION_THRESHOLD.HELMET_SNAP_DISTANCE;
+        if (spec.anchor === 'topLeft') entry.anchor = 'topLeft';
+        if (spec.rotation !== undefined && spec.rotation !== '') {
+          entry.rotation = Number(spec.rotation);
+          if (spec.rotationTolerance !== undefined && spec.rotationTolerance !== '') entry.rotationTolerance = Number(spec.rotationTolerance);
+        }
+        if (spec.snap === false) entry.snap = false;
+      }
+      if (spec.role === 'target' && spec.pulse === false) entry.pulse = false;
+      objects.push(entry);
+      if (spec.role === 'success') show.push(identifier);
+      else if (spec.hideOnSuccess) hide.push(identifier);
+    });
+
+    const definition = {
+      asset: this.assetPath,
+      instructions: {
+        title: this.meta.title,
+        paragraphs: lines(this.meta.paragraphs),
+        steps: lines(this.meta.steps).map(text => ({ text }))
+      },
+      objects,
+      success: { hide, show, message: this.meta.message }
+    };
+    if (this.meta.pageTitle) definition.pageTitle = this.meta.pageTitle;
+    return definition;
+  }
+
+  /**
+   * Validate and download the definition as JSON
+   */
+  exportDefinition() {
+    const definition = this.buildDefinition();
+    this.problems = validateLessonDefinition(definition);
+    if (this.problems.length > 0) {
+      this.renderPanel();
+      return;
+    }
+
+    const json = JSON.stringify(definition, null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'lesson.json';
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1500);
+    console.log('[AuthoringMode] Exported lesson definition');
+    this.renderPanel();
+  }
+
+  /**
+   * Try the lesson with the generic runner
+   */
+  async preview() {
+    const definition = this.buildDefinition();
+    this.problems = validateLessonDefinition(definition);
+    if (this.problems.length > 0) {
+      this.renderPanel();
+      return;
+    }
+
+    // Run against the loaded URL (the exported path may not exist yet)
+    definition.asset = this.assetUrl;
+    this.objects.forEach(obj => { obj.visible = false; });
+    canvas.discardActiveObject();
+    this.previewRunner = new DataLessonRunner({ id: 'preview', definition, preview: true });
+    await this.previewRunner.start();
+
+    const buttons = document.querySelector('#toolbar .buttons');
+    if (buttons) {
+      const back = document.createElement('button');
+      back.id = 'authoring-back-btn';
+      back.textContent = 'Terug naar editor';
+      back.onclick = () => {
+        this.stopPreview();
+        this.renderPanel();
+      };
+      buttons.appendChild(back);
+    }
+  }
+
+  stopPreview() {
+    if (!this.previewRunner) return;
+    this.previewRunner.cleanup();
+    this.previewRunner = null;
+    const back = document.getElementById('authoring-back-btn');
+    if (back) back.remove();
+    this.objects.forEach(obj => { obj.visible = true; });
+    canvas.requestRenderAll();
+  }
+
+  /**
+   * Render the editor into the instruction panel
+   * @param {string} [error] - Error message to show at the top
+   */
+  renderPanel(error = '') {
+    const panel = document.getElementById('panel');
+    if (!panel) return;
+
+    const groupRows = this.groups.map(group => {
+      const spec = this.specs.get(group.identifier);
+      const badge = spec ? `<span class="authoring-badge" style="background:${ROLE_COLORS[spec.role]}">${ROLE_LABELS[spec.role]}</span>` : '';
+      const label = group.label && group.label !== group.identifier ? ` <small>(${escapeHtml(group.label)})</small>` : '';
+      const classes = ['authoring-group'];
+      if (group.identifier === this.selected) classes.push('selected');
+      if (group.isLayer) classes.push('layer');
+      return `<li class="${classes.join(' ')}" data-identifier="${escapeHtml(group.identifier)}" style="padding-left:${group.depth * 12 + 4}px">${escapeHtml(group.identifier)}${label} ${badge}</li>`;
+    }).join('');
+
+    const problems = this.problems.length
+      ? `<div class="authoring-problems"><strong>Niet klaar voor export:</strong><ul>${this.problems.map(p => `<li>${escapeHtml(p)}</li>`).join('')}</ul></div>`
+      : '';
+
+    panel.innerHTML = `
+      <h3>Les-editor</h3>
+      ${error ? `<p class="authoring-problems">${error}</p>` : ''}
+      <section class="authoring-section">
+        <label>SVG-bestand<input id="authoring-url" type="text" value="${escapeHtml(this.assetPath)}"></label>
+        <button id="authoring-load" type="button">Laden</button>
+        <label class="authoring-file">of kies een bestand <input id="authoring-file" type="file" accept=".svg,image/svg+xml"></label>
+      </section>
+      <section class="authoring-section">
+        <h4>Groepen</h4>
+        <ul class="authoring-groups">${groupRows || '<li><em>Nog geen SVG geladen</em></li>'}</ul>
+      </section>
+      <section class="authoring-section" id="authoring-object"></section>
+      <section class="authoring-section">
+        <h4>Tekst</h4>
+        <label>Paginatitel<input data-meta="pageTitle" type="text" value="${escapeHtml(this.meta.pageTitle)}"></label>
+        <label>Titel<input data-meta="title" type="text" value="${escapeHtml(this.meta.title)}"></label>
+        <label>Uitleg (één alinea per regel)<textarea data-meta="paragraphs" rows="3">${escapeHtml(this.meta.paragraphs)}</textarea></label>
+        <label>Stappen (één per regel)<textarea data-meta="steps" rows="3">${escapeHtml(this.meta.steps)}</textarea></label>
+        <label>Bericht bij succes<input data-meta="message" type="text" value="${escapeHtml(this.meta.message)}"></label>
+      </section>
+      ${problems}
+      <section class="authoring-section authoring-actions">
+        <button id="authoring-preview" type="button"><i class="fa-solid fa-play"></i> Testen</button>
+        <button id="authoring-export" type="button"><i class="fa-solid fa-download"></i> Exporteren</button>
+      </section>
+    `;
+
+    document.getElementById('authoring-load').onclick = () => {
+      const url = document.getElementById('authoring-url').value.trim();
+      if (url) this.loadSvg(url, url);
+    };
+    document.getElementById('authoring-file').onchange = (e) => {
+      const file = e.target.files && e.target.files[0];
+      if (!file) return;
+      // Exported lessons reference the file next to the other lesson SVGs
+      this.loadSvg(URL.createObjectURL(file), `assets/tutorials/${file.name}`);
+    };
+    panel.querySelectorAll('.authoring-group').forEach(row => {
+      row.onclick = () => this.selectIdentifier(row.dataset.identifier);
+    });
+    panel.querySelectorAll('[data-meta]').forEach(input => {
+      input.oninput = () => { this.meta[input.dataset.meta] = input.value; };
+    });
+    document.getElementById('authoring-preview').onclick = () => this.preview();
+    document.getElementById('authoring-export').onclick = () => this.exportDefinition();
+
+    this.renderObjectEditor();
+  }
+
+  /**
+   * Render role and tolerance controls for the selected group
+   */
+  renderObjectEditor() {
+    const section = document.getElementById('authoring-object');
+    if (!section) return;
+    if (!this.selected) {
+      section.innerHTML = '<p><em>Klik op een object of een groep in de lijst.</em></p>';
+      return;
+    }
+
+    const identifier = this.selected;
+    const spec = this.specs.get(identifier) || {};
+    const roleButtons = ROLES.map(role =>
+      `<button type="button" data-role="${role}" class="${spec.role === role ? 'active' : ''}" style="border-color:${ROLE_COLORS[role]}">${ROLE_LABELS[role]}</button>`
+    ).join('') + '<button type="button" data-role="">Geen</button>';
+
+    let options = '';
+    if (spec.role === 'draggable') {
+      const targets = [...this.specs.entries()].filter(([, s]) => s.role === 'target').map(([id]) => id);
+      const targetOptions = ['<option value="">— kies een doel —</option>']
+        .concat(targets.map(id => `<option value="${escapeHtml(id)}" ${spec.target === id ? 'selected' : ''}>${escapeHtml(id)}</option>`))
+        .join('');
+      options = `
+        <label>Doel<select data-spec="target">${targetOptions}</select></label>
+        <label>Tolerantie (px)<input data-spec="tolerance" type="number" min="1" value="${escapeHtml(spec.tolerance ?? '')}"></label>
+        <label>Vergelijk
+          <select data-spec="anchor">
+            <option value="center" ${spec.anchor !== 'topLeft' ? 'selected' : ''}>middelpunt</option>
+            <option value="topLeft" ${spec.anchor === 'topLeft' ? 'selected' : ''}>linkerbovenhoek</option>
+          </select>
+        </label>
+        <label>Hoek (°, optioneel)<input data-spec="rotation" type="number" value="${escapeHtml(spec.rotation ?? '')}"></label>
+        <label>Hoektolerantie (°)<input data-spec="rotationTolerance" type="number" min="0" value="${escapeHtml(spec.rotationTolerance ?? '')}"></label>
+      `;
+    } else if (spec.role === 'target') {
+      options = `<label><input data-spec="pulse" type="checkbox" ${spec.pulse === false ? '' : 'checked'}> Pulseren</label>`;
+    }
+    if (spec.role && spec.role !== 'success') {
+      options += `<label><input data-spec="hideOnSuccess" type="checkbox" ${spec.hideOnSuccess ? 'checked' : ''}> Verbergen bij succes</label>`;
+    }
+
+    section.innerHTML = `
+      <h4>${escapeHtml(identifier)}</h4>
+      <div class="authoring-roles">${roleButtons}</div>
+      ${options}
+    `;
+
+    section.querySelectorAll('[data-role]').forEach(btn => {
+      btn.onclick = () => this.setRole(identifier, btn.dataset.role || null);
+    });
+    section.querySelectorAll('[data-spec]').forEach(input => {
+      const key = input.dataset.spec;
+      const update = () => {
+        const current = this.specs.get(identifier);
+        if (!current) return;
+        current[key] = input.type === 'checkbox' ? input.checked : input.value;
+      };
+      input.oninput = update;
+      input.onchange = update;
+    });
+  }
+}
+
+export const authoringMode = new AuthoringMode();
@@ -0,0 +1,201 @@
+/**
+ * Course Manifest
+ * Lesson prerequisites and course tracks (see assets/course.json).
+ *
+ * - lessons: { "<id>": { requires: [ids] } } — a lesson unlocks once every
+ *   lesson it requires is completed, so unrelated lessons don't block each other
+ * - tracks:  [{ id, title, lessons: [ids] }] — ordered views over the shared
+ *   lessons; the lesson bar shows the active track
+ *
+ * The active track is a preference of the active learner profile. Without a
+ * manifest every lesson requires the one before it (the original linear chain)
+ * and a single track holds all lessons.
+ */
+
+import { ASSETS } from './constants.js';
+import { LESSONS } from './LessonRegistry.js';
+import { profileStore } from './ProfileStore.js';
+import { t, hasMessage } from './i18n.js';
+
+const TRACK_PREFERENCE = 'track';
+
+/**
+ * Validate a course manifest
+ * @param {Object} manifest - Parsed course JSON
+ * @param {Array<number>} lessonIds - Ids of the registered lessons
+ * @returns {Array<string>} List of problems (empty when valid)
+ */
+export function validateCourseManifest(manifest, lessonIds = LESSONS.map(l => l.id)) {
+  const problems = [];
+  if (!manifest || typeof manifest !== 'object') return ['Manifest must be an object'];
+  const known = new Set(lessonIds);
+  const lessons = manifest.lessons || {};
+
+  Object.entries(lessons).forEach(([id, entry]) => {
+    if (!known.has(parseInt(id, 10))) problems.push(`lessons["${id}"] is not a registered lesson`);
+    const requires = (entry && entry.requires) || [];
+    if (!Array.isArray(requires)) {
+      problems.push(`lessons["${id}"].requires must be an array of lesson ids`);
+      return;
+    }
+    requires.forEach(req => {
+      if (!known.has(req)) problems.push(`lessons["${id}"] requires unknown lesson ${req}`);
+    });
+  });
+
+  // Prerequisite cycles would lock their lessons forever
+  const visiting = new Set();
+  const done = new Set();
+  const visit = (id, path) => {
+    if (done.has(id)) return;
+    if (visiting.has(id)) {
+      problems.push(`Prerequisite cycle: ${[...path, id].join(' → ')}`);
+      return;
+    }
+    visiting.add(id);
+    ((lessons[String(id)] && lessons[String(id)].requires) || []).forEach(req => visit(req, [...path, id]));
+    visiting.delete(id);
+    done.add(id);
+  };
+  Object.keys(lessons).forEach(id => visit(parseInt(id, 10), []));
+
+  if (!Array.isArray(manifest.tracks) || manifest.tracks.length === 0) {
+    problems.push('"tracks" must be a non-empty array');
+    return problems;
+  }
+  const trackIds = new Set();
+  manifest.tracks.forEach((track, i) => {
+    if (!track || typeof track.id !== 'string') {
+      problems.push(`tracks[${i}] needs a string "id"`);
+      return;
+    }
+    if (trackIds.has(track.id)) problems.push(`tracks[${i}] duplicates id "${track.id}"`);
+    trackIds.add(track.id);
+    if (!Array.isArray(track.lessons) || track.lessons.length === 0) {
+      problems.push(`Track "${track.id}" needs a non-empty "lessons" array`);
+      return;
+    }
+    track.lessons.forEach(id => {
+      if (!known.has(id)) problems.push(`Track "${track.id}" lists unknown lesson ${id}`);
+      const requires = (lessons[String(id)] && lessons[String(id)].requires) || [];
+      requires.filter(req => !track.lessons.includes(req)).forEach(req => {
+        problems.push(`Track "${track.id}": lesson ${id} requires lesson ${req}, which is not in the track`);
+      });
+    });
+  });
+  if (manifest.defaultTrack && !trackIds.has(manifest.defaultTrack)) {
+    problems.push(`defaultTrack "${manifest.defaultTrack}" is not a track`);
+  }
+  return problems;
+}
+
+/**
+ * Display title of a track: the catalog's tracks.names.<id> when there is
+ * one, otherwise the title from the manifest
+ * @param {Object} track
+ * @returns {string}
+ */
+export function getTrackTitle(track) {
+  const key = `tracks.names.${track.id}`;
+  return hasMessage(key) ? t(key) : track.title;
+}
+
+/**
+ * Manifest equivalent to the original behaviour: one linear track
+ * @returns {Object}
+ */
+function createLinearManifest() {
+  const ids = LESSONS.map(l => l.id);
+  const lessons = {};
+  ids.forEach((id, i) => { lessons[String(id)] = { requires: i > 0 ? [ids[i - 1]] : [] }; });
+  return {
+    version: 1,
+    lessons,
+    tracks: [{ id: 'all', title: 'Alle lessen', lessons: ids }],
+    defaultTrack: 'all'
+  };
+}
+
+export class CourseManifest {
+  constructor() {
+    this.manifest = createLinearManifest();
+  }
+
+  /**
+   * Load the course manifest; keeps the linear chain if it is missing or invalid
+   * @param {string} [url=ASSETS.COURSE_MANIFEST]
+   * @returns {Promise<boolean>} True if the manifest was loaded
+   */
+  async load(url = ASSETS.COURSE_MANIFEST) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`Could not load ${url} (${response.status})`);
+      const manifest = await response.json();
+      const problems = validateCourseManifest(manifest);
+      if (problems.length > 0) {
+        console.warn(`[CourseManifest] Invalid course manifest ${url}:\n- ${problems.join('\n- ')}`);
+        return false;
+      }
+      this.manifest = manifest;
+      console.log('[CourseManifest] Loaded tracks:', manifest.tracks.map(t => t.id));
+      return true;
+    } catch (error) {
+      console.warn('[CourseManifest] Using linear lesson order:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Lesson ids a lesson requires
+   * @param {number} id
+   * @returns {Array<number>}
+   */
+  getPrerequisites(id) {
+    const entry = this.manifest.lessons[String(id)];
+    return (entry && entry.requires) || [];
+  }
+
+  /**
+   * Whether every prerequisite of a lesson is completed
+   * @param {number} id - Lesson id
+   * @param {Array<number>} completedIds
+   * @returns {boolean}
+   */
+  isUnlocked(id, completedIds) {
+    const completed = new Set(completedIds);
+    return this.getPrerequisites(id).every(req => completed.has(req));
+  }
+
+  getTracks() {
+    return this.manifest.tracks.map(track => ({ ...track, lessons: [...track.lessons] }));
+  }
+
+  /**
+   * Track chosen by the active profile (or the manifest default)
+   * @returns {Object}
+   */
+  getActiveTrack() {
+    const tracks = this.manifest.tracks;
+    const wanted = profileStore.getPreference(TRACK_PREFERENCE, this.manifest.defaultTrack);
+    return tracks.find(t => t.id === wanted) || tracks.find(t => t.id === this.manifest.defaultTrack) || tracks[0];
+  }
+
+  /**
+   * Switch the active profile to another track
+   * @param {string} trackId
+   * @returns {boolean} False if the track is unknown
+   */
+  setActiveTrack(trackId) {
+    if (!this.manifest.tracks.some(t => t.id === trackId)) {
+      console.warn('[CourseManifest] Unknown track:', trackId);
+      return false;
+    }
+    profileStore.setPreference(TRACK_PREFERENCE, trackId);
+    try {
+      window.dispatchEvent(new CustomEvent('course:track-changed', { detail: { track: trackId } }));
+    } catch (e) { /* ignore dispatch failures */ }
+    return true;
+  }
+}
+
+export const courseManifest = new CourseManifest();
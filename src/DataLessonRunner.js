@@ -0,0 +1,472 @@
+/**
+ * Data Lesson Runner
+ * Executes drag-to-target exercises described in JSON (see LESSON_FORMAT.md).
+ * Covers the pattern shared by Lessons 1–4: load SVG groups, lock decorations,
+ * pulse targets, check distance/rotation, then swap to a success state.
+ */
+
+import { canvas, resetViewport } from './canvas.js';
+import { AnimationController } from './AnimationController.js';
+import { assetLoader } from './AssetLoader.js';
+import { register as registerEvent, unregisterAllForOwner } from './EventRegistry.js';
+import { INTERACTION_THRESHOLD, STYLE } from './constants.js';
+import { markLessonCompleted } from './utils.js';
+import { t } from './i18n.js';
+
+const ROLES = ['draggable', 'target', 'decoration', 'success'];
+const DEFAULT_ROTATION_TOLERANCE = 5;
+
+/**
+ * Validate a lesson definition
+ * @param {Object} definition - Parsed lesson JSON
+ * @returns {Array<string>} List of problems (empty when valid)
+ */
+export function validateLessonDefinition(definition) {
+  const problems = [];
+  if (!definition || typeof definition !== 'object') return ['Definition must be an object'];
+  if (typeof definition.asset !== 'string' || !definition.asset) problems.push('"asset" must be an SVG URL');
+  if (!Array.isArray(definition.objects) || definition.objects.length === 0) {
+    problems.push('"objects" must be a non-empty array');
+    return problems;
+  }
+
+  const ids = new Set();
+  definition.objects.forEach((obj, i) => {
+    if (!obj || typeof obj.id !== 'string') {
+      problems.push(`objects[${i}] needs a string "id" (SVG id or inkscape:label)`);
+      return;
+    }
+    if (ids.has(obj.id)) problems.push(`objects[${i}] duplicates id "${obj.id}"`);
+    ids.add(obj.id);
+    if (!ROLES.includes(obj.role)) problems.push(`objects[${i}] ("${obj.id}") has unknown role "${obj.role}"`);
+  });
+
+  const draggables = definition.objects.filter(obj => obj && obj.role === 'draggable');
+  if (draggables.length === 0) problems.push('At least one object needs role "draggable"');
+  draggables.forEach(obj => {
+    const target = definition.objects.find(o => o && o.id === obj.target);
+    if (!target) problems.push(`Draggable "${obj.id}" references unknown target "${obj.target}"`);
+    else if (target.role !== 'target') problems.push(`Draggable "${obj.id}" target "${obj.target}" must have role "target"`);
+    if (obj.tolerance !== undefined && !(obj.tolerance > 0)) problems.push(`Draggable "${obj.id}" tolerance must be a positive number`);
+    if (obj.rotation !== undefined && typeof obj.rotation !== 'number') problems.push(`Draggable "${obj.id}" rotation must be a number of degrees`);
+  });
+
+  const success = definition.success || {};
+  [...(success.hide || []), ...(success.show || [])].forEach(id => {
+    if (!ids.has(id)) problems.push(`success references unknown object "${id}"`);
+  });
+  return problems;
+}
+
+/**
+ * Fetch and validate a lesson definition
+ * @param {string} url - JSON file URL
+ * @returns {Promise<Object>} Validated definition
+ */
+export async function loadLessonDefinition(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`[DataLessonRunner] Could not load ${url} (${response.status})`);
+  const definition = await response.json();
+  const problems = validateLessonDefinition(definition);
+  if (problems.length > 0) {
+    throw new Error(`[DataLessonRunner] Invalid lesson definition ${url}:\n- ${problems.join('\n- ')}`);
+  }
+  return definition;
+}
+
+/**
+ * Render the instruction panel HTML from a definition's `instructions` block
+ * @param {Object|string} instructions - Structured instructions or raw HTML
+ * @returns {string} Panel HTML
+ */
+function renderInstructions(instructions) {
+  if (!instructions) return '';
+  if (typeof instructions === 'string') return instructions;
+  const title = instructions.title || t('common.assignment');
+  const paragraphs = (instructions.paragraphs || []).map(text => `<p>${text}</p>`).join('');
+  const steps = (instructions.steps || []).map(step => {
+    if (typeof step === 'string') return `<li>${step}</li>`;
+    let icon = '';
+    if (step.icon) icon = `<img src="${step.icon}" alt="" style="width:30px;height:30px;vertical-align:middle">&nbsp; `;
+    else if (step.fa) icon = `<i class="${step.fa}"></i>&nbsp; `;
+    return `<li>${icon}${step.text || ''}</li>`;
+  }).join('');
+  return `<h3>${title}</h3>${paragraphs}${steps ? `<ul>${steps}</ul>` : ''}`;
+}
+
+/**
+ * Smallest absolute difference between two angles in degrees
+ */
+function angleDifference(a, b) {
+  let diff = Math.abs(((a % 360) + 360) % 360 - ((b % 360) + 360) % 360);
+  if (diff > 180) diff = 360 - diff;
+  return diff;
+}
+
+/**
+ * Runs one JSON-defined lesson on the shared canvas
+ */
+export class DataLessonRunner {
+  /**
+   * @param {Object} config
+   * @param {number} config.id - Lesson id (used for progress)
+   * @param {string} [config.definitionUrl] - URL of the lesson JSON
+   * @param {Object} [config.definition] - Inline definition (skips fetching)
+   * @param {boolean} [config.preview=false] - Authoring preview: no URL change, progress or next button
+   */
+  constructor({ id, definitionUrl = null, definition = null, preview = false }) {
+    this.id = id;
+    this.preview = preview;
+    this.definitionUrl = definitionUrl;
+    this.definition = definition;
+    this.isActive = false;
+    this.isInitializing = false;
+    this.completed = false;
+    this.objects = {}; // object id -> fabric group
+    this.placed = new Set(); // ids of draggables on their target
+    this.animationController = null;
+  }
+
+  get logPrefix() {
+    return `[DataLesson ${this.id}]`;
+  }
+
+  /**
+   * Update page title and toolbar brand
+   */
+  updatePageMetadata() {
+    const pageTitle = this.definition.pageTitle;
+    if (!pageTitle) return;
+    try {
+      document.title = pageTitle;
+      const brand = document.querySelector('#toolbar .brand');
+      if (brand) {
+        const img = brand.querySelector('img');
+        brand.innerHTML = '';
+        if (img) brand.appendChild(img);
+        brand.appendChild(document.createTextNode(` ${pageTitle}`));
+      }
+    } catch (error) {
+      console.warn(`${this.logPrefix} Failed to update page metadata:`, error);
+    }
+  }
+
+  /**
+   * Update instruction panel with the definition's instructions
+   */
+  updateInstructionPanel() {
+    try {
+      const panel = document.getElementById('panel');
+      if (panel) panel.innerHTML = renderInstructions(this.definition.instructions);
+    } catch (error) {
+      console.warn(`${this.logPrefix} Failed to update instruction panel:`, error);
+    }
+  }
+
+  /**
+   * Load every object declared in the definition
+   */
+  async loadAssets() {
+    const ids = this.definition.objects.map(obj => obj.id);
+    const groups = await assetLoader.loadFabricGroups(this.definition.asset, ids);
+    ids.forEach(id => {
+      if (!groups[id]) console.warn(`${this.logPrefix} ${id} not found in ${this.definition.asset}`);
+    });
+    return groups;
+  }
+
+  /**
+   * Add loaded objects to the canvas according to their role
+   */
+  setupObjects(groups) {
+    this.definition.objects.forEach(spec => {
+      const group = groups[spec.id];
+      if (!group) return;
+
+      if (spec.role === 'draggable') {
+        group.set({ selectable: true, evented: true, visible: true });
+      } else if (spec.role === 'target') {
+        group.set({ selectable: false, evented: false, visible: true, opacity: spec.pulse === false ? 1 : 0 });
+      } else if (spec.role === 'success') {
+        group.set({ selectable: false, evented: false, visible: false });
+      } else {
+        group.set({ selectable: false, evented: false, visible: true });
+      }
+
+      canvas.add(group);
+      this.objects[spec.id] = group;
+
+      if (spec.role === 'target' && spec.pulse !== false) {
+        this.animationController.startPulseAnimation(group, `data-lesson-${this.id}-${spec.id}`);
+      }
+    });
+  }
+
+  /**
+   * Check whether a draggable sits on its target within tolerance
+   * @param {Object} spec - Draggable object definition
+   * @returns {boolean}
+   */
+  isAtTarget(spec) {
+    const obj = this.objects[spec.id];
+    const target = this.objects[spec.target];
+    if (!obj || !target) return false;
+
+    if (typeof spec.rotation === 'number') {
+      const tolerance = spec.rotationTolerance ?? DEFAULT_ROTATION_TOLERANCE;
+      if (angleDifference(obj.angle || 0, spec.rotation) >= tolerance) return false;
+    }
+
+    const objBounds = obj.getBoundingRect(true);
+    const targetBounds = target.getBoundingRect(true);
+    let dx;
+    let dy;
+    if (spec.anchor === 'topLeft') {
+      dx = objBounds.left - targetBounds.left;
+      dy = objBounds.top - targetBounds.top;
+    } else {
+      dx = (objBounds.left + objBounds.width / 2) - (targetBounds.left + targetBounds.width / 2);
+      dy = (objBounds.top + objBounds.height / 2) - (targetBounds.top + targetBounds.height / 2);
+    }
+    const tolerance = spec.tolerance ?? INTERACTION_THRESHOLD.HELMET_SNAP_DISTANCE;
+    return Math.sqrt(dx * dx + dy * dy) < tolerance;
+  }
+
+  /**
+   * Snap a draggable onto its target and lock it
+   */
+  placeObject(spec) {
+    const obj = this.objects[spec.id];
+    const target = this.objects[spec.target];
+    if (spec.snap !== false && target) {
+      const center = target.getCenterPoint();
+      obj.setPositionByOrigin(center, 'center', 'center');
+    }
+    obj.set({ selectable: false, evented: false, lockMovementX: true, lockMovementY: true });
+    obj.setCoords();
+    this.animationController.stopAnimation(`data-lesson-${this.id}-${spec.target}`);
+    if (target) target.visible = false;
+    canvas.discardActiveObject();
+    this.placed.add(spec.id);
+    canvas.requestRenderAll();
+    console.log(`${this.logPrefix} ${spec.id} placed on ${spec.target}`);
+  }
+
+  /**
+   * Check all draggables touched by an event (single object or active selection)
+   */
+  handleObjectChange(event) {
+    if (this.completed || !event || !event.target) return;
+    const moved = event.target.type === 'activeSelection' ? event.target.getObjects() : [event.target];
+    const draggables = this.definition.objects.filter(spec => spec.role === 'draggable' && !this.placed.has(spec.id));
+
+    draggables.forEach(spec => {
+      if (!moved.includes(this.objects[spec.id])) return;
+      // Objects inside an active selection report group-relative coordinates; check on release only
+      if (event.target.type === 'activeSelection' && event.type !== 'modified') return;
+      if (this.isAtTarget(spec)) this.placeObject(spec);
+    });
+
+    const allPlaced = this.definition.objects
+      .filter(spec => spec.role === 'draggable' && this.objects[spec.id])
+      .every(spec => this.placed.has(spec.id));
+    if (allPlaced) this.handleSuccess();
+  }
+
+  /**
+   * Swap to the success state and record progress
+   */
+  handleSuccess() {
+    if (this.completed) return;
+    this.completed = true;
+    unregisterAllForOwner(this);
+
+    const success = this.definition.success || {};
+    (success.hide || []).forEach(id => {
+      const obj = this.objects[id];
+      if (obj) {
+        this.animationController.stopAnimation(`data-lesson-${this.id}-${id}`);
+        obj.visible = false;
+      }
+    });
+    (success.show || []).forEach(id => {
+      const obj = this.objects[id];
+      if (obj) {
+        obj.visible = true;
+        obj.setCoords();
+      }
+    });
+    canvas.getObjects().forEach(obj => {
+      obj.selectable = false;
+      obj.evented = false;
+    });
+    canvas.discardActiveObject();
+    canvas.requestRenderAll();
+
+    if (!this.preview) {
+      try { markLessonCompleted(this.id); } catch (e) {}
+    }
+    this.showNextButton(success);
+    console.log(`${this.logPrefix} Success!`);
+  }
+
+  /**
+   * Display completion message and a button to the next lesson of the
+   * learner's track (if any; never in an authoring preview)
+   */
+  showNextButton(success) {
+    const panel = document.getElementById('panel');
+    if (!panel) return;
+    panel.innerHTML = `<p>${success.message || t('common.nextLessonReady')}</p>`;
+    if (this.preview) return;
+
+    const button = document.createElement('button');
+    button.id = 'next-tutorial-btn';
+    button.style.cssText = `
+      display: block;
+      width: 100%;
+      height: 64px;
+      margin: 32px auto 0 auto;
+      background: ${STYLE.PRIMARY_COLOR};
+      border: none;
+      border-radius: ${STYLE.BUTTON_BORDER_RADIUS};
+      cursor: pointer;
+      box-shadow: 0 2px 8px rgba(0,0,0,0.15);
+    `;
+    button.innerHTML = '<i class="fa-solid fa-arrow-right" style="font-size:2.5em;color:white;"></i>';
+    // Shown once the registry knows the lesson that comes next
+    button.style.display = 'none';
+    panel.appendChild(button);
+    // Import dynamically to avoid circular dependencies
+    import('./LessonRegistry.js').then(module => module.bindNextLessonButton(button, this.id));
+  }
+
+  /**
+   * Attach owner-scoped canvas handlers
+   */
+  attachEventHandlers() {
+    const onMoving = (e) => this.handleObjectChange({ target: e.target, type: 'moving' });
+    const onRotating = (e) => this.handleObjectChange({ target: e.target, type: 'rotating' });
+    const onModified = (e) => this.handleObjectChange({ target: e.target, type: 'modified' });
+    registerEvent(canvas, 'object:moving', onMoving, this);
+    registerEvent(canvas, 'object:rotating', onRotating, this);
+    registerEvent(canvas, 'object:modified', onModified, this);
+  }
+
+  /**
+   * Main entry point
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.isActive) {
+      console.log(`${this.logPrefix} Already active`);
+      return;
+    }
+    this.isActive = true;
+
+    if (!this.definition) {
+      try {
+        this.definition = await loadLessonDefinition(this.definitionUrl);
+      } catch (error) {
+        console.error(error);
+        this.isActive = false;
+        return;
+      }
+    }
+
+    if (!this.preview) {
+      try {
+        history.replaceState(null, '', `#lesson=${this.id}`);
+        // Trigger hashchange event to update lesson buttons
+        window.dispatchEvent(new HashChangeEvent('hashchange'));
+      } catch (error) {
+        console.warn(`${this.logPrefix} Could not update URL:`, error);
+      }
+    }
+
+    this.updatePageMetadata();
+    this.updateInstructionPanel();
+    resetViewport();
+
+    if (!this.animationController) {
+      this.animationController = new AnimationController(canvas);
+    }
+
+    console.info(`${this.logPrefix} Loading assets...`);
+    const groups = await this.loadAssets();
+    // The lesson may have been left while assets were loading
+    if (!this.isActive) return;
+
+    this.setupObjects(groups);
+    this.attachEventHandlers();
+    canvas.requestRenderAll();
+    console.info(`${this.logPrefix} Started successfully`);
+  }
+
+  /**
+   * Remove all lesson objects, handlers and animations
+   */
+  cleanup() {
+    unregisterAllForOwner(this);
+    if (this.animationController) this.animationController.stopAllAnimations();
+    Object.values(this.objects).forEach(obj => {
+      if (obj && canvas.contains(obj)) canvas.remove(obj);
+    });
+    this.objects = {};
+    this.placed = new Set();
+    this.completed = false;
+    this.isActive = false;
+    canvas.requestRenderAll();
+  }
+
+  /**
+   * Restart from the beginning (with cleanup)
+   * @returns {Promise<void>}
+   */
+  async restart() {
+    if (this.isInitializing) return;
+    this.isInitializing = true;
+    try {
+      this.cleanup();
+      canvas.getObjects().slice().forEach(obj => canvas.remove(obj));
+      canvas.discardActiveObject();
+      canvas.requestRenderAll();
+    } catch (error) {
+      console.error(`${this.logPrefix} Cleanup failed:`, error);
+    }
+    await this.start();
+    this.isInitializing = false;
+  }
+}
+
+/**
+ * Build a LessonRegistry entry for a JSON-defined lesson
+ * @param {Object} config
+ * @param {number} config.id - Lesson id
+ * @param {string} config.title - Button title (e.g. 'Les 7')
+ * @param {string} config.icon - Button icon URL
+ * @param {string} config.definition - URL of the lesson JSON
+ * @param {Object} [config.features] - Feature flags for the lesson
+ * @param {string} [config.name] - Lesson name on the overview screen
+ * @param {string} [config.description] - Short description for the overview screen
+ * @param {Array<string>} [config.skills] - Skills taught, for the overview screen
+ * @param {string} [config.thumbnail] - SVG shown as overview thumbnail (usually the lesson asset)
+ * @returns {Object} Registry entry
+ */
+export function defineDataLesson({ id, title, icon, definition, features = {}, name = '', description = '', skills = [], thumbnail = null }) {
+  const runner = new DataLessonRunner({ id, definitionUrl: definition });
+  return {
+    id,
+    title,
+    name,
+    description,
+    skills,
+    icon,
+    thumbnail,
+    start: () => runner.start(),
+    restart: () => runner.restart(),
+    cleanup: () => runner.cleanup(),
+    features: { COPY_PASTE: false, SHAPE_TOOLS: false, NODE_EDITING: false, ...features },
+    runner
+  };
+}
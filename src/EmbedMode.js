@@ -0,0 +1,149 @@
+/**
+ * Embed Mode
+ * One lesson inside another page's iframe: `index.html?embed=3`.
+ *
+ * The lesson starts directly, without the welcome overlay, the lesson bar or
+ * prerequisite locking. The tutorial talks to the parent page with
+ * postMessage; every message is an object `{ source: 'inkscape-tutorial', type, ... }`:
+ * - ready      { lesson, language, languages }   lesson started (again after a restart)
+ * - step       { lesson, step }                  a step of a multi-step lesson started
+ * - completed  { lesson, durationMs }            the lesson was finished
+ * - error      { lesson, message }               the lesson failed or a command was refused
+ *
+ * The parent can send `{ type: 'restart' }` and `{ type: 'setLanguage', language: 'en' }`.
+ * Only messages from the parent window are accepted; with `?origin=<origin>`
+ * they must come from that origin and messages are only posted to it.
+ */
+
+import { EMBED } from './constants.js';
+import { getLesson, openLesson, refreshLesson } from './LessonRegistry.js';
+import { analytics, ANALYTICS_EVENTS } from './Analytics.js';
+import { getLanguage, setLanguage, LANGUAGES } from './i18n.js';
+
+/**
+ * Check whether embed mode was requested in the URL
+ * @param {string} search - location.search
+ * @returns {boolean}
+ */
+export function isEmbedRequested(search = location.search) {
+  return new URLSearchParams(search).has(EMBED.URL_PARAM);
+}
+
+export class EmbedMode {
+  constructor() {
+    this.name = 'embed';
+    this.isActive = false;
+    this.lessonId = null;
+    this.parentOrigin = '*';
+    this._language = null;
+    this._completed = false;
+  }
+
+  /**
+   * Read the embed parameters and start listening to the parent page
+   * @param {string} [search=location.search]
+   * @returns {boolean} True if the page runs embedded
+   */
+  init(search = location.search) {
+    if (!isEmbedRequested(search)) return false;
+    const params = new URLSearchParams(search);
+    this.isActive = true;
+    this.lessonId = parseInt(params.get(EMBED.URL_PARAM), 10);
+    this.parentOrigin = params.get(EMBED.ORIGIN_PARAM) || '*';
+    this._language = params.get(EMBED.LANGUAGE_PARAM);
+
+    window.addEventListener('message', (e) => this._onMessage(e));
+    window.addEventListener('error', (e) => this.post('error', { message: e.message || 'Script error' }));
+    window.addEventListener('unhandledrejection', (e) => {
+      const reason = e.reason;
+      this.post('error', { message: reason && reason.message ? reason.message : String(reason) });
+    });
+    analytics.addSink(this);
+    return true;
+  }
+
+  /**
+   * Open the embedded lesson and tell the parent it is ready
+   * @returns {Promise<boolean>} False if the lesson could not start
+   */
+  async start() {
+    if (this._language && !setLanguage(this._language)) {
+      this.post('error', { message: `Language not available: ${this._language}` });
+    }
+    return this._run(() => openLesson(this.lessonId));
+  }
+
+  /**
+   * Start the lesson over from its beginning
+   * @returns {Promise<boolean>}
+   */
+  restart() {
+    return this._run(() => refreshLesson(this.lessonId));
+  }
+
+  async _run(startLesson) {
+    this._completed = false;
+    try {
+      if (!getLesson(this.lessonId)) throw new Error(`Unknown lesson: ${this.lessonId}`);
+      await startLesson();
+    } catch (error) {
+      console.warn('[EmbedMode] Could not start lesson', this.lessonId, error);
+      this.post('error', { message: error && error.message ? error.message : String(error) });
+      return false;
+    }
+    this.post('ready', { language: getLanguage(), languages: LANGUAGES.map(l => l.code) });
+    return true;
+  }
+
+  /**
+   * Post a message to the parent page
+   * @param {string} type - ready, step, completed or error
+   * @param {Object} [data]
+   */
+  post(type, data = {}) {
+    if (!this.isActive || window.parent === window) return;
+    try {
+      window.parent.postMessage({ source: EMBED.MESSAGE_SOURCE, type, lesson: this.lessonId, ...data }, this.parentOrigin);
+    } catch (error) {
+      console.warn('[EmbedMode] Could not post message:', error);
+    }
+  }
+
+  /**
+   * Analytics sink: forward step starts and the lesson's completion
+   * @param {Object} event
+   */
+  handle(event) {
+    if (event.lesson !== this.lessonId) return;
+    if (event.type === ANALYTICS_EVENTS.STEP_STARTED) {
+      this.post('step', { step: event.step });
+    } else if (event.type === ANALYTICS_EVENTS.LESSON_COMPLETED && !this._completed) {
+      // Lessons may report their end more than once
+      this._completed = true;
+      this.post('completed', { durationMs: event.durationMs === undefined ? null : event.durationMs });
+    }
+  }
+
+  _onMessage(e) {
+    if (e.source !== window.parent || window.parent === window) return;
+    if (this.parentOrigin !== '*' && e.origin !== this.parentOrigin) return;
+    const message = e.data;
+    if (!message || typeof message !== 'object' || typeof message.type !== 'string') return;
+    // Our own messages can come back when the parent forwards them
+    if (message.source === EMBED.MESSAGE_SOURCE) return;
+
+    switch (message.type) {
+      case 'restart':
+        this.restart();
+        break;
+      case 'setLanguage':
+        if (!setLanguage(message.language)) this.post('error', { message: `Language not available: ${message.language}` });
+        break;
+      default:
+        this.post('error', { message: `Unknown command: ${message.type}` });
+        break;
+    }
+  }
+}
+
+export const embedMode = new EmbedMode();
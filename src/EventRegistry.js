@@ -5,28 +5,29 @@ function isFabricCanvas(target) {
   return target && typeof target.on === 'function' && typeof target.off === 'function';
 }
 
-export function register(target, eventName, handler, owner) {
+// options (DOM targets only) are the addEventListener options, e.g. { capture: true }
+export function register(target, eventName, handler, owner, options = undefined) {
   if (!target) return;
   if (isFabricCanvas(target)) {
     target.on(eventName, handler);
   } else if (target.addEventListener) {
-    target.addEventListener(eventName, handler);
+    target.addEventListener(eventName, handler, options);
   } else {
     return;
   }
-  registrations.push({ target, eventName, handler, owner });
+  registrations.push({ target, eventName, handler, owner, options });
 }
 
 export function unregisterAllForOwner(owner) {
   for (let i = registrations.length - 1; i >= 0; --i) {
     const reg = registrations[i];
     if (reg.owner === owner) {
-      const { target, eventName, handler } = reg;
+      const { target, eventName, handler, options } = reg;
       try {
         if (isFabricCanvas(target)) {
           target.off(eventName, handler);
         } else if (target.removeEventListener) {
-          target.removeEventListener(eventName, handler);
+          target.removeEventListener(eventName, handler, options);
         }
       } catch (e) {
         // ignore removal errors
@@ -38,12 +39,12 @@ export function unregisterAllForOwner(owner) {
 
 export function removeAll() {
   for (let i = registrations.length - 1; i >= 0; --i) {
-    const { target, eventName, handler } = registrations[i];
+    const { target, eventName, handler, options } = registrations[i];
     try {
       if (isFabricCanvas(target)) {
         target.off(eventName, handler);
       } else if (target.removeEventListener) {
-        target.removeEventListener(eventName, handler);
+        target.removeEventListener(eventName, handler, options);
       }
     } catch (e) {
       // ignore
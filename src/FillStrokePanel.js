@@ -4,6 +4,7 @@
  */
 
 import { COLOR_PALETTE } from './constants.js';
+import { t } from './i18n.js';
 
 /**
  * Fill & Stroke Panel Class
@@ -52,17 +53,17 @@ export class FillStrokePanel {
     panel.innerHTML = `
       <div class="panel-header">
         <div class="panel-tabs">
-          <button class="panel-tab active" data-tab="fill" title="Vulling">
-            <img src="assets/icons/stroke_fill/object-fill.svg" alt="Vulling" />
-            <span>Vulling</span>
+          <button class="panel-tab active" data-tab="fill" title="${t('fillStroke.fill')}" data-i18n-title="fillStroke.fill">
+            <img src="assets/icons/stroke_fill/object-fill.svg" alt="" />
+            <span data-i18n="fillStroke.fill">${t('fillStroke.fill')}</span>
           </button>
-          <button class="panel-tab" data-tab="stroke" title="Streekkleur">
-            <img src="assets/icons/stroke_fill/object-stroke.svg" alt="Streekkleur" />
-            <span>Streekkleur</span>
+          <button class="panel-tab" data-tab="stroke" title="${t('fillStroke.strokePaint')}" data-i18n-title="fillStroke.strokePaint">
+            <img src="assets/icons/stroke_fill/object-stroke.svg" alt="" />
+            <span data-i18n="fillStroke.strokePaint">${t('fillStroke.strokePaint')}</span>
           </button>
-          <button class="panel-tab" data-tab="stroke-style" title="Streekstijl">
-            <img src="assets/icons/stroke_fill/object-stroke-style.svg" alt="Streekstijl" />
-            <span>Streekstijl</span>
+          <button class="panel-tab" data-tab="stroke-style" title="${t('fillStroke.strokeStyle')}" data-i18n-title="fillStroke.strokeStyle">
+            <img src="assets/icons/stroke_fill/object-stroke-style.svg" alt="" />
+            <span data-i18n="fillStroke.strokeStyle">${t('fillStroke.strokeStyle')}</span>
           </button>
         </div>
       </div>
@@ -70,25 +71,25 @@ export class FillStrokePanel {
       <div class="panel-content">
         <div id="color-pane">
           <div class="paint-mode-row">
-            <button class="paint-btn" data-mode="none" title="Geen">
-              <img src="assets/icons/stroke_fill/paint-none.svg" alt="Geen" />
+            <button class="paint-btn" data-mode="none" title="${t('fillStroke.none')}" data-i18n-title="fillStroke.none">
+              <img src="assets/icons/stroke_fill/paint-none.svg" alt="${t('fillStroke.none')}" data-i18n-alt="fillStroke.none" />
             </button>
-            <button class="paint-btn active" data-mode="solid" title="Egale kleur">
-              <img src="assets/icons/stroke_fill/paint-solid.svg" alt="Egale kleur" />
+            <button class="paint-btn active" data-mode="solid" title="${t('fillStroke.flat')}" data-i18n-title="fillStroke.flat">
+              <img src="assets/icons/stroke_fill/paint-solid.svg" alt="${t('fillStroke.flat')}" data-i18n-alt="fillStroke.flat" />
             </button>
-            <button class="paint-btn disabled" data-mode="linear" title="Lineair verloop" disabled>
-              <img src="assets/icons/stroke_fill/paint-gradient-linear.svg" alt="Lineair" />
+            <button class="paint-btn disabled" data-mode="linear" title="${t('fillStroke.linear')}" data-i18n-title="fillStroke.linear" disabled>
+              <img src="assets/icons/stroke_fill/paint-gradient-linear.svg" alt="${t('fillStroke.linearShort')}" data-i18n-alt="fillStroke.linearShort" />
             </button>
-            <button class="paint-btn disabled" data-mode="radial" title="Radiaal verloop" disabled>
-              <img src="assets/icons/stroke_fill/paint-gradient-radial.svg" alt="Radiaal" />
+            <button class="paint-btn disabled" data-mode="radial" title="${t('fillStroke.radial')}" data-i18n-title="fillStroke.radial" disabled>
+              <img src="assets/icons/stroke_fill/paint-gradient-radial.svg" alt="${t('fillStroke.radialShort')}" data-i18n-alt="fillStroke.radialShort" />
             </button>
-            <button class="paint-btn disabled" data-mode="pattern" title="Patroon" disabled>
-              <img src="assets/icons/stroke_fill/paint-pattern.svg" alt="Patroon" />
+            <button class="paint-btn disabled" data-mode="pattern" title="${t('fillStroke.pattern')}" data-i18n-title="fillStroke.pattern" disabled>
+              <img src="assets/icons/stroke_fill/paint-pattern.svg" alt="${t('fillStroke.pattern')}" data-i18n-alt="fillStroke.pattern" />
             </button>
           </div>
 
           <div class="color-mode-section">
-            <label class="section-label">Egale kleur</label>
+            <label class="section-label" data-i18n="fillStroke.flat">${t('fillStroke.flat')}</label>
           </div>
           
           <div class="rgb-sliders">
@@ -122,10 +123,10 @@ export class FillStrokePanel {
 
         <div id="stroke-style-pane" class="hidden">
           <div class="stroke-style-row">
-            <label>Dikte:</label>
+            <label data-i18n="fillStroke.width">${t('fillStroke.width')}</label>
             <input type="range" class="color-slider" id="stroke-width-slider" min="0" max="4" step="0.1" value="1">
             <input type="number" class="color-input" id="stroke-width-input" min="0" max="4" step="0.1" value="1">
-            <button id="stroke-style-reset" title="Reset">Reset</button>
+            <button id="stroke-style-reset" data-i18n="fillStroke.reset">${t('fillStroke.reset')}</button>
           </div>
         </div>
       </div>
@@ -151,7 +152,12 @@ export class FillStrokePanel {
       const swatch = document.createElement('div');
       swatch.className = 'color-swatch';
       swatch.style.backgroundColor = `rgb(${color.r}, ${color.g}, ${color.b})`;
-      swatch.title = color.name;
+      if (color.key) {
+        swatch.dataset.i18nTitle = `fillStroke.swatches.${color.key}`;
+        swatch.title = t(swatch.dataset.i18nTitle);
+      } else {
+        swatch.title = color.name;
+      }
       swatch.addEventListener('click', () => {
         this.setColor({ r: color.r, g: color.g, b: color.b });
         this.applyColorToObject();
@@ -518,12 +524,18 @@ export class FillStrokePanel {
     const colorPreview = this.panelElement.querySelector('#color-preview');
     
     if (mode === 'none') {
-      if (label) label.textContent = 'Geen opvulling';
+      if (label) {
+        label.dataset.i18n = 'fillStroke.noPaint';
+        label.textContent = t('fillStroke.noPaint');
+      }
       if (rgbSliders) rgbSliders.classList.add('hidden');
       if (hexSection) hexSection.classList.add('hidden');
       if (colorPreview) colorPreview.classList.add('hidden');
     } else {
-      if (label) label.textContent = 'Egale kleur';
+      if (label) {
+        label.dataset.i18n = 'fillStroke.flat';
+        label.textContent = t('fillStroke.flat');
+      }
       if (rgbSliders) rgbSliders.classList.remove('hidden');
       if (hexSection) hexSection.classList.remove('hidden');
       if (colorPreview) colorPreview.classList.remove('hidden');
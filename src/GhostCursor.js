@@ -0,0 +1,313 @@
+/**
+ * Ghost Cursor
+ * Plays scripted mouse gestures over the canvas so learners can see what
+ * "klik en sleep" looks like. Played through AnimationController.playGhostCursor().
+ *
+ * A script is a list of gestures; points are canvas coordinates, fabric
+ * objects (their centre) or functions returning either:
+ * - { type: 'move', to }
+ * - { type: 'press', at, button: 'left'|'middle', keys: ['Shift'] }  (a click)
+ * - { type: 'doubleClick', at }
+ * - { type: 'shiftClick', at }
+ * - { type: 'drag', from, to, object, angle, box }  object (or array): preview it
+ *                                                   following the cursor, turned by
+ *                                                   angle degrees; box: rubber band
+ * - { type: 'middleDrag', from, to }
+ * - { type: 'wheel', at, direction: 'in'|'out', ticks, keys: ['Ctrl'] }
+ * - { type: 'key', at, keys: ['Ctrl', 'C'] }  (keyboard shortcut, shown as keys)
+ * - { type: 'wait', duration }
+ *
+ * The cursor, button indicator and rubber band are DOM elements over the
+ * canvas; a dragged object is previewed by painting a translucent copy after
+ * each render. Nothing is added to the canvas and the viewport is not changed.
+ */
+
+import { GHOST_CURSOR } from './constants.js';
+
+const BUTTON_ICONS = {
+  left: 'assets/icons/left-click.svg',
+  middle: 'assets/icons/middle-click.svg',
+  double: 'assets/icons/mouse-double-click.svg',
+  wheel: 'assets/icons/scroll-wheel.svg'
+};
+
+const KEY_ICONS = {
+  Shift: 'assets/icons/shift-button.svg',
+  Ctrl: 'assets/icons/ctrl-control-button.svg',
+  Delete: 'assets/icons/del-delete-button-icon.svg',
+  Backspace: 'assets/icons/backspace-icon.svg'
+};
+
+/**
+ * Resolve a point reference to canvas coordinates
+ * @param {Object|Function} ref - {x, y}, fabric object or function
+ * @returns {{x: number, y: number}|null}
+ */
+function resolvePoint(ref) {
+  if (!ref) return null;
+  if (typeof ref === 'function') return resolvePoint(ref());
+  if (typeof ref.getCenterPoint === 'function') {
+    const center = ref.getCenterPoint();
+    return { x: center.x, y: center.y };
+  }
+  if (typeof ref.x === 'number' && typeof ref.y === 'number') return { x: ref.x, y: ref.y };
+  return null;
+}
+
+function easeInOut(progress) {
+  return progress < 0.5 ? 2 * progress * progress : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+}
+
+/**
+ * First point a script refers to (where the cursor is heading first)
+ */
+function firstPoint(script) {
+  for (const gesture of script) {
+    const point = resolvePoint(gesture.from || gesture.at || gesture.to);
+    if (point) return point;
+  }
+  return null;
+}
+
+/**
+ * Turn a script into timed segments. Each segment moves the cursor from
+ * `from` to `to` (equal for holds) and describes what is pressed meanwhile.
+ * @param {Array<Object>} script
+ * @param {{x: number, y: number}} start - Cursor start position
+ * @returns {Array<Object>}
+ */
+function compileScript(script, start) {
+  const segments = [];
+  let position = start;
+
+  const moveTo = (ref, duration = GHOST_CURSOR.MOVE, state = {}) => {
+    const to = resolvePoint(ref);
+    if (!to) return;
+    segments.push({ ...state, duration, from: position, to });
+    position = to;
+  };
+  const hold = (duration, state = {}) => segments.push({ ...state, duration, from: position, to: position });
+  const click = (button, keys) => {
+    hold(GHOST_CURSOR.PRESS, { button, icon: button, keys });
+    hold(GHOST_CURSOR.RELEASE, { keys });
+  };
+
+  script.forEach(gesture => {
+    const keys = gesture.keys || [];
+    switch (gesture.type) {
+      case 'move':
+        moveTo(gesture.to, gesture.duration);
+        break;
+      case 'wait':
+        hold(gesture.duration || GHOST_CURSOR.PAUSE);
+        break;
+      case 'press':
+        if (gesture.at) moveTo(gesture.at);
+        click(gesture.button || 'left', keys);
+        break;
+      case 'shiftClick':
+        if (gesture.at) moveTo(gesture.at);
+        hold(GHOST_CURSOR.RELEASE, { keys: ['Shift'] });
+        click('left', ['Shift']);
+        break;
+      case 'doubleClick':
+        if (gesture.at) moveTo(gesture.at);
+        hold(GHOST_CURSOR.PRESS / 2, { button: 'left', icon: 'double', keys });
+        hold(GHOST_CURSOR.DOUBLE_CLICK_GAP, { icon: 'double', keys });
+        hold(GHOST_CURSOR.PRESS / 2, { button: 'left', icon: 'double', keys });
+        hold(GHOST_CURSOR.RELEASE, { keys });
+        break;
+      case 'drag':
+      case 'middleDrag': {
+        if (gesture.from) moveTo(gesture.from);
+        const button = gesture.type === 'middleDrag' ? 'middle' : (gesture.button || 'left');
+        const grab = position;
+        const objects = [].concat(gesture.object || []).filter(Boolean);
+        const turn = gesture.angle || 0;
+        const carry = (turnFrom, turnTo) => (objects.length ? { objects, grab, turn, turnFrom, turnTo } : null);
+        const box = gesture.box ? { grab } : null;
+        hold(GHOST_CURSOR.PRESS, { button, icon: button, keys, carry: carry(0, 0), box });
+        moveTo(gesture.to, gesture.duration || GHOST_CURSOR.DRAG, { button, icon: button, keys, carry: carry(0, 1), box });
+        hold(GHOST_CURSOR.PRESS, { button, icon: button, keys, carry: carry(1, 1), box });
+        hold(GHOST_CURSOR.RELEASE, { keys });
+        break;
+      }
+      case 'wheel': {
+        if (gesture.at) moveTo(gesture.at);
+        const wheel = gesture.direction === 'out' ? 'out' : 'in';
+        const ticks = gesture.ticks || GHOST_CURSOR.WHEEL_TICKS;
+        const wheelKeys = gesture.keys || ['Ctrl'];
+        for (let i = 0; i < ticks; i++) {
+          hold(GHOST_CURSOR.WHEEL_TICK, { icon: 'wheel', wheel, keys: wheelKeys });
+          hold(GHOST_CURSOR.WHEEL_TICK / 2, { icon: 'wheel', keys: wheelKeys });
+        }
+        hold(GHOST_CURSOR.RELEASE);
+        break;
+      }
+      case 'key':
+        if (gesture.at) moveTo(gesture.at);
+        hold(GHOST_CURSOR.PRESS * 2, { keys });
+        hold(GHOST_CURSOR.RELEASE);
+        break;
+      default:
+        console.warn('[GhostCursor] Unknown gesture:', gesture.type);
+    }
+  });
+  return segments;
+}
+
+export class GhostCursor {
+  constructor(canvas) {
+    this.canvas = canvas;
+  }
+
+  /**
+   * Play a script
+   * @param {Array<Object>} script - Gestures (see module comment)
+   * @param {Object} [options]
+   * @param {Object|Function} [options.from] - Start position (default: just below-right of the first point)
+   * @param {number} [options.loops=1] - Times to play the script
+   * @param {Function} [options.onFrame] - Called with each requested frame id
+   * @param {Function} [options.onComplete] - Called when the last loop ends (not when stopped)
+   * @returns {{stop: Function}}
+   */
+  play(script, { from = null, loops = 1, onFrame = null, onComplete = null } = {}) {
+    const canvas = this.canvas;
+    const first = firstPoint(script || []);
+    const container = canvas && canvas.wrapperEl;
+    if (!first || !container) {
+      if (onComplete) onComplete();
+      return { stop: () => {} };
+    }
+
+    const offset = GHOST_CURSOR.START_OFFSET / (canvas.getZoom() || 1);
+    const start = resolvePoint(from) || { x: first.x + offset, y: first.y + offset };
+    const segments = compileScript(script, start);
+    const loopDuration = segments.reduce((sum, segment) => sum + segment.duration, 0);
+
+    const cursor = document.createElement('div');
+    cursor.className = 'ghost-cursor';
+    cursor.setAttribute('aria-hidden', 'true');
+    cursor.innerHTML = `
+      <span class="ghost-cursor-ripple"></span>
+      <img class="ghost-cursor-pointer" src="assets/icons/tool-pointer.svg" alt="">
+      <img class="ghost-cursor-mouse" alt="">
+      <span class="ghost-cursor-keys"></span>
+    `;
+    const band = document.createElement('div');
+    band.className = 'ghost-cursor-box';
+    container.appendChild(band);
+    container.appendChild(cursor);
+    const mouseIcon = cursor.querySelector('.ghost-cursor-mouse');
+    const keysEl = cursor.querySelector('.ghost-cursor-keys');
+
+    let frame = null; // { segment, position, progress }
+    let shownKeys = '';
+    let stopped = false;
+    const startTime = performance.now();
+
+    const toScreen = (point) => fabric.util.transformPoint(new fabric.Point(point.x, point.y), canvas.viewportTransform);
+
+    // Dragged object preview, painted over the rendered canvas
+    const paint = (e) => {
+      // The top (selection) layer fires after:render without a context
+      if (stopped || !e || !e.ctx || !frame || !frame.segment.carry) return;
+      const { objects, grab, turn, turnFrom, turnTo } = frame.segment.carry;
+      const dx = frame.position.x - grab.x;
+      const dy = frame.position.y - grab.y;
+      const angle = fabric.util.degreesToRadians(turn * (turnFrom + (turnTo - turnFrom) * frame.progress));
+      const vpt = canvas.viewportTransform;
+      const ctx = e.ctx;
+      objects.forEach(object => {
+        const center = object.getCenterPoint();
+        ctx.save();
+        ctx.transform(vpt[0], vpt[1], vpt[2], vpt[3], vpt[4], vpt[5]);
+        ctx.globalAlpha = GHOST_CURSOR.COPY_OPACITY;
+        ctx.translate(center.x + dx, center.y + dy);
+        ctx.rotate(angle);
+        ctx.translate(-center.x, -center.y);
+        object.render(ctx);
+        ctx.restore();
+      });
+    };
+
+    const render = () => {
+      const { segment, position } = frame;
+      const screen = toScreen(position);
+      cursor.style.transform = `translate(${screen.x}px, ${screen.y}px)`;
+      cursor.classList.toggle('pressed', !!segment.button);
+      cursor.classList.toggle('wheel-in', segment.wheel === 'in');
+      cursor.classList.toggle('wheel-out', segment.wheel === 'out');
+
+      const icon = segment.icon ? BUTTON_ICONS[segment.icon] : null;
+      mouseIcon.style.display = icon ? '' : 'none';
+      if (icon && mouseIcon.getAttribute('src') !== icon) mouseIcon.setAttribute('src', icon);
+
+      const keys = (segment.keys || []).join('+');
+      if (keys !== shownKeys) {
+        shownKeys = keys;
+        keysEl.innerHTML = (segment.keys || [])
+          .map(key => (KEY_ICONS[key] ? `<img src="${KEY_ICONS[key]}" alt="${key}">` : `<kbd>${key}</kbd>`))
+          .join('');
+      }
+
+      if (segment.box) {
+        const a = toScreen(segment.box.grab);
+        band.style.display = 'block';
+        band.style.left = `${Math.min(a.x, screen.x)}px`;
+        band.style.top = `${Math.min(a.y, screen.y)}px`;
+        band.style.width = `${Math.abs(screen.x - a.x)}px`;
+        band.style.height = `${Math.abs(screen.y - a.y)}px`;
+      } else {
+        band.style.display = 'none';
+      }
+    };
+
+    const stop = () => {
+      if (stopped) return;
+      stopped = true;
+      canvas.off('after:render', paint);
+      cursor.remove();
+      band.remove();
+      canvas.requestRenderAll();
+    };
+
+    const step = (now) => {
+      if (stopped) return;
+      const elapsed = Math.max(now - startTime, 0);
+      if (loopDuration <= 0 || elapsed >= loopDuration * loops) {
+        stop();
+        if (onComplete) onComplete();
+        return;
+      }
+
+      let t = elapsed % loopDuration;
+      let segment = segments[segments.length - 1];
+      for (const candidate of segments) {
+        if (t < candidate.duration) {
+          segment = candidate;
+          break;
+        }
+        t -= candidate.duration;
+      }
+      const progress = segment.duration > 0 ? easeInOut(Math.min(t / segment.duration, 1)) : 1;
+      const position = {
+        x: segment.from.x + (segment.to.x - segment.from.x) * progress,
+        y: segment.from.y + (segment.to.y - segment.from.y) * progress
+      };
+      const hadCopy = !!(frame && frame.segment.carry);
+      frame = { segment, position, progress };
+      render();
+      // Repaint the canvas only while a copy is shown (and once to clear it)
+      if (segment.carry || hadCopy) canvas.requestRenderAll();
+
+      const frameId = fabric.util.requestAnimFrame(step);
+      if (onFrame) onFrame(frameId);
+    };
+
+    canvas.on('after:render', paint);
+    const frameId = fabric.util.requestAnimFrame(step);
+    if (onFrame) onFrame(frameId);
+    return { stop };
+  }
+}
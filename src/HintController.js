@@ -0,0 +1,247 @@
+/**
+ * Hint Controller
+ * Escalating help for learners who are stuck on a step.
+ *
+ * A lesson starts a hint session for the step the learner is on and declares
+ * what help it can give:
+ * - text:  message key for a nudge shown below the instructions
+ * - tool:  toolbar button id to highlight
+ * - demo:  function (hintController) that starts an animated demonstration,
+ *          usually a ghost cursor script through demo() or demoMove(), and
+ *          returns a cancel function
+ *
+ * The help escalates one level (nudge → highlight → demo) after HINTS.IDLE_MS
+ * without a click, key press or scroll, and after every HINTS.FAILURES_PER_LEVEL
+ * failed attempts reported with recordFailure(). Picking another tool than the
+ * declared one (the select tool aside) counts as a failed attempt. Levels a step does not
+ * declare are skipped; once the top level is reached, failures show it again
+ * and a demo is replayed after every idle period.
+ *
+ * Every hint shown is recorded in the learner's progress, reported to
+ * Analytics and announced with a 'hint:shown' window event. Failed attempts
+ * are reported to Analytics as well, also when no hint session is running.
+ */
+
+import { canvas } from './canvas.js';
+import { AnimationController } from './AnimationController.js';
+import { register as registerEvent, unregisterAllForOwner } from './EventRegistry.js';
+import { progressStore } from './ProgressStore.js';
+import { analytics, ANALYTICS_EVENTS } from './Analytics.js';
+import { HINTS } from './constants.js';
+import { t } from './i18n.js';
+
+// Escalation order; a level's number is its position in this list + 1
+const LEVELS = ['nudge', 'highlight', 'demo'];
+
+export class HintController {
+  constructor() {
+    this._session = null;
+    this._idleTimer = null;
+    this._animationController = null;
+  }
+
+  /**
+   * Whether a hint session is running
+   * @returns {boolean}
+   */
+  get isActive() {
+    return !!this._session;
+  }
+
+  /**
+   * Start tracking a step. Replaces any running session.
+   * @param {Object} config
+   * @param {number} config.lessonId - Lesson id (for progress)
+   * @param {string} config.stepId - Step or phase name
+   * @param {Object} config.hints - { text, tool, demo } (all optional)
+   */
+  start({ lessonId, stepId, hints }) {
+    this.stop();
+    if (!hints) return;
+    const levels = LEVELS.filter(level => (
+      (level === 'nudge' && hints.text) ||
+      (level === 'highlight' && hints.tool) ||
+      (level === 'demo' && typeof hints.demo === 'function')
+    ));
+    if (levels.length === 0) return;
+
+    const session = { lessonId, stepId, hints, levels, levelIndex: -1, failures: 0, cancelDemo: null };
+    this._session = session;
+
+    const onActivity = () => this._restartIdleTimer();
+    ['pointerdown', 'keydown', 'wheel'].forEach(eventName => registerEvent(window, eventName, onActivity, session));
+
+    const toolbar = document.getElementById('leftToolbar');
+    if (toolbar && hints.tool) {
+      registerEvent(toolbar, 'click', (e) => {
+        const button = e.target && e.target.closest ? e.target.closest('.tool-btn') : null;
+        if (button && button.id !== hints.tool && button.id !== 'tool-select') this.recordFailure();
+      }, session);
+    }
+
+    // Lesson panels are re-rendered on a language change; put the nudge back
+    registerEvent(window, 'i18n:changed', () => {
+      if (session.levelIndex >= 0) this._renderNudge();
+    }, session);
+
+    this._restartIdleTimer();
+  }
+
+  /**
+   * Stop the session and take down every hint it showed
+   */
+  stop() {
+    const session = this._session;
+    if (!session) return;
+    this._clearIdleTimer();
+    unregisterAllForOwner(session);
+    this._cancelDemo();
+    const nudge = document.getElementById('hint-nudge');
+    if (nudge) nudge.remove();
+    if (session.hints.tool) {
+      const button = document.getElementById(session.hints.tool);
+      if (button) button.classList.remove('hint-highlight');
+    }
+    this._session = null;
+  }
+
+  /**
+   * Report a failed attempt (a drop outside the target, an invalid shape, ...)
+   */
+  recordFailure() {
+    const session = this._session;
+    analytics.emit(ANALYTICS_EVENTS.ATTEMPT_FAILED, session ? { lesson: session.lessonId, step: session.stepId } : {});
+    if (!session) return;
+    session.failures += 1;
+    if (session.failures >= HINTS.FAILURES_PER_LEVEL) this.escalate();
+  }
+
+  /**
+   * Show the next hint level (or the top level again)
+   */
+  escalate() {
+    const session = this._session;
+    if (!session) return;
+    session.failures = 0;
+    session.levelIndex = Math.min(session.levelIndex + 1, session.levels.length - 1);
+    const level = this._currentLevel();
+
+    try {
+      if (level === 'nudge') this._renderNudge();
+      else if (level === 'highlight') this._highlightTool();
+      else if (level === 'demo') this._playDemo();
+    } catch (error) {
+      console.warn('[HintController] Could not show hint:', error);
+    }
+
+    const levelNumber = LEVELS.indexOf(level) + 1;
+    console.log(`[HintController] Lesson ${session.lessonId}, ${session.stepId}: ${level}`);
+    progressStore.recordHintShown(session.lessonId, session.stepId, levelNumber);
+    analytics.emit(ANALYTICS_EVENTS.HINT_SHOWN, { lesson: session.lessonId, step: session.stepId, level: levelNumber, kind: level });
+    try {
+      window.dispatchEvent(new CustomEvent('hint:shown', {
+        detail: { lesson: session.lessonId, step: session.stepId, level: levelNumber, kind: level }
+      }));
+    } catch (e) { /* ignore dispatch failures */ }
+
+    // Waiting longer only helps while there is a next level or a demo to replay
+    if (session.levelIndex < session.levels.length - 1 || level === 'demo') this._restartIdleTimer();
+  }
+
+  /**
+   * Demonstration: the ghost cursor plays a gesture script (see GhostCursor.js)
+   * over the canvas, HINTS.DEMO_REPEATS times
+   * @param {Array<Object>} script - Gestures
+   * @returns {Function} Cancel function
+   */
+  demo(script) {
+    if (!this._animationController) this._animationController = new AnimationController(canvas);
+    const { cancelFn } = this._animationController.playGhostCursor(script, {
+      animationId: 'hint-demo',
+      loops: HINTS.DEMO_REPEATS
+    });
+    return cancelFn;
+  }
+
+  /**
+   * Demonstration: the ghost cursor drags a translucent copy of an object (and
+   * turns it) to where it should go
+   * @param {fabric.Object} object - Object to demonstrate with
+   * @param {{x: number, y: number}} to - Target centre in canvas coordinates
+   * @param {Object} [options]
+   * @param {number} [options.angle] - Target angle in degrees (default: unchanged)
+   * @returns {Function} Cancel function
+   */
+  demoMove(object, to, { angle = null } = {}) {
+    if (!object || !to) return () => {};
+    const turn = angle === null ? 0 : angle - (object.angle || 0);
+    return this.demo([{ type: 'drag', from: object, to, object, angle: turn }]);
+  }
+
+  _currentLevel() {
+    const session = this._session;
+    return session && session.levelIndex >= 0 ? session.levels[session.levelIndex] : null;
+  }
+
+  _renderNudge() {
+    const session = this._session;
+    if (!session || !session.hints.text) return;
+    const panel = document.getElementById('panel');
+    if (!panel) return;
+    let nudge = document.getElementById('hint-nudge');
+    if (!nudge || !panel.contains(nudge)) {
+      if (nudge) nudge.remove();
+      nudge = document.createElement('div');
+      nudge.id = 'hint-nudge';
+      nudge.className = 'hint-nudge';
+      nudge.setAttribute('role', 'status');
+      panel.appendChild(nudge);
+    }
+    nudge.innerHTML = `<i class="fa-solid fa-lightbulb"></i> <strong>${t('hints.label')}</strong> ${t(session.hints.text)}`;
+  }
+
+  _highlightTool() {
+    const session = this._session;
+    // A highlight also keeps the nudge on screen
+    this._renderNudge();
+    const button = document.getElementById(session.hints.tool);
+    if (button) button.classList.add('hint-highlight');
+  }
+
+  _playDemo() {
+    const session = this._session;
+    this._renderNudge();
+    if (session.hints.tool) {
+      const button = document.getElementById(session.hints.tool);
+      if (button) button.classList.add('hint-highlight');
+    }
+    this._cancelDemo();
+    const cancel = session.hints.demo(this);
+    if (typeof cancel === 'function') session.cancelDemo = cancel;
+  }
+
+  _cancelDemo() {
+    const session = this._session;
+    if (!session || !session.cancelDemo) return;
+    try { session.cancelDemo(); } catch (e) { /* ignore */ }
+    session.cancelDemo = null;
+  }
+
+  _restartIdleTimer() {
+    this._clearIdleTimer();
+    if (!this._session) return;
+    this._idleTimer = setTimeout(() => {
+      this._idleTimer = null;
+      this.escalate();
+    }, HINTS.IDLE_MS);
+  }
+
+  _clearIdleTimer() {
+    if (this._idleTimer) {
+      clearTimeout(this._idleTimer);
+      this._idleTimer = null;
+    }
+  }
+}
+
+export const hintController = new HintController();
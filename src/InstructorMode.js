@@ -0,0 +1,511 @@
+/**
+ * Instructor Mode
+ * Classroom controls that otherwise need the devtools console:
+ * - unlock every lesson for demos
+ * - mark lessons complete or incomplete for the active profile
+ * - reset the station between sessions (all profiles and their progress)
+ * - record a learner's session in the current lesson and replay recordings
+ * - see completion rates and time per step, and set the analytics endpoint
+ * - send xAPI statements to a learning record store or download them
+ *
+ * Instructors enter with the PIN (toolbar button) or the URL key
+ * `?instructor=<PIN>`. The mode lasts for the browser tab. The PIN can be
+ * changed from the instructor dialog; the default is INSTRUCTOR.DEFAULT_PIN.
+ * The PIN prompt is in the learner's language; the dialog behind it is Dutch.
+ */
+
+import { INSTRUCTOR } from './constants.js';
+import { LESSONS, cleanupAllLessons } from './LessonRegistry.js';
+import { progressStore } from './ProgressStore.js';
+import { profileStore } from './ProfileStore.js';
+import { createDialog } from './overlay.js';
+import { sessionRecorder } from './SessionRecorder.js';
+import { analytics, summarize } from './Analytics.js';
+import { xapiReporter, XapiReporter } from './XapiReporter.js';
+import { formatDuration } from './LessonOverview.js';
+import { t } from './i18n.js';
+
+const ACTIVE_KEY = 'inkscape-tutorial:instructor';
+const UNLOCK_KEY = 'inkscape-tutorial:unlock-all';
+const PIN_KEY = 'inkscape-tutorial:instructor-pin';
+
+function readStorage(storage, key) {
+  try {
+    return storage.getItem(key);
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeStorage(storage, key, value) {
+  try {
+    if (value === null) storage.removeItem(key);
+    else storage.setItem(key, value);
+  } catch (error) {
+    console.warn('[InstructorMode] Could not write to storage:', error);
+  }
+}
+
+export class InstructorMode {
+  constructor() {
+    this.isActive = false;
+    this.unlockAll = false;
+  }
+
+  /**
+   * Restore the tab's instructor state and check the URL key
+   * @param {string} [search=location.search]
+   * @returns {boolean} True if instructor mode is active
+   */
+  init(search = location.search) {
+    this.isActive = readStorage(sessionStorage, ACTIVE_KEY) === '1';
+    this.unlockAll = this.isActive && readStorage(sessionStorage, UNLOCK_KEY) === '1';
+
+    const params = new URLSearchParams(search);
+    if (params.has(INSTRUCTOR.URL_PARAM)) {
+      if (!this.activate(params.get(INSTRUCTOR.URL_PARAM))) {
+        console.warn('[InstructorMode] Invalid instructor key in URL');
+      }
+      // Don't leave the key in the address bar for learners to copy
+      try {
+        params.delete(INSTRUCTOR.URL_PARAM);
+        const query = params.toString();
+        history.replaceState(null, '', `${location.pathname}${query ? `?${query}` : ''}${location.hash}`);
+      } catch (e) { /* ignore */ }
+    }
+    return this.isActive;
+  }
+
+  _getPin() {
+    return readStorage(localStorage, PIN_KEY) || INSTRUCTOR.DEFAULT_PIN;
+  }
+
+  _notify() {
+    try {
+      window.dispatchEvent(new CustomEvent('instructor:changed', {
+        detail: { active: this.isActive, unlockAll: this.unlockAll }
+      }));
+    } catch (e) { /* ignore dispatch failures */ }
+  }
+
+  /**
+   * Enter instructor mode
+   * @param {string} pin
+   * @returns {boolean} False if the PIN is wrong
+   */
+  activate(pin) {
+    if (String(pin || '').trim() !== this._getPin()) return false;
+    this.isActive = true;
+    writeStorage(sessionStorage, ACTIVE_KEY, '1');
+    console.log('[InstructorMode] Instructor mode on');
+    this._notify();
+    return true;
+  }
+
+  /**
+   * Leave instructor mode (also locks lessons again)
+   */
+  deactivate() {
+    this.isActive = false;
+    this.unlockAll = false;
+    writeStorage(sessionStorage, ACTIVE_KEY, null);
+    writeStorage(sessionStorage, UNLOCK_KEY, null);
+    console.log('[InstructorMode] Instructor mode off');
+    this._notify();
+  }
+
+  /**
+   * Whether every lesson is unlocked regardless of progress
+   * @returns {boolean}
+   */
+  isUnlockAll() {
+    return this.isActive && this.unlockAll;
+  }
+
+  /**
+   * @param {boolean} enabled
+   */
+  setUnlockAll(enabled) {
+    if (!this.isActive) return;
+    this.unlockAll = !!enabled;
+    writeStorage(sessionStorage, UNLOCK_KEY, this.unlockAll ? '1' : null);
+    this._notify();
+  }
+
+  /**
+   * Change the PIN for this browser
+   * @param {string} pin
+   * @returns {boolean} False if the PIN is too short
+   */
+  setPin(pin) {
+    const clean = String(pin || '').trim();
+    if (!this.isActive || clean.length < INSTRUCTOR.MIN_PIN_LENGTH) return false;
+    writeStorage(localStorage, PIN_KEY, clean);
+    console.log('[InstructorMode] PIN changed');
+    return true;
+  }
+
+  /**
+   * Mark a lesson complete or incomplete for the active profile
+   * @param {number} id - Lesson id
+   * @param {boolean} completed
+   */
+  setLessonCompleted(id, completed) {
+    if (!this.isActive) return;
+    progressStore.setLessonCompleted(id, completed);
+  }
+
+  /**
+   * Wipe every profile and all progress, then reload to the welcome screen
+   * @returns {Promise<void>}
+   */
+  async resetStation() {
+    if (!this.isActive) return;
+    console.log('[InstructorMode] Resetting station');
+    cleanupAllLessons();
+    await profileStore.wipeAllProfiles();
+    this.deactivate();
+    location.href = location.pathname;
+  }
+
+  /**
+   * Ask for the PIN (if needed) and open the instructor dialog
+   */
+  requestAccess() {
+    if (!this.isActive) {
+      const pin = prompt(t('instructor.pinPrompt'));
+      if (pin === null) return;
+      if (!this.activate(pin)) {
+        alert(t('instructor.wrongPin'));
+        return;
+      }
+    }
+    this.openDialog();
+  }
+
+  /**
+   * Instructor dialog (Dutch UI)
+   */
+  openDialog() {
+    if (!this.isActive) return;
+    const { card, close, isNew } = createDialog('instructorDialog', 'Docentmodus');
+    if (!isNew) return;
+
+    // Lessons
+    const lessons = document.createElement('div');
+    lessons.className = 'instructor-section';
+    const profile = profileStore.getActiveProfile();
+    lessons.innerHTML = '<h4>Lessen</h4>';
+
+    const unlockLabel = document.createElement('label');
+    const unlock = document.createElement('input');
+    unlock.type = 'checkbox';
+    unlock.checked = this.unlockAll;
+    unlock.addEventListener('change', () => this.setUnlockAll(unlock.checked));
+    unlockLabel.appendChild(unlock);
+    unlockLabel.appendChild(document.createTextNode(' Alle lessen ontgrendelen'));
+    lessons.appendChild(unlockLabel);
+
+    const note = document.createElement('p');
+    note.className = 'instructor-note';
+    note.textContent = `Voltooid voor profiel ${profile.name}:`;
+    lessons.appendChild(note);
+
+    const completed = new Set(progressStore.getCompletedLessons());
+    LESSONS.forEach(lesson => {
+      const row = document.createElement('label');
+      row.className = 'instructor-lesson';
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.checked = completed.has(lesson.id);
+      box.addEventListener('change', () => this.setLessonCompleted(lesson.id, box.checked));
+      row.appendChild(box);
+      row.appendChild(document.createTextNode(` ${lesson.title}`));
+      lessons.appendChild(row);
+    });
+    card.appendChild(lessons);
+
+    // Station reset
+    const station = document.createElement('div');
+    station.className = 'instructor-section';
+    station.innerHTML = '<h4>Station</h4>';
+    const resetBtn = document.createElement('button');
+    resetBtn.type = 'button';
+    resetBtn.className = 'instructor-danger';
+    resetBtn.innerHTML = '<i class="fa-solid fa-broom"></i> Station resetten';
+    resetBtn.addEventListener('click', async () => {
+      if (!confirm('Alle profielen en alle voortgang op deze computer wissen?')) return;
+      await this.resetStation();
+    });
+    station.appendChild(resetBtn);
+    card.appendChild(station);
+
+    // Session recording
+    const recordSection = document.createElement('div');
+    recordSection.className = 'instructor-section';
+    recordSection.innerHTML = '<h4>Sessie-opname</h4>';
+    const recordBtn = document.createElement('button');
+    recordBtn.type = 'button';
+    if (sessionRecorder.isRecording) {
+      recordBtn.innerHTML = '<i class="fa-solid fa-stop"></i> Opname stoppen en downloaden';
+      recordBtn.addEventListener('click', () => {
+        sessionRecorder.exportToFile(sessionRecorder.stop());
+        close();
+      });
+    } else {
+      recordBtn.innerHTML = '<i class="fa-solid fa-circle"></i> Opname starten (herstart de les)';
+      recordBtn.disabled = sessionRecorder.isReplaying;
+      recordBtn.addEventListener('click', async () => {
+        close();
+        if (!await sessionRecorder.start()) alert('Open eerst een les.');
+      });
+    }
+    recordSection.appendChild(recordBtn);
+
+    if (sessionRecorder.lastRecording && !sessionRecorder.isRecording) {
+      const downloadBtn = document.createElement('button');
+      downloadBtn.type = 'button';
+      downloadBtn.innerHTML = '<i class="fa-solid fa-download"></i> Laatste opname downloaden';
+      downloadBtn.addEventListener('click', () => sessionRecorder.exportToFile());
+      recordSection.appendChild(downloadBtn);
+    }
+
+    const replayInput = document.createElement('input');
+    replayInput.type = 'file';
+    replayInput.accept = 'application/json,.json';
+    replayInput.style.display = 'none';
+    replayInput.addEventListener('change', async () => {
+      const file = replayInput.files && replayInput.files[0];
+      replayInput.value = '';
+      if (!file) return;
+      const recording = await sessionRecorder.importFromFile(file);
+      if (!recording) {
+        alert('Dit is geen geldige sessie-opname.');
+        return;
+      }
+      close();
+      await sessionRecorder.replay(recording);
+    });
+    const replayBtn = document.createElement('button');
+    replayBtn.type = 'button';
+    replayBtn.innerHTML = '<i class="fa-solid fa-play"></i> Opname afspelen…';
+    replayBtn.addEventListener('click', () => replayInput.click());
+    recordSection.appendChild(replayBtn);
+    recordSection.appendChild(replayInput);
+    card.appendChild(recordSection);
+
+    card.appendChild(this._createAnalyticsSection());
+    card.appendChild(this._createXapiSection());
+
+    // PIN
+    const pinSection = document.createElement('div');
+    pinSection.className = 'instructor-section';
+    pinSection.innerHTML = '<h4>PIN</h4>';
+    const pinForm = document.createElement('form');
+    pinForm.className = 'instructor-pin';
+    const pinInput = document.createElement('input');
+    pinInput.type = 'password';
+    pinInput.placeholder = 'Nieuwe PIN';
+    pinInput.autocomplete = 'new-password';
+    const pinBtn = document.createElement('button');
+    pinBtn.type = 'submit';
+    pinBtn.textContent = 'PIN wijzigen';
+    pinForm.appendChild(pinInput);
+    pinForm.appendChild(pinBtn);
+    pinForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (this.setPin(pinInput.value)) {
+        pinInput.value = '';
+        alert('PIN gewijzigd.');
+      } else {
+        alert(`Een PIN heeft minstens ${INSTRUCTOR.MIN_PIN_LENGTH} tekens.`);
+      }
+    });
+    pinSection.appendChild(pinForm);
+    card.appendChild(pinSection);
+
+    const leave = document.createElement('button');
+    leave.type = 'button';
+    leave.innerHTML = '<i class="fa-solid fa-right-from-bracket"></i> Docentmodus verlaten';
+    leave.addEventListener('click', () => {
+      this.deactivate();
+      close();
+    });
+    card.appendChild(leave);
+  }
+
+  /**
+   * Completion rates and time per step from the events kept on this
+   * computer, with export, clear and the endpoint setting
+   * @returns {HTMLElement}
+   */
+  _createAnalyticsSection() {
+    const section = document.createElement('div');
+    section.className = 'instructor-section';
+    section.innerHTML = '<h4>Leeranalyse</h4>';
+
+    const summary = summarize(analytics.getStoredEvents());
+    const note = document.createElement('p');
+    note.className = 'instructor-note';
+    note.textContent = `${summary.sessions} sessie(s) op deze computer.`;
+    section.appendChild(note);
+
+    if (summary.lessons.length > 0) {
+      const table = document.createElement('table');
+      table.className = 'instructor-analytics';
+      table.innerHTML = '<thead><tr><th>Les</th><th>Gestart</th><th>Voltooid</th><th>Mediane tijd</th></tr></thead>';
+      const body = document.createElement('tbody');
+      summary.lessons.forEach(item => {
+        const row = document.createElement('tr');
+        const rate = item.completionRate === null ? '' : ` (${Math.round(item.completionRate * 100)}%)`;
+        const cells = [
+          `Les ${item.lesson}`,
+          String(item.started),
+          `${item.completed}${rate}`,
+          item.medianDurationMs === null ? '–' : formatDuration(item.medianDurationMs)
+        ];
+        cells.forEach(text => {
+          const cell = document.createElement('td');
+          cell.textContent = text;
+          row.appendChild(cell);
+        });
+        body.appendChild(row);
+
+        item.steps.forEach(step => {
+          const stepRow = document.createElement('tr');
+          stepRow.className = 'instructor-analytics-step';
+          [`stap ${step.step}`, '', String(step.completed), formatDuration(step.medianDurationMs)].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            stepRow.appendChild(cell);
+          });
+          body.appendChild(stepRow);
+        });
+      });
+      table.appendChild(body);
+      section.appendChild(table);
+    }
+
+    const exportBtn = document.createElement('button');
+    exportBtn.type = 'button';
+    exportBtn.innerHTML = '<i class="fa-solid fa-download"></i> Gebeurtenissen downloaden';
+    exportBtn.addEventListener('click', () => analytics.exportToFile());
+    section.appendChild(exportBtn);
+
+    const clearBtn = document.createElement('button');
+    clearBtn.type = 'button';
+    clearBtn.innerHTML = '<i class="fa-solid fa-trash"></i> Wissen';
+    clearBtn.addEventListener('click', () => {
+      if (!confirm('Alle leeranalyse-gebeurtenissen op deze computer wissen?')) return;
+      analytics.clearStoredEvents();
+      alert('Gebeurtenissen gewist.');
+    });
+    section.appendChild(clearBtn);
+
+    const endpointForm = document.createElement('form');
+    endpointForm.className = 'instructor-endpoint';
+    const endpointInput = document.createElement('input');
+    endpointInput.type = 'url';
+    endpointInput.placeholder = 'Endpoint (http://…), leeg = uit';
+    endpointInput.value = analytics.getEndpoint() || '';
+    const endpointBtn = document.createElement('button');
+    endpointBtn.type = 'submit';
+    endpointBtn.textContent = 'Opslaan';
+    endpointForm.appendChild(endpointInput);
+    endpointForm.appendChild(endpointBtn);
+    endpointForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (analytics.setEndpoint(endpointInput.value || null)) alert(endpointInput.value ? 'Endpoint opgeslagen.' : 'Versturen uitgeschakeld.');
+      else alert('Geef een http- of https-adres op.');
+    });
+    section.appendChild(endpointForm);
+    return section;
+  }
+
+  /**
+   * Queued xAPI statements and the learning record store settings
+   * @returns {HTMLElement}
+   */
+  _createXapiSection() {
+    const section = document.createElement('div');
+    section.className = 'instructor-section';
+    section.innerHTML = '<h4>xAPI (LRS)</h4>';
+
+    const note = document.createElement('p');
+    note.className = 'instructor-note';
+    const updateNote = () => {
+      const endpoint = xapiReporter.getEndpoint();
+      const rejected = xapiReporter.getRejectedStatements().length;
+      note.textContent = `${xapiReporter.getQueuedStatements().length} statement(s) in de wachtrij. `
+        + (endpoint ? `Versturen naar ${endpoint}.` : 'Geen LRS ingesteld; download de wachtrij als bestand.')
+        + (rejected ? ` ${rejected} statement(s) geweigerd door de LRS; ze worden opnieuw verstuurd als je de LRS opslaat.` : '');
+    };
+    updateNote();
+    section.appendChild(note);
+
+    const sendBtn = document.createElement('button');
+    sendBtn.type = 'button';
+    sendBtn.innerHTML = '<i class="fa-solid fa-paper-plane"></i> Nu versturen';
+    sendBtn.disabled = !xapiReporter.getEndpoint();
+    sendBtn.addEventListener('click', async () => {
+      const done = await xapiReporter.flush();
+      updateNote();
+      if (!done) alert('De LRS is niet bereikbaar. De statements blijven bewaard.');
+    });
+    section.appendChild(sendBtn);
+
+    const exportBtn = document.createElement('button');
+    exportBtn.type = 'button';
+    exportBtn.innerHTML = '<i class="fa-solid fa-download"></i> Wachtrij downloaden';
+    exportBtn.addEventListener('click', () => xapiReporter.exportToFile());
+    section.appendChild(exportBtn);
+
+    const clearBtn = document.createElement('button');
+    clearBtn.type = 'button';
+    clearBtn.innerHTML = '<i class="fa-solid fa-trash"></i> Wachtrij wissen';
+    clearBtn.addEventListener('click', () => {
+      if (!confirm('Alle statements in de wachtrij wissen? Ze worden niet meer verstuurd.')) return;
+      xapiReporter.clearQueue();
+      updateNote();
+    });
+    section.appendChild(clearBtn);
+
+    const lrsForm = document.createElement('form');
+    lrsForm.className = 'instructor-endpoint instructor-lrs';
+    const endpointInput = document.createElement('input');
+    endpointInput.type = 'url';
+    endpointInput.placeholder = 'LRS-endpoint (…/xapi), leeg = uit';
+    endpointInput.value = xapiReporter.getEndpoint() || '';
+    const keyInput = document.createElement('input');
+    keyInput.placeholder = 'Sleutel';
+    keyInput.autocomplete = 'off';
+    const secretInput = document.createElement('input');
+    secretInput.type = 'password';
+    secretInput.placeholder = 'Geheim';
+    secretInput.autocomplete = 'new-password';
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'submit';
+    saveBtn.textContent = 'Opslaan';
+    [endpointInput, keyInput, secretInput, saveBtn].forEach(el => lrsForm.appendChild(el));
+    lrsForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      // Without a new key the credentials entered earlier on this page stay
+      const auth = keyInput.value ? XapiReporter.basicAuth(keyInput.value, secretInput.value) : xapiReporter.auth;
+      if (!xapiReporter.setEndpoint(endpointInput.value || null, auth)) {
+        alert('Geef een http- of https-adres op.');
+        return;
+      }
+      keyInput.value = '';
+      secretInput.value = '';
+      sendBtn.disabled = !xapiReporter.getEndpoint();
+      updateNote();
+      alert(endpointInput.value
+        ? 'LRS opgeslagen. Sleutel en geheim worden niet bewaard: vul ze na het herladen van de pagina opnieuw in.'
+        : 'Versturen naar de LRS uitgeschakeld.');
+    });
+    section.appendChild(lrsForm);
+    return section;
+  }
+}
+
+export const instructorMode = new InstructorMode();
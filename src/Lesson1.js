@@ -18,6 +18,9 @@ import {
   STYLE 
 } from './constants.js';
 import { markLessonCompleted } from './utils.js';
+import { t, lessonHeading } from './i18n.js';
+import { hintController } from './HintController.js';
+import { createPlacementAutosave } from './LessonAutosave.js';
 
 // Tutorial state container (will be further improved in Phase 2.3)
 class Lesson1State {
@@ -52,19 +55,33 @@ class Lesson1State {
 const lesson1State = new Lesson1State();
 let animationController = null;
 
+// Work kept for later: where the learner dragged the helmet
+const autosave = createPlacementAutosave({
+  lessonId: 1,
+  name: 'Lesson1',
+  getObjects: () => [lesson1State.objects.helmet]
+});
+
+// Help for learners who keep dropping the helmet next to the owl
+const LESSON1_HINTS = {
+  text: 'lesson1.hint',
+  tool: 'tool-select',
+  demo: (hints) => hints.demoMove(lesson1State.objects.helmet, lesson1State.objects.helmetTarget.getCenterPoint())
+};
+
 /**
  * Update page title and toolbar for Lesson 1
  */
 function updatePageMetadata() {
   try {
-    document.title = 'Inkscape Les 1: Selecteren en slepen';
+    document.title = lessonHeading(1);
     
     const brand = document.querySelector('#toolbar .brand');
     if (brand) {
       const img = brand.querySelector('img');
       brand.innerHTML = '';
       if (img) brand.appendChild(img);
-      brand.appendChild(document.createTextNode(' Inkscape Les 1: Selecteren en slepen'));
+      brand.appendChild(document.createTextNode(` ${lessonHeading(1)}`));
     }
   } catch (error) {
     console.warn('[Lesson1] Failed to update page metadata:', error);
@@ -80,13 +97,13 @@ function updateInstructionPanel() {
     if (!panel) return;
 
     panel.innerHTML = `
-      <h3>Opdracht</h3>
-      <p>Help het uiltje zich klaar te maken voor de maakplaats!</p>
-      <p>Zet de helm op zijn hoofd.</p>
+      <h3>${t('common.assignment')}</h3>
+      <p>${t('lesson1.intro')}</p>
+      <p>${t('lesson1.goal')}</p>
       <ul>
-        <li><img src="assets/icons/left-click.svg" alt="Left click" style="width:30px;height:30px;vertical-align:middle">&nbsp; Linker muisknop: Selecteer de helm</li>
-        <li><i class="fa-solid fa-arrows-up-down-left-right"></i>&nbsp; Klik en sleep om te verplaatsen</li>
-        <li><i class="fa-solid fa-hand-pointer"></i>&nbsp; Laat los om te plaatsen</li>
+        <li><img src="assets/icons/left-click.svg" alt="Left click" style="width:30px;height:30px;vertical-align:middle">&nbsp; ${t('lesson1.select')}</li>
+        <li><i class="fa-solid fa-arrows-up-down-left-right"></i>&nbsp; ${t('common.dragToMove')}</li>
+        <li><i class="fa-solid fa-hand-pointer"></i>&nbsp; ${t('common.releaseToPlace')}</li>
       </ul>
     `;
   } catch (error) {
@@ -238,6 +255,8 @@ function handleSuccess() {
   }
 
   canvas.requestRenderAll();
+  hintController.stop();
+  autosave.finish();
   
   // Show next tutorial button
   try { markLessonCompleted(1); } catch (e) {}
@@ -257,7 +276,7 @@ function showNextButton() {
   if (button) return; // Already exists
 
   // Replace aside panel text with a short completion message
-  panel.innerHTML = '<p>Goed gedaan, je bent klaar voor de volgende les</p>';
+  panel.innerHTML = `<p>${t('common.nextLessonReady')}</p>`;
 
   button = document.createElement('button');
   button.id = 'next-tutorial-btn';
@@ -273,15 +292,11 @@ function showNextButton() {
     box-shadow: 0 2px 8px rgba(0,0,0,0.15);
   `;
   button.innerHTML = '<i class="fa-solid fa-arrow-right" style="font-size:2.5em;color:white;"></i>';
-  
-  button.onclick = () => {
-    // Import dynamically to avoid circular dependencies
-    import('./tutorial.js').then(module => {
-      module.startLesson2();
-    });
-  };
-
+  // Shown once the registry knows the lesson that comes next
+  button.style.display = 'none';
   panel.appendChild(button);
+  // Import dynamically to avoid circular dependencies
+  import('./LessonRegistry.js').then(module => module.bindNextLessonButton(button, 1));
 }
 
 /**
@@ -302,12 +317,24 @@ function attachEventHandlers() {
   };
 
   canvas.on('object:moving', moveHandler);
+  canvas.on('object:modified', handleHelmetDropped);
+}
+
+/**
+ * A drag that ends away from the target is a failed attempt
+ */
+function handleHelmetDropped(event) {
+  if (event.target !== lesson1State.objects.helmet) return;
+  if (!canvas.contains(event.target) || isHelmetAtTarget()) return;
+  hintController.recordFailure();
 }
 
 /**
  * Cleanup function to remove all lesson objects and animations
  */
 function cleanup() {
+  autosave.end();
+
   // Stop all animations
   if (animationController) {
     animationController.stopAllAnimations();
@@ -322,6 +349,8 @@ function cleanup() {
 
   // Remove event handlers
   canvas.off('object:moving');
+  canvas.off('object:modified', handleHelmetDropped);
+  hintController.stop();
 
   // Reset state
   lesson1State.reset();
@@ -333,9 +362,11 @@ function cleanup() {
 
 /**
  * Main entry point: Start Lesson 1
+ * @param {Object} [options]
+ * @param {Object} [options.resume] - Autosaved work to continue
  * @returns {Promise<void>}
  */
-export async function startLesson1() {
+export async function startLesson1({ resume = null } = {}) {
   if (lesson1State.isActive) {
     console.log('[Lesson1] Already active');
     return;
@@ -383,6 +414,10 @@ export async function startLesson1() {
 
   // Attach interaction handlers
   attachEventHandlers();
+  if (lesson1State.isActive) autosave.begin(resume);
+  if (lesson1State.isActive && assets.helmet && assets.helmetTarget) {
+    hintController.start({ lessonId: 1, stepId: 'place-helmet', hints: LESSON1_HINTS });
+  }
 
   canvas.requestRenderAll();
   
@@ -417,5 +452,20 @@ export async function restartLesson1() {
   lesson1State.isInitializing = false;
 }
 
+/**
+ * Re-render the lesson's text after the interface language changed
+ */
+export function localizeLesson1() {
+  if (!lesson1State.isActive) return;
+  updatePageMetadata();
+  const button = document.getElementById('next-tutorial-btn');
+  if (button) {
+    button.remove();
+    showNextButton();
+  } else {
+    updateInstructionPanel();
+  }
+}
+
 // Export cleanup for external use
 export { cleanup as cleanupLesson1 };
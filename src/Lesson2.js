@@ -18,6 +18,9 @@ import {
   STYLE 
 } from './constants.js';
 import { markLessonCompleted } from './utils.js';
+import { t, lessonHeading } from './i18n.js';
+import { hintController } from './HintController.js';
+import { createPlacementAutosave } from './LessonAutosave.js';
 
 // Tutorial state container
 class Lesson2State {
@@ -52,19 +55,41 @@ class Lesson2State {
 const lesson2State = new Lesson2State();
 let animationController = null;
 
+// Work kept for later: where the learner moved and turned the wrench
+const autosave = createPlacementAutosave({
+  lessonId: 2,
+  name: 'Lesson2',
+  getObjects: () => [lesson2State.objects.userWrench]
+});
+
+// Help for learners who can't get the wrench turned and into its outline
+const LESSON2_HINTS = {
+  text: 'lesson2.hint',
+  tool: 'tool-select',
+  demo: (hints) => {
+    const { userWrench, wrenchOutline } = lesson2State.objects;
+    // Click twice for the rotate handles, then turn and drag it into place
+    return hints.demo([
+      { type: 'press', at: userWrench },
+      { type: 'press', at: userWrench },
+      { type: 'drag', from: userWrench, to: wrenchOutline, object: userWrench, angle: getTargetRotation() - (userWrench.angle || 0) }
+    ]);
+  }
+};
+
 /**
  * Update page title and toolbar for Lesson 2
  */
 function updatePageMetadata() {
   try {
-    document.title = 'Inkscape Les 2: Draaien';
+    document.title = lessonHeading(2);
     
     const brand = document.querySelector('#toolbar .brand');
     if (brand) {
       const img = brand.querySelector('img');
       brand.innerHTML = '';
       if (img) brand.appendChild(img);
-      brand.appendChild(document.createTextNode(' Inkscape Les 2: Draaien'));
+      brand.appendChild(document.createTextNode(` ${lessonHeading(2)}`));
     }
   } catch (error) {
     console.warn('[Lesson2] Failed to update page metadata:', error);
@@ -80,15 +105,15 @@ function updateInstructionPanel() {
     if (!panel) return;
 
     panel.innerHTML = `
-      <h3>Opdracht</h3>
-      <p>Het uiltje heeft een moersleutel nodig!</p>
-      <p>Draai de moersleutel naar de juiste hoek.</p>
+      <h3>${t('common.assignment')}</h3>
+      <p>${t('lesson2.intro')}</p>
+      <p>${t('lesson2.goal')}</p>
       <ul>
-        <li><img src="assets/icons/left-click.svg" alt="Left click" style="width:30px;height:30px;vertical-align:middle">&nbsp; Linker muisknop: Selecteer de moersleutel</li>
-        <li><img src="assets/icons/left-click.svg" alt="Left click" style="width:30px;height:30px;vertical-align:middle">&nbsp; Linker muisknop: Klik een tweede keer op de moersleutel om hem te kunnen draaien.</li>
-        <li><i class="fa-solid fa-arrows-rotate"></i>&nbsp; Sleep met de muis op een van de hoekpunten om te roteren</li>
-        <li><i class="fa-solid fa-arrows-up-down-left-right"></i>&nbsp; Sleep de sleutel naar de juiste positie</li>
-        <li><i class="fa-solid fa-hand-pointer"></i>&nbsp; Laat los om te plaatsen</li>
+        <li><img src="assets/icons/left-click.svg" alt="Left click" style="width:30px;height:30px;vertical-align:middle">&nbsp; ${t('lesson2.select')}</li>
+        <li><img src="assets/icons/left-click.svg" alt="Left click" style="width:30px;height:30px;vertical-align:middle">&nbsp; ${t('lesson2.clickAgain')}</li>
+        <li><i class="fa-solid fa-arrows-rotate"></i>&nbsp; ${t('lesson2.rotate')}</li>
+        <li><i class="fa-solid fa-arrows-up-down-left-right"></i>&nbsp; ${t('lesson2.drag')}</li>
+        <li><i class="fa-solid fa-hand-pointer"></i>&nbsp; ${t('common.releaseToPlace')}</li>
       </ul>
     `;
   } catch (error) {
@@ -256,6 +281,8 @@ function handleSuccess() {
     obj.evented = false;
   });
   canvas.requestRenderAll();
+  hintController.stop();
+  autosave.finish();
   showNextButton();
   try { markLessonCompleted(2); } catch (e) {}
   console.log('[Lesson2] Success! Wrench positioned and rotated correctly.');
@@ -272,7 +299,7 @@ function showNextButton() {
   if (button) return; // Already exists
 
   // Replace aside panel text with a short completion message
-  panel.innerHTML = '<p>Goed gedaan, je bent klaar voor de volgende les</p>';
+  panel.innerHTML = `<p>${t('common.nextLessonReady')}</p>`;
 
   button = document.createElement('button');
   button.id = 'next-tutorial-btn';
@@ -288,15 +315,11 @@ function showNextButton() {
     box-shadow: 0 2px 8px rgba(0,0,0,0.15);
   `;
   button.innerHTML = '<i class="fa-solid fa-arrow-right" style="font-size:2.5em;color:white;"></i>';
-  
-  button.onclick = () => {
-    // Import dynamically to avoid circular dependencies
-    import('./tutorial.js').then(module => {
-      module.startLesson3();
-    });
-  };
-
+  // Shown once the registry knows the lesson that comes next
+  button.style.display = 'none';
   panel.appendChild(button);
+  // Import dynamically to avoid circular dependencies
+  import('./LessonRegistry.js').then(module => module.bindNextLessonButton(button, 2));
 }
 
 /**
@@ -319,12 +342,24 @@ function attachEventHandlers() {
   canvas.on('object:rotating', checkHandler);
   canvas.on('object:moving', checkHandler);
   canvas.on('object:modified', checkHandler);
+  canvas.on('object:modified', handleWrenchDropped);
+}
+
+/**
+ * A move or turn that leaves the wrench off its outline is a failed attempt
+ */
+function handleWrenchDropped(event) {
+  if (event.target !== lesson2State.objects.userWrench) return;
+  if (!canvas.contains(event.target) || isWrenchAtTargetPosition()) return;
+  hintController.recordFailure();
 }
 
 /**
  * Cleanup function to remove all lesson objects and animations
  */
 function cleanup() {
+  autosave.end();
+
   // Stop all animations
   if (animationController) {
     animationController.stopAllAnimations();
@@ -340,6 +375,8 @@ function cleanup() {
   // Remove event handlers
   canvas.off('object:rotating');
   canvas.off('object:moving');
+  canvas.off('object:modified', handleWrenchDropped);
+  hintController.stop();
 
   // Reset state
   lesson2State.reset();
@@ -351,9 +388,11 @@ function cleanup() {
 
 /**
  * Main entry point: Start Lesson 2
+ * @param {Object} [options]
+ * @param {Object} [options.resume] - Autosaved work to continue
  * @returns {Promise<void>}
  */
-export async function startLesson2() {
+export async function startLesson2({ resume = null } = {}) {
   if (lesson2State.isActive) {
     console.log('[Lesson2] Already active');
     return;
@@ -400,6 +439,10 @@ export async function startLesson2() {
 
   // Attach interaction handlers
   attachEventHandlers();
+  if (lesson2State.isActive) autosave.begin(resume);
+  if (lesson2State.isActive && assets.userWrench && assets.wrenchOutline) {
+    hintController.start({ lessonId: 2, stepId: 'rotate-wrench', hints: LESSON2_HINTS });
+  }
 
   canvas.requestRenderAll();
   
@@ -434,5 +477,20 @@ export async function restartLesson2() {
   lesson2State.isInitializing = false;
 }
 
+/**
+ * Re-render the lesson's text after the interface language changed
+ */
+export function localizeLesson2() {
+  if (!lesson2State.isActive) return;
+  updatePageMetadata();
+  const button = document.getElementById('next-tutorial-btn');
+  if (button) {
+    button.remove();
+    showNextButton();
+  } else {
+    updateInstructionPanel();
+  }
+}
+
 // Export cleanup for external use
 export { cleanup as cleanupLesson2 };
@@ -17,6 +17,9 @@ import {
   STYLE 
 } from './constants.js';
 import { markLessonCompleted } from './utils.js';
+import { t, lessonHeading } from './i18n.js';
+import { hintController } from './HintController.js';
+import { createPlacementAutosave } from './LessonAutosave.js';
 
 class Lesson3State {
   constructor() {
@@ -41,18 +44,40 @@ class Lesson3State {
 const lesson3State = new Lesson3State();
 let animationController = null;
 
+// Work kept for later: where the learner dragged the tools
+const autosave = createPlacementAutosave({
+  lessonId: 3,
+  name: 'Lesson3',
+  getObjects: () => lesson3State.objects.tools
+});
+
+// Help for learners who drag the tools one by one or drop them beside the box
+const LESSON3_HINTS = {
+  text: 'lesson3.hint',
+  tool: 'tool-select',
+  demo: (hints) => {
+    const { tools, toolbox } = lesson3State.objects;
+    if (tools.length === 0) return null;
+    return hints.demo([
+      { type: 'press', at: tools[0] },
+      ...tools.slice(1).map(tool => ({ type: 'shiftClick', at: tool })),
+      { type: 'drag', from: tools[tools.length - 1], to: toolbox, object: tools }
+    ]);
+  }
+};
+
 /**
  * Update page metadata for Lesson 2
  */
 function updatePageMetadata() {
   try {
-    document.title = 'Inkscape Les 3: Meerdere objecten selecteren';
+    document.title = lessonHeading(3);
     const brand = document.querySelector('#toolbar .brand');
     if (brand) {
       const img = brand.querySelector('img');
       brand.innerHTML = '';
       if (img) brand.appendChild(img);
-      brand.appendChild(document.createTextNode(' Inkscape Les 3: Meerdere objecten selecteren'));
+      brand.appendChild(document.createTextNode(` ${lessonHeading(3)}`));
     }
   } catch (error) {
     console.warn('[Lesson3] Failed to update metadata:', error);
@@ -68,12 +93,12 @@ function updateInstructionPanel() {
     if (!panel) return;
 
     panel.innerHTML = `
-      <h3>Opdracht</h3>
-      <p>Oh nee! Al het gereedschap is uit de koffer gevallen.</p>
-      <p>Steek jij ze er terug in?</p>
+      <h3>${t('common.assignment')}</h3>
+      <p>${t('lesson3.intro')}</p>
+      <p>${t('lesson3.goal')}</p>
       <ol>
-        <li><img src="assets/icons/shift-button.svg" alt="Shift button" style="width:30px;height:30px;vertical-align:middle">&nbsp; + <img src="assets/icons/left-click.svg" alt="Left click" style="width:30px;height:30px;vertical-align:middle">&nbsp; Houd <strong>Shift</strong> ingedrukt en klik op alle gereedschappen om ze te selecteren.</li>
-        <li>Als je <strong>al</strong> het gereedschap geselecteerd heb, sleep je het naar de gereedschapskist.</li>
+        <li><img src="assets/icons/shift-button.svg" alt="Shift button" style="width:30px;height:30px;vertical-align:middle">&nbsp; + <img src="assets/icons/left-click.svg" alt="Left click" style="width:30px;height:30px;vertical-align:middle">&nbsp; ${t('lesson3.shiftClick')}</li>
+        <li>${t('lesson3.dragAll')}</li>
       </ol>
     `;
   } catch (error) {
@@ -265,6 +290,8 @@ function handleSuccess() {
   if (lesson3State.completed) return;
   
   lesson3State.completed = true;
+  hintController.stop();
+  autosave.finish();
   
   const selectedTools = canvas.getActiveObjects().slice();
   selectedTools.forEach(tool => canvas.remove(tool));
@@ -300,7 +327,7 @@ function showNextButton() {
   if (button) return;
 
   // Replace aside panel text with a short completion message
-  panel.innerHTML = '<p>Goed gedaan, je bent klaar voor de volgende les</p>';
+  panel.innerHTML = `<p>${t('common.nextLessonReady')}</p>`;
 
   button = document.createElement('button');
   button.id = 'next-tutorial-btn-2';
@@ -316,14 +343,11 @@ function showNextButton() {
     box-shadow: 0 2px 8px rgba(0,0,0,0.15);
   `;
   button.innerHTML = '<i class="fa-solid fa-arrow-right" style="font-size:2.5em;color:white;"></i>';
-  
-  button.onclick = () => {
-    import('./tutorial.js').then(module => {
-      module.startLesson4();
-    });
-  };
-  
+  // Shown once the registry knows the lesson that comes next
+  button.style.display = 'none';
   panel.appendChild(button);
+  // Import dynamically to avoid circular dependencies
+  import('./LessonRegistry.js').then(module => module.bindNextLessonButton(button, 3));
 }
 
 /**
@@ -346,6 +370,8 @@ function handleObjectMoving(event) {
  * Handle mouse up event
  */
 function handleMouseUp(event) {
+  // Still not completed after a drag: a failed attempt
+  if (lesson3State.isDragging && !lesson3State.completed) hintController.recordFailure();
   lesson3State.isDragging = false;
 }
 
@@ -369,11 +395,13 @@ function cleanupEventHandlers() {
  * Cleanup function
  */
 function cleanup() {
+  autosave.end();
   if (animationController) {
     animationController.stopAllAnimations();
   }
   
   cleanupEventHandlers();
+  hintController.stop();
   
   if (lesson3State.objects.owlWithHelmet && canvas.contains(lesson3State.objects.owlWithHelmet)) {
     canvas.remove(lesson3State.objects.owlWithHelmet);
@@ -397,8 +425,10 @@ function cleanup() {
 
 /**
  * Start Lesson 2
+ * @param {Object} [options]
+ * @param {Object} [options.resume] - Autosaved work to continue
  */
-export async function startLesson3() {
+export async function startLesson3({ resume = null } = {}) {
   if (lesson3State.isActive) {
     console.log('[Lesson3] Already active');
     return;
@@ -453,6 +483,10 @@ export async function startLesson3() {
   
   setupTools(tools);
   attachEventHandlers();
+  if (lesson3State.isActive) autosave.begin(resume);
+  if (lesson3State.isActive && lesson3State.objects.toolbox) {
+    hintController.start({ lessonId: 3, stepId: 'collect-tools', hints: LESSON3_HINTS });
+  }
   
   canvas.requestRenderAll();
   
@@ -472,4 +506,19 @@ export async function restartLesson3() {
   await startLesson3();
 }
 
+/**
+ * Re-render the lesson's text after the interface language changed
+ */
+export function localizeLesson3() {
+  if (!lesson3State.isActive) return;
+  updatePageMetadata();
+  const button = document.getElementById('next-tutorial-btn-2');
+  if (button) {
+    button.remove();
+    showNextButton();
+  } else {
+    updateInstructionPanel();
+  }
+}
+
 export { cleanup as cleanupLesson3 };
@@ -16,6 +16,9 @@ import {
   STYLE 
 } from './constants.js';
 import { markLessonCompleted } from './utils.js';
+import { hintController } from './HintController.js';
+import { createPlacementAutosave } from './LessonAutosave.js';
+import { t, lessonHeading } from './i18n.js';
 
 class Lesson4State {
   constructor() {
@@ -52,18 +55,70 @@ class Lesson4State {
 const lesson4State = new Lesson4State();
 let animationController = null;
 
+// Work kept for later: where the learner put and turned the key, and moved the tools
+const autosave = createPlacementAutosave({
+  lessonId: 4,
+  name: 'Lesson4',
+  getObjects: () => [lesson4State.objects.key, ...lesson4State.objects.tools]
+});
+
+// Help per phase: first the key, then the rubber-band selection
+const LESSON4_HINTS = {
+  unlock: {
+    text: 'lesson4.unlock.hint',
+    tool: 'tool-select',
+    demo: (hints) => {
+      const { key, toolboxClosed } = lesson4State.objects;
+      return hints.demoMove(key, toolboxClosed.getCenterPoint(), { angle: (key.angle || 0) + 45 });
+    }
+  },
+  collect: {
+    text: 'lesson4.collect.hint',
+    tool: 'tool-select',
+    demo: (hints) => {
+      const { tools, toolboxOpen } = lesson4State.objects;
+      if (tools.length === 0) return null;
+      // Rubber band around all tools, then drag them into the box
+      const bounds = tools.map(tool => tool.getBoundingRect(true));
+      const margin = 20;
+      const topLeft = {
+        x: Math.min(...bounds.map(b => b.left)) - margin,
+        y: Math.min(...bounds.map(b => b.top)) - margin
+      };
+      const bottomRight = {
+        x: Math.max(...bounds.map(b => b.left + b.width)) + margin,
+        y: Math.max(...bounds.map(b => b.top + b.height)) + margin
+      };
+      return hints.demo([
+        { type: 'drag', from: topLeft, to: bottomRight, box: true },
+        { type: 'drag', from: tools[0], to: toolboxOpen, object: tools }
+      ]);
+    }
+  }
+};
+
+/**
+ * Start hints for the current phase
+ */
+function startPhaseHints() {
+  const { key, toolboxClosed, toolboxOpen } = lesson4State.objects;
+  const ready = lesson4State.phase === 'unlock' ? (key && toolboxClosed) : toolboxOpen;
+  if (!ready) return;
+  hintController.start({ lessonId: 4, stepId: lesson4State.phase, hints: LESSON4_HINTS[lesson4State.phase] });
+}
+
 /**
  * Update page metadata for Lesson 4
  */
 function updatePageMetadata() {
   try {
-    document.title = 'Inkscape Les 4: Selectiekader';
+    document.title = lessonHeading(4);
     const brand = document.querySelector('#toolbar .brand');
     if (brand) {
       const img = brand.querySelector('img');
       brand.innerHTML = '';
       if (img) brand.appendChild(img);
-      brand.appendChild(document.createTextNode(' Inkscape Les 4: Selectiekader'));
+      brand.appendChild(document.createTextNode(` ${lessonHeading(4)}`));
     }
   } catch (error) {
     console.warn('[Lesson4] Failed to update metadata:', error);
@@ -80,24 +135,24 @@ function updateInstructionPanel() {
 
     if (lesson4State.phase === 'unlock') {
       panel.innerHTML = `
-        <h3>Opdracht</h3>
-        <p>De gereedschapskist zit op slot!</p>
-        <p>Gebruik de sleutel om hem te openen.</p>
+        <h3>${t('common.assignment')}</h3>
+        <p>${t('lesson4.unlock.intro')}</p>
+        <p>${t('lesson4.unlock.goal')}</p>
         <ol>
-          <li><img src="assets/icons/left-click.svg" alt="Left click" style="width:30px;height:30px;vertical-align:middle">&nbsp; Selecteer de sleutel</li>
-          <li><i class="fa-solid fa-arrows-up-down-left-right"></i>&nbsp; Sleep de sleutel naar het slot</li>
-          <li><i class="fa-solid fa-rotate"></i>&nbsp; Draai de sleutel om te openen</li>
+          <li><img src="assets/icons/left-click.svg" alt="Left click" style="width:30px;height:30px;vertical-align:middle">&nbsp; ${t('lesson4.unlock.select')}</li>
+          <li><i class="fa-solid fa-arrows-up-down-left-right"></i>&nbsp; ${t('lesson4.unlock.drag')}</li>
+          <li><i class="fa-solid fa-rotate"></i>&nbsp; ${t('lesson4.unlock.rotate')}</li>
         </ol>
       `;
     } else {
       panel.innerHTML = `
-        <h3>Opdracht</h3>
-        <p>De kist is open! Nu moet het gereedschap erin.</p>
-        <p>Gebruik het selectiekader om alles te selecteren.</p>
+        <h3>${t('common.assignment')}</h3>
+        <p>${t('lesson4.collect.intro')}</p>
+        <p>${t('lesson4.collect.goal')}</p>
         <ol>
-          <li><img src="assets/icons/left-click.svg" alt="Left click" style="width:30px;height:30px;vertical-align:middle">&nbsp; Klik en sleep om een selectiekader te maken</li>
-          <li>Zorg dat alle gereedschappen binnen het kader vallen</li>
-          <li><i class="fa-solid fa-arrows-up-down-left-right"></i>&nbsp;Sleep alles naar de gereedschapskist</li>
+          <li><img src="assets/icons/left-click.svg" alt="Left click" style="width:30px;height:30px;vertical-align:middle">&nbsp; ${t('lesson4.collect.drawBox')}</li>
+          <li>${t('lesson4.collect.inside')}</li>
+          <li><i class="fa-solid fa-arrows-up-down-left-right"></i>&nbsp;${t('lesson4.collect.drag')}</li>
         </ol>
       `;
     }
@@ -404,6 +459,7 @@ function handleUnlock() {
   
   // Update instructions
   updateInstructionPanel();
+  startPhaseHints();
   
   canvas.requestRenderAll();
   
@@ -447,6 +503,8 @@ function handleSuccess() {
   if (lesson4State.completed) return;
   
   lesson4State.completed = true;
+  hintController.stop();
+  autosave.finish();
   
   const selectedTools = canvas.getActiveObjects().slice();
   selectedTools.forEach(tool => canvas.remove(tool));
@@ -481,7 +539,7 @@ function showNextButton() {
   if (button) return;
 
   // Replace aside panel text with a short completion message
-  panel.innerHTML = '<p>Goed gedaan, je bent klaar voor de volgende les</p>';
+  panel.innerHTML = `<p>${t('common.nextLessonReady')}</p>`;
 
   button = document.createElement('button');
   button.id = 'next-tutorial-btn-4';
@@ -497,14 +555,11 @@ function showNextButton() {
     box-shadow: 0 2px 8px rgba(0,0,0,0.15);
   `;
   button.innerHTML = '<i class="fa-solid fa-arrow-right" style="font-size:2.5em;color:white;"></i>';
-  
-  button.onclick = () => {
-    import('./tutorial.js').then(module => {
-      module.startLesson5();
-    });
-  };
-  
+  // Shown once the registry knows the lesson that comes next
+  button.style.display = 'none';
   panel.appendChild(button);
+  // Import dynamically to avoid circular dependencies
+  import('./LessonRegistry.js').then(module => module.bindNextLessonButton(button, 4));
 }
 
 /**
@@ -523,6 +578,9 @@ function handleKeyModified(event) {
   // Check if key is over toolbox center and has been rotated
   if (isOverCenter && hasRotated) {
     handleUnlock();
+  } else if (!isOverCenter) {
+    // Turning only works once the key is in the lock
+    hintController.recordFailure();
   }
 }
 
@@ -576,6 +634,8 @@ function handleObjectMoving(event) {
  * Handle mouse up event
  */
 function handleMouseUp(event) {
+  // Still not completed after a drag: a failed attempt
+  if (lesson4State.isDragging && !lesson4State.completed) hintController.recordFailure();
   lesson4State.isDragging = false;
 }
 
@@ -605,11 +665,13 @@ function cleanupEventHandlers() {
  * Cleanup function
  */
 function cleanup() {
+  autosave.end();
   if (animationController) {
     animationController.stopAllAnimations();
   }
   
   cleanupEventHandlers();
+  hintController.stop();
   
   if (lesson4State.objects.owlWithHelmet && canvas.contains(lesson4State.objects.owlWithHelmet)) {
     canvas.remove(lesson4State.objects.owlWithHelmet);
@@ -641,8 +703,10 @@ function cleanup() {
 
 /**
  * Start Lesson 4
+ * @param {Object} [options]
+ * @param {Object} [options.resume] - Autosaved work to continue
  */
-export async function startLesson4() {
+export async function startLesson4({ resume = null } = {}) {
   if (lesson4State.isActive) {
     console.log('[Lesson4] Already active');
     return;
@@ -705,6 +769,12 @@ export async function startLesson4() {
   
   setupTools(tools);
   attachEventHandlers();
+  if (lesson4State.isActive) {
+    autosave.begin(resume);
+    // A resumed key may already be turned in the lock
+    if (resume && isKeyOverToolboxCenter() && hasKeyRotated()) handleUnlock();
+    startPhaseHints();
+  }
   
   canvas.requestRenderAll();
   
@@ -724,4 +794,19 @@ export async function restartLesson4() {
   await startLesson4();
 }
 
+/**
+ * Re-render the lesson's text after the interface language changed
+ */
+export function localizeLesson4() {
+  if (!lesson4State.isActive) return;
+  updatePageMetadata();
+  const button = document.getElementById('next-tutorial-btn-4');
+  if (button) {
+    button.remove();
+    showNextButton();
+  } else {
+    updateInstructionPanel();
+  }
+}
+
 export { cleanup as cleanupLesson4 };
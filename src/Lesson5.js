@@ -19,7 +19,11 @@ import {
   LAYOUT,
   ANIMATION_DURATION
 } from './constants.js';
-import { markLessonCompleted } from './utils.js';
+import { markLessonCompleted, setToolEnabled } from './utils.js';
+import { zoomToolController } from './ZoomToolController.js';
+import { t, lessonHeading } from './i18n.js';
+import { hintController } from './HintController.js';
+import { createPlacementAutosave } from './LessonAutosave.js';
 
 class Lesson5State {
   constructor() {
@@ -54,18 +58,56 @@ class Lesson5State {
 const lesson5State = new Lesson5State();
 let animationController = null;
 
+// Work kept for later: where the learner panned and zoomed to
+const autosave = createPlacementAutosave({
+  lessonId: 5,
+  name: 'Lesson5',
+  getObjects: () => [],
+  getViewport: () => canvas
+});
+
+// Help for learners who can't find the machine or don't zoom in far enough
+const LESSON5_HINTS = {
+  text: 'lesson5.hint',
+  demo: (hints) => {
+    const { machine, startButton } = lesson5State.objects;
+    if (!machine) return null;
+    const vpt = canvas.viewportTransform;
+    const zoom = canvas.getZoom() || 1;
+    const view = fabric.util.transformPoint(
+      new fabric.Point(canvas.getWidth() / 2, canvas.getHeight() / 2),
+      fabric.util.invertTransform(vpt)
+    );
+    // Middle-drag away from the machine pulls it into view
+    const toMachine = machine.getCenterPoint().subtract(view);
+    const length = Math.hypot(toMachine.x, toMachine.y) || 1;
+    const reach = 150 / zoom;
+    const panTo = { x: view.x - (toMachine.x / length) * reach, y: view.y - (toMachine.y / length) * reach };
+    // Zoom on the start button when it is on screen, otherwise where the pan ended
+    let zoomAt = panTo;
+    if (startButton) {
+      const screen = fabric.util.transformPoint(startButton.getCenterPoint(), vpt);
+      if (screen.x > 0 && screen.y > 0 && screen.x < canvas.getWidth() && screen.y < canvas.getHeight()) zoomAt = startButton;
+    }
+    return hints.demo([
+      { type: 'middleDrag', from: view, to: panTo },
+      { type: 'wheel', at: zoomAt, direction: 'in' }
+    ]);
+  }
+};
+
 /**
  * Update page metadata
  */
 function updatePageMetadata() {
   try {
-    document.title = 'Inkscape Les 5: Pannen en zoomen';
+    document.title = lessonHeading(5);
     const brand = document.querySelector('#toolbar .brand');
     if (brand) {
       const img = brand.querySelector('img');
       brand.innerHTML = '';
       if (img) brand.appendChild(img);
-      brand.appendChild(document.createTextNode(' Inkscape Les 5: Pannen en zoomen'));
+      brand.appendChild(document.createTextNode(` ${lessonHeading(5)}`));
     }
   } catch (error) {
     console.warn('[Lesson5] Failed to update metadata:', error);
@@ -81,14 +123,15 @@ function updateInstructionPanel() {
     if (!panel) return;
 
     panel.innerHTML = `
-      <h3>Opdracht</h3>
-      <p>Laten we de creativiteits-machine starten!</p>
+      <h3>${t('common.assignment')}</h3>
+      <p>${t('lesson5.intro')}</p>
       <ol>
-        <li>Volg de <span style="color:#1976d2">blauwe pijl</span> om de machine te vinden.</li>
-        <li><img src="assets/icons/middle-click.svg" alt="Middle click" style="width:30px;height:30px;vertical-align:middle">&nbsp; Klik en sleep met de midden-muis knop om te <strong>pannen</strong> (verschuiven).</li>
-        <li><img src="assets/icons/ctrl-control-button.svg" alt="Control button" style="width:30px;height:30px;vertical-align:middle">&nbsp; + <img src="assets/icons/scroll-wheel.svg" alt="Scroll wheel" style="width:30px;height:30px;vertical-align:middle">&nbsp; om in en uit te <strong>zoomen</strong>.</li>
-        <li>Zoom ver genoeg in op de machine om de <strong>groene startknop</strong> te vinden.</li>
-        <li>Klik op de startknop om de machine aan te zetten!</li>
+        <li>${t('lesson5.followArrow', { arrow: `<span style="color:#1976d2">${t('lesson5.blueArrow')}</span>` })}</li>
+        <li><img src="assets/icons/middle-click.svg" alt="Middle click" style="width:30px;height:30px;vertical-align:middle">&nbsp; ${t('lesson5.pan')}</li>
+        <li><img src="assets/icons/ctrl-control-button.svg" alt="Control button" style="width:30px;height:30px;vertical-align:middle">&nbsp; + <img src="assets/icons/scroll-wheel.svg" alt="Scroll wheel" style="width:30px;height:30px;vertical-align:middle">&nbsp; ${t('lesson5.zoom')}</li>
+        <li><img src="assets/icons/zoom.svg" alt="Zoom tool" style="width:30px;height:30px;vertical-align:middle">&nbsp; ${t('lesson5.zoomTool')}</li>
+        <li>${t('lesson5.findButton')}</li>
+        <li>${t('lesson5.clickStart')}</li>
       </ol>
     `;
   } catch (error) {
@@ -394,28 +437,37 @@ function animateZoomOutToScene(lessonNumber = 5) {
   });
 }
 
+/**
+ * Render the course summary shown when the lesson is done
+ * @returns {boolean} False if the panel is missing
+ */
+function renderCompletionPanel() {
+  const panel = document.getElementById('panel');
+  if (!panel) return false;
+
+  panel.innerHTML = `
+    <h3>${t('common.congratulations')}</h3>
+    <p>${t('lesson5.done.lead')}</p>
+    <p>${t('lesson5.done.canNow')}</p>
+    <ul>
+      <li>${t('lesson5.done.select')}</li>
+      <li>${t('lesson5.done.drag')}</li>
+      <li>${t('lesson5.done.rotate')}</li>
+      <li>${t('lesson5.done.multi')}</li>
+      <li>${t('lesson5.done.pan')}</li>
+      <li>${t('lesson5.done.zoom')}</li>
+    </ul>
+    <p>${t('lesson5.done.ready')}</p>
+  `;
+  return true;
+}
+
 /**
  * Show completion message
  */
 function showCompletionMessage() {
   try {
-    const panel = document.getElementById('panel');
-    if (!panel) return;
-    
-    panel.innerHTML = `
-      <h3>🎉 Gefeliciteerd!</h3>
-      <p>Je kan nu vlot bewegen in inkscape!</p>
-      <p>Je kunt nu:</p>
-      <ul>
-        <li><strong>Selecteren</strong> door op objecten te klikken</li>
-        <li><strong>Slepen</strong> om objecten te verplaatsen</li>
-        <li><strong>Klikken</strong> om objecten te draaien</li>
-        <li><strong>Meerdere objecten selecteren</strong> met Shift of een selectievak</li>
-        <li><strong>Pannen</strong> door te klikken en slepen op het canvas</li>
-        <li><strong>Zoomen</strong> met Ctrl + Scroll</li>
-      </ul>
-      <p>Je bent nu klaar om te leren <strong>tekenen in Inkscape!</strong></p>
-    `;
+    if (!renderCompletionPanel()) return;
     
     // Add next lesson button and mark completion
     try { markLessonCompleted(5); } catch (e) {}
@@ -448,24 +500,27 @@ function showNextButton() {
     box-shadow: 0 2px 8px rgba(0,0,0,0.15);
   `;
   button.innerHTML = '<i class="fa-solid fa-arrow-right" style="font-size:2.5em;color:white;"></i>';
-  
-  button.onclick = () => {
-    import('./tutorial.js').then(module => {
-      module.startLesson6();
-    });
-  };
-  
+  // Shown once the registry knows the lesson that comes next
+  button.style.display = 'none';
   panel.appendChild(button);
+  // Import dynamically to avoid circular dependencies
+  import('./LessonRegistry.js').then(module => module.bindNextLessonButton(button, 5));
 }
 
 /**
  * Handle button click
  */
 function handleButtonClick() {
-  if (!lesson5State.buttonEnabled) return;
+  if (!lesson5State.buttonEnabled) {
+    // Found the button but not zoomed in far enough
+    hintController.recordFailure();
+    return;
+  }
   
   const button = lesson5State.objects.startButton;
   if (!button) return;
+  hintController.stop();
+  autosave.finish();
   
   // Animate button press
   animationController.animateButtonPress(button);
@@ -710,6 +765,7 @@ function startArrowAnimation() {
  * Cleanup
  */
 function cleanup() {
+  autosave.end();
   if (animationController) {
     animationController.stopAllAnimations();
   }
@@ -726,6 +782,9 @@ function cleanup() {
   
   canvas.off('mouse:wheel', checkZoomLevel);
   canvas.off('after:render', checkZoomLevel);
+  hintController.stop();
+  zoomToolController.disable();
+  setToolEnabled('tool-zoom', false);
   
   Object.values(lesson5State.objects).forEach(obj => {
     if (obj && canvas.contains(obj)) {
@@ -745,6 +804,8 @@ function cleanup() {
  * Used by Lesson 6 to show the end state of Lesson 5 as a backdrop
  */
 export function enterEndState(lessonNumber = 5) {
+  hintController.stop();
+
   // Toggle bulbs on
   toggleBulbs();
   
@@ -778,8 +839,11 @@ export function enterEndState(lessonNumber = 5) {
 
 /**
  * Start Lesson 3
+ * @param {Object} [options]
+ * @param {Object} [options.resume] - Autosaved work to continue
+ * @param {boolean} [options.backdrop=false] - Shown behind Lesson 6: nothing to autosave
  */
-export async function startLesson5() {
+export async function startLesson5({ resume = null, backdrop = false } = {}) {
   if (lesson5State.isActive) {
     console.log('[Lesson5] Already active');
     return;
@@ -800,6 +864,8 @@ export async function startLesson5() {
   
   // Reset viewport to default position and zoom
   resetViewport();
+  // The Zoom tool is one way to find the start button
+  setToolEnabled('tool-zoom', true);
   
   // Initialize animation controller with current canvas
   if (!animationController) {
@@ -830,6 +896,8 @@ export async function startLesson5() {
   
   const arrow = createDirectionArrow();
   startArrowAnimation();
+  if (lesson5State.isActive && !backdrop) autosave.begin(resume);
+  if (lesson5State.isActive) hintController.start({ lessonId: 5, stepId: 'start-machine', hints: LESSON5_HINTS });
   
   canvas.requestRenderAll();
   
@@ -849,4 +917,20 @@ export async function restartLesson5() {
   await startLesson5();
 }
 
+/**
+ * Re-render the lesson's text after the interface language changed
+ */
+export function localizeLesson5() {
+  if (!lesson5State.isActive) return;
+  updatePageMetadata();
+  const button = document.getElementById('next-tutorial-btn-5');
+  if (button) {
+    button.remove();
+    renderCompletionPanel();
+    showNextButton();
+  } else {
+    updateInstructionPanel();
+  }
+}
+
 export { cleanup as cleanupLesson5 };
@@ -14,10 +14,15 @@ import { ASSETS, SVG_IDS, LESSON_FEATURES } from './constants.js';
 import { startLesson5, enterEndState } from './Lesson5.js';
 import { copyPasteController } from './CopyPasteController.js';
 import { undoRedoController } from './UndoRedoController.js';
-import { register as registerEvent, unregisterAllForOwner } from './EventRegistry.js';
+import { lessonAutosave } from './LessonAutosave.js';
 import { shapeDrawingController } from './ShapeDrawingController.js';
 import { penToolController } from './PenToolController.js';
+import { zoomToolController } from './ZoomToolController.js';
 import { markLessonCompleted } from './utils.js';
+import { LessonStepEngine } from './LessonStepEngine.js';
+import { progressStore } from './ProgressStore.js';
+import { profileStore } from './ProfileStore.js';
+import { t, lessonHeading } from './i18n.js';
 import { Pasted, LockedFromDelete, LastPos, Placed } from './MetadataRegistry.js';
 
 class Lesson6State {
@@ -34,10 +39,19 @@ class Lesson6State {
       holePulse: null
     };
     this.drawnCircle = null;  // Track the circle being drawn
-    this.shapeDrawingExitHandler = null;  // Track shape drawing exit handler
     this.originalHoleStyle = null;
     this.animationController = null;
     this.holeCompleted = false;
+    this.lessonCompleted = false;  // download step reached; there is no work left to keep
+    this.stepEngine = null;
+    this.ink = null;
+    this.hole = null;
+    this.lastPenObject = null;
+    this.startStep = null;  // step checkpoint requested via #lesson=6&step=N
+    this.resume = null;  // autosaved work to continue with
+    this.sceneObjects = null;  // objects on the canvas before the first step; the rest is the learner's
+    this.targetPulses = new Map();  // target -> pulse animation id
+    this.filledTargets = new Set();  // lightning targets covered by a snapped copy
   }
 
 
@@ -58,10 +72,19 @@ class Lesson6State {
       holePulse: null
     };
     this.drawnCircle = null;
-    this.shapeDrawingExitHandler = null;
     this.animationController = null;
     this.originalHoleStyle = null;
     this.holeCompleted = false;
+    this.lessonCompleted = false;
+    this.stepEngine = null;
+    this.ink = null;
+    this.hole = null;
+    this.lastPenObject = null;
+    this.startStep = null;
+    this.resume = null;
+    this.sceneObjects = null;
+    this.targetPulses = new Map();
+    this.filledTargets = new Set();
   }
 }
 
@@ -75,13 +98,13 @@ const ENABLE_BADGE_OUTPUT = true;
  */
 function updatePageMetadata() {
   try {
-    document.title = 'Inkscape Les 6: Maker Badge';
+    document.title = lessonHeading(6);
     const brand = document.querySelector('#toolbar .brand');
     if (brand) {
       const img = brand.querySelector('img');
       brand.innerHTML = '';
       if (img) brand.appendChild(img);
-      brand.appendChild(document.createTextNode(' Inkscape Les 6: Maker Badge'));
+      brand.appendChild(document.createTextNode(` ${lessonHeading(6)}`));
     }
   } catch (error) {
     console.warn('[Lesson6] Failed to update metadata:', error);
@@ -304,23 +327,23 @@ function checkAndSnapCircle(hole) {
     // Show feedback message
     const panel = document.getElementById('panel');
     if (panel) {
-      let feedback = '<p style="color: #d9534f;"><strong>Oeps!</strong> De cirkel voldoet niet:</p><ul>';
+      let feedback = `<p style="color: #d9534f;">${t('lesson6.circle.oops')}</p><ul>`;
       if (!isCorrectSize) {
-        feedback += `<li>Grootte moet 15 × 15 zijn (nu: ${(rx).toFixed(1)} × ${(ry).toFixed(1)})</li>`;
+        feedback += `<li>${t('lesson6.circle.size', { target: TARGET_RX, rx: rx.toFixed(1), ry: ry.toFixed(1) })}</li>`;
       }
       if (!hasStroke) {
-        feedback += '<li>De cirkel moet een omtrek (streek) hebben</li>';
+        feedback += `<li>${t('lesson6.circle.needsStroke')}</li>`;
       }
       if (hasStroke && !strokeIsBlack) {
-        feedback += '<li>De omtrek moet zwart zijn</li>';
+        feedback += `<li>${t('lesson6.circle.strokeBlack')}</li>`;
       }
       if (!hasNoFill) {
-        feedback += '<li>De cirkel mag geen vulling hebben</li>';
+        feedback += `<li>${t('lesson6.circle.noFill')}</li>`;
       }
       feedback += '</ul>';
       
       const existingPanel = panel.innerHTML;
-      panel.innerHTML = feedback + '<p>Probeer opnieuw!</p>';
+      panel.innerHTML = feedback + `<p>${t('lesson6.circle.tryAgain')}</p>`;
     }
     
     return false;
@@ -339,7 +362,7 @@ function checkAndSnapCircle(hole) {
       console.log('[Lesson6] Circle too far from hole - not snapping (distance:', distance.toFixed(2), ')');
       const panelEl = document.getElementById('panel');
       if (panelEl) {
-        panelEl.innerHTML = `<p> Zet het gaatje op de juiste plaats.</p>`;
+        panelEl.innerHTML = `<p>${t('lesson6.circle.position')}</p>`;
       }
       return false;
     }
@@ -357,10 +380,7 @@ function checkAndSnapCircle(hole) {
   // Restore hole with original styling (no dashed stroke, back to normal)
   // Stop the pulse animation first to avoid animation frames overriding styles
   try {
-    if (lesson6State.animations.holePulse && lesson6State.animationController) {
-      try { lesson6State.animationController.stopAnimation(lesson6State.animations.holePulse); } catch (e) {}
-      lesson6State.animations.holePulse = null;
-    }
+    lesson6State.targetPulses.delete(hole);
     // Also stop generic ids just in case
     if (lesson6State.animationController) {
       try { lesson6State.animationController.stopAnimation('hole-pulse'); } catch (e) {}
@@ -418,685 +438,843 @@ function checkAndSnapCircle(hole) {
     console.warn('[Lesson6] Defensive restore of hole failed:', e);
   }
   
-  // Update instructions
-  const panel = document.getElementById('panel');
-  if (panel) {
-    panel.innerHTML = `
-      <h3>Goed gedaan!</h3>
-      <p>Je hebt het gat voor de ketting voltooid! De badge is nu compleet.</p>
-      <p>De maakuil kan deze nu om zijn nek hangen!</p>
-    `;
-  }
   // Mark hole as completed so subsequent UI actions don't revert instructions
   try { lesson6State.holeCompleted = true; } catch (e) {}
-  
-  // Reveal the lightning visual and enable the pen tool for tracing
-  try {
-    const lightningRef = lesson6State.lightning;
-    if (lightningRef) {
-      lightningRef.set({ visible: true, selectable: false, evented: false });
-      lightningRef.setCoords();
-    }
+  return true;
+}
 
-    // Style the first lightning target as an outlined dashed target (like the hole)
-    const lt1 = lesson6State.lightningTarget1;
-    if (lt1) {
-      lt1.set({ visible: true, selectable: false, evented: false, stroke: '#999', strokeDashArray: [6, 6], fill: null, opacity: 1 });
-      if (lt1._objects) {
-        lt1._objects.forEach(o => o.set({ stroke: '#999', strokeDashArray: [6, 6], fill: null }));
-      }
-      lt1.setCoords();
-      if (lesson6State.animationController) {
-        lesson6State.animationController.startPulseAnimation(lt1, 'lightning-target-pulse');
-        lesson6State.animations.lightningPulse = 'lightning-target-pulse';
-      }
-    }
+const SNAP_MAX = 12; // pixels
 
-    // Keep the next lightning targets hidden for now; they will be revealed
-    // only after the first traced shape snaps to target 1.
-    const lt2 = lesson6State.lightningTarget2;
-    if (lt2) {
-      lt2.set({ visible: false, selectable: false, evented: false });
-      if (typeof lt2.setCoords === 'function') lt2.setCoords();
-    }
+/**
+ * Check whether an object was drawn with the pen tool
+ */
+function isPenShape(obj) {
+  return !!obj && (obj.type === 'polyline' || obj.type === 'polygon') && !!obj.penToolPoints;
+}
 
-    const lt3 = lesson6State.lightningTarget3;
-    if (lt3) {
-      lt3.set({ visible: false, selectable: false, evented: false });
-      if (typeof lt3.setCoords === 'function') lt3.setCoords();
-    }
+/**
+ * Show an object as a dashed grey outline target (like the helmet/wrench targets)
+ * @param {fabric.Object} target - Target to style
+ * @param {string} pulseId - Animation id for its pulse
+ */
+function revealTarget(target, pulseId) {
+  if (!target) return;
+  target.set({ visible: true, selectable: false, evented: false, stroke: '#999', strokeDashArray: [6, 6], fill: null, opacity: 1 });
+  if (target._objects) {
+    target._objects.forEach(o => o.set({ stroke: '#999', strokeDashArray: [6, 6], fill: null }));
+  }
+  target.setCoords();
+  if (lesson6State.animationController) {
+    lesson6State.animationController.startPulseAnimation(target, pulseId);
+    lesson6State.targetPulses.set(target, pulseId);
+  }
+}
 
-    // Enable pen tool in toolbar and on controller
-    const penToolBtn = document.getElementById('tool-pen');
-    if (penToolBtn) {
-      penToolBtn.disabled = false;
-      penToolBtn.setAttribute('aria-disabled', 'false');
-    }
+/**
+ * Hide a filled target and stop its pulse
+ */
+function hideTarget(target) {
+  if (!target) return;
+  target.set({ visible: false, selectable: false, evented: false });
+  if (typeof target.setCoords === 'function') target.setCoords();
+  const pulseId = lesson6State.targetPulses.get(target);
+  if (pulseId && lesson6State.animationController) {
+    lesson6State.animationController.stopAnimation(pulseId);
+  }
+  lesson6State.targetPulses.delete(target);
+}
 
-    // Wire pen tool controller but DO NOT enable/activate it automatically.
-    // The toolbar button must be pressed by the user to switch tools.
-    if (typeof penToolController !== 'undefined') {
-      penToolController.setFillStrokePanel(lesson6State.fillStrokePanel);
-    }
+/**
+ * Re-add locked objects that were removed by accident (attached once per lesson run)
+ */
+function ensurePreserveRemovalHandler() {
+  if (lesson6State.preserveRemovalHandler) return;
+  lesson6State.preserveRemovalHandler = (ev) => {
+    try {
+      const removed = ev.target;
+      if (!removed || !LockedFromDelete.has(removed)) return;
+      setTimeout(() => {
+        try {
+          canvas.add(removed);
+          if (typeof removed.setCoords === 'function') removed.setCoords();
+          canvas.requestRenderAll();
+        } catch (e) { /* ignore */ }
+      }, 0);
+    } catch (e) { /* ignore */ }
+  };
+  canvas.on('object:removed', lesson6State.preserveRemovalHandler);
+}
 
-    // Update instructions to prompt tracing
-    if (panel) {
-      panel.innerHTML = `
-        <h3>Stap 3: Gebruik de pen-tool</h3>
-        <p>De badge heeft maar 1 bliksemschicht. Is dat wel genoeg?</p>
-        <p>Gebruik de pen-tool <img src="assets/icons/draw-path.svg" alt="Pen-Tool" style="width:30px;height:30px;vertical-align:middle">&nbsp; om zo goed mogelijk de originele bliksemschicht te traceren.</p>
-        <p>Als je klaar bent, selecteer je het getekende pad en verplaats je die naar de omlijnde plek met de selectie-tool.</p>
-      `;
+/**
+ * Snap an object to the nearest of the given targets if it is within SNAP_MAX,
+ * then lock it so it can't be moved, scaled or deleted
+ * @param {fabric.Object} obj - Traced or pasted lightning
+ * @param {Array<fabric.Object>} targets - Candidate targets (only visible ones are used)
+ * @returns {fabric.Object|null} The filled target, or null if nothing was close enough
+ */
+function snapToNearestTarget(obj, targets) {
+  const candidates = targets.filter(t => t && t.visible);
+  if (!obj || candidates.length === 0) return null;
+
+  const objCenter = (typeof obj.getCenterPoint === 'function') ? obj.getCenterPoint() : { x: obj.left, y: obj.top };
+  let nearest = null;
+  let nearestDist = Infinity;
+  candidates.forEach(t => {
+    const tCenter = (typeof t.getCenterPoint === 'function') ? t.getCenterPoint() : { x: t.left, y: t.top };
+    const dx = objCenter.x - tCenter.x;
+    const dy = objCenter.y - tCenter.y;
+    const d = Math.sqrt(dx * dx + dy * dy);
+    if (d < nearestDist) {
+      nearestDist = d;
+      nearest = { target: t, center: tCenter };
     }
+  });
 
-    // After the user has drawn and then moved the drawn path, snap it to the nearest visible lightning target within threshold
-    const handlePenObjectModified = (e) => {
-      const obj = e.target;
-      if (!obj) return;
-      const isPenShape = (obj.type === 'polyline' || obj.type === 'polygon') && obj.penToolPoints;
-      if (!isPenShape) return;
+  if (!nearest || nearestDist > SNAP_MAX) {
+    console.log('[Lesson6] No nearby lightning target to snap to (nearest:', nearestDist.toFixed(1), ')');
+    return null;
+  }
 
-      // Collect targets from state
-      const targets = [lesson6State.lightningTarget1, lesson6State.lightningTarget2, lesson6State.lightningTarget3].filter(Boolean);
-      if (targets.length === 0) return;
+  obj.set({ left: nearest.center.x, top: nearest.center.y, originX: 'center', originY: 'center' });
+  lockPlaced(obj);
 
-      try {
-        const objCenter = (typeof obj.getCenterPoint === 'function') ? obj.getCenterPoint() : { x: obj.left, y: obj.top };
-
-        // Find nearest target and distance
-        let nearest = null;
-        let nearestDist = Infinity;
-        targets.forEach(t => {
-          const tCenter = (typeof t.getCenterPoint === 'function') ? t.getCenterPoint() : { x: t.left, y: t.top };
-          const dx = objCenter.x - tCenter.x;
-          const dy = objCenter.y - tCenter.y;
-          const d = Math.sqrt(dx * dx + dy * dy);
-          if (d < nearestDist) {
-            nearestDist = d;
-            nearest = { target: t, center: tCenter };
-          }
-        });
+  hideTarget(nearest.target);
+  lesson6State.filledTargets.add(nearest.target);
+  canvas.requestRenderAll();
+  console.log('[Lesson6] Lightning snapped to target (dist:', nearestDist.toFixed(1), ')');
+  return nearest.target;
+}
 
-        const SNAP_MAX = 12; // pixels
-        if (nearest && nearestDist <= SNAP_MAX) {
-          obj.set({ left: nearest.center.x, top: nearest.center.y, originX: 'center', originY: 'center' });
-          obj.setCoords();
-          canvas.requestRenderAll();
-          obj.set({ lockMovementX: true, lockMovementY: true });
+/**
+ * Lock a lightning that sits on its target so it can't be moved, scaled or deleted
+ * @param {fabric.Object} obj
+ */
+function lockPlaced(obj) {
+  obj.set({ hasControls: false, lockMovementX: true, lockMovementY: true, lockScalingX: true, lockScalingY: true, lockRotation: true, selectable: true, evented: true });
+  obj.setCoords();
+  Pasted.delete(obj);
+  Placed.set(obj, true);
+  LockedFromDelete.set(obj, true);
+  LastPos.set(obj, { left: obj.left, top: obj.top });
+  ensurePreserveRemovalHandler();
+}
 
-          // Prevent scaling and deletion: remove transform controls and lock scaling.
-            try {
-            obj.set({ hasControls: false, lockScalingX: true, lockScalingY: true, lockRotation: true, selectable: true, evented: true });
-            Placed.set(obj, true);
-            LockedFromDelete.set(obj, true);
-            try { LastPos.set(obj, { left: obj.left, top: obj.top }); } catch (e) { /* ignore */ }
-
-            // Attach a preservation handler that re-adds locked objects if accidentally removed
-            if (!lesson6State.preserveRemovalHandler) {
-              lesson6State.preserveRemovalHandler = (ev) => {
-                try {
-                  const removed = ev.target;
-                  if (!removed) return;
-                  if (LockedFromDelete.has(removed)) {
-                    // Re-add the removed object to the canvas immediately
-                    setTimeout(() => {
-                      try {
-                        canvas.add(removed);
-                        if (typeof removed.setCoords === 'function') removed.setCoords();
-                        canvas.requestRenderAll();
-                      } catch (e) { /* ignore */ }
-                    }, 0);
-                  }
-                } catch (e) { /* ignore */ }
-              };
-              canvas.on('object:removed', lesson6State.preserveRemovalHandler);
-            }
-          } catch (err) {
-            console.warn('[Lesson6] Could not lock snapped pen object:', err);
-          }
+/**
+ * Clone an object and add the copy centered on a target
+ * (used when fast-forwarding past the tracing and copy/paste steps)
+ * @returns {Promise<fabric.Object|null>}
+ */
+function placeCopyOnTarget(source, target) {
+  return new Promise((resolve) => {
+    if (!source || !target) { resolve(null); return; }
+    source.clone((copy) => {
+      const center = target.getCenterPoint();
+      copy.set({ left: center.x, top: center.y, originX: 'center', originY: 'center', visible: true, selectable: true, evented: true });
+      copy.setCoords();
+      canvas.add(copy);
+      resolve(copy);
+    });
+  });
+}
 
-          // Hide the target object and stop any pulse animation tied to it
-          try {
-            const targetObj = nearest.target;
-            if (targetObj) {
-              targetObj.set({ visible: false, evented: false, selectable: false });
-              if (typeof targetObj.setCoords === 'function') targetObj.setCoords();
-            }
-            if (lesson6State.animationController && lesson6State.animations && lesson6State.animations.lightningPulse) {
-              lesson6State.animationController.stopAnimation(lesson6State.animations.lightningPulse);
-              delete lesson6State.animations.lightningPulse;
-            }
-          } catch (err) {
-            console.warn('[Lesson6] Error hiding lightning target after snap:', err);
-          }
+/**
+ * Both copy targets have been filled
+ */
+function copiesPlaced() {
+  const { lightningTarget2, lightningTarget3 } = lesson6State;
+  return [lightningTarget2, lightningTarget3].filter(Boolean).every(t => lesson6State.filledTargets.has(t));
+}
 
-          console.log('[Lesson6] Pen shape snapped to lightning target (dist:', nearestDist.toFixed(1), ')');
+/**
+ * Build a full-width arrow button for the instruction panel
+ */
+function createPanelButton(id, iconClass, cssText) {
+  const btn = document.createElement('button');
+  btn.id = id;
+  btn.innerHTML = `<i class="${iconClass}" style="font-size:2.5em;color:white;"></i>`;
+  btn.style.cssText = cssText;
+  return btn;
+}
 
-          // Reveal the next lightning targets and update instructions to ask
-          // the user to copy-paste their traced path onto the new targets.
-          try {
-            const lt2 = lesson6State.lightningTarget2;
-            const lt3 = lesson6State.lightningTarget3;
-            if (lt2) {
-              lt2.set({ visible: true, selectable: false, evented: false, stroke: '#999', strokeDashArray: [6, 6], fill: null, opacity: 1 });
-              if (lt2._objects) lt2._objects.forEach(o => o.set({ stroke: '#999', strokeDashArray: [6, 6], fill: null }));
-              lt2.setCoords();
-              if (lesson6State.animationController) {
-                lesson6State.animationController.startPulseAnimation(lt2, 'lightning-target-pulse-2');
-                lesson6State.animations.lightningPulse2 = 'lightning-target-pulse-2';
-              }
-            }
-            if (lt3) {
-              lt3.set({ visible: true, selectable: false, evented: false, stroke: '#999', strokeDashArray: [6, 6], fill: null, opacity: 1 });
-              if (lt3._objects) lt3._objects.forEach(o => o.set({ stroke: '#999', strokeDashArray: [6, 6], fill: null }));
-              lt3.setCoords();
-              if (lesson6State.animationController) {
-                lesson6State.animationController.startPulseAnimation(lt3, 'lightning-target-pulse-3');
-                lesson6State.animations.lightningPulse3 = 'lightning-target-pulse-3';
-              }
-            }
+/**
+ * Render only the visible canvas objects into a standalone SVG
+ * @returns {Promise<string>} SVG markup
+ */
+async function exportVisibleOnly() {
+  try {
+    const visibleObjs = canvas.getObjects().filter(o => !!o.visible);
+    const tmpEl = document.createElement('canvas');
+    tmpEl.width = canvas.getWidth();
+    tmpEl.height = canvas.getHeight();
+    const tmpCanvas = new fabric.StaticCanvas(tmpEl, { enableRetinaScaling: false });
+    tmpCanvas.setWidth(canvas.getWidth());
+    tmpCanvas.setHeight(canvas.getHeight());
+
+    // Clone visible objects
+    const clones = await Promise.all(visibleObjs.map(o => new Promise((res) => {
+      try {
+        if (typeof o.clone === 'function') {
+          o.clone((cl) => {
+            try { cl.set({ selectable: false, evented: false }); } catch (e) {}
+            res(cl);
+          });
+        } else {
+          const objData = o.toObject();
+          fabric.util.enlivenObjects([objData], (objs) => res(objs[0]));
+        }
+      } catch (err) {
+        console.warn('[Lesson6] Error cloning object for export:', err);
+        res(null);
+      }
+    })));
 
-            // Update the instruction panel to explain copy-paste step
-            const panel = document.getElementById('panel');
-            if (panel) {
-              panel.innerHTML = `
-                <h3>Stap 4: Kopieer en plak</h3>
-                <p>Kopieer je eerder getekende pad met <img src="assets/icons/ctrl-control-button.svg" alt="Ctrl button" style="width:30px;height:30px;vertical-align:middle">&nbsp;<strong> + C</strong> en plak kopieën op de omlijnde plekken met <img src="assets/icons/ctrl-control-button.svg" alt="Ctrl button" style="width:30px;height:30px;vertical-align:middle">&nbsp;<strong> + V</strong></p>
-                <p>Sleep de kopieën naar de juiste plek met de selectie-tool <img src="assets/icons/tool-pointer.svg" alt="Select" style="width:30px;height:30px;vertical-align:middle">&nbsp;</p>
-              `;
-            }
+    // Filter out null clones
+    const realClones = clones.filter(Boolean);
 
-            // Ensure copy-paste functionality is available
-            if (typeof copyPasteController !== 'undefined' && !copyPasteController.isEnabled) {
-              try { copyPasteController.enable(); } catch (e) { /* ignore */ }
-            }
+    if (realClones.length === 0) {
+      return canvas.toSVG();
+    }
 
-            // Setup handler that snaps pasted copies when they are moved near a visible target
-            const handlePastedObjectModified = (ev) => {
-              const pasted = ev.target;
-              if (!pasted) return;
-              if (!Pasted.has(pasted)) return;
+    // Create a group from the clones and center it on the temporary canvas
+    const group = new fabric.Group(realClones, {
+      originX: 'center',
+      originY: 'center'
+    });
 
-              // Consider targets 2 and 3 (only visible ones)
-              const targets = [lesson6State.lightningTarget2, lesson6State.lightningTarget3].filter(t => t && t.visible);
-              if (targets.length === 0) return;
+    // Position group at center of tmp canvas
+    group.left = tmpCanvas.getWidth() / 2;
+    group.top = tmpCanvas.getHeight() / 2;
+    group.setCoords();
 
-              try {
-                const objCenter = (typeof pasted.getCenterPoint === 'function') ? pasted.getCenterPoint() : { x: pasted.left, y: pasted.top };
-                let nearestT = null;
-                let nearestD = Infinity;
-                targets.forEach(t => {
-                  const tCenter = (typeof t.getCenterPoint === 'function') ? t.getCenterPoint() : { x: t.left, y: t.top };
-                  const dx = objCenter.x - tCenter.x;
-                  const dy = objCenter.y - tCenter.y;
-                  const d = Math.sqrt(dx * dx + dy * dy);
-                  if (d < nearestD) { nearestD = d; nearestT = { target: t, center: tCenter }; }
-                });
-
-                const SNAP_MAX = 12;
-                if (nearestT && nearestD <= SNAP_MAX) {
-                  pasted.set({ left: nearestT.center.x, top: nearestT.center.y, originX: 'center', originY: 'center' });
-                  pasted.setCoords();
-                  canvas.requestRenderAll();
-                  pasted.set({ lockMovementX: true, lockMovementY: true });
-
-                  // Hide the target and stop its pulse
-                  try {
-                    const tObj = nearestT.target;
-                    if (tObj) {
-                      tObj.set({ visible: false, selectable: false, evented: false });
-                      if (typeof tObj.setCoords === 'function') tObj.setCoords();
-                    }
-                    if (lesson6State.animationController && lesson6State.animations) {
-                      if (tObj === lesson6State.lightningTarget2 && lesson6State.animations.lightningPulse2) {
-                        lesson6State.animationController.stopAnimation(lesson6State.animations.lightningPulse2);
-                        delete lesson6State.animations.lightningPulse2;
-                      }
-                      if (tObj === lesson6State.lightningTarget3 && lesson6State.animations.lightningPulse3) {
-                        lesson6State.animationController.stopAnimation(lesson6State.animations.lightningPulse3);
-                        delete lesson6State.animations.lightningPulse3;
-                      }
-                    }
-                  } catch (err) {
-                    console.warn('[Lesson6] Error hiding lightning target after paste snap:', err);
-                  }
+    // Add group to temp canvas (clear any previous content)
+    try {
+      tmpCanvas.clear();
+      tmpCanvas.add(group);
+      tmpCanvas.renderAll();
+    } catch (e) {
+      console.warn('[Lesson6] Error preparing temp canvas for export:', e);
+    }
 
-                  // Mark pasted as placed and lock it (prevent scaling/deletion)
-                  Pasted.delete(pasted);
-                  Placed.set(pasted, true);
-                  try { LastPos.set(pasted, { left: pasted.left, top: pasted.top }); } catch (e) { /* ignore */ }
-                  try {
-                    pasted.set({ hasControls: false, lockScalingX: true, lockScalingY: true, lockRotation: true, lockMovementX: true, lockMovementY: true, selectable: true, evented: true });
-                    LockedFromDelete.set(pasted, true);
-                    // Ensure preserveRemovalHandler exists so deletion attempts are reversed
-                    if (!lesson6State.preserveRemovalHandler) {
-                      lesson6State.preserveRemovalHandler = (ev) => {
-                        try {
-                          const removed = ev.target;
-                          if (!removed) return;
-                          if (LockedFromDelete.has(removed)) {
-                            setTimeout(() => {
-                              try { canvas.add(removed); if (typeof removed.setCoords === 'function') removed.setCoords(); canvas.requestRenderAll(); } catch (e) {}
-                            }, 0);
-                          }
-                        } catch (e) { /* ignore */ }
-                      };
-                      canvas.on('object:removed', lesson6State.preserveRemovalHandler);
-                    }
-                  } catch (err) {
-                    console.warn('[Lesson6] Could not lock pasted object after snap:', err);
-                  }
-                  console.log('[Lesson6] Pasted copy snapped to target (dist:', nearestD.toFixed(1), ')');
-
-                  // If both pasted copies have been placed, enable the text tool
-                  try {
-                    const placedCount = canvas.getObjects().filter(o => Placed.has(o)).length;
-                    if (placedCount >= 2) {
-                      const textBtn = document.getElementById('tool-text');
-                      if (textBtn) {
-                        textBtn.disabled = false;
-                        textBtn.setAttribute('aria-disabled', 'false');
-                      }
-                      // Make lesson name selectable so user can click it when text tool is active
-                      try {
-                        if (lesson6State.name) {
-                          lesson6State.name.set({ selectable: true, evented: true });
-                          if (typeof lesson6State.name.setCoords === 'function') lesson6State.name.setCoords();
-                        }
-                      } catch (err) {
-                        console.warn('[Lesson6] Could not make name selectable:', err);
-                      }
-                      const panel = document.getElementById('panel');
-                      if (panel) {
-                        panel.innerHTML = `
-                          <h3>Stap 5: Bewerk de naam</h3>
-                          <p>De echte maker van vandaag, dat ben jij!</p>
-                          <p>Pas de naam op de badge aan naar jouw naam.</p>
-                          <p>Klik op de <img src="assets/icons/draw-text.svg" alt="Text tool" style="width:24px;height:24px;vertical-align:middle"> knop en selecteer vervolgens de naam om deze te bewerken.</p>
-                        `;
-                        // Add a manual "Next" button so the user proceeds when ready
-                        try {
-                          let proceedBtn = document.getElementById('lesson6-next-after-name');
-                          if (!proceedBtn) {
-                            proceedBtn = document.createElement('button');
-                            proceedBtn.id = 'lesson6-next-after-name';
-                            proceedBtn.innerHTML = '<i class="fa-solid fa-arrow-right" style="font-size:2.5em;color:white;"></i>';
-                            proceedBtn.style.cssText = `
-                              display: block;
-                              width: 100%;
-                              height: 48px;
-                              margin: 12px auto 0 auto;
-                              background: #1976d2;
-                              color: white;
-                              border: none;
-                              border-radius: 24px;
-                              cursor: pointer;
-                              box-shadow: 0 2px 8px rgba(0,0,0,0.12);
-                            `;
-                            proceedBtn.addEventListener('click', async () => {
-                              try {
-                                // Enable shape tool button and node editing for the remainder
-                                try {
-                                  const rectToolBtn = document.getElementById('tool-rect');
-                                  const nodeToolBtn = document.getElementById('tool-node');
-                                  if (rectToolBtn) {
-                                    rectToolBtn.disabled = false;
-                                    rectToolBtn.setAttribute('aria-disabled', 'false');
-                                  }
-                                  if (nodeToolBtn) {
-                                    nodeToolBtn.disabled = false;
-                                    nodeToolBtn.setAttribute('aria-disabled', 'false');
-                                  }
-                                  // Enable node editing feature flag for this lesson so the node tool becomes active
-                                  try { LESSON_FEATURES[6].NODE_EDITING = true; } catch (e) { /* ignore */ }
-                                  // Ensure shapeDrawingController can use the FillStrokePanel
-                                  try { shapeDrawingController.setFillStrokePanel(lesson6State.fillStrokePanel); } catch (e) {}
-                                } catch (e) { /* ignore */ }
-
-                                // Show final congratulations and a single big download button
-                                panel.innerHTML = `
-                                  <h3>🎉 Gefeliciteerd!</h3>
-                                  <p>Je kent nu de basisfuncties van Inkscape en hebt de badge voltooid.</p>
-                                  <p>Download de badge als een SVG-bestand via de knop hieronder.</p>
-                                  <p>Je kunt de badge later altijd opnieuw bewerken in Inkscape!</p>
-                                `;
-                                try {
-                                  let bigDownload = document.getElementById('lesson6-download-btn');
-                                  if (!bigDownload) {
-                                    bigDownload = document.createElement('button');
-                                    bigDownload.id = 'lesson6-download-btn';
-                                    bigDownload.style.cssText = `
-                                      display: block;
-                                      width: 100%;
-                                      height: 64px;
-                                      margin: 12px auto 0 auto;
-                                      background: #1976d2;
-                                      border: none;
-                                      border-radius: 32px;
-                                      cursor: pointer;
-                                      box-shadow: 0 2px 8px rgba(0,0,0,0.15);
-                                      color: white;
-                                    `;
-                                    bigDownload.innerHTML = '<i class="fa-solid fa-download" style="font-size:2.2em;color:white;"></i>';
-                                    bigDownload.addEventListener('click', async () => {
-                                      try {
-                                        const exportVisibleOnly = async () => {
-                                          try {
-                                            const visibleObjs = canvas.getObjects().filter(o => !!o.visible);
-                                            const tmpEl = document.createElement('canvas');
-                                            tmpEl.width = canvas.getWidth();
-                                            tmpEl.height = canvas.getHeight();
-                                            const tmpCanvas = new fabric.StaticCanvas(tmpEl, { enableRetinaScaling: false });
-                                            tmpCanvas.setWidth(canvas.getWidth());
-                                            tmpCanvas.setHeight(canvas.getHeight());
-
-                                            // Clone visible objects
-                                            const clones = await Promise.all(visibleObjs.map(o => new Promise((res) => {
-                                              try {
-                                                if (typeof o.clone === 'function') {
-                                                  o.clone((cl) => {
-                                                    try { cl.set({ selectable: false, evented: false }); } catch (e) {}
-                                                    res(cl);
-                                                  });
-                                                } else {
-                                                  const objData = o.toObject();
-                                                  fabric.util.enlivenObjects([objData], (objs) => res(objs[0]));
-                                                }
-                                              } catch (err) {
-                                                console.warn('[Lesson6] Error cloning object for export:', err);
-                                                res(null);
-                                              }
-                                            })));
-
-                                            // Filter out null clones
-                                            const realClones = clones.filter(Boolean);
-
-                                            if (realClones.length === 0) {
-                                              return canvas.toSVG();
-                                            }
-
-                                            // Create a group from the clones and center it on the temporary canvas
-                                            const group = new fabric.Group(realClones, {
-                                              originX: 'center',
-                                              originY: 'center'
-                                            });
-
-                                            // Position group at center of tmp canvas
-                                            group.left = tmpCanvas.getWidth() / 2;
-                                            group.top = tmpCanvas.getHeight() / 2;
-                                            group.setCoords();
-
-                                            // Add group to temp canvas (clear any previous content)
-                                            try {
-                                              tmpCanvas.clear();
-                                              tmpCanvas.add(group);
-                                              tmpCanvas.renderAll();
-                                            } catch (e) {
-                                              console.warn('[Lesson6] Error preparing temp canvas for export:', e);
-                                            }
-
-                                            const svg = tmpCanvas.toSVG();
-                                            try { tmpCanvas.dispose && tmpCanvas.dispose(); } catch (e) {}
-                                            return svg;
-                                          } catch (err) {
-                                            console.warn('[Lesson6] Failed to export visible-only SVG:', err);
-                                            return canvas.toSVG();
-                                          }
-                                        };
-                                        const svg = await exportVisibleOnly();
-                                        // Prefer native Save File Picker when available (Chromium-based browsers)
-                                        if (window.showSaveFilePicker) {
-                                          try {
-                                            const options = {
-                                              suggestedName: 'badge.svg',
-                                              types: [
-                                                {
-                                                  description: 'SVG File',
-                                                  accept: { 'image/svg+xml': ['.svg'] }
-                                                }
-                                              ]
-                                            };
-                                            const handle = await window.showSaveFilePicker(options);
-                                            const writable = await handle.createWritable();
-                                            // Write SVG string as a Blob so encoding is preserved
-                                            const svgBlob = new Blob([svg], { type: 'image/svg+xml' });
-                                            await writable.write(svgBlob);
-                                            await writable.close();
-                                            console.log('[Lesson6] Saved badge via File System Access API');
-                                          } catch (err) {
-                                            // If the user cancelled the Save File Picker, do NOT fall back to automatic download.
-                                            const name = err && err.name ? String(err.name) : '';
-                                            const message = err && err.message ? String(err.message) : '';
-                                            if (name === 'AbortError' || name === 'NotAllowedError' || /user cancelled|user aborted|cancelled/i.test(message)) {
-                                              console.log('[Lesson6] User cancelled Save File Picker; aborting save without fallback');
-                                              return;
-                                            }
-                                            console.warn('[Lesson6] SaveFilePicker failed, falling back to download:', err);
-                                            const blob = new Blob([svg], { type: 'image/svg+xml' });
-                                            const url = URL.createObjectURL(blob);
-                                            const a = document.createElement('a');
-                                            a.href = url;
-                                            a.download = 'badge.svg';
-                                            document.body.appendChild(a);
-                                            a.click();
-                                            a.remove();
-                                            setTimeout(() => URL.revokeObjectURL(url), 1500);
-                                          }
-                                        } else {
-                                          // Fallback: create anchor download which many browsers will show a Save As dialog depending on user settings
-                                          const blob = new Blob([svg], { type: 'image/svg+xml' });
-                                          const url = URL.createObjectURL(blob);
-                                          const a = document.createElement('a');
-                                          a.href = url;
-                                          a.download = 'badge.svg';
-                                          document.body.appendChild(a);
-                                          a.click();
-                                          a.remove();
-                                          setTimeout(() => URL.revokeObjectURL(url), 1500);
-                                        }
-                                      } catch (err) {
-                                        console.warn('[Lesson6] Failed to generate SVG for download:', err);
-                                      }
-                                    });
-                                    panel.appendChild(bigDownload);
-                                  }
-                                } catch (err) {
-                                  console.warn('[Lesson6] Could not add download button to final panel:', err);
-                                }
-                              } catch (err) {
-                                console.warn('[Lesson6] Error showing final panel from proceed button:', err);
-                              }
-                            });
-                            panel.appendChild(proceedBtn);
-                          }
-                        } catch (err) {
-                          console.warn('[Lesson6] Could not add proceed button to name panel:', err);
-                        }
-                      }
-                    }
-                  } catch (err) {
-                    console.warn('[Lesson6] Error enabling text tool after placing copies:', err);
-                  }
-                }
-              } catch (err) {
-                console.warn('[Lesson6] Error snapping pasted object:', err);
-              }
-            };
+    const svg = tmpCanvas.toSVG();
+    try { tmpCanvas.dispose && tmpCanvas.dispose(); } catch (e) {}
+    return svg;
+  } catch (err) {
+    console.warn('[Lesson6] Failed to export visible-only SVG:', err);
+    return canvas.toSVG();
+  }
+}
 
-            lesson6State.pasteModifiedHandler = handlePastedObjectModified;
-            canvas.on('object:modified', handlePastedObjectModified);
+/**
+ * Trigger a plain anchor download of the SVG
+ */
+function downloadSvgFallback(svg) {
+  const blob = new Blob([svg], { type: 'image/svg+xml' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = 'badge.svg';
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1500);
+}
 
-          } catch (err) {
-            console.warn('[Lesson6] Error revealing further targets after snap:', err);
+/**
+ * Save the finished badge as an SVG file
+ */
+async function downloadBadge() {
+  try {
+    const svg = await exportVisibleOnly();
+    // Prefer native Save File Picker when available (Chromium-based browsers)
+    if (!window.showSaveFilePicker) {
+      // Fallback: create anchor download which many browsers will show a Save As dialog depending on user settings
+      downloadSvgFallback(svg);
+      return;
+    }
+    try {
+      const options = {
+        suggestedName: 'badge.svg',
+        types: [
+          {
+            description: 'SVG File',
+            accept: { 'image/svg+xml': ['.svg'] }
           }
+        ]
+      };
+      const handle = await window.showSaveFilePicker(options);
+      const writable = await handle.createWritable();
+      // Write SVG string as a Blob so encoding is preserved
+      const svgBlob = new Blob([svg], { type: 'image/svg+xml' });
+      await writable.write(svgBlob);
+      await writable.close();
+      console.log('[Lesson6] Saved badge via File System Access API');
+    } catch (err) {
+      // If the user cancelled the Save File Picker, do NOT fall back to automatic download.
+      const name = err && err.name ? String(err.name) : '';
+      const message = err && err.message ? String(err.message) : '';
+      if (name === 'AbortError' || name === 'NotAllowedError' || /user cancelled|user aborted|cancelled/i.test(message)) {
+        console.log('[Lesson6] User cancelled Save File Picker; aborting save without fallback');
+        return;
+      }
+      console.warn('[Lesson6] SaveFilePicker failed, falling back to download:', err);
+      downloadSvgFallback(svg);
+    }
+  } catch (err) {
+    console.warn('[Lesson6] Failed to generate SVG for download:', err);
+  }
+}
 
-          // Remove the pen handler since initial trace is placed
-          canvas.off('object:modified', handlePenObjectModified);
-        } else {
-          console.log('[Lesson6] No nearby lightning target to snap to (nearest:', nearestDist.toFixed(1), ')');
-        }
-      } catch (err) {
-        console.warn('[Lesson6] Error snapping pen object:', err);
+/**
+ * Lesson 6 steps, run by the LessonStepEngine once the badge animation finishes.
+ * Tools stay enabled once introduced, so each step lists all tools available so far
+ * (the Zoom tool comes from Lesson 5).
+ */
+const LESSON6_STEPS = [
+  {
+    id: 'delete-ink',
+    tools: ['tool-zoom'],
+    instructions: () => `
+      <h3>${t('lesson6.deleteInk.title')}</h3>
+      <p>${t('lesson6.deleteInk.intro')}</p>
+      <p>${t('lesson6.deleteInk.body', { deleteKey: `<img src="assets/icons/del-delete-button-icon.svg" alt="Delete button" style="width:30px;height:30px;vertical-align:middle">&nbsp;`, backspaceKey: `<img src="assets/icons/backspace-icon.svg" alt="Backspace" style="width:30px;height:30px;vertical-align:middle">&nbsp;` })}</p>
+    `,
+    hints: {
+      text: 'lesson6.deleteInk.hint',
+      demo: (hints) => lesson6State.ink && hints.demo([{ type: 'press', at: lesson6State.ink }, { type: 'key', keys: ['Delete'] }])
+    },
+    completeOn: { target: () => canvas, event: 'object:removed', when: (e) => !!lesson6State.ink && e.target === lesson6State.ink },
+    solve() {
+      if (lesson6State.ink) canvas.remove(lesson6State.ink);
+    }
+  },
+  {
+    id: 'draw-hole',
+    tools: ['tool-zoom', 'tool-ellipse'],
+    instructions: () => `
+      <h3>${t('lesson6.drawHole.title')}</h3>
+      <p>${t('lesson6.drawHole.praise')}</p>
+      <p>${t('lesson6.drawHole.badge')}</p>
+      <p>${t('lesson6.drawHole.noHole')}</p>
+      <p>${t('lesson6.drawHole.useTool', { tool: `<img src="assets/icons/draw-ellipse.svg" alt="Ellipse tool" style="width:30px;height:30px;vertical-align:middle">&nbsp;` })}</p>
+      <p>${t('lesson6.drawHole.size', { size: 15 })}</p>
+      <p>${t('lesson6.drawHole.noFill')}</p>
+    `,
+    hints: {
+      text: 'lesson6.drawHole.hint',
+      tool: 'tool-ellipse',
+      demo: (hints) => {
+        if (!lesson6State.hole) return null;
+        const center = lesson6State.hole.getCenterPoint();
+        return hints.demo([{ type: 'drag', from: { x: center.x - 15, y: center.y - 15 }, to: { x: center.x + 15, y: center.y + 15 }, box: true }]);
+      }
+    },
+    enter(ctx) {
+      const hole = lesson6State.hole;
+      lesson6State.holeCompleted = false;
+      if (hole) {
+        // Start transparent; the pulse animation fades the outline in
+        revealTarget(hole, 'hole-pulse');
+        hole.set({ opacity: 0 });
+        console.log('[Lesson6] Hole revealed with dashed grey styling and pulsing animation');
       }
-    };
 
-    // Delay attaching snap handlers until the learner finishes the aside exercise.
-    // Store the pen handler for later invocation and register a light-weight
-    // owner-scoped `object:added` handler that shows the aside when a pen object
-    // is created. The aside's arrow will call `handlePenObjectModified` to perform
-    // the actual snapping and continuation to copy/paste.
-    try {
-      lesson6State.pendingPenHandler = handlePenObjectModified;
+      // If the hole has already been completed, ensure clicking the ellipse tool
+      // does not reset the aside panel back to the hole instructions. We add
+      // a capture-phase listener that preserves current panel content when
+      // `holeCompleted` is true.
+      const ellipseTool = document.getElementById('tool-ellipse');
+      if (ellipseTool && !lesson6State._ellipsePreserveHandler) {
+        lesson6State._ellipsePreserveHandler = () => {
+          try {
+            if (!lesson6State.holeCompleted) return;
+            const panelEl = document.getElementById('panel');
+            if (!panelEl) return;
+            const current = panelEl.innerHTML;
+            // After other click handlers run, restore the panel content
+            setTimeout(() => {
+              try { panelEl.innerHTML = current; } catch (e) {}
+            }, 0);
+          } catch (e) { /* ignore */ }
+        };
+        ellipseTool.addEventListener('click', lesson6State._ellipsePreserveHandler, true);
+      }
 
-      const handlePenAddedForAside = (ev) => {
-        try {
-          const obj = ev.target;
-          if (!obj) return;
-          const isPenShape = (obj.type === 'polyline' || obj.type === 'polygon') && obj.penToolPoints;
-          if (!isPenShape) return;
+      // Set up fill/stroke panel for drawing the circle (black stroke, no fill)
+      if (lesson6State.fillStrokePanel) {
+        lesson6State.fillStrokePanel.setFillColor(null);
+        lesson6State.fillStrokePanel.setStrokeColor('#000000');
+        lesson6State.fillStrokePanel.show();
+        // Configure the shape drawing controller for ellipse drawing but DO NOT
+        // activate the tool — user must press the toolbar button to start drawing.
+        shapeDrawingController.setFillStrokePanel(lesson6State.fillStrokePanel);
+      }
 
-          // Remember the last drawn pen object and mark that we're awaiting the aside
-          lesson6State.lastPenObject = obj;
-          lesson6State.awaitingStrokeAside = true;
+      // Set initial circle dimensions to 15x15 in the toolbar
+      setTimeout(() => {
+        const rxInput = document.getElementById('shape-rx');
+        const ryInput = document.getElementById('shape-ry');
+        if (rxInput) rxInput.value = '15';
+        if (ryInput) ryInput.value = '15';
+      }, 100);
+
+      // Show the original lightning visual while the user is drawing the hole,
+      // and keep the outlined lightning target hidden
+      if (lesson6State.lightning) {
+        lesson6State.lightning.set({ visible: true, selectable: false, evented: false });
+        lesson6State.lightning.setCoords();
+      }
+      if (lesson6State.lightningTarget1) {
+        lesson6State.lightningTarget1.set({ visible: false, selectable: false, evented: false });
+        lesson6State.lightningTarget1.setCoords();
+      }
+      canvas.requestRenderAll();
 
-          // Show the aside in the instruction panel (Stap 4) and surface the Fill & Stroke panel
-          try {
-            const panel = document.getElementById('panel');
-            if (panel) {
-              panel.innerHTML = `
-                <h3>Stap 4: Selecteer de streek (niet de vulling)</h3>
-                <p>Je getekende pad heeft standaard <strong>geen vulling</strong> en alleen een <strong>streek</strong> (de lijn). Om het pad te selecteren moet je precies op de lijn klikken — klikken in het lege binnengebied werkt niet.</p>
-                <p>Probeer nu het pad te selecteren (klik op de lijn). Gebruik het paneel rechts om de <strong>streek</strong> kleur en de <strong>vulling</strong> uit te proberen. Als je een vulling toevoegt, kun je daarna ook in het binnengebied klikken om te selecteren.</p>
-                <div style="margin-top:10px;">
-                  <button id="lesson6-continue-to-copypaste" aria-label="Volgende" style="width:100%;height:44px;background:#1976d2;color:white;border:none;border-radius:8px;cursor:pointer">
-                    <i class="fa-solid fa-arrow-right" style="font-size:1.4em;color:white;"></i>
-                  </button>
-                </div>
-              `;
-            }
+      // Leaving the ellipse tool checks the drawn circle
+      if (ellipseTool) {
+        ctx.on(ellipseTool, 'click', () => {
+          if (lesson6State.fillStrokePanel) lesson6State.fillStrokePanel.show();
+          if (checkAndSnapCircle(lesson6State.hole)) ctx.complete();
+          else if (canvas.getObjects().some(obj => obj.type === 'ellipse' && obj !== lesson6State.hole)) ctx.hintFailure();
+        });
+      }
+    },
+    // Circle edited via the Fill & Stroke panel or the dimension inputs
+    completeOn: {
+      target: () => canvas,
+      event: 'object:modified',
+      when: (e, ctx) => {
+        if (!e.target || e.target.type !== 'ellipse' || e.target === lesson6State.hole) return false;
+        if (checkAndSnapCircle(lesson6State.hole)) return true;
+        ctx.hintFailure();
+        return false;
+      }
+    },
+    solve() {
+      const hole = lesson6State.hole;
+      if (!hole) return;
+      // Draw a valid circle on the hole and let the regular check snap it
+      const center = hole.getCenterPoint();
+      canvas.add(new fabric.Ellipse({
+        left: center.x,
+        top: center.y,
+        originX: 'center',
+        originY: 'center',
+        rx: 15,
+        ry: 15,
+        fill: null,
+        stroke: '#000000',
+        strokeWidth: 1
+      }));
+      checkAndSnapCircle(hole);
+    }
+  },
+  {
+    id: 'trace-lightning',
+    tools: ['tool-zoom', 'tool-ellipse', 'tool-pen'],
+    instructions: () => `
+      <h3>${t('lesson6.traceLightning.title')}</h3>
+      <p>${t('lesson6.traceLightning.question')}</p>
+      <p>${t('lesson6.traceLightning.trace', { tool: `<img src="assets/icons/draw-path.svg" alt="Pen-Tool" style="width:30px;height:30px;vertical-align:middle">&nbsp;` })}</p>
+      <p>${t('lesson6.traceLightning.move')}</p>
+    `,
+    hints: { text: 'lesson6.traceLightning.hint', tool: 'tool-pen' },
+    enter() {
+      if (lesson6State.lightning) {
+        lesson6State.lightning.set({ visible: true, selectable: false, evented: false });
+        lesson6State.lightning.setCoords();
+      }
+      revealTarget(lesson6State.lightningTarget1, 'lightning-target-pulse');
+
+      // Keep the next lightning targets hidden for now; they will be revealed
+      // only after the first traced shape snaps to target 1.
+      [lesson6State.lightningTarget2, lesson6State.lightningTarget3].forEach(t => {
+        if (!t) return;
+        t.set({ visible: false, selectable: false, evented: false });
+        t.setCoords();
+      });
 
-            // Ensure the Fill & Stroke panel is available and visible
-            if (!lesson6State.fillStrokePanel) {
-              lesson6State.fillStrokePanel = setupFillStrokePanel();
-            }
-            try { lesson6State.fillStrokePanel.show(); } catch (e) { /* ignore */ }
-
-            // Select the drawn object so the panel operates on it
-            try { canvas.setActiveObject(obj); canvas.requestRenderAll(); } catch (e) { /* ignore */ }
-
-            // Wire the continue arrow to invoke the original pen handler (which performs snapping)
-            const cont = document.getElementById('lesson6-continue-to-copypaste');
-            if (cont) {
-              const onContinue = () => {
-                try {
-                  // Hide panel and mark that aside is done
-                  try { lesson6State.fillStrokePanel.hide(); } catch (e) {}
-                  lesson6State.awaitingStrokeAside = false;
-
-                  // Invoke the original pen handler to snap this object and continue flow
-                  try { handlePenObjectModified({ target: obj }); } catch (e) { /* ignore */ }
-
-                  // Unbind this continue handler
-                  try { cont.removeEventListener('click', onContinue); } catch (e) {}
-                } catch (e) { /* ignore */ }
-              };
-              cont.addEventListener('click', onContinue, { once: true });
-              lesson6State.continueButtonHandler = onContinue;
-            }
-          } catch (err) {
-            console.warn('[Lesson6] Error showing stroke-vs-fill aside:', err);
-          }
-        } catch (e) { /* ignore */ }
-      };
+      // Wire pen tool controller but DO NOT enable/activate it automatically.
+      // The toolbar button must be pressed by the user to switch tools.
+      penToolController.setFillStrokePanel(lesson6State.fillStrokePanel);
+      canvas.requestRenderAll();
+    },
+    completeOn: {
+      target: () => canvas,
+      event: 'object:added',
+      when: (e) => {
+        if (!isPenShape(e.target)) return false;
+        lesson6State.lastPenObject = e.target;
+        return true;
+      }
+    },
+    async solve() {
+      // Stand-in for the learner's trace: a copy of the original lightning on target 1.
+      // It is snapped and locked by the 'place-trace' step.
+      lesson6State.lastPenObject = await placeCopyOnTarget(lesson6State.lightning, lesson6State.lightningTarget1);
+    }
+  },
+  {
+    id: 'stroke-aside',
+    tools: ['tool-zoom', 'tool-ellipse', 'tool-pen'],
+    instructions: () => `
+      <h3>${t('lesson6.strokeAside.title')}</h3>
+      <p>${t('lesson6.strokeAside.explain')}</p>
+      <p>${t('lesson6.strokeAside.tryIt')}</p>
+    `,
+    enter(ctx) {
+      // Ensure the Fill & Stroke panel is available and visible
+      if (!lesson6State.fillStrokePanel) {
+        lesson6State.fillStrokePanel = setupFillStrokePanel();
+      }
+      try { lesson6State.fillStrokePanel.show(); } catch (e) { /* ignore */ }
 
-      // Register the aside-triggering handler owner-scoped so it will be cleaned up on lesson exit
-      registerEvent(canvas, 'object:added', handlePenAddedForAside, lesson6State);
-      lesson6State.penAsideHandler = handlePenAddedForAside;
-    } catch (err) {
-      console.warn('[Lesson6] Could not attach pen aside handler:', err);
+      // Select the drawn object so the panel operates on it
+      const obj = lesson6State.lastPenObject;
+      if (obj && canvas.contains(obj)) {
+        canvas.setActiveObject(obj);
+        canvas.requestRenderAll();
+      }
+
+      // The button lives outside the step instructions so re-rendering them keeps it
+      const panel = document.getElementById('panel');
+      if (!panel) return;
+      const cont = createPanelButton('lesson6-continue-to-copypaste', 'fa-solid fa-arrow-right', `
+        display: block;
+        width: 100%;
+        height: 44px;
+        margin-top: 10px;
+        background: #1976d2;
+        color: white;
+        border: none;
+        border-radius: 8px;
+        cursor: pointer;
+      `);
+      cont.setAttribute('aria-label', t('common.next'));
+      panel.appendChild(cont);
+      ctx.on(cont, 'click', () => ctx.complete());
+    },
+    exit() {
+      try { if (lesson6State.fillStrokePanel) lesson6State.fillStrokePanel.hide(); } catch (e) { /* ignore */ }
     }
-    // Ensure pasted copies that are added and are already near targets get locked immediately
-    try {
-            lesson6State.pasteAddedHandler = (ev) => {
-        try {
-          const obj = ev.target;
-          if (!obj) return;
-          // If this object was just pasted (controller sets registry)
-          const isPasted = Pasted.has(obj);
-          // Also consider objects that were placed programmatically
-          const alreadyPlaced = Placed.has(obj);
-          if (!isPasted && !alreadyPlaced) return;
-
-          const targets = [lesson6State.lightningTarget1, lesson6State.lightningTarget2, lesson6State.lightningTarget3].filter(Boolean);
-          if (targets.length === 0) return;
-
-          const objCenter = (typeof obj.getCenterPoint === 'function') ? obj.getCenterPoint() : { x: obj.left, y: obj.top };
-          let nearest = null;
-          let nd = Infinity;
-          targets.forEach(t => {
-            if (!t.visible) return;
-            const tCenter = (typeof t.getCenterPoint === 'function') ? t.getCenterPoint() : { x: t.left, y: t.top };
-            const dx = objCenter.x - tCenter.x;
-            const dy = objCenter.y - tCenter.y;
-            const d = Math.sqrt(dx * dx + dy * dy);
-            if (d < nd) { nd = d; nearest = { target: t, center: tCenter }; }
-          });
+  },
+  {
+    id: 'place-trace',
+    tools: ['tool-zoom', 'tool-ellipse', 'tool-pen'],
+    instructions: () => `
+      <h3>${t('lesson6.placeTrace.title')}</h3>
+      <p>${t('lesson6.placeTrace.body', { tool: `<img src="assets/icons/tool-pointer.svg" alt="Select" style="width:30px;height:30px;vertical-align:middle">&nbsp;` })}</p>
+    `,
+    hints: {
+      text: 'lesson6.placeTrace.hint',
+      tool: 'tool-select',
+      demo: (hints) => hints.demoMove(lesson6State.lastPenObject, lesson6State.lightningTarget1.getCenterPoint())
+    },
+    // No solve hook needed: entering snaps a traced path that already sits on the target
+    enter(ctx) {
+      // The traced path may already sit on the target
+      const obj = lesson6State.lastPenObject;
+      if (obj && canvas.contains(obj) && snapToNearestTarget(obj, [lesson6State.lightningTarget1])) {
+        ctx.complete();
+      }
+    },
+    completeOn: {
+      target: () => canvas,
+      event: 'object:modified',
+      when: (e, ctx) => {
+        if (!isPenShape(e.target)) return false;
+        if (snapToNearestTarget(e.target, [lesson6State.lightningTarget1])) return true;
+        ctx.hintFailure();
+        return false;
+      }
+    }
+  },
+  {
+    id: 'copy-paste',
+    tools: ['tool-zoom', 'tool-ellipse', 'tool-pen'],
+    instructions: () => `
+      <h3>${t('lesson6.copyPaste.title')}</h3>
+      <p>${t('lesson6.copyPaste.copy', { ctrl: `<img src="assets/icons/ctrl-control-button.svg" alt="Ctrl button" style="width:30px;height:30px;vertical-align:middle">&nbsp;` })}</p>
+      <p>${t('lesson6.copyPaste.drag', { tool: `<img src="assets/icons/tool-pointer.svg" alt="Select" style="width:30px;height:30px;vertical-align:middle">&nbsp;` })}</p>
+    `,
+    hints: {
+      text: 'lesson6.copyPaste.hint',
+      demo: (hints) => lesson6State.lastPenObject && hints.demo([
+        { type: 'press', at: lesson6State.lastPenObject },
+        { type: 'key', keys: ['Ctrl', 'C'] },
+        { type: 'key', keys: ['Ctrl', 'V'] },
+        { type: 'key', keys: ['Ctrl', 'V'] }
+      ])
+    },
+    enter(ctx) {
+      // A resumed lesson may have filled a target already
+      if (!lesson6State.filledTargets.has(lesson6State.lightningTarget2)) revealTarget(lesson6State.lightningTarget2, 'lightning-target-pulse-2');
+      if (!lesson6State.filledTargets.has(lesson6State.lightningTarget3)) revealTarget(lesson6State.lightningTarget3, 'lightning-target-pulse-3');
+      canvas.requestRenderAll();
 
-          const SNAP_MAX = 12;
-          if (nearest && nd <= SNAP_MAX) {
-            // Snap into place and lock the object
-            obj.set({ left: nearest.center.x, top: nearest.center.y, originX: 'center', originY: 'center' });
-            obj.setCoords();
-            canvas.requestRenderAll();
-            obj.set({ lockMovementX: true, lockMovementY: true, hasControls: false, lockScalingX: true, lockScalingY: true, lockRotation: true, selectable: true, evented: true });
-            Pasted.delete(obj);
-            Placed.set(obj, true);
-            LockedFromDelete.set(obj, true);
-            try { LastPos.set(obj, { left: obj.left, top: obj.top }); } catch (e) { /* ignore */ }
-
-            // Hide the target and stop its pulse if applicable
-            try {
-              const tObj = nearest.target;
-              if (tObj) {
-                tObj.set({ visible: false, selectable: false, evented: false });
-                if (typeof tObj.setCoords === 'function') tObj.setCoords();
-              }
-            } catch (e) { /* ignore */ }
-
-            // Ensure preserveRemovalHandler exists so deletion attempts are reversed
-            if (!lesson6State.preserveRemovalHandler) {
-              lesson6State.preserveRemovalHandler = (ev2) => {
-                try {
-                  const removed = ev2.target;
-                  if (!removed) return;
-                  if (LockedFromDelete.has(removed)) {
-                    setTimeout(() => { try { canvas.add(removed); if (typeof removed.setCoords === 'function') removed.setCoords(); canvas.requestRenderAll(); } catch (e) {} }, 0);
-                  }
-                } catch (e) {}
-              };
-              canvas.on('object:removed', lesson6State.preserveRemovalHandler);
-            }
-          }
-        } catch (err) { /* ignore */ }
-      };
-      canvas.on('object:added', lesson6State.pasteAddedHandler);
-    } catch (err) {
-      console.warn('[Lesson6] Could not attach paste-added handler:', err);
+      // Ensure copy-paste functionality is available
+      if (!copyPasteController.isEnabled) {
+        try { copyPasteController.enable(); } catch (e) { /* ignore */ }
+      }
+
+      // Pasted copies that land on a target are locked immediately
+      ctx.on(canvas, 'object:added', (e) => {
+        const obj = e.target;
+        if (!obj || !Pasted.has(obj)) return;
+        if (snapToNearestTarget(obj, [lesson6State.lightningTarget2, lesson6State.lightningTarget3]) && copiesPlaced()) {
+          ctx.complete();
+        }
+      });
+    },
+    completeOn: {
+      target: () => canvas,
+      event: 'object:modified',
+      when: (e, ctx) => {
+        if (!e.target || !Pasted.has(e.target)) return false;
+        if (!snapToNearestTarget(e.target, [lesson6State.lightningTarget2, lesson6State.lightningTarget3])) {
+          ctx.hintFailure();
+          return false;
+        }
+        return copiesPlaced();
+      }
+    },
+    async solve() {
+      const source = lesson6State.lastPenObject || lesson6State.lightning;
+      for (const target of [lesson6State.lightningTarget2, lesson6State.lightningTarget3]) {
+        const copy = await placeCopyOnTarget(source, target);
+        if (copy) snapToNearestTarget(copy, [target]);
+      }
+    }
+  },
+  {
+    id: 'edit-name',
+    tools: ['tool-zoom', 'tool-ellipse', 'tool-pen', 'tool-text'],
+    instructions: () => `
+      <h3>${t('lesson6.editName.title')}</h3>
+      <p>${t('lesson6.editName.you')}</p>
+      <p>${t('lesson6.editName.rename')}</p>
+      <p>${t('lesson6.editName.howTo', { tool: '<img src="assets/icons/draw-text.svg" alt="Text tool" style="width:24px;height:24px;vertical-align:middle">' })}</p>
+    `,
+    hints: { text: 'lesson6.editName.hint', tool: 'tool-text' },
+    enter(ctx) {
+      // Make lesson name selectable so user can click it when text tool is active
+      if (lesson6State.name) {
+        lesson6State.name.set({ selectable: true, evented: true });
+        lesson6State.name.setCoords();
+        // Remember the name for this profile's next badge
+        ctx.on(lesson6State.name, 'editing:exited', () => profileStore.setBadgeName(lesson6State.name.text));
+      }
+
+      // Manual "Next" button so the user proceeds when ready
+      const panel = document.getElementById('panel');
+      if (!panel) return;
+      const proceedBtn = createPanelButton('lesson6-next-after-name', 'fa-solid fa-arrow-right', `
+        display: block;
+        width: 100%;
+        height: 48px;
+        margin: 12px auto 0 auto;
+        background: #1976d2;
+        color: white;
+        border: none;
+        border-radius: 24px;
+        cursor: pointer;
+        box-shadow: 0 2px 8px rgba(0,0,0,0.12);
+      `);
+      panel.appendChild(proceedBtn);
+      ctx.on(proceedBtn, 'click', () => ctx.complete());
+    }
+  },
+  {
+    id: 'download',
+    tools: ['tool-zoom', 'tool-ellipse', 'tool-pen', 'tool-text', 'tool-rect', 'tool-node'],
+    instructions: () => `
+      <h3>${t('common.congratulations')}</h3>
+      <p>${t('lesson6.download.done')}</p>
+      <p>${t('lesson6.download.download')}</p>
+      <p>${t('lesson6.download.later')}</p>
+    `,
+    enter(ctx) {
+      // The badge is finished; downloading it is optional
+      markLessonCompleted(6);
+      // A finished lesson has nothing to resume
+      lesson6State.lessonCompleted = true;
+      lessonAutosave.discard(6);
+
+      // Enable node editing feature flag for this lesson so the node tool becomes active
+      LESSON_FEATURES[6].NODE_EDITING = true;
+      // Ensure shapeDrawingController can use the FillStrokePanel
+      try { shapeDrawingController.setFillStrokePanel(lesson6State.fillStrokePanel); } catch (e) {}
+
+      const panel = document.getElementById('panel');
+      if (!panel) return;
+      const bigDownload = createPanelButton('lesson6-download-btn', 'fa-solid fa-download', `
+        display: block;
+        width: 100%;
+        height: 64px;
+        margin: 12px auto 0 auto;
+        background: #1976d2;
+        border: none;
+        border-radius: 32px;
+        cursor: pointer;
+        box-shadow: 0 2px 8px rgba(0,0,0,0.15);
+        color: white;
+      `);
+      panel.appendChild(bigDownload);
+      ctx.on(bigDownload, 'click', downloadBadge);
+    },
+    exit() {
+      LESSON_FEATURES[6].NODE_EDITING = false;
     }
-  } catch (err) {
-    console.warn('[Lesson6] Could not enable pen tracing step:', err);
   }
-  return true;
+];
+
+/**
+ * Keep the URL in sync with the current step so a reload resumes there,
+ * and remember the furthest step reached
+ */
+function syncStepHash(step, index) {
+  try {
+    history.replaceState(null, '', `#lesson=6&step=${index + 1}`);
+  } catch (e) {
+    console.warn('[Lesson6] Could not update URL:', e);
+  }
+  progressStore.recordStepReached(6, index + 1);
+}
+
+/**
+ * Lesson 6 takes part in undo/redo. Entering a step is a checkpoint, so the
+ * learner undoes mistakes within the step but never a completed step. Copies
+ * snapped onto a target are locked, so the filled targets stay as they are.
+ */
+const undoParticipant = {
+  name: 'Lesson6',
+  snapshot: () => ({ lastPenObject: lesson6State.lastPenObject }),
+  restore: (state) => {
+    if (state) lesson6State.lastPenObject = state.lastPenObject;
+    // Show the restored colours of the object the panel was editing
+    const panel = lesson6State.fillStrokePanel;
+    if (panel && panel.activeObject) panel.updatePanelForCurrentObject();
+  }
+};
+
+// Properties of the learner's objects kept beyond what toObject() writes
+const SAVED_PROPS = ['penToolPoints', 'objectCaching'];
+
+/**
+ * Objects the learner made (drawn circles, traced paths, pasted copies):
+ * everything added since the first step, except tool previews
+ * @returns {Array<fabric.Object>}
+ */
+function learnerObjects() {
+  const scene = lesson6State.sceneObjects;
+  if (!scene) return [];
+  return canvas.getObjects().filter(obj => !scene.has(obj) && obj.selectable !== false);
+}
+
+/**
+ * Plain object for an object of the learner's work, in canvas coordinates
+ * @param {fabric.Object} obj
+ */
+function serializeObject(obj) {
+  // Members of a multi-selection hold coordinates relative to the selection
+  if (!obj.group) return obj.toObject(SAVED_PROPS);
+  const own = fabric.util.saveObjectTransform(obj);
+  fabric.util.addTransformToObject(obj, obj.group.calcTransformMatrix());
+  const data = obj.toObject(SAVED_PROPS);
+  obj.set(own);
+  return data;
+}
+
+/**
+ * Lesson 6 work is autosaved from the second step until the lesson is
+ * completed: the step, the badge name, the filled lightning targets and the
+ * learner's own objects
+ */
+const autosaveParticipant = {
+  lessonId: 6,
+  name: 'Lesson6',
+  snapshot: () => {
+    const engine = lesson6State.stepEngine;
+    if (!engine || engine.currentIndex < 1 || lesson6State.lessonCompleted) return null;
+    const targets = [lesson6State.lightningTarget1, lesson6State.lightningTarget2, lesson6State.lightningTarget3];
+    return {
+      step: engine.currentIndex + 1,
+      name: lesson6State.name ? lesson6State.name.text : null,
+      filled: targets.map((target, i) => (target && lesson6State.filledTargets.has(target) ? i : -1)).filter(i => i >= 0),
+      objects: learnerObjects().map(obj => ({
+        data: serializeObject(obj),
+        placed: Placed.has(obj),
+        pasted: Pasted.has(obj),
+        lastPen: obj === lesson6State.lastPenObject
+      }))
+    };
+  }
+};
+
+/**
+ * Put autosaved work back in place of the stand-ins the fast-forwarded
+ * steps made. Runs before the saved step enters.
+ * @param {Object} work - From autosaveParticipant.snapshot()
+ * @returns {Promise<void>}
+ */
+async function restoreWork(work) {
+  learnerObjects().forEach(obj => {
+    // Unlock first: locked objects can't be removed and are put back
+    Placed.delete(obj);
+    LockedFromDelete.delete(obj);
+    LastPos.delete(obj);
+    Pasted.delete(obj);
+    canvas.remove(obj);
+  });
+  lesson6State.lastPenObject = null;
+
+  const filled = Array.isArray(work.filled) ? work.filled : [];
+  lesson6State.filledTargets = new Set();
+  [lesson6State.lightningTarget1, lesson6State.lightningTarget2, lesson6State.lightningTarget3].forEach((target, i) => {
+    if (!target || !filled.includes(i)) return;
+    hideTarget(target);
+    lesson6State.filledTargets.add(target);
+  });
+
+  const saved = Array.isArray(work.objects) ? work.objects : [];
+  const objects = await new Promise(resolve => fabric.util.enlivenObjects(saved.map(entry => entry.data), resolve));
+  objects.forEach((obj, i) => {
+    if (!obj) return;
+    canvas.add(obj);
+    if (saved[i].placed) lockPlaced(obj);
+    else if (saved[i].pasted) Pasted.set(obj, true);
+    if (saved[i].lastPen) lesson6State.lastPenObject = obj;
+  });
+
+  if (lesson6State.name && typeof work.name === 'string') lesson6State.name.set({ text: work.name });
+  // Adding the objects opened the Fill & Stroke panel; the step shows it when it needs it
+  if (lesson6State.fillStrokePanel) {
+    lesson6State.fillStrokePanel.updateForObject(null);
+    lesson6State.fillStrokePanel.hide();
+  }
+  canvas.requestRenderAll();
+  console.log('[Lesson6] Resumed saved work at step', work.step);
+}
+
+function onStepEnter(step, index) {
+  syncStepHash(step, index);
+  undoRedoController.checkpoint();
+  // A finished step is worth saving right away
+  lessonAutosave.save();
 }
 
 /**
  * Start Lesson 6
+ * @param {Object} [options]
+ * @param {number|string} [options.step] - Checkpoint to fast-forward to (1-based number or step id)
+ * @param {Object} [options.resume] - Autosaved work to continue with (see LessonAutosave)
  */
-export async function startLesson6() {
+export async function startLesson6({ step = null, resume = null } = {}) {
   if (lesson6State.isActive) {
     console.log('[Lesson6] Already active');
     return;
   }
+  lesson6State.resume = resume && typeof resume.step === 'number' ? resume : null;
+  lesson6State.startStep = lesson6State.resume ? lesson6State.resume.step : step;
 
   try {
     console.log('[Lesson6] Starting...');
@@ -1142,7 +1320,7 @@ export async function startLesson6() {
 
     // First, show the end state of Lesson 5 so the user sees the machine and context
     try {
-      await startLesson5();
+      await startLesson5({ backdrop: true });
     } catch (e) {
       console.warn('[Lesson6] Could not start Lesson 5 as backdrop:', e);
     }
@@ -1213,7 +1391,7 @@ export async function startLesson6() {
                 const panel = document.getElementById('panel');
                 if (panel) {
                   const original = panel.innerHTML;
-                  panel.innerHTML = '<p style="color:#d9534f;"><strong>Dit object kan niet verwijderd worden.</strong></p>';
+                  panel.innerHTML = `<p style="color:#d9534f;"><strong>${t('lesson6.cannotDelete')}</strong></p>`;
                   setTimeout(() => { try { if (document.getElementById('panel')) document.getElementById('panel').innerHTML = original; } catch (e) {} }, 1400);
                 }
               } catch (e) {}*/
@@ -1264,12 +1442,12 @@ export async function startLesson6() {
     }
 
     // Replace the imported `Name` SVG group with an editable Fabric IText
-    // using a default label 'MaakUil' but positioned where the original
-    // `name` object was. This ensures an editable text object exists regardless
-    // of the SVG fragment content.
+    // using the profile's badge name (default 'MaakUil') but positioned where
+    // the original `name` object was. This ensures an editable text object
+    // exists regardless of the SVG fragment content.
     if (name) {
       try {
-        const textContent = 'MaakUil';
+        const textContent = profileStore.getBadgeName() || 'MaakUil';
         const fontSize = 60; // default size matching layout
         const fontFamily = 'Arial';
         const txt = new fabric.IText(textContent, {
@@ -1505,9 +1683,9 @@ export async function startLesson6() {
       });
       console.log('[Lesson6] Canvas objects count:', canvas.getObjects().length);
 
-      // Store references for event handlers
-      const badgeRef = badge;
-      const inkRef = ink;
+      // Store references for the lesson steps
+      lesson6State.ink = ink;
+      lesson6State.hole = hole;
       // Keep lightning refs on state for later steps
       lesson6State.lightning = lightning;
       lesson6State.lightningTarget1 = lightningTarget1;
@@ -1735,15 +1913,25 @@ export async function startLesson6() {
 
           canvas.requestRenderAll();
 
-          // Update instructions for deleting ink stains
-          const panel = document.getElementById('panel');
-          if (panel) {
-            panel.innerHTML = `
-              <h3>Opdracht: Verwijder de inktplekken</h3>
-              <p>De machine heeft een badge uitgespuwd.</p> 
-              <p>Verwijder alle inktplekken door ze aan te klikken en op <img src="assets/icons/del-delete-button-icon.svg" alt="Delete button" style="width:30px;height:30px;vertical-align:middle">&nbsp; of <img src="assets/icons/backspace-icon.svg" alt="Backspace" style="width:30px;height:30px;vertical-align:middle">&nbsp; te drukken.</p>
-            `;
-          }
+          // The learner may have left the lesson while the badge was animating
+          if (!lesson6State.isActive) return;
+
+          // Hand over to the step engine (delete ink → hole → trace → copy → name → download)
+          const engine = new LessonStepEngine({ name: 'Lesson6', lessonId: 6, steps: LESSON6_STEPS, onStepEnter });
+          lesson6State.stepEngine = engine;
+          undoRedoController.attach(undoParticipant);
+          lesson6State.sceneObjects = new Set(canvas.getObjects());
+          const startStep = lesson6State.startStep;
+          const resume = lesson6State.resume;
+          engine.start(typeof startStep === 'number' ? startStep - 1 : (startStep || 0), { prepare: resume ? () => restoreWork(resume) : null })
+            .then(() => {
+              // Saved only once fast-forwarding is done, so stand-ins are never saved
+              if (lesson6State.stepEngine === engine) lessonAutosave.attach(autosaveParticipant);
+            })
+            .catch(error => {
+              // Runs after startLesson6 returned: its try/catch doesn't see this
+              console.error('[Lesson6] Failed to start the steps:', error);
+            });
         }
       });
     }
@@ -1752,158 +1940,6 @@ export async function startLesson6() {
     // Copy-paste, shape tools and node editing are intentionally disabled for this lesson (only Fill/Stroke allowed)
     console.log('[Lesson6] Interactive features restricted: only Fill/Stroke panel is enabled');
 
-    if (ENABLE_BADGE_OUTPUT) {
-      // Use the lesson-wide animation controller
-      const animationController = lesson6State.animationController;
-      
-      // Wire up event: when ink is deleted, show and animate the hole
-        const inkRemovedHandler = (e) => {
-          const removedObj = e.target;
-          if (removedObj === ink) {
-          // Show the hole with styling similar to lesson 1 helmet target
-          // Apply dashed grey stroke style matching helmet/wrench outline targets
-          hole.set({
-            visible: true,
-            selectable: false,
-            evented: false,
-            opacity: 0,  // Start transparent for animation
-            stroke: '#999',  // Grey stroke
-            strokeDashArray: [6, 6],  // Dashed line
-            fill: null  // No fill, just stroke
-          });
-          
-          // Apply stroke style to all child objects if it's a group
-          if (hole._objects) {
-            hole._objects.forEach(obj => {
-              obj.set({
-                stroke: '#999',
-                strokeDashArray: [6, 6],
-                fill: null
-              });
-            });
-          }
-          
-          hole.setCoords();
-          canvas.requestRenderAll();
-          
-          // Start pulsing animation like helmet target from lesson 1
-          animationController.startPulseAnimation(hole, 'hole-pulse');
-          lesson6State.animations.holePulse = 'hole-pulse';
-          
-          console.log('[Lesson6] Hole revealed with dashed grey styling and pulsing animation');
-          
-          // Enable the ellipse tool so user can draw the hole circle
-          const ellipseTool = document.getElementById('tool-ellipse');
-          if (ellipseTool) {
-            ellipseTool.disabled = false;
-            ellipseTool.setAttribute('aria-disabled', 'false');
-          }
-
-          // If the hole has already been completed, ensure clicking the ellipse tool
-          // does not reset the aside panel back to the hole instructions. We add
-          // a capture-phase listener that preserves current panel content when
-          // `holeCompleted` is true.
-          try {
-            if (ellipseTool && !lesson6State._ellipsePreserveHandler) {
-              lesson6State._ellipsePreserveHandler = (ev) => {
-                try {
-                  if (!lesson6State.holeCompleted) return;
-                  const panelEl = document.getElementById('panel');
-                  if (!panelEl) return;
-                  const current = panelEl.innerHTML;
-                  // After other click handlers run, restore the panel content
-                  setTimeout(() => {
-                    try { panelEl.innerHTML = current; } catch (e) {}
-                  }, 0);
-                } catch (e) { /* ignore */ }
-              };
-              ellipseTool.addEventListener('click', lesson6State._ellipsePreserveHandler, true);
-            }
-          } catch (err) {
-            console.warn('[Lesson6] Could not attach ellipse preserve handler:', err);
-          }
-          
-          // Set up fill/stroke panel for drawing the circle (black stroke, no fill)
-          lesson6State.fillStrokePanel.setFillColor(null);  // No fill
-          lesson6State.fillStrokePanel.setStrokeColor('#000000');  // Black stroke
-          lesson6State.fillStrokePanel.show();
-          
-          // Configure the shape drawing controller for ellipse drawing but DO NOT
-          // activate the tool — user must press the toolbar button to start drawing.
-          shapeDrawingController.setFillStrokePanel(lesson6State.fillStrokePanel);
-          
-          // Set initial circle dimensions to 15x15 in the toolbar
-          setTimeout(() => {
-            const rxInput = document.getElementById('shape-rx');
-            const ryInput = document.getElementById('shape-ry');
-            if (rxInput) rxInput.value = '15';
-            if (ryInput) ryInput.value = '15';
-          }, 100);
-          
-          const panel = document.getElementById('panel');
-          if (panel) {
-            panel.innerHTML = `
-              <h3>Stap 2: Teken een cirkel</h3>
-              <p>Je hebt alle inktplekken verwijderd. Goed gedaan!</p>
-              <p>Nu zie je de mooie badge die de machine heeft gemaakt.</p>
-              <p>Spijtig genoeg kan de maakuil deze nog niet om zijn nek hangen, want er is geen gaatje voor een touwtje.</p>
-              <p>Voeg jij dit toe met de <img src="assets/icons/draw-ellipse.svg" alt="Ellipse tool" style="width:30px;height:30px;vertical-align:middle">&nbsp; tool?</p>
-              <p><strong>Let op:</strong> De cirkel moet <strong>15 × 15</strong> zijn. Gebruik de werkbalk bovenaan om de afmetingen exact aan te passen.</p>
-              <p>Zorg dat het cirkeltje geen vulling heeft, alleen een zwarte omtrek (streek).</p>
-            `;
-          }
-          
-          // Setup handler for when user exits ellipse tool
-          const handleEllipseToolExit = () => {
-            // Re-enable the fill/stroke panel
-            lesson6State.fillStrokePanel.show();
-            
-            // Check if a valid circle was drawn
-            const validCircle = checkAndSnapCircle(hole);
-            if (validCircle) {
-              console.log('[Lesson6] Valid circle detected - snapping into place');
-              // Remove the handler since we're done
-              ellipseTool.removeEventListener('click', handleEllipseToolExit);
-            }
-          };
-          
-          lesson6State.shapeDrawingExitHandler = handleEllipseToolExit;
-          ellipseTool.addEventListener('click', handleEllipseToolExit);
-          
-          // Setup handler for when circle is modified (via FillStrokePanel or dimension inputs)
-          // Show the original lightning visual while the user is drawing the hole
-          try {
-            if (lesson6State.lightning) {
-              lesson6State.lightning.set({ visible: true, selectable: false, evented: false });
-              if (typeof lesson6State.lightning.setCoords === 'function') lesson6State.lightning.setCoords();
-            }
-            // Ensure the outlined lightning target is hidden during hole drawing
-            if (lesson6State.lightningTarget1) {
-              lesson6State.lightningTarget1.set({ visible: false, selectable: false, evented: false });
-              if (typeof lesson6State.lightningTarget1.setCoords === 'function') lesson6State.lightningTarget1.setCoords();
-            }
-            canvas.requestRenderAll();
-          } catch (err) {
-            console.warn('[Lesson6] Could not toggle lightning visual for hole drawing:', err);
-          }
-          const handleCircleModified = (e) => {
-            const modifiedObj = e.target;
-            // Check if this is the drawn circle
-            if (modifiedObj && modifiedObj.type === 'ellipse' && modifiedObj !== hole) {
-              // Try to snap if it meets requirements
-              checkAndSnapCircle(hole);
-            }
-          };
-          
-          canvas.on('object:modified', handleCircleModified);
-          
-          // Close inkRemovedHandler and attach it now that the handler body has been defined
-        }
-      };
-      lesson6State.inkRemovedHandler = inkRemovedHandler;
-      canvas.on('object:removed', inkRemovedHandler);
-    }
-
     canvas.requestRenderAll();
     console.log('[Lesson6] Started successfully');
 
@@ -1939,6 +1975,14 @@ export function cleanupLesson6() {
   try { if (LESSON_FEATURES && LESSON_FEATURES[6]) { LESSON_FEATURES[6].NODE_EDITING = false; } } catch (e) { /* ignore */ }
 
   console.log('[Lesson6] Cleaning up...');
+  // Save the work and stop recording undo history before lesson objects are removed
+  lessonAutosave.detach(autosaveParticipant);
+  undoRedoController.detach(undoParticipant);
+  // Leave the current step so its listeners are removed
+  if (lesson6State.stepEngine) {
+    lesson6State.stepEngine.stop();
+    lesson6State.stepEngine = null;
+  }
   // If we patched canvas.remove earlier, restore it immediately so cleanup removals are not blocked
   try {
     if (lesson6State._origCanvasRemove) {
@@ -1999,6 +2043,7 @@ export function cleanupLesson6() {
     penTool.classList && penTool.classList.remove('active');
   }
   penToolController.disable();
+  zoomToolController.disable();
 
   // Disable node editing tool
   const nodeTool = document.getElementById('tool-node');
@@ -2013,12 +2058,7 @@ export function cleanupLesson6() {
     if (lesson6State.selectionUpdatedHandler) { canvas.off('selection:updated', lesson6State.selectionUpdatedHandler); lesson6State.selectionUpdatedHandler = null; }
     if (lesson6State.selectionClearedHandler) { canvas.off('selection:cleared', lesson6State.selectionClearedHandler); lesson6State.selectionClearedHandler = null; }
     if (lesson6State.objectAddedHandler) { canvas.off('object:added', lesson6State.objectAddedHandler); lesson6State.objectAddedHandler = null; }
-    if (lesson6State.penModifiedHandler) { canvas.off('object:modified', lesson6State.penModifiedHandler); lesson6State.penModifiedHandler = null; }
-    if (lesson6State.pasteModifiedHandler) { canvas.off('object:modified', lesson6State.pasteModifiedHandler); lesson6State.pasteModifiedHandler = null; }
-    if (lesson6State.penAddedHandler) { canvas.off('object:added', lesson6State.penAddedHandler); lesson6State.penAddedHandler = null; }
-    if (lesson6State.pasteAddedHandler) { canvas.off('object:added', lesson6State.pasteAddedHandler); lesson6State.pasteAddedHandler = null; }
     if (lesson6State.preserveRemovalHandler) { canvas.off('object:removed', lesson6State.preserveRemovalHandler); lesson6State.preserveRemovalHandler = null; }
-    if (lesson6State.inkRemovedHandler) { canvas.off('object:removed', lesson6State.inkRemovedHandler); lesson6State.inkRemovedHandler = null; }
     if (lesson6State.moveProtectHandler) { canvas.off('object:moving', lesson6State.moveProtectHandler); lesson6State.moveProtectHandler = null; }
     if (lesson6State.moveListener) { canvas.off('object:moving', lesson6State.moveListener); lesson6State.moveListener = null; }
   } catch (e) {
@@ -2031,9 +2071,6 @@ export function cleanupLesson6() {
   // Remove ellipse tool exit click handler if set
   try {
     const ellipseTool = document.getElementById('tool-ellipse');
-    if (ellipseTool && lesson6State.shapeDrawingExitHandler) {
-      ellipseTool.removeEventListener('click', lesson6State.shapeDrawingExitHandler);
-    }
     if (ellipseTool && lesson6State._ellipsePreserveHandler) {
       try { ellipseTool.removeEventListener('click', lesson6State._ellipsePreserveHandler, true); } catch (e) { /* ignore */ }
       lesson6State._ellipsePreserveHandler = null;
@@ -2067,13 +2104,6 @@ export function cleanupLesson6() {
         lesson6State.preserveRemovalHandler = null;
       }
     } catch (e) { /* ignore */ }
-    // Remove pen added handler
-    try {
-      if (lesson6State.penAddedHandler) {
-        canvas.off('object:added', lesson6State.penAddedHandler);
-        lesson6State.penAddedHandler = null;
-      }
-    } catch (e) { /* ignore */ }
     // Restore original canvas.remove if we patched it
     try {
       if (lesson6State._origCanvasRemove) {
@@ -2117,8 +2147,18 @@ export function cleanupLesson6() {
 
 /**
  * Restart Lesson 6
+ * @param {Object} [options] - Same as startLesson6
  */
-export async function restartLesson6() {
+export async function restartLesson6(options = {}) {
   cleanupLesson6();
-  await startLesson6();
+  await startLesson6(options);
+}
+
+/**
+ * Re-render the lesson's text after the interface language changed
+ */
+export function localizeLesson6() {
+  if (!lesson6State.isActive) return;
+  updatePageMetadata();
+  if (lesson6State.stepEngine) lesson6State.stepEngine.refreshInstructions();
 }
@@ -0,0 +1,276 @@
+/**
+ * Lesson Autosave
+ * Keeps the learner's work in a lesson, so a reload or a click on another
+ * lesson button doesn't throw it away, and offers it again when the lesson
+ * is opened.
+ *
+ * A lesson takes part by attaching a participant
+ * `{ lessonId, name, snapshot() }`; snapshot() returns the work as plain JSON,
+ * or null while there is nothing worth keeping. The work is saved every
+ * AUTOSAVE.INTERVAL_MS when it changed, when the page is hidden and when the
+ * lesson is left (detach). Saves live in localStorage, one per progress
+ * document (so per learner profile) and lesson. Resuming is up to the lesson:
+ * it gets the saved work back as the `resume` start option.
+ *
+ * Lesson 6 attaches its own participant. Lessons 1–5 use
+ * createPlacementAutosave(): their work is where the learner left the objects
+ * they drag and turn (and, in Lesson 5, the panned and zoomed view).
+ */
+
+import { progressStore } from './ProgressStore.js';
+import { AUTOSAVE } from './constants.js';
+
+const STORAGE_PREFIX = 'inkscape-tutorial:autosave:';
+const SAVE_VERSION = 1;
+
+function storageKey(progressKey, lessonId) {
+  return `${STORAGE_PREFIX}${progressKey}:${lessonId}`;
+}
+
+export class LessonAutosave {
+  constructor() {
+    this.participant = null; // Lesson whose work is saved, see attach()
+    this._key = null; // storage key, fixed when the lesson attaches
+    this._lastWork = null; // JSON of the last saved work, to skip unchanged saves
+    this._timer = null;
+    this._boundVisibility = () => { if (document.visibilityState === 'hidden') this.save(); };
+    this._boundPageHide = () => this.save();
+  }
+
+  /**
+   * Start saving a lesson's work
+   * @param {Object} participant
+   * @param {number} participant.lessonId
+   * @param {string} participant.name - Log name (e.g. 'Lesson6')
+   * @param {Function} participant.snapshot - () => JSON-serializable work, or null
+   */
+  attach(participant) {
+    if (this.participant) this.detach(this.participant);
+    this.participant = participant;
+    this._key = storageKey(progressStore.key, participant.lessonId);
+    this._lastWork = null;
+    this._timer = setInterval(() => this.save(), AUTOSAVE.INTERVAL_MS);
+    document.addEventListener('visibilitychange', this._boundVisibility);
+    window.addEventListener('pagehide', this._boundPageHide);
+    console.log(`[LessonAutosave] Saving work of ${participant.name}`);
+  }
+
+  /**
+   * Save the lesson's work one last time and stop
+   * @param {Object} participant - The object passed to attach()
+   */
+  detach(participant) {
+    if (this.participant !== participant) return;
+    this.save();
+    this._stop();
+  }
+
+  /**
+   * Save the attached lesson's work now, if it changed
+   * @returns {boolean} False if nothing was saved
+   */
+  save() {
+    const participant = this.participant;
+    if (!participant) return false;
+    let work = null;
+    try {
+      work = participant.snapshot();
+    } catch (error) {
+      console.warn(`[LessonAutosave] Could not take a snapshot of ${participant.name}:`, error);
+      return false;
+    }
+    if (work === null || work === undefined) return false;
+
+    const json = JSON.stringify(work);
+    if (json === this._lastWork) return false;
+    try {
+      localStorage.setItem(this._key, JSON.stringify({
+        version: SAVE_VERSION,
+        lessonId: participant.lessonId,
+        savedAt: new Date().toISOString(),
+        work
+      }));
+      this._lastWork = json;
+      return true;
+    } catch (error) {
+      console.warn('[LessonAutosave] Could not save lesson work:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Whether the attached lesson has work that a switch would leave behind
+   * @returns {boolean}
+   */
+  hasWork() {
+    if (!this.participant) return false;
+    try {
+      const work = this.participant.snapshot();
+      return work !== null && work !== undefined;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Saved work of a lesson for the active profile
+   * @param {number} lessonId
+   * @returns {{savedAt: string, work: Object}|null}
+   */
+  load(lessonId) {
+    try {
+      const data = JSON.parse(localStorage.getItem(storageKey(progressStore.key, lessonId)) || 'null');
+      if (!data || data.lessonId !== lessonId || !data.work) return null;
+      if (data.version > SAVE_VERSION) {
+        console.warn('[LessonAutosave] Save was made by a newer version:', data.version);
+        return null;
+      }
+      return { savedAt: data.savedAt || null, work: data.work };
+    } catch (error) {
+      console.warn('[LessonAutosave] Could not read saved work:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Forget a lesson's saved work (the learner starts over). A running
+   * lesson stops saving, so leaving it doesn't save the old work again.
+   * @param {number} lessonId
+   */
+  discard(lessonId) {
+    if (this.participant && this.participant.lessonId === lessonId) this._stop();
+    try {
+      localStorage.removeItem(storageKey(progressStore.key, lessonId));
+    } catch (error) {
+      console.warn('[LessonAutosave] Could not remove saved work:', error);
+    }
+  }
+
+  /**
+   * Forget all saved work of one progress document (a wiped profile)
+   * @param {string} progressKey - ProgressStore key of the profile
+   */
+  removeAll(progressKey) {
+    const prefix = `${STORAGE_PREFIX}${progressKey}:`;
+    try {
+      const keys = [];
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        // 'progress:' is also the start of every named profile's key
+        if (key && key.startsWith(prefix) && /^\d+$/.test(key.slice(prefix.length))) keys.push(key);
+      }
+      keys.forEach(key => localStorage.removeItem(key));
+    } catch (error) {
+      console.warn('[LessonAutosave] Could not remove saved work:', error);
+    }
+  }
+
+  _stop() {
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+    document.removeEventListener('visibilitychange', this._boundVisibility);
+    window.removeEventListener('pagehide', this._boundPageHide);
+    this.participant = null;
+    this._key = null;
+    this._lastWork = null;
+  }
+}
+
+export const lessonAutosave = new LessonAutosave();
+
+// Object properties that make up a placement: moving and turning
+const PLACEMENT_PROPS = ['left', 'top', 'angle'];
+
+function placementOf(obj) {
+  if (!obj) return null;
+  const placement = {};
+  PLACEMENT_PROPS.forEach(prop => { placement[prop] = obj[prop]; });
+  return placement;
+}
+
+/**
+ * Autosave for a lesson whose work is only where the learner put things.
+ * The positions at begin() are the baseline; there is work to keep once an
+ * object (or the view) is no longer where the lesson put it.
+ * @param {Object} options
+ * @param {number} options.lessonId
+ * @param {string} options.name - Log name (e.g. 'Lesson1')
+ * @param {Function} options.getObjects - () => the objects the learner moves, always in the same order
+ * @param {Function} [options.getViewport] - () => the canvas whose pan and zoom is part of the work
+ * @returns {{begin: Function, finish: Function, end: Function}}
+ */
+export function createPlacementAutosave({ lessonId, name, getObjects, getViewport = null }) {
+  let baseline = null; // JSON of the untouched placements, null while not running
+  let finished = false;
+
+  const takeSnapshot = () => {
+    const viewport = getViewport ? getViewport() : null;
+    return {
+      placements: getObjects().map(placementOf),
+      view: viewport ? viewport.viewportTransform.slice() : null
+    };
+  };
+
+  const participant = {
+    lessonId,
+    name,
+    snapshot: () => {
+      if (baseline === null || finished) return null;
+      const work = takeSnapshot();
+      return JSON.stringify(work) === baseline ? null : work;
+    }
+  };
+
+  const restore = (work) => {
+    const placements = Array.isArray(work.placements) ? work.placements : [];
+    getObjects().forEach((obj, i) => {
+      if (!obj || !placements[i]) return;
+      const placement = {};
+      PLACEMENT_PROPS.forEach(prop => {
+        if (typeof placements[i][prop] === 'number') placement[prop] = placements[i][prop];
+      });
+      obj.set(placement);
+      obj.setCoords();
+    });
+    const viewport = getViewport ? getViewport() : null;
+    if (viewport && Array.isArray(work.view) && work.view.length === 6) {
+      viewport.setViewportTransform(work.view);
+    }
+    console.log(`[LessonAutosave] Resumed saved work of ${name}`);
+  };
+
+  return {
+    /**
+     * Start saving once the lesson's objects are in place
+     * @param {Object|null} [resume] - Saved work to put back first (the `resume` start option)
+     */
+    begin(resume = null) {
+      finished = false;
+      baseline = JSON.stringify(takeSnapshot());
+      if (resume) {
+        try {
+          restore(resume);
+        } catch (error) {
+          console.warn(`[LessonAutosave] Could not resume work of ${name}:`, error);
+        }
+      }
+      lessonAutosave.attach(participant);
+    },
+
+    /**
+     * The lesson is completed: its saved work is no longer needed
+     */
+    finish() {
+      finished = true;
+      lessonAutosave.discard(lessonId);
+    },
+
+    /**
+     * Stop saving when the lesson is cleaned up (saves one last time)
+     */
+    end() {
+      lessonAutosave.detach(participant);
+      baseline = null;
+    }
+  };
+}
@@ -0,0 +1,141 @@
+/**
+ * Lesson Overview
+ * Dialog listing every lesson of the active track with its thumbnail,
+ * description, skills, completion state and best time, so learners can see
+ * what a lesson teaches before opening it.
+ */
+
+import { LESSONS, getLesson } from './LessonRegistry.js';
+import { progressStore } from './ProgressStore.js';
+import { courseManifest, getTrackTitle } from './CourseManifest.js';
+import { createDialog } from './overlay.js';
+import { t } from './i18n.js';
+
+/**
+ * Format a duration as m:ss (or h:mm:ss)
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatDuration(ms) {
+  const total = Math.round(ms / 1000);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const seconds = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+/**
+ * Status line for a lesson card
+ * @param {Object} record - Progress record
+ * @param {boolean} unlocked
+ * @returns {{text: string, className: string}}
+ */
+function describeStatus(record, unlocked) {
+  if (record.completed) return { text: t('overview.done'), className: 'done' };
+  if (!unlocked) return { text: t('overview.locked'), className: 'locked' };
+  if (record.attempts > 0) return { text: t('overview.started'), className: 'started' };
+  return { text: t('overview.new'), className: 'new' };
+}
+
+/**
+ * Card for one lesson
+ * @param {Object} lesson - Registry entry
+ * @param {boolean} unlocked
+ * @param {Function} onOpen
+ * @returns {HTMLElement}
+ */
+function createLessonCard(lesson, unlocked, onOpen) {
+  const record = progressStore.getLessonProgress(lesson.id);
+  const status = describeStatus(record, unlocked);
+
+  const card = document.createElement('div');
+  card.className = `overview-card ${status.className}`;
+  card.dataset.lesson = String(lesson.id);
+
+  const thumb = document.createElement('div');
+  thumb.className = 'overview-thumb';
+  const img = document.createElement('img');
+  img.src = lesson.thumbnail || lesson.icon;
+  img.alt = '';
+  img.loading = 'lazy';
+  thumb.appendChild(img);
+  card.appendChild(thumb);
+
+  const body = document.createElement('div');
+  body.className = 'overview-body';
+
+  const title = document.createElement('h4');
+  title.textContent = lesson.name ? `${lesson.title}: ${lesson.name}` : lesson.title;
+  body.appendChild(title);
+
+  if (lesson.description) {
+    const description = document.createElement('p');
+    description.textContent = lesson.description;
+    body.appendChild(description);
+  }
+
+  if (lesson.skills && lesson.skills.length) {
+    const skills = document.createElement('div');
+    skills.className = 'overview-skills';
+    lesson.skills.forEach(skill => {
+      const chip = document.createElement('span');
+      chip.textContent = skill;
+      skills.appendChild(chip);
+    });
+    body.appendChild(skills);
+  }
+
+  const footer = document.createElement('div');
+  footer.className = 'overview-footer';
+  const state = document.createElement('span');
+  state.className = 'overview-status';
+  state.textContent = status.text;
+  if (record.bestTimeMs) state.textContent += ` · ${t('overview.bestTime', { time: formatDuration(record.bestTimeMs) })}`;
+  footer.appendChild(state);
+
+  const open = document.createElement('button');
+  open.type = 'button';
+  open.disabled = !unlocked;
+  open.innerHTML = unlocked
+    ? `<i class="fa-solid fa-play"></i> ${t('overview.start')}`
+    : '<i class="fa-solid fa-lock"></i>';
+  if (!unlocked) {
+    const missing = courseManifest.getPrerequisites(lesson.id)
+      .filter(id => !progressStore.getLessonProgress(id).completed)
+      .map(id => (getLesson(id) || { title: String(id) }).title);
+    open.title = t('overview.requires', { lessons: missing.join(', ') });
+  }
+  open.addEventListener('click', () => onOpen(lesson.id));
+  footer.appendChild(open);
+  body.appendChild(footer);
+
+  card.appendChild(body);
+  return card;
+}
+
+/**
+ * Open the lesson overview for the active track
+ * @param {Object} options
+ * @param {Function} options.isUnlocked - (lessonId) => boolean
+ * @param {Function} options.onOpen - Called with a lesson id after the dialog closes
+ * @returns {HTMLElement}
+ */
+export function openLessonOverview({ isUnlocked, onOpen }) {
+  const track = courseManifest.getActiveTrack();
+  const { overlay, card, close, isNew } = createDialog('lessonOverview', t('overview.title', { track: getTrackTitle(track) }), { width: '760px' });
+  if (!isNew) return overlay;
+
+  const grid = document.createElement('div');
+  grid.className = 'overview-grid';
+  track.lessons
+    .map(id => LESSONS.find(l => l.id === id))
+    .filter(Boolean)
+    .forEach(lesson => {
+      grid.appendChild(createLessonCard(lesson, isUnlocked(lesson.id), (id) => {
+        close();
+        onOpen(id);
+      }));
+    });
+  card.appendChild(grid);
+  return overlay;
+}
@@ -0,0 +1,291 @@
+/**
+ * Lesson Registry
+ * Single declarative list of all lessons and the navigation helpers built on it.
+ * Every path that starts, refreshes or leaves a lesson goes through this module,
+ * so adding a lesson only means adding one entry to LESSONS.
+ */
+
+import { canvas } from './canvas.js';
+import { ASSETS, LESSON_FEATURES } from './constants.js';
+import { progressStore } from './ProgressStore.js';
+import { analytics, ANALYTICS_EVENTS } from './Analytics.js';
+import { t, hasMessage } from './i18n.js';
+import { startLesson1, restartLesson1, cleanupLesson1, localizeLesson1 } from './Lesson1.js';
+import { startLesson2, restartLesson2, cleanupLesson2, localizeLesson2 } from './Lesson2.js';
+import { startLesson3, restartLesson3, cleanupLesson3, localizeLesson3 } from './Lesson3.js';
+import { startLesson4, restartLesson4, cleanupLesson4, localizeLesson4 } from './Lesson4.js';
+import { startLesson5, restartLesson5, cleanupLesson5, localizeLesson5 } from './Lesson5.js';
+import { startLesson6, restartLesson6, cleanupLesson6, localizeLesson6 } from './Lesson6.js';
+
+/**
+ * Default feature set; lessons override only the flags they enable
+ */
+const NO_FEATURES = {
+  COPY_PASTE: false,
+  SHAPE_TOOLS: false,
+  NODE_EDITING: false
+};
+
+/**
+ * Add getters for the translated text fields of each lesson. A field the
+ * lesson sets itself (e.g. a data lesson's title) is kept unless the catalog
+ * has a translation for it.
+ * @param {Array<Object>} lessons
+ * @returns {Array<Object>}
+ */
+function withLocalizedText(lessons) {
+  lessons.forEach(lesson => {
+    ['title', 'name', 'description', 'skills'].forEach(field => {
+      const key = `lessons.${lesson.id}.${field}`;
+      if (Object.prototype.hasOwnProperty.call(lesson, field) && !hasMessage(key)) return;
+      Object.defineProperty(lesson, field, {
+        get: () => t(key),
+        enumerable: true
+      });
+    });
+  });
+  return lessons;
+}
+
+/**
+ * Lesson definitions
+ * title, name, description and skills are read from the message catalog
+ * (lessons.<id>.*) in the active language; together with thumbnail (an SVG
+ * shown scaled down) they describe the lesson on the overview screen.
+ * @type {Array<{id: number, title: string, name: string, description: string, skills: Array<string>, icon: string, thumbnail: string, start: Function, restart: Function, cleanup: Function, localize: Function, features: Object}>}
+ */
+export const LESSONS = withLocalizedText([
+  {
+    id: 1,
+    icon: 'assets/icons/tutorial_icons/les1.svg',
+    thumbnail: ASSETS.LESSON_1_SVG,
+    start: startLesson1,
+    restart: restartLesson1,
+    cleanup: cleanupLesson1,
+    localize: localizeLesson1,
+    features: { ...NO_FEATURES }
+  },
+  {
+    id: 2,
+    icon: 'assets/icons/tutorial_icons/les2.svg',
+    thumbnail: ASSETS.LESSON_2_SVG,
+    start: startLesson2,
+    restart: restartLesson2,
+    cleanup: cleanupLesson2,
+    localize: localizeLesson2,
+    features: { ...NO_FEATURES }
+  },
+  {
+    id: 3,
+    icon: 'assets/icons/tutorial_icons/les3.svg',
+    thumbnail: ASSETS.LESSON_3_SVG,
+    start: startLesson3,
+    restart: restartLesson3,
+    cleanup: cleanupLesson3,
+    localize: localizeLesson3,
+    features: { ...NO_FEATURES }
+  },
+  {
+    id: 4,
+    icon: 'assets/icons/tutorial_icons/les4.svg',
+    thumbnail: ASSETS.LESSON_4_SVG,
+    start: startLesson4,
+    restart: restartLesson4,
+    cleanup: cleanupLesson4,
+    localize: localizeLesson4,
+    features: { ...NO_FEATURES }
+  },
+  {
+    id: 5,
+    icon: 'assets/icons/tutorial_icons/les5.svg',
+    thumbnail: ASSETS.LESSON_5_SVG,
+    start: startLesson5,
+    restart: restartLesson5,
+    cleanup: cleanupLesson5,
+    localize: localizeLesson5,
+    features: { ...NO_FEATURES }
+  },
+  {
+    id: 6,
+    icon: 'assets/icons/tutorial_icons/les6.svg',
+    thumbnail: ASSETS.LESSON_6_SVG,
+    start: startLesson6,
+    restart: restartLesson6,
+    cleanup: cleanupLesson6,
+    localize: localizeLesson6,
+    features: { ...NO_FEATURES }
+  }
+]);
+
+// Publish feature sets into the shared lookup table read by InkscapeTransformMode.
+// The objects are shared, so runtime toggles (e.g. Lesson 6 enabling node editing) stay in sync.
+LESSONS.forEach(lesson => { LESSON_FEATURES[lesson.id] = lesson.features; });
+
+let activeLessonId = null;
+
+/**
+ * Look up a lesson definition
+ * @param {number} id - Lesson id
+ * @returns {Object|null} Lesson definition or null if unknown
+ */
+export function getLesson(id) {
+  return LESSONS.find(lesson => lesson.id === id) || null;
+}
+
+/**
+ * Parse the lesson id from a URL hash (e.g. '#lesson=3')
+ * @param {string} hash - Location hash
+ * @returns {number|null} Lesson id or null if absent
+ */
+export function parseLessonHash(hash = location.hash) {
+  const match = (hash || '').match(/lesson=([\d.]+)/);
+  return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * Parse the step checkpoint from a URL hash (e.g. '#lesson=6&step=3' or '#lesson=6&step=copy-paste')
+ * @param {string} hash - Location hash
+ * @returns {number|string|null} 1-based step number, step id, or null if absent
+ */
+export function parseStepHash(hash = location.hash) {
+  const match = (hash || '').match(/[#&]step=([\w-]+)/);
+  if (!match) return null;
+  return /^\d+$/.test(match[1]) ? parseInt(match[1], 10) : match[1];
+}
+
+/**
+ * Id of the lesson most recently started through the registry
+ * @returns {number|null}
+ */
+export function getActiveLessonId() {
+  return activeLessonId;
+}
+
+/**
+ * Check if a feature is enabled for a lesson
+ * @param {number} id - Lesson id
+ * @param {string} featureName - Feature flag name (e.g. 'NODE_EDITING')
+ * @returns {boolean}
+ */
+export function isLessonFeatureEnabled(id, featureName) {
+  const lesson = getLesson(id);
+  return !!lesson && lesson.features[featureName] === true;
+}
+
+/**
+ * Clean up every registered lesson so the next one starts from a clean state
+ * @param {number|null} exceptId - Lesson to leave untouched (its restart cleans it)
+ */
+export function cleanupAllLessons(exceptId = null) {
+  LESSONS.forEach(lesson => {
+    if (lesson.id === exceptId) return;
+    try {
+      lesson.cleanup();
+    } catch (error) {
+      console.warn(`[LessonRegistry] Error cleaning up Lesson ${lesson.id}:`, error);
+    }
+  });
+}
+
+/**
+ * Remove all objects from the canvas
+ */
+function clearCanvas() {
+  try {
+    canvas.getObjects().slice().forEach(obj => canvas.remove(obj));
+    canvas.discardActiveObject();
+    canvas.requestRenderAll();
+  } catch (error) {
+    console.warn('[LessonRegistry] Could not clear canvas:', error);
+  }
+}
+
+/**
+ * Switch to a lesson: clean up all lessons, clear the canvas and start the target
+ * @param {number} id - Lesson id
+ * @param {Object} [options] - Passed to the lesson's start (e.g. { step: 3 } for step-based lessons)
+ * @returns {Promise<boolean>} False if the lesson is unknown
+ */
+export async function openLesson(id, options = {}) {
+  const lesson = getLesson(id);
+  if (!lesson) {
+    console.warn('[LessonRegistry] Unknown lesson:', id);
+    return false;
+  }
+  cleanupAllLessons();
+  clearCanvas();
+  activeLessonId = lesson.id;
+  progressStore.recordLessonStart(lesson.id);
+  analytics.emit(ANALYTICS_EVENTS.LESSON_STARTED, { lesson: lesson.id });
+  await lesson.start(options);
+  return true;
+}
+
+/**
+ * Re-run the current lesson from its beginning (or from options.step)
+ * @param {number} id - Lesson id
+ * @param {Object} [options] - Passed to the lesson's restart
+ * @returns {Promise<boolean>} False if the lesson is unknown
+ */
+export async function refreshLesson(id, options = {}) {
+  const lesson = getLesson(id);
+  if (!lesson) {
+    console.warn('[LessonRegistry] Unknown lesson:', id);
+    return false;
+  }
+  cleanupAllLessons(lesson.id);
+  activeLessonId = lesson.id;
+  progressStore.recordLessonStart(lesson.id);
+  analytics.emit(ANALYTICS_EVENTS.LESSON_STARTED, { lesson: lesson.id });
+  await lesson.restart(options);
+  return true;
+}
+
+/**
+ * Clean up every lesson, clear the canvas and leave no lesson active
+ */
+export function closeActiveLesson() {
+  cleanupAllLessons();
+  clearCanvas();
+  activeLessonId = null;
+}
+
+/**
+ * Re-render the active lesson's panel and title in the current language
+ */
+export function localizeActiveLesson() {
+  const lesson = getLesson(activeLessonId);
+  if (!lesson || !lesson.localize) return;
+  try {
+    lesson.localize();
+  } catch (error) {
+    console.warn(`[LessonRegistry] Could not localize Lesson ${lesson.id}:`, error);
+  }
+}
+
+/**
+ * Where a finished lesson's "Next" button leads, installed by main.js:
+ * { getNext(id) → lesson id or null, open(id) }. Without one (e.g. the
+ * end-to-end test page) finished lessons show no "Next" button.
+ */
+let nextLessonNavigator = null;
+
+/**
+ * @param {{getNext: Function, open: Function}|null} navigator
+ */
+export function setNextLessonNavigator(navigator) {
+  nextLessonNavigator = navigator;
+}
+
+/**
+ * Wire the "Next" button of a finished lesson. It opens the lesson the
+ * navigator picks and stays hidden when there is none.
+ * @param {HTMLElement} button - Hidden until a next lesson is known
+ * @param {number} id - The finished lesson
+ */
+export function bindNextLessonButton(button, id) {
+  const next = nextLessonNavigator ? nextLessonNavigator.getNext(id) : null;
+  if (next === null) return;
+  button.style.display = 'block';
+  button.onclick = () => nextLessonNavigator.open(next);
+}
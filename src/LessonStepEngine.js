@@ -0,0 +1,346 @@
+/**
+ * Lesson Step Engine
+ * Runs a multi-phase lesson as an ordered list of declarative steps.
+ *
+ * Each step declares:
+ * - id:           unique name (used for logging and goTo)
+ * - instructions: panel HTML, or a function (ctx) => HTML
+ * - tools:        toolbar button ids enabled while the step is active
+ * - completeOn:   { target, event, when(e, ctx) } (or an array of them);
+ *                 the step completes when `when` returns true
+ * - enter(ctx):   setup hook, runs after instructions and tools are applied
+ * - exit(ctx):    teardown hook, runs before the next step enters
+ * - solve(ctx):   optional (async) hook that performs the step for the learner;
+ *                 used to fast-forward to a checkpoint with earlier steps solved
+ * - hints:        optional { text, tool, demo } for the HintController; steps
+ *                 report failed attempts with ctx.hintFailure()
+ *
+ * Listeners added through ctx.on() and completeOn are registered with
+ * EventRegistry under a per-step owner, so leaving a step (by completing it,
+ * jumping with goTo, or stopping the engine) removes them all at once.
+ *
+ * Steps the learner enters and completes are reported to Analytics, with the
+ * time spent on each; fast-forwarded steps are not.
+ */
+
+import { register as registerEvent, unregisterAllForOwner } from './EventRegistry.js';
+import { hintController } from './HintController.js';
+import { analytics, ANALYTICS_EVENTS } from './Analytics.js';
+import { setToolEnabled } from './utils.js';
+
+// The engine of the lesson that is running, if it has steps
+let activeEngine = null;
+
+/**
+ * Step the learner is on in the running multi-step lesson
+ * @returns {{lesson: number|null, id: string, index: number, count: number}|null}
+ */
+export function getActiveStep() {
+  if (!activeEngine || !activeEngine.currentStep) return null;
+  return {
+    lesson: activeEngine.lessonId,
+    id: activeEngine.currentStep.id,
+    index: activeEngine.currentIndex,
+    count: activeEngine.steps.length
+  };
+}
+
+export class LessonStepEngine {
+  /**
+   * @param {Object} config
+   * @param {string} config.name - Log prefix (e.g. 'Lesson6')
+   * @param {number} [config.lessonId] - Lesson id, needed to record hint usage
+   * @param {Array<Object>} config.steps - Step definitions
+   * @param {Function} [config.onStepEnter] - Called with (step, index) after a step enters
+   * @param {Function} [config.onStepComplete] - Called with (step, index) when a step completes
+   * @param {Function} [config.onFinish] - Called after the last step completes
+   */
+  constructor({ name, lessonId = null, steps, onStepEnter = null, onStepComplete = null, onFinish = null }) {
+    this.name = name;
+    this.lessonId = lessonId;
+    this.steps = steps;
+    this.onStepEnter = onStepEnter;
+    this.onStepComplete = onStepComplete;
+    this.onFinish = onFinish;
+    this.currentIndex = -1;
+    this.isRunning = false;
+    this.completedSteps = new Set();
+    this._stepOwner = null;
+    this._context = null;
+    this._transitioning = false;
+    this._completeRequested = false;
+    this._stepStartedAt = null;
+
+    // Every tool mentioned by any step is managed by the engine
+    this.managedTools = [...new Set(steps.flatMap(step => step.tools || []))];
+  }
+
+  /**
+   * Currently active step definition
+   * @returns {Object|null}
+   */
+  get currentStep() {
+    return this.steps[this.currentIndex] || null;
+  }
+
+  /**
+   * Resolve a step id or index to an index
+   * @param {string|number} stepRef
+   * @returns {number} Index or -1 if unknown
+   */
+  indexOf(stepRef) {
+    if (typeof stepRef === 'number') return stepRef >= 0 && stepRef < this.steps.length ? stepRef : -1;
+    return this.steps.findIndex(step => step.id === stepRef);
+  }
+
+  /**
+   * Start at the first step, or fast-forward to a checkpoint: every earlier
+   * step is entered, solved and exited without waiting for the learner.
+   * @param {string|number} [stepRef=0] - Step id or 0-based index
+   * @param {Object} [options]
+   * @param {Function} [options.prepare] - (async) hook run after fast-forwarding, before
+   *   the step enters; e.g. to put saved work in place of what the solve hooks made
+   * @returns {Promise<void>}
+   */
+  async start(stepRef = 0, { prepare = null } = {}) {
+    if (this.isRunning) this.stop();
+    this.isRunning = true;
+    activeEngine = this;
+    this.completedSteps.clear();
+
+    let index = this.indexOf(stepRef);
+    if (index === -1) {
+      console.warn(`[${this.name}] Unknown step, starting from the beginning:`, stepRef);
+      index = 0;
+    }
+    if (index > 0) await this._fastForward(index);
+    // The lesson may have been cleaned up while steps were being solved
+    if (!this.isRunning) return;
+    if (prepare) {
+      try {
+        await prepare();
+      } catch (error) {
+        console.warn(`[${this.name}] Could not prepare step:`, error);
+      }
+      if (!this.isRunning) return;
+    }
+    this.goTo(index);
+  }
+
+  /**
+   * Leave the current step and enter another one. Entering an earlier step
+   * again is allowed; its enter hook must restore whatever it needs.
+   * @param {string|number} stepRef - Step id or index
+   * @returns {boolean} False if the step is unknown or the engine is stopped
+   */
+  goTo(stepRef) {
+    const index = this.indexOf(stepRef);
+    if (index === -1) {
+      console.warn(`[${this.name}] Unknown step:`, stepRef);
+      return false;
+    }
+    if (!this.isRunning) return false;
+
+    this._transitioning = true;
+    try {
+      this._exitCurrent();
+      this._enter(index);
+    } finally {
+      this._transitioning = false;
+    }
+    // A step may already be satisfied when it enters
+    if (this._completeRequested) this.complete();
+    return true;
+  }
+
+  /**
+   * Mark the current step as complete and advance
+   */
+  complete() {
+    if (!this.isRunning) return;
+    if (this._transitioning) {
+      // Requested from inside an enter hook; handled once the transition finishes
+      this._completeRequested = true;
+      return;
+    }
+
+    this._transitioning = true;
+    try {
+      do {
+        this._completeRequested = false;
+        this._advance();
+      } while (this._completeRequested && this.isRunning && this.currentStep);
+    } finally {
+      this._transitioning = false;
+      this._completeRequested = false;
+    }
+  }
+
+  /**
+   * Stop the engine and disable every managed tool
+   */
+  stop() {
+    this._exitCurrent();
+    this.currentIndex = -1;
+    this.isRunning = false;
+    this._completeRequested = false;
+    this._stepStartedAt = null;
+    this.managedTools.forEach(id => setToolEnabled(id, false));
+    if (activeEngine === this) activeEngine = null;
+  }
+
+  /**
+   * Replace the instruction panel content. The text is wrapped in a
+   * .step-instructions element so refreshInstructions() can re-render it
+   * without touching buttons a step appended to the panel.
+   * @param {string} html
+   */
+  setInstructions(html) {
+    try {
+      const panel = document.getElementById('panel');
+      if (panel) panel.innerHTML = `<div class="step-instructions">${html}</div>`;
+    } catch (error) {
+      console.warn(`[${this.name}] Failed to update instruction panel:`, error);
+    }
+  }
+
+  /**
+   * Render the current step's instructions again (e.g. after a language change)
+   */
+  refreshInstructions() {
+    const step = this.currentStep;
+    if (!step || !step.instructions || !this._context) return;
+    const html = typeof step.instructions === 'function' ? step.instructions(this._context) : step.instructions;
+    try {
+      const container = document.querySelector('#panel .step-instructions');
+      if (container) container.innerHTML = html;
+      else this.setInstructions(html);
+    } catch (error) {
+      console.warn(`[${this.name}] Failed to refresh instruction panel:`, error);
+    }
+  }
+
+  _advance() {
+    const step = this.currentStep;
+    if (!step) return;
+
+    this.completedSteps.add(step.id);
+    console.log(`[${this.name}] Step completed: ${step.id}`);
+    if (this.lessonId !== null && this._stepStartedAt !== null) {
+      analytics.emit(ANALYTICS_EVENTS.STEP_COMPLETED, {
+        lesson: this.lessonId,
+        step: step.id,
+        durationMs: Math.round(performance.now() - this._stepStartedAt)
+      });
+    }
+    if (this.onStepComplete) {
+      try { this.onStepComplete(step, this.currentIndex); } catch (e) { console.warn(`[${this.name}] onStepComplete error:`, e); }
+    }
+
+    const nextIndex = this.currentIndex + 1;
+    this._exitCurrent();
+    if (nextIndex < this.steps.length) {
+      this._enter(nextIndex);
+    } else {
+      this.currentIndex = -1;
+      if (this.onFinish) {
+        try { this.onFinish(); } catch (e) { console.warn(`[${this.name}] onFinish error:`, e); }
+      }
+    }
+  }
+
+  async _fastForward(index) {
+    this._transitioning = true;
+    try {
+      for (let i = 0; i < index && this.isRunning; i++) {
+        const step = this.steps[i];
+        this._enter(i, { fastForward: true });
+        const ctx = this._context;
+        if (step.solve) {
+          try {
+            await step.solve(ctx);
+          } catch (error) {
+            console.warn(`[${this.name}] Could not solve step ${step.id}:`, error);
+          }
+        }
+        this.completedSteps.add(step.id);
+        if (this._context === ctx) this._exitCurrent();
+      }
+    } finally {
+      this._transitioning = false;
+      this._completeRequested = false;
+    }
+  }
+
+  _enter(index, { fastForward = false } = {}) {
+    const step = this.steps[index];
+    this.currentIndex = index;
+    const owner = { step: step.id };
+    this._stepOwner = owner;
+
+    const ctx = {
+      engine: this,
+      step,
+      owner,
+      on: (target, eventName, handler) => registerEvent(target, eventName, handler, owner),
+      complete: () => { if (this._stepOwner === owner) this.complete(); },
+      hintFailure: () => { if (this._stepOwner === owner) hintController.recordFailure(); },
+      setInstructions: (html) => this.setInstructions(html)
+    };
+    this._context = ctx;
+
+    const tools = step.tools || [];
+    this.managedTools.forEach(id => setToolEnabled(id, tools.includes(id)));
+
+    if (step.instructions) {
+      this.setInstructions(typeof step.instructions === 'function' ? step.instructions(ctx) : step.instructions);
+    }
+
+    console.log(`[${this.name}] ${fastForward ? 'Fast-forwarding' : 'Entering'} step: ${step.id}`);
+    if (step.enter) {
+      try { step.enter(ctx); } catch (error) { console.warn(`[${this.name}] Error entering step ${step.id}:`, error); }
+    }
+
+    // Solved steps are exited right away; they don't wait for the learner
+    if (fastForward) return;
+
+    // Attach completion predicates after enter so they see the prepared state
+    const triggers = Array.isArray(step.completeOn) ? step.completeOn : (step.completeOn ? [step.completeOn] : []);
+    triggers.forEach(trigger => {
+      const target = typeof trigger.target === 'function' ? trigger.target() : trigger.target;
+      ctx.on(target, trigger.event, (e) => {
+        let done = false;
+        try {
+          done = trigger.when ? !!trigger.when(e, ctx) : true;
+        } catch (error) {
+          console.warn(`[${this.name}] Completion predicate error in step ${step.id}:`, error);
+        }
+        if (done) ctx.complete();
+      });
+    });
+
+    this._stepStartedAt = performance.now();
+    if (this.lessonId !== null) analytics.emit(ANALYTICS_EVENTS.STEP_STARTED, { lesson: this.lessonId, step: step.id });
+
+    if (step.hints && this.lessonId !== null) {
+      hintController.start({ lessonId: this.lessonId, stepId: step.id, hints: step.hints });
+    }
+
+    if (this.onStepEnter) {
+      try { this.onStepEnter(step, index); } catch (e) { console.warn(`[${this.name}] onStepEnter error:`, e); }
+    }
+  }
+
+  _exitCurrent() {
+    const step = this.currentStep;
+    if (!step || !this._stepOwner) return;
+
+    unregisterAllForOwner(this._stepOwner);
+    if (step.hints) hintController.stop();
+    if (step.exit) {
+      try { step.exit(this._context); } catch (error) { console.warn(`[${this.name}] Error exiting step ${step.id}:`, error); }
+    }
+    this._stepOwner = null;
+    this._context = null;
+  }
+}
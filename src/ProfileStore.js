@@ -0,0 +1,241 @@
+/**
+ * Profile Store
+ * Learner profiles for shared workstations.
+ *
+ * Every profile has its own progress document (kept by ProgressStore under
+ * `progress:<profile id>`), autosaved lesson work, preferences and Lesson 6
+ * badge name. The built-in
+ * guest profile uses the plain `progress` key, so progress saved before
+ * profiles existed stays with the guest.
+ *
+ * The profile list is stored in localStorage. The active profile is only
+ * remembered for the current browser tab (sessionStorage), so the next learner
+ * on the machine starts at the picker instead of in someone else's progress.
+ */
+
+import { progressStore } from './ProgressStore.js';
+import { lessonAutosave } from './LessonAutosave.js';
+
+export const GUEST_PROFILE_ID = 'guest';
+const GUEST_NAME = 'Gast';
+const STORAGE_KEY = 'inkscape-tutorial:profiles';
+const ACTIVE_KEY = 'inkscape-tutorial:active-profile';
+const MAX_NAME_LENGTH = 40;
+
+/**
+ * New profile record
+ * @param {string} id
+ * @param {string} name
+ */
+function createProfile(id, name) {
+  return { id, name, createdAt: new Date().toISOString(), preferences: {}, badgeName: null };
+}
+
+function readStorage(storage, key) {
+  try {
+    return storage.getItem(key);
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeStorage(storage, key, value) {
+  try {
+    if (value === null) storage.removeItem(key);
+    else storage.setItem(key, value);
+  } catch (error) {
+    console.warn('[ProfileStore] Could not write to storage:', error);
+  }
+}
+
+export class ProfileStore {
+  constructor() {
+    this.profiles = [createProfile(GUEST_PROFILE_ID, GUEST_NAME)];
+    this.activeId = GUEST_PROFILE_ID;
+  }
+
+  /**
+   * Read the profile list and the tab's active profile
+   */
+  load() {
+    try {
+      const data = JSON.parse(readStorage(localStorage, STORAGE_KEY) || 'null');
+      if (data && Array.isArray(data.profiles)) {
+        this.profiles = data.profiles
+          .filter(p => p && typeof p.id === 'string' && typeof p.name === 'string')
+          .map(p => ({ ...createProfile(p.id, p.name), ...p, preferences: { ...(p.preferences || {}) } }));
+      }
+    } catch (error) {
+      console.warn('[ProfileStore] Could not read profiles:', error);
+    }
+    if (!this.profiles.some(p => p.id === GUEST_PROFILE_ID)) {
+      this.profiles.unshift(createProfile(GUEST_PROFILE_ID, GUEST_NAME));
+    }
+
+    const active = readStorage(sessionStorage, ACTIVE_KEY);
+    this.activeId = this.getProfile(active) ? active : GUEST_PROFILE_ID;
+  }
+
+  _save() {
+    writeStorage(localStorage, STORAGE_KEY, JSON.stringify({ profiles: this.profiles }));
+  }
+
+  _notify() {
+    try {
+      window.dispatchEvent(new CustomEvent('profile:changed', { detail: { profile: this.getActiveProfile() } }));
+    } catch (e) { /* ignore dispatch failures */ }
+  }
+
+  /**
+   * All profiles, guest first
+   * @returns {Array<Object>}
+   */
+  getProfiles() {
+    return this.profiles.map(p => ({ ...p, preferences: { ...p.preferences } }));
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|null} The stored profile record
+   */
+  getProfile(id) {
+    return this.profiles.find(p => p.id === id) || null;
+  }
+
+  getActiveProfile() {
+    return this.getProfile(this.activeId) || this.profiles[0];
+  }
+
+  isGuest(id = this.activeId) {
+    return id === GUEST_PROFILE_ID;
+  }
+
+  /**
+   * ProgressStore key for a profile
+   * @param {string} [id] - Profile id (defaults to the active profile)
+   * @returns {string}
+   */
+  getProgressKey(id = this.activeId) {
+    return this.isGuest(id) ? 'progress' : `progress:${id}`;
+  }
+
+  /**
+   * Create a profile, or return the existing one with the same name
+   * @param {string} name
+   * @returns {Object|null} Profile, or null if the name is empty
+   */
+  createProfile(name) {
+    const clean = String(name || '').trim().slice(0, MAX_NAME_LENGTH);
+    if (!clean) return null;
+    const existing = this.profiles.find(p => p.name.toLowerCase() === clean.toLowerCase());
+    if (existing) return existing;
+
+    const id = `p-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    const profile = createProfile(id, clean);
+    this.profiles.push(profile);
+    this._save();
+    console.log('[ProfileStore] Created profile:', clean);
+    return profile;
+  }
+
+  /**
+   * Make a profile active and load its progress
+   * @param {string} id
+   * @returns {Promise<boolean>} False if the profile does not exist
+   */
+  async selectProfile(id) {
+    if (!this.getProfile(id)) {
+      console.warn('[ProfileStore] Unknown profile:', id);
+      return false;
+    }
+    this.activeId = id;
+    writeStorage(sessionStorage, ACTIVE_KEY, this.isGuest(id) ? null : id);
+    await progressStore.switchKey(this.getProgressKey(id));
+    console.log('[ProfileStore] Active profile:', this.getActiveProfile().name);
+    this._notify();
+    return true;
+  }
+
+  /**
+   * Wipe a profile: its progress, autosaved work, preferences and badge name.
+   * Named profiles are removed; the guest profile is only reset.
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async wipeProfile(id) {
+    const profile = this.getProfile(id);
+    if (!profile) return;
+
+    await progressStore.removeKey(this.getProgressKey(id));
+    lessonAutosave.removeAll(this.getProgressKey(id));
+    if (this.isGuest(id)) {
+      profile.preferences = {};
+      profile.badgeName = null;
+    } else {
+      this.profiles = this.profiles.filter(p => p.id !== id);
+    }
+    this._save();
+    console.log('[ProfileStore] Wiped profile:', profile.name);
+
+    if (id === this.activeId && !this.isGuest(id)) {
+      await this.selectProfile(GUEST_PROFILE_ID);
+    } else {
+      this._notify();
+    }
+  }
+
+  /**
+   * Wipe every profile, leaving only an empty guest profile (station reset)
+   * @returns {Promise<void>}
+   */
+  async wipeAllProfiles() {
+    const ids = this.profiles.map(p => p.id);
+    for (const id of ids) {
+      await progressStore.removeKey(this.getProgressKey(id));
+      lessonAutosave.removeAll(this.getProgressKey(id));
+    }
+    this.profiles = [createProfile(GUEST_PROFILE_ID, GUEST_NAME)];
+    this._save();
+    console.log('[ProfileStore] Wiped all profiles');
+    await this.selectProfile(GUEST_PROFILE_ID);
+  }
+
+  /**
+   * Preference of the active profile
+   * @param {string} key
+   * @param {*} [fallback=null]
+   */
+  getPreference(key, fallback = null) {
+    const prefs = this.getActiveProfile().preferences;
+    return Object.prototype.hasOwnProperty.call(prefs, key) ? prefs[key] : fallback;
+  }
+
+  /**
+   * Store a preference on the active profile
+   * @param {string} key
+   * @param {*} value - JSON-serializable value
+   */
+  setPreference(key, value) {
+    this.getActiveProfile().preferences[key] = value;
+    this._save();
+  }
+
+  /**
+   * Name the learner put on the Lesson 6 badge, if any
+   * @returns {string|null}
+   */
+  getBadgeName() {
+    return this.getActiveProfile().badgeName || null;
+  }
+
+  /**
+   * @param {string} name
+   */
+  setBadgeName(name) {
+    const clean = String(name || '').trim();
+    this.getActiveProfile().badgeName = clean || null;
+    this._save();
+  }
+}
+
+export const profileStore = new ProfileStore();
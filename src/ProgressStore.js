@@ -0,0 +1,479 @@
+/**
+ * Progress Store
+ * Lesson progress with pluggable storage backends.
+ *
+ * Progress is kept in memory so lesson code can read it synchronously;
+ * every change is written through to the active backend. Backends only
+ * need `load(key)`, `save(key, data)` and `remove(key)` (all async):
+ * - LocalStorageProgressBackend
+ * - IndexedDBProgressBackend (default when available)
+ * - ScormProgressBackend (cmi.suspend_data, see ScormAdapter.js)
+ * Progress files (exportToFile / importFromFile) move progress between machines.
+ *
+ * The old `lessons_completed` cookie is migrated on first load.
+ */
+
+const PROGRESS_VERSION = 1;
+const DEFAULT_KEY = 'progress';
+const LEGACY_COOKIE = 'lessons_completed';
+
+/**
+ * Empty progress document
+ * @returns {{version: number, lessons: Object, updatedAt: string|null}}
+ */
+function createEmptyProgress() {
+  return { version: PROGRESS_VERSION, lessons: {}, updatedAt: null };
+}
+
+/**
+ * Empty per-lesson record
+ */
+function createLessonRecord() {
+  return {
+    completed: false,
+    completedAt: null,
+    firstStartedAt: null,
+    lastStartedAt: null,
+    lastFinishedAt: null,
+    bestTimeMs: null,
+    stepReached: 0,
+    attempts: 0,
+    hintsShown: 0,
+    hintLevels: {}
+  };
+}
+
+/**
+ * Check and normalize progress loaded from a backend or file
+ * @param {Object} data
+ * @returns {Object|null} Normalized progress or null if unusable
+ */
+function normalizeProgress(data) {
+  if (!data || typeof data !== 'object' || typeof data.lessons !== 'object' || data.lessons === null) return null;
+  const progress = createEmptyProgress();
+  Object.entries(data.lessons).forEach(([id, record]) => {
+    if (Number.isNaN(parseInt(id, 10)) || !record || typeof record !== 'object') return;
+    progress.lessons[id] = { ...createLessonRecord(), ...record };
+  });
+  progress.updatedAt = data.updatedAt || null;
+  return progress;
+}
+
+// -------------------------
+// Backends
+// -------------------------
+
+export class LocalStorageProgressBackend {
+  constructor(prefix = 'inkscape-tutorial:') {
+    this.name = 'localStorage';
+    this.prefix = prefix;
+  }
+
+  static isAvailable() {
+    try {
+      return typeof localStorage !== 'undefined' && localStorage !== null;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  async load(key) {
+    const raw = localStorage.getItem(this.prefix + key);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async save(key, data) {
+    localStorage.setItem(this.prefix + key, JSON.stringify(data));
+  }
+
+  async remove(key) {
+    localStorage.removeItem(this.prefix + key);
+  }
+}
+
+export class IndexedDBProgressBackend {
+  constructor(dbName = 'inkscape-tutorial', storeName = 'progress') {
+    this.name = 'indexedDB';
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this._dbPromise = null;
+  }
+
+  static isAvailable() {
+    try {
+      return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  _open() {
+    if (this._dbPromise) return this._dbPromise;
+    this._dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) db.createObjectStore(this.storeName);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return this._dbPromise;
+  }
+
+  async _request(mode, operation) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode);
+      const request = operation(tx.objectStore(this.storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async load(key) {
+    const data = await this._request('readonly', store => store.get(key));
+    return data || null;
+  }
+
+  async save(key, data) {
+    await this._request('readwrite', store => store.put(data, key));
+  }
+
+  async remove(key) {
+    await this._request('readwrite', store => store.delete(key));
+  }
+}
+
+/**
+ * Pick the best available persistent backend
+ */
+function createDefaultBackend() {
+  if (IndexedDBProgressBackend.isAvailable()) return new IndexedDBProgressBackend();
+  if (LocalStorageProgressBackend.isAvailable()) return new LocalStorageProgressBackend();
+  return null;
+}
+
+// -------------------------
+// Legacy cookie migration
+// -------------------------
+
+function readLegacyCookie() {
+  try {
+    const m = document.cookie.match(new RegExp('(?:^|; )' + LEGACY_COOKIE + '=([^;]*)'));
+    if (!m) return null;
+    const arr = JSON.parse(decodeURIComponent(m[1]));
+    return Array.isArray(arr) ? arr.map(n => parseInt(n, 10)).filter(n => !isNaN(n)) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function clearLegacyCookie() {
+  try {
+    document.cookie = `${LEGACY_COOKIE}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/`;
+  } catch (e) { /* ignore */ }
+}
+
+// -------------------------
+// Store
+// -------------------------
+
+export class ProgressStore {
+  constructor() {
+    this.backend = null;
+    this.key = DEFAULT_KEY;
+    this.progress = createEmptyProgress();
+    this.isReady = false;
+    this._saveChain = Promise.resolve();
+  }
+
+  /**
+   * Load progress from the backend and migrate the legacy cookie
+   * @param {Object} [options]
+   * @param {Object} [options.backend] - Backend to use (defaults to IndexedDB, then localStorage)
+   * @param {string} [options.key] - Storage key (one per progress document)
+   * @param {boolean} [options.migrateCookie=true] - Take over the legacy cookie's completed lessons
+   * @returns {Promise<void>}
+   */
+  async init({ backend = null, key = DEFAULT_KEY, migrateCookie = true } = {}) {
+    this.backend = backend || createDefaultBackend();
+    this.key = key;
+    await this._load();
+
+    const legacy = migrateCookie ? readLegacyCookie() : null;
+    if (legacy) {
+      console.log('[ProgressStore] Migrating lessons_completed cookie:', legacy);
+      legacy.forEach(id => {
+        const record = this._record(id);
+        if (!record.completed) {
+          record.completed = true;
+          record.completedAt = record.completedAt || new Date().toISOString();
+        }
+      });
+      await this._persist();
+      clearLegacyCookie();
+    }
+
+    this.isReady = true;
+    this._notify();
+  }
+
+  /**
+   * Switch to another progress document (e.g. another learner profile)
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async switchKey(key) {
+    if (key === this.key && this.isReady) return;
+    // Let pending writes for the previous document finish first
+    await this._saveChain;
+    this.key = key;
+    await this._load();
+    this._notify();
+  }
+
+  /**
+   * Remove a stored progress document without loading it
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async removeKey(key) {
+    if (key === this.key) {
+      await this.clear();
+      return;
+    }
+    if (!this.backend) return;
+    try {
+      await this.backend.remove(key);
+    } catch (error) {
+      console.warn('[ProgressStore] Could not remove progress:', error);
+    }
+  }
+
+  /**
+   * Switch to another backend, copying the current progress into it
+   * @param {Object} backend
+   * @returns {Promise<void>}
+   */
+  async setBackend(backend) {
+    this.backend = backend;
+    await this._persist();
+  }
+
+  async _load() {
+    this.progress = createEmptyProgress();
+    if (!this.backend) return;
+    try {
+      this.progress = normalizeProgress(await this.backend.load(this.key)) || createEmptyProgress();
+    } catch (error) {
+      console.warn(`[ProgressStore] Could not load progress from ${this.backend.name}:`, error);
+    }
+  }
+
+  _record(id) {
+    const key = String(id);
+    if (!this.progress.lessons[key]) this.progress.lessons[key] = createLessonRecord();
+    return this.progress.lessons[key];
+  }
+
+  _persist() {
+    this.progress.updatedAt = new Date().toISOString();
+    if (!this.backend) return Promise.resolve();
+    const snapshot = JSON.parse(JSON.stringify(this.progress));
+    // Serialize writes so an older snapshot never overwrites a newer one
+    this._saveChain = this._saveChain
+      .then(() => this.backend.save(this.key, snapshot))
+      .catch(error => console.warn(`[ProgressStore] Could not save progress to ${this.backend.name}:`, error));
+    return this._saveChain;
+  }
+
+  _notify(lessonId = null) {
+    try {
+      window.dispatchEvent(new CustomEvent('lessons:updated', { detail: { lesson: lessonId } }));
+    } catch (e) { /* ignore dispatch failures */ }
+  }
+
+  /**
+   * Ids of completed lessons
+   * @returns {Array<number>}
+   */
+  getCompletedLessons() {
+    return Object.entries(this.progress.lessons)
+      .filter(([, record]) => record.completed)
+      .map(([id]) => parseInt(id, 10));
+  }
+
+  /**
+   * Copy of one lesson's record
+   * @param {number} id - Lesson id
+   * @returns {Object}
+   */
+  getLessonProgress(id) {
+    return { ...createLessonRecord(), ...(this.progress.lessons[String(id)] || {}) };
+  }
+
+  /**
+   * Copy of the whole progress document
+   */
+  getAll() {
+    return JSON.parse(JSON.stringify(this.progress));
+  }
+
+  /**
+   * Record that a lesson was started (counts as an attempt)
+   * @param {number} id - Lesson id
+   */
+  recordLessonStart(id) {
+    const record = this._record(id);
+    const now = new Date().toISOString();
+    record.attempts += 1;
+    record.firstStartedAt = record.firstStartedAt || now;
+    record.lastStartedAt = now;
+    this._persist();
+  }
+
+  /**
+   * Record the furthest step reached in a lesson
+   * @param {number} id - Lesson id
+   * @param {number} step - 1-based step number
+   */
+  recordStepReached(id, step) {
+    const record = this._record(id);
+    if (step <= record.stepReached) return;
+    record.stepReached = step;
+    this._persist();
+  }
+
+  /**
+   * Record that a hint was shown, keeping the highest hint level per step
+   * @param {number} id - Lesson id
+   * @param {string} stepId - Step (or phase) the learner was stuck on
+   * @param {number} level - 1 = text nudge, 2 = tool highlight, 3 = demonstration
+   */
+  recordHintShown(id, stepId, level) {
+    const record = this._record(id);
+    record.hintsShown += 1;
+    record.hintLevels = { ...record.hintLevels };
+    record.hintLevels[stepId] = Math.max(record.hintLevels[stepId] || 0, level);
+    this._persist();
+  }
+
+  /**
+   * Record that the learner finished a lesson: marks it completed and keeps
+   * the fastest time from lesson start to finish
+   * @param {number} id - Lesson id
+   */
+  recordLessonFinished(id) {
+    const record = this._record(id);
+    const now = new Date();
+    // Only the first finish after a start counts towards the time
+    if (record.lastStartedAt && (!record.lastFinishedAt || record.lastFinishedAt < record.lastStartedAt)) {
+      const duration = now - new Date(record.lastStartedAt);
+      if (duration > 0 && (record.bestTimeMs === null || duration < record.bestTimeMs)) record.bestTimeMs = duration;
+      record.lastFinishedAt = now.toISOString();
+    }
+    if (!record.completed) {
+      record.completed = true;
+      record.completedAt = now.toISOString();
+    }
+    this._persist();
+    this._notify(id);
+  }
+
+  /**
+   * Mark a lesson as completed (or not)
+   * @param {number} id - Lesson id
+   * @param {boolean} [completed=true]
+   */
+  setLessonCompleted(id, completed = true) {
+    const record = this._record(id);
+    if (record.completed === completed) return;
+    record.completed = completed;
+    record.completedAt = completed ? new Date().toISOString() : null;
+    this._persist();
+    this._notify(id);
+  }
+
+  /**
+   * Replace the completed set (legacy saveCompletedLessons)
+   * @param {Array<number>} ids
+   */
+  setCompletedLessons(ids) {
+    const wanted = new Set(ids.map(n => parseInt(n, 10)).filter(n => !isNaN(n)));
+    wanted.forEach(id => {
+      const record = this._record(id);
+      if (!record.completed) {
+        record.completed = true;
+        record.completedAt = new Date().toISOString();
+      }
+    });
+    Object.entries(this.progress.lessons).forEach(([id, record]) => {
+      if (!wanted.has(parseInt(id, 10))) {
+        record.completed = false;
+        record.completedAt = null;
+      }
+    });
+    this._persist();
+    this._notify();
+  }
+
+  /**
+   * Forget all progress
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.progress = createEmptyProgress();
+    if (this.backend) {
+      try {
+        await this._saveChain;
+        await this.backend.remove(this.key);
+      } catch (error) {
+        console.warn('[ProgressStore] Could not clear progress:', error);
+      }
+    }
+    this._notify();
+  }
+
+  /**
+   * Download progress as a JSON file
+   * @param {string} [filename]
+   */
+  exportToFile(filename = 'inkscape-voortgang.json') {
+    const json = JSON.stringify({ ...this.getAll(), exportedAt: new Date().toISOString() }, null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1500);
+  }
+
+  /**
+   * Replace progress with the contents of a progress file
+   * @param {File|Blob} file
+   * @returns {Promise<boolean>} False if the file is not a valid progress file
+   */
+  async importFromFile(file) {
+    try {
+      const data = normalizeProgress(JSON.parse(await file.text()));
+      if (!data) {
+        console.warn('[ProgressStore] Not a progress file');
+        return false;
+      }
+      this.progress = data;
+      await this._persist();
+      this._notify();
+      console.log('[ProgressStore] Imported progress for lessons:', Object.keys(data.lessons));
+      return true;
+    } catch (error) {
+      console.warn('[ProgressStore] Could not import progress file:', error);
+      return false;
+    }
+  }
+}
+
+export const progressStore = new ProgressStore();
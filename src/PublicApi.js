@@ -0,0 +1,195 @@
+/**
+ * Public API
+ * `window.InkscapeTutorial`: the stable surface for automation scripts,
+ * embedders and the devtools console.
+ *
+ * Lessons
+ *   getLessons()                   [{ id, title, name, completed, unlocked }]
+ *   startLesson(id, { step })      open a lesson (the active one restarts); Promise<boolean>
+ *                                  without the resume prompt; restarting drops the lesson's autosave
+ *   restartLesson({ step })        restart the active lesson; Promise<boolean>
+ *   closeLesson()                  clean up the lessons and clear the canvas
+ *   getCurrentLesson()             id of the active lesson, or null
+ *   getCurrentStep()               { lesson, id, index, count } in a multi-step lesson, or null
+ * Events
+ *   on(type, handler)              subscribe to a lesson event (see ANALYTICS_EVENTS) or '*';
+ *                                  returns a function that unsubscribes
+ *   off(type, handler)
+ * Canvas and tools
+ *   getCanvasState()               { zoom, viewportTransform, width, height, objects, selection }
+ *   getToolState()                 { active, tools: [{ id, enabled }] }
+ *   selectTool(id)                 click a toolbar button; false if it is disabled
+ *   setToolEnabled(id, enabled)    enable or disable a toolbar button (the next lesson step may change it again)
+ *   setDebug(enabled)              log selection changes to the console
+ *
+ * 'tutorial:ready' is dispatched on window once the API is installed.
+ * Events come from the analytics stream, so they pause while a session
+ * recording is replayed. startLesson() does not check prerequisites.
+ */
+
+import { canvas, setSelectionLogging } from './canvas.js';
+import { LESSONS, getActiveLessonId } from './LessonRegistry.js';
+import { getActiveStep } from './LessonStepEngine.js';
+import { progressStore } from './ProgressStore.js';
+import { analytics, ANALYTICS_EVENTS } from './Analytics.js';
+import { setToolEnabled } from './utils.js';
+
+export const API_VERSION = 1;
+
+const EVENT_TYPES = new Set([...Object.values(ANALYTICS_EVENTS), '*']);
+
+/**
+ * Object on the canvas as the API reports it
+ * @param {fabric.Object} obj
+ */
+function describeObject(obj) {
+  return {
+    id: obj.tutorialId || null,
+    type: obj.type,
+    left: obj.left,
+    top: obj.top,
+    angle: obj.angle,
+    scaleX: obj.scaleX,
+    scaleY: obj.scaleY,
+    visible: obj.visible !== false
+  };
+}
+
+class EventHub {
+  constructor() {
+    this.name = 'publicApi';
+    this.handlers = new Map();
+  }
+
+  on(type, handler) {
+    if (!EVENT_TYPES.has(type) || typeof handler !== 'function') {
+      console.warn('[PublicApi] Unknown event type or handler:', type);
+      return () => {};
+    }
+    if (!this.handlers.has(type)) this.handlers.set(type, new Set());
+    this.handlers.get(type).add(handler);
+    return () => this.off(type, handler);
+  }
+
+  off(type, handler) {
+    const handlers = this.handlers.get(type);
+    if (handlers) handlers.delete(handler);
+  }
+
+  // Analytics sink
+  handle(event) {
+    [this.handlers.get(event.type), this.handlers.get('*')].forEach(handlers => {
+      if (!handlers) return;
+      handlers.forEach(handler => {
+        try {
+          handler({ ...event });
+        } catch (error) {
+          console.warn(`[PublicApi] ${event.type} handler failed:`, error);
+        }
+      });
+    });
+  }
+}
+
+/**
+ * Create window.InkscapeTutorial. Navigation stays with the page, which keeps
+ * the URL hash and the lesson bar in step with the lesson.
+ * @param {Object} navigation
+ * @param {Function} navigation.startLesson - (id, options) => Promise, opens or restarts a lesson
+ * @param {Function} navigation.closeLesson - () => void
+ * @param {Function} navigation.isLessonUnlocked - (id) => boolean
+ * @returns {Object} The API
+ */
+export function installPublicApi({ startLesson, closeLesson, isLessonUnlocked }) {
+  const events = new EventHub();
+  analytics.addSink(events);
+
+  const api = {
+    version: API_VERSION,
+
+    getLessons() {
+      return LESSONS.map(lesson => ({
+        id: lesson.id,
+        title: lesson.title,
+        name: lesson.name,
+        completed: progressStore.getLessonProgress(lesson.id).completed,
+        unlocked: isLessonUnlocked(lesson.id)
+      }));
+    },
+
+    async startLesson(id, { step = null } = {}) {
+      if (!LESSONS.some(lesson => lesson.id === id)) {
+        console.warn('[PublicApi] Unknown lesson:', id);
+        return false;
+      }
+      await startLesson(id, step === null ? {} : { step });
+      return true;
+    },
+
+    async restartLesson({ step = null } = {}) {
+      const id = getActiveLessonId();
+      if (id === null) return false;
+      return api.startLesson(id, { step });
+    },
+
+    closeLesson() {
+      closeLesson();
+    },
+
+    getCurrentLesson() {
+      return getActiveLessonId();
+    },
+
+    getCurrentStep() {
+      return getActiveStep();
+    },
+
+    on: (type, handler) => events.on(type, handler),
+    off: (type, handler) => events.off(type, handler),
+
+    getCanvasState() {
+      if (!canvas) return null;
+      return {
+        zoom: canvas.getZoom(),
+        viewportTransform: canvas.viewportTransform.slice(),
+        width: canvas.getWidth(),
+        height: canvas.getHeight(),
+        objects: canvas.getObjects().map(describeObject),
+        selection: canvas.getActiveObjects().map(describeObject)
+      };
+    },
+
+    getToolState() {
+      const buttons = Array.from(document.querySelectorAll('#leftToolbar .tool-btn'));
+      const active = buttons.find(btn => btn.classList.contains('active'));
+      return {
+        active: active ? active.id : null,
+        tools: buttons.map(btn => ({ id: btn.id, enabled: !btn.disabled }))
+      };
+    },
+
+    selectTool(id) {
+      const btn = document.getElementById(id);
+      if (!btn || !btn.classList.contains('tool-btn') || btn.disabled) return false;
+      btn.click();
+      return true;
+    },
+
+    setToolEnabled(id, enabled = true) {
+      const btn = document.getElementById(id);
+      if (!btn || !btn.classList.contains('tool-btn')) return false;
+      setToolEnabled(id, enabled);
+      return true;
+    },
+
+    setDebug(enabled) {
+      setSelectionLogging(enabled);
+    }
+  };
+
+  window.InkscapeTutorial = Object.freeze(api);
+  try {
+    window.dispatchEvent(new CustomEvent('tutorial:ready', { detail: { version: API_VERSION } }));
+  } catch (e) { /* ignore dispatch failures */ }
+  return window.InkscapeTutorial;
+}
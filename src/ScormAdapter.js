@@ -0,0 +1,237 @@
+/**
+ * SCORM Adapter
+ * SCORM 1.2 package mode: the tutorial runs inside an LMS and reports to it.
+ *
+ * The package launches `index.html?scorm=1` (see scripts/build-scorm.sh). In
+ * that mode the adapter finds the LMS `API` object in a parent frame or the
+ * opener, and:
+ * - keeps lesson progress in `cmi.suspend_data` (ScormProgressBackend) instead
+ *   of this computer's storage, so it follows the learner between computers
+ * - reports `cmi.core.lesson_status` ('completed' once every lesson is done,
+ *   'incomplete' before that) and `cmi.core.score.raw` (percentage of lessons done)
+ * - sends the session time and ends the LMS session when the page closes
+ *
+ * Without `?scorm` nothing changes. If the API can't be found the tutorial
+ * runs as a normal page.
+ */
+
+import { SCORM } from './constants.js';
+import { LESSONS } from './LessonRegistry.js';
+import { progressStore } from './ProgressStore.js';
+
+/**
+ * Look for the SCORM 1.2 API in the parent frames, then in the opener's
+ * @param {Window} [win=window]
+ * @returns {Object|null}
+ */
+export function findScormApi(win = window) {
+  const search = (start) => {
+    let current = start;
+    for (let depth = 0; current && depth <= SCORM.API_SEARCH_DEPTH; depth++) {
+      try {
+        if (current.API) return current.API;
+      } catch (e) { /* another origin: keep climbing */ }
+      if (current.parent === current) break;
+      current = current.parent;
+    }
+    return null;
+  };
+  return search(win) || (win.opener ? search(win.opener) : null);
+}
+
+/**
+ * 'HHHH:MM:SS.SS' as used by cmi.core.session_time
+ * @param {number} ms
+ */
+function toScormTime(ms) {
+  const total = Math.max(0, ms) / 1000;
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const seconds = (total % 60).toFixed(2);
+  return `${String(hours).padStart(4, '0')}:${String(minutes).padStart(2, '0')}:${seconds.padStart(5, '0')}`;
+}
+
+/**
+ * Smallest progress document that fits in cmi.suspend_data: default fields
+ * are left out (ProgressStore fills them in again), and if that is still too
+ * long only completion and the furthest step are kept
+ * @param {Object} progress
+ * @returns {string}
+ */
+function encodeSuspendData(progress) {
+  const defaults = { completed: false, completedAt: null, firstStartedAt: null, lastStartedAt: null, lastFinishedAt: null, bestTimeMs: null, stepReached: 0, attempts: 0, hintsShown: 0 };
+  const compact = (pick) => {
+    const lessons = {};
+    Object.entries(progress.lessons).forEach(([id, record]) => {
+      const kept = {};
+      pick.forEach(field => {
+        const value = record[field];
+        if (value !== undefined && value !== defaults[field] && !(typeof value === 'object' && value !== null && Object.keys(value).length === 0)) kept[field] = value;
+      });
+      lessons[id] = kept;
+    });
+    return JSON.stringify({ version: progress.version, lessons, updatedAt: progress.updatedAt });
+  };
+
+  const full = compact([...Object.keys(defaults), 'hintLevels']);
+  if (full.length <= SCORM.SUSPEND_DATA_MAX) return full;
+  console.warn('[ScormAdapter] Progress is too long for suspend_data; keeping completion only');
+  return compact(['completed', 'stepReached', 'bestTimeMs']);
+}
+
+/**
+ * ProgressStore backend on cmi.suspend_data. There is one learner per LMS
+ * session, so the key is ignored.
+ */
+export class ScormProgressBackend {
+  /**
+   * @param {ScormAdapter} adapter
+   */
+  constructor(adapter) {
+    this.name = 'scorm';
+    this.adapter = adapter;
+  }
+
+  async load() {
+    const raw = this.adapter.getValue('cmi.suspend_data');
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async save(key, data) {
+    this.adapter.setValue('cmi.suspend_data', encodeSuspendData(data));
+    this.adapter.commit();
+  }
+
+  async remove() {
+    this.adapter.setValue('cmi.suspend_data', '');
+    this.adapter.commit();
+  }
+}
+
+export class ScormAdapter {
+  constructor() {
+    this.api = null;
+    this.isActive = false;
+    this._startedAt = null;
+    this._reported = {};
+    this._finished = false;
+  }
+
+  /**
+   * Start the LMS session when the page was launched as a SCORM package
+   * @param {string} [search=location.search]
+   * @returns {boolean} True if the tutorial now reports to an LMS
+   */
+  init(search = location.search) {
+    if (!new URLSearchParams(search).has(SCORM.URL_PARAM)) return false;
+
+    this.api = findScormApi();
+    if (!this.api) {
+      console.warn('[ScormAdapter] Launched as a SCORM package but no LMS API was found; progress stays on this computer');
+      return false;
+    }
+    if (String(this.api.LMSInitialize('')) !== 'true') {
+      console.warn('[ScormAdapter] LMSInitialize failed:', this._lastError());
+      this.api = null;
+      return false;
+    }
+
+    this.isActive = true;
+    this._startedAt = Date.now();
+    if (this.getValue('cmi.core.lesson_status') === 'not attempted') this.setValue('cmi.core.lesson_status', 'incomplete');
+    this.setValue('cmi.core.score.min', '0');
+    this.setValue('cmi.core.score.max', '100');
+    this.commit();
+
+    window.addEventListener('lessons:updated', () => this.reportProgress());
+    window.addEventListener('pagehide', () => this.finish());
+    console.log('[ScormAdapter] Reporting to the LMS as', this.getValue('cmi.core.student_name') || '?');
+    return true;
+  }
+
+  /**
+   * Progress backend for progressStore.init()
+   * @returns {ScormProgressBackend}
+   */
+  createProgressBackend() {
+    return new ScormProgressBackend(this);
+  }
+
+  /**
+   * Send the lesson status and score for the current progress
+   */
+  reportProgress() {
+    if (!this.isActive || !progressStore.isReady) return;
+    const completed = new Set(progressStore.getCompletedLessons());
+    const done = LESSONS.filter(lesson => completed.has(lesson.id)).length;
+    const values = {
+      'cmi.core.score.raw': String(Math.round((done / LESSONS.length) * 100)),
+      'cmi.core.lesson_status': done === LESSONS.length ? 'completed' : 'incomplete'
+    };
+    // The LMS keeps 'completed'; a lesson reset by an instructor doesn't undo it
+    if (this.getValue('cmi.core.lesson_status') === 'completed') delete values['cmi.core.lesson_status'];
+
+    let changed = false;
+    Object.entries(values).forEach(([name, value]) => {
+      if (this._reported[name] === value) return;
+      if (this.setValue(name, value)) {
+        this._reported[name] = value;
+        changed = true;
+      }
+    });
+    if (changed) this.commit();
+  }
+
+  /**
+   * End the LMS session: session time, exit mode and LMSFinish
+   */
+  finish() {
+    if (!this.isActive || this._finished) return;
+    this._finished = true;
+    this.reportProgress();
+    this.setValue('cmi.core.session_time', toScormTime(Date.now() - this._startedAt));
+    // 'suspend' asks the LMS to resume this attempt next time
+    this.setValue('cmi.core.exit', this.getValue('cmi.core.lesson_status') === 'completed' ? '' : 'suspend');
+    this.commit();
+    if (String(this.api.LMSFinish('')) !== 'true') console.warn('[ScormAdapter] LMSFinish failed:', this._lastError());
+  }
+
+  /**
+   * @param {string} name - CMI element, e.g. 'cmi.core.lesson_status'
+   * @returns {string}
+   */
+  getValue(name) {
+    if (!this.api) return '';
+    const value = this.api.LMSGetValue(name);
+    const error = String(this.api.LMSGetLastError());
+    if (error !== '0') console.warn(`[ScormAdapter] Could not read ${name}:`, this._lastError());
+    return value === null || value === undefined ? '' : String(value);
+  }
+
+  /**
+   * @param {string} name - CMI element
+   * @param {string} value
+   * @returns {boolean} False if the LMS refused the value
+   */
+  setValue(name, value) {
+    if (!this.api) return false;
+    if (String(this.api.LMSSetValue(name, String(value))) === 'true') return true;
+    console.warn(`[ScormAdapter] Could not set ${name}:`, this._lastError());
+    return false;
+  }
+
+  commit() {
+    if (this.api && String(this.api.LMSCommit('')) !== 'true') console.warn('[ScormAdapter] LMSCommit failed:', this._lastError());
+  }
+
+  _lastError() {
+    try {
+      const code = this.api.LMSGetLastError();
+      return `${code} ${this.api.LMSGetErrorString(code)}`;
+    } catch (e) {
+      return 'unknown error';
+    }
+  }
+}
+
+export const scormAdapter = new ScormAdapter();
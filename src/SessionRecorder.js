@@ -0,0 +1,528 @@
+/**
+ * Session Recorder
+ * Records what a learner does on the canvas during a lesson and plays it back.
+ *
+ * A recording holds the mouse, wheel and keyboard events delivered to the
+ * canvas, clicks on tool buttons and text typed into canvas text objects. Each
+ * event keeps its time since the lesson started, and the viewport is stored
+ * whenever it changed since the previous event. Recordings are saved as JSON
+ * files (exportToFile) for instructors and for bug reports.
+ *
+ * Recording restarts the active lesson, so replay can start from the same
+ * point. It dispatches the same events, in the same order and at the same
+ * times, into the recorded lesson. Before every event it compares the viewport
+ * with the recorded one and logs the first difference: that is where the
+ * replay stopped matching the recording. Real input on the canvas is blocked
+ * during replay; Escape stops it. Analytics are paused while a replay runs.
+ *
+ * Keys typed into form fields outside the canvas (panel inputs, dialogs) are
+ * not recorded.
+ */
+
+import { canvas } from './canvas.js';
+import { register as registerEvent, unregisterAllForOwner } from './EventRegistry.js';
+import { getActiveLessonId, getLesson, openLesson, refreshLesson } from './LessonRegistry.js';
+import { profileStore } from './ProfileStore.js';
+import { getLanguage } from './i18n.js';
+import { analytics } from './Analytics.js';
+import { SESSION_RECORDING } from './constants.js';
+
+const FORMAT = 'inkscape-tutorial-session';
+const VERSION = 1;
+
+const MOUSE_EVENTS = ['mousedown', 'mousemove', 'mouseup', 'dblclick', 'contextmenu', 'auxclick'];
+const KEY_EVENTS = ['keydown', 'keyup'];
+const MODIFIERS = ['shiftKey', 'ctrlKey', 'altKey', 'metaKey'];
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function currentViewport() {
+  return canvas.viewportTransform.map(value => round(value, 4));
+}
+
+function sameViewport(a, b) {
+  return a.every((value, i) => Math.abs(value - b[i]) <= SESSION_RECORDING.VIEWPORT_TOLERANCE);
+}
+
+function pickModifiers(e) {
+  const mods = {};
+  MODIFIERS.forEach(name => { if (e[name]) mods[name] = true; });
+  return mods;
+}
+
+function isFormField(el) {
+  return !!el && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT' || el.isContentEditable);
+}
+
+/**
+ * Hidden textarea of the text object being edited on the canvas
+ * @returns {HTMLTextAreaElement|null}
+ */
+function editingTextarea() {
+  const active = canvas.getActiveObject();
+  return active && active.isEditing && active.hiddenTextarea ? active.hiddenTextarea : null;
+}
+
+/**
+ * Check the shape of a recording read from a file
+ * @param {Object} data
+ * @returns {Object|null} The recording, or null if it is not one
+ */
+function normalizeRecording(data) {
+  if (!data || data.format !== FORMAT || typeof data.lessonId !== 'number' || !Array.isArray(data.events)) return null;
+  if (data.version > VERSION) {
+    console.warn('[SessionRecorder] Recording was made by a newer version:', data.version);
+  }
+  const viewport = Array.isArray(data.viewport) && data.viewport.length === 6 ? data.viewport : [1, 0, 0, 1, 0, 0];
+  const events = data.events.filter(event => event && typeof event.type === 'string' && typeof event.t === 'number');
+  return { ...data, viewport, canvas: data.canvas || {}, events };
+}
+
+/**
+ * Build the DOM event for a recorded event
+ * @param {Object} event
+ * @returns {Event|null}
+ */
+function createEvent(event) {
+  const mods = {};
+  MODIFIERS.forEach(name => { mods[name] = !!event[name]; });
+
+  if (event.type === 'wheel' || MOUSE_EVENTS.includes(event.type)) {
+    const rect = canvas.upperCanvasEl.getBoundingClientRect();
+    const init = {
+      bubbles: true,
+      cancelable: true,
+      view: window,
+      clientX: rect.left + event.x,
+      clientY: rect.top + event.y,
+      button: event.button || 0,
+      buttons: event.buttons || 0,
+      detail: event.detail || 0,
+      ...mods
+    };
+    if (event.type === 'wheel') {
+      return new WheelEvent('wheel', { ...init, deltaX: event.deltaX || 0, deltaY: event.deltaY || 0, deltaMode: event.deltaMode || 0 });
+    }
+    return new MouseEvent(event.type, init);
+  }
+
+  if (KEY_EVENTS.includes(event.type)) {
+    const keyEvent = new KeyboardEvent(event.type, {
+      bubbles: true,
+      cancelable: true,
+      key: event.key,
+      code: event.code,
+      repeat: !!event.repeat,
+      ...mods
+    });
+    // Fabric's text editing still reads keyCode, which the constructor can't set
+    if (event.keyCode) {
+      Object.defineProperty(keyEvent, 'keyCode', { get: () => event.keyCode });
+      Object.defineProperty(keyEvent, 'which', { get: () => event.keyCode });
+    }
+    return keyEvent;
+  }
+  return null;
+}
+
+export class SessionRecorder {
+  constructor() {
+    this._recording = null;
+    this._replay = null;
+    this.lastRecording = null;
+  }
+
+  get isRecording() {
+    return !!this._recording;
+  }
+
+  get isReplaying() {
+    return !!this._replay;
+  }
+
+  /**
+   * Restart the active lesson and record from its start
+   * @returns {Promise<boolean>} False if no lesson is active or a replay is running
+   */
+  async start() {
+    const lessonId = getActiveLessonId();
+    if (lessonId === null || this._replay) return false;
+    this.stop();
+    await refreshLesson(lessonId);
+
+    const profile = profileStore.getActiveProfile();
+    const recording = {
+      format: FORMAT,
+      version: VERSION,
+      lessonId,
+      language: getLanguage(),
+      profile: profile ? profile.name : null,
+      recordedAt: new Date().toISOString(),
+      canvas: { width: canvas.getWidth(), height: canvas.getHeight() },
+      viewport: currentViewport(),
+      duration: 0,
+      events: []
+    };
+    const session = { recording, startTime: performance.now(), dragging: false, viewport: recording.viewport };
+    this._recording = session;
+
+    // Capture phase: record events before handlers can stop them
+    const capture = { capture: true };
+    MOUSE_EVENTS.forEach(type => registerEvent(window, type, (e) => this._recordMouse(session, e), session, capture));
+    registerEvent(window, 'wheel', (e) => this._recordWheel(session, e), session, { capture: true, passive: true });
+    KEY_EVENTS.forEach(type => registerEvent(window, type, (e) => this._recordKey(session, e), session, capture));
+    registerEvent(window, 'input', (e) => this._recordInput(session, e), session, capture);
+    registerEvent(window, 'click', (e) => this._recordToolClick(session, e), session, capture);
+    // A recording only replays into the lesson it was made in
+    registerEvent(window, 'hashchange', () => this.stop(), session);
+
+    console.log(`[SessionRecorder] Recording lesson ${lessonId}`);
+    this._renderStatus();
+    return true;
+  }
+
+  /**
+   * Stop recording
+   * @returns {Object|null} The recording (also kept as lastRecording)
+   */
+  stop() {
+    const session = this._recording;
+    if (!session) return null;
+    unregisterAllForOwner(session);
+    this._recording = null;
+    session.recording.duration = Math.round(performance.now() - session.startTime);
+    this.lastRecording = session.recording;
+    console.log(`[SessionRecorder] Recorded ${session.recording.events.length} events in lesson ${session.recording.lessonId}`);
+    this._renderStatus();
+    return session.recording;
+  }
+
+  /**
+   * Download a recording as a JSON file
+   * @param {Object} [recording] - Defaults to the last recording
+   * @param {string} [filename]
+   */
+  exportToFile(recording = this.lastRecording, filename = null) {
+    if (!recording) return;
+    const stamp = (recording.recordedAt || new Date().toISOString()).slice(0, 19).replace(/[:T]/g, '-');
+    const json = JSON.stringify(recording);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename || `sessie-les${recording.lessonId}-${stamp}.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1500);
+  }
+
+  /**
+   * Read a recording file
+   * @param {File|Blob} file
+   * @returns {Promise<Object|null>} The recording, or null if the file is not one
+   */
+  async importFromFile(file) {
+    try {
+      const recording = normalizeRecording(JSON.parse(await file.text()));
+      if (!recording) console.warn('[SessionRecorder] Not a session recording');
+      return recording;
+    } catch (error) {
+      console.warn('[SessionRecorder] Could not read recording:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Restart the recorded lesson and play the recording into it
+   * @param {Object} recording
+   * @param {Object} [options]
+   * @param {number} [options.speed=1] - Playback speed; anything but 1 can change
+   *   the outcome when the lesson animates
+   * @returns {Promise<{completed: boolean, divergedAt: number|null, events: number}|null>}
+   *   Null if the recording can't be played
+   */
+  async replay(recording, { speed = 1 } = {}) {
+    const data = normalizeRecording(recording);
+    if (!data || !getLesson(data.lessonId)) {
+      console.warn('[SessionRecorder] Cannot replay recording for lesson:', data ? data.lessonId : null);
+      return null;
+    }
+    this.stop();
+    this.stopReplay();
+    // A replay is not learner activity
+    analytics.setPaused(true);
+
+    if (getActiveLessonId() === data.lessonId) {
+      await refreshLesson(data.lessonId);
+    } else {
+      await openLesson(data.lessonId);
+      // replaceState doesn't fire hashchange, which would start the lesson a second time
+      try { history.replaceState(null, '', `${location.pathname}${location.search}#lesson=${data.lessonId}`); } catch (e) { /* ignore */ }
+      try {
+        window.dispatchEvent(new CustomEvent('lessons:updated', { detail: { lesson: data.lessonId } }));
+      } catch (e) { /* ignore dispatch failures */ }
+    }
+
+    if (data.canvas.width !== canvas.getWidth() || data.canvas.height !== canvas.getHeight()) {
+      console.warn(`[SessionRecorder] Canvas is ${canvas.getWidth()}×${canvas.getHeight()}, recording was made at ${data.canvas.width}×${data.canvas.height}; positions may not match`);
+    }
+
+    return new Promise(resolve => {
+      const replay = {
+        data,
+        speed: speed > 0 ? speed : 1,
+        index: 0,
+        timer: null,
+        startTime: performance.now(),
+        viewport: data.viewport,
+        divergedAt: null,
+        cursor: this._createReplayCursor(),
+        resolve
+      };
+      this._replay = replay;
+
+      // Keep real input away from the canvas while the recording plays
+      const block = (e) => {
+        if (!e.isTrusted) return;
+        if (e.type === 'keydown' && e.key === 'Escape') this.stopReplay();
+        const toolbar = document.getElementById('leftToolbar');
+        const inside = e.target instanceof Node && (
+          (canvas.wrapperEl && canvas.wrapperEl.contains(e.target)) ||
+          (toolbar && toolbar.contains(e.target))
+        );
+        if (inside || KEY_EVENTS.includes(e.type)) {
+          e.preventDefault();
+          e.stopPropagation();
+        }
+      };
+      [...MOUSE_EVENTS, ...KEY_EVENTS, 'click'].forEach(type => registerEvent(window, type, block, replay, { capture: true }));
+      registerEvent(window, 'wheel', block, replay, { capture: true, passive: false });
+
+      console.log(`[SessionRecorder] Replaying ${data.events.length} events in lesson ${data.lessonId}`);
+      this._renderStatus();
+      this._scheduleNext(replay);
+    });
+  }
+
+  /**
+   * Stop a running replay
+   */
+  stopReplay() {
+    if (this._replay) this._finishReplay(this._replay, false);
+  }
+
+  _push(session, entry) {
+    const events = session.recording.events;
+    if (events.length >= SESSION_RECORDING.MAX_EVENTS) {
+      console.warn('[SessionRecorder] Event limit reached, recording stopped');
+      this.stop();
+      return;
+    }
+    const event = { t: Math.round(performance.now() - session.startTime), ...entry };
+    const viewport = currentViewport();
+    if (!sameViewport(viewport, session.viewport)) {
+      event.vpt = viewport;
+      session.viewport = viewport;
+    }
+    events.push(event);
+  }
+
+  _recordMouse(session, e) {
+    if (!e.isTrusted) return;
+    const upper = canvas.upperCanvasEl;
+    const onCanvas = e.target === upper;
+    // Drags that leave the canvas are still delivered to the canvas (through the document)
+    if (e.type === 'mousedown' && onCanvas) session.dragging = true;
+    if (!onCanvas && !session.dragging) return;
+    if (e.type === 'mouseup') session.dragging = false;
+    const rect = upper.getBoundingClientRect();
+    this._push(session, {
+      type: e.type,
+      target: onCanvas ? 'canvas' : 'document',
+      x: round(e.clientX - rect.left),
+      y: round(e.clientY - rect.top),
+      button: e.button,
+      buttons: e.buttons,
+      detail: e.detail,
+      ...pickModifiers(e)
+    });
+  }
+
+  _recordWheel(session, e) {
+    if (!e.isTrusted || e.target !== canvas.upperCanvasEl) return;
+    const rect = canvas.upperCanvasEl.getBoundingClientRect();
+    this._push(session, {
+      type: 'wheel',
+      target: 'canvas',
+      x: round(e.clientX - rect.left),
+      y: round(e.clientY - rect.top),
+      deltaX: e.deltaX,
+      deltaY: e.deltaY,
+      deltaMode: e.deltaMode,
+      ...pickModifiers(e)
+    });
+  }
+
+  _recordKey(session, e) {
+    if (!e.isTrusted) return;
+    let target = 'document';
+    if (e.target === editingTextarea()) target = 'text';
+    else if (isFormField(e.target)) return;
+    this._push(session, {
+      type: e.type,
+      target,
+      key: e.key,
+      code: e.code,
+      keyCode: e.keyCode,
+      ...(e.repeat ? { repeat: true } : {}),
+      ...pickModifiers(e)
+    });
+  }
+
+  _recordInput(session, e) {
+    const textarea = editingTextarea();
+    if (!e.isTrusted || !textarea || e.target !== textarea) return;
+    this._push(session, {
+      type: 'input',
+      target: 'text',
+      value: textarea.value,
+      selectionStart: textarea.selectionStart,
+      selectionEnd: textarea.selectionEnd
+    });
+  }
+
+  _recordToolClick(session, e) {
+    if (!e.isTrusted) return;
+    const button = e.target && e.target.closest ? e.target.closest('#leftToolbar .tool-btn') : null;
+    if (!button || !button.id) return;
+    this._push(session, { type: 'click', target: 'tool', id: button.id });
+  }
+
+  _scheduleNext(replay) {
+    if (this._replay !== replay) return;
+    const events = replay.data.events;
+    if (replay.index >= events.length) {
+      this._finishReplay(replay, true);
+      return;
+    }
+    const dueAt = (event) => replay.startTime + event.t / replay.speed;
+    replay.timer = setTimeout(() => {
+      replay.timer = null;
+      // Dispatch everything that is due; timers can't keep up with mousemove rates
+      const now = performance.now();
+      while (this._replay === replay && replay.index < events.length && dueAt(events[replay.index]) <= now) {
+        this._dispatch(replay, events[replay.index]);
+        replay.index += 1;
+      }
+      this._renderStatus();
+      this._scheduleNext(replay);
+    }, Math.max(0, dueAt(events[replay.index]) - performance.now()));
+  }
+
+  _dispatch(replay, event) {
+    if (event.vpt) replay.viewport = event.vpt;
+    if (replay.divergedAt === null && !sameViewport(currentViewport(), replay.viewport)) {
+      replay.divergedAt = replay.index;
+      console.warn(`[SessionRecorder] Replay diverged at event ${replay.index} (${event.type} at ${event.t} ms): viewport is [${currentViewport()}], recorded [${replay.viewport}]`);
+    }
+
+    try {
+      if (event.target === 'tool') {
+        const button = document.getElementById(event.id);
+        if (button) button.click();
+        return;
+      }
+      if (event.type === 'input') {
+        const textarea = editingTextarea();
+        if (!textarea) return;
+        textarea.value = event.value;
+        textarea.setSelectionRange(event.selectionStart, event.selectionEnd);
+        textarea.dispatchEvent(new Event('input', { bubbles: true }));
+        return;
+      }
+      const domEvent = createEvent(event);
+      if (!domEvent) return;
+      let target = document;
+      if (event.target === 'canvas') target = canvas.upperCanvasEl;
+      else if (event.target === 'text') target = editingTextarea() || document;
+      if (event.type !== 'wheel' && MOUSE_EVENTS.includes(event.type)) this._moveReplayCursor(replay, event);
+      target.dispatchEvent(domEvent);
+    } catch (error) {
+      console.warn(`[SessionRecorder] Could not replay event ${replay.index}:`, error);
+    }
+  }
+
+  _finishReplay(replay, completed) {
+    if (replay.timer) clearTimeout(replay.timer);
+    unregisterAllForOwner(replay);
+    if (replay.cursor) replay.cursor.remove();
+    this._replay = null;
+    analytics.setPaused(false);
+    this._renderStatus();
+    console.log(`[SessionRecorder] Replay ${completed ? 'finished' : 'stopped'} after ${replay.index} of ${replay.data.events.length} events`);
+    replay.resolve({ completed, divergedAt: replay.divergedAt, events: replay.index });
+  }
+
+  /**
+   * Marker for the recorded pointer (synthetic events don't move the real one)
+   * @returns {HTMLElement|null}
+   */
+  _createReplayCursor() {
+    const container = canvas.wrapperEl;
+    if (!container) return null;
+    const cursor = document.createElement('div');
+    cursor.className = 'ghost-cursor replay-cursor';
+    cursor.setAttribute('aria-hidden', 'true');
+    cursor.innerHTML = `
+      <span class="ghost-cursor-ripple"></span>
+      <img class="ghost-cursor-pointer" src="assets/icons/tool-pointer.svg" alt="">
+    `;
+    container.appendChild(cursor);
+    return cursor;
+  }
+
+  _moveReplayCursor(replay, event) {
+    if (!replay.cursor) return;
+    replay.cursor.style.transform = `translate(${event.x}px, ${event.y}px)`;
+    replay.cursor.classList.toggle('pressed', !!event.buttons);
+  }
+
+  /**
+   * Recording / replay indicator at the top of the page (instructor-facing, Dutch)
+   */
+  _renderStatus() {
+    let status = document.getElementById('session-recorder-status');
+    if (!this._recording && !this._replay) {
+      if (status) status.remove();
+      return;
+    }
+    if (!status) {
+      status = document.createElement('div');
+      status.id = 'session-recorder-status';
+      status.setAttribute('role', 'status');
+      document.body.appendChild(status);
+    }
+
+    if (this._recording) {
+      if (status.dataset.mode === 'recording') return;
+      status.dataset.mode = 'recording';
+      status.innerHTML = `<i class="fa-solid fa-circle"></i> Opname les ${this._recording.recording.lessonId} `;
+      const stopBtn = document.createElement('button');
+      stopBtn.type = 'button';
+      stopBtn.textContent = 'Stoppen en downloaden';
+      stopBtn.addEventListener('click', () => this.exportToFile(this.stop()));
+      status.appendChild(stopBtn);
+      return;
+    }
+
+    const replay = this._replay;
+    status.dataset.mode = 'replay';
+    status.innerHTML = `<i class="fa-solid fa-play"></i> Opname afspelen: ${replay.index}/${replay.data.events.length} (Esc stopt)`;
+  }
+}
+
+export const sessionRecorder = new SessionRecorder();
@@ -6,6 +6,7 @@
 
 import { canvas } from './canvas.js';
 import { register as registerEvent, unregisterAllForOwner } from './EventRegistry.js';
+import { t } from './i18n.js';
 
 class ShapeDrawingController {
   constructor() {
@@ -106,11 +107,11 @@ class ShapeDrawingController {
     let container = document.getElementById('dimension-controls');
     const content = (shapeType === 'rect') ? `
         <div class="dimension-group">
-          <label>B:</label>
+          <label data-i18n="shapes.width">${t('shapes.width')}</label>
           <input type="number" id="shape-width" min="0" step="0.1" value="0" />
         </div>
         <div class="dimension-group">
-          <label>H:</label>
+          <label data-i18n="shapes.height">${t('shapes.height')}</label>
           <input type="number" id="shape-height" min="0" step="0.1" value="0" />
         </div>
       ` : `
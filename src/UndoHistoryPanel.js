@@ -0,0 +1,208 @@
+/**
+ * Undo History Panel
+ * Like Inkscape's Undo History dialog: every action of the current step as a
+ * readable line ("Move helmet", "Set fill #EA4D64", "Delete node"). Clicking
+ * a line undoes or redoes up to that point; undone actions stay listed, greyed
+ * out, until the next new action drops them. The panel is docked below the
+ * instructions or floats and can be dragged by its title bar.
+ */
+
+import { undoRedoController } from './UndoRedoController.js';
+import { t, hasMessage } from './i18n.js';
+
+const STYLE_LABELS = { fill: 'setFill', stroke: 'setStroke', strokeWidth: 'setStrokeWidth', opacity: 'setOpacity' };
+
+/**
+ * Name of an object in a label: its tutorialId, else its kind
+ * @param {fabric.Object} obj
+ * @returns {string}
+ */
+function objectName(obj) {
+  if (obj.tutorialId) return String(obj.tutorialId).replace(/[-_]+/g, ' ').trim().toLowerCase();
+  const key = `undoHistory.objects.${obj.type}`;
+  return t(hasMessage(key) ? key : 'undoHistory.objects.object');
+}
+
+/**
+ * Colour or number as shown in a label
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === null || value === undefined || value === '' || value === 'transparent' || value === 'none') return t('undoHistory.none');
+  if (typeof value === 'number') return String(Math.round(value * 100) / 100);
+  if (typeof value !== 'string') return '';
+  if (value.startsWith('#')) return value.toUpperCase();
+  const rgb = value.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i);
+  if (rgb) return `#${rgb.slice(1, 4).map(c => Number(c).toString(16).padStart(2, '0')).join('').toUpperCase()}`;
+  return value;
+}
+
+/**
+ * Human-readable label for a command of the undo history
+ * @param {Object} command - Command from undoRedoController.getHistory()
+ * @returns {string}
+ */
+export function describeCommand(command) {
+  const entries = command.entries || [];
+  const name = entries.length === 1 ? objectName(entries[0].obj) : t('undoHistory.objectCount', { count: entries.length });
+
+  if (command.kind === 'node') {
+    const key = `undoHistory.node.${command.action}`;
+    return t(hasMessage(key) ? key : 'undoHistory.node.move');
+  }
+  if (command.kind === 'style') {
+    const keys = [...new Set(entries.flatMap(entry => Object.keys(entry.after)))];
+    const prop = keys.length === 1 && STYLE_LABELS[keys[0]] ? keys[0] : null;
+    if (prop) {
+      const values = new Set(entries.map(entry => formatValue(entry.after[prop])));
+      if (values.size === 1) return t(`undoHistory.${STYLE_LABELS[prop]}`, { value: [...values][0] });
+    }
+    return t('undoHistory.style', { name });
+  }
+  if (command.kind === 'text') return t('undoHistory.text');
+  return t(`undoHistory.${command.kind}`, { name });
+}
+
+export class UndoHistoryPanel {
+  constructor() {
+    this.element = null;
+    this.list = null;
+    this.isOpen = false;
+    this.isDocked = true;
+    this._floatAt = null; // { left, top } of the floating panel
+    this._drag = null;
+  }
+
+  /**
+   * Follow the undo history and the interface language
+   */
+  init() {
+    window.addEventListener('undo:changed', () => { if (this.isOpen) this.render(); });
+    window.addEventListener('i18n:changed', () => { if (this.isOpen) this.render(); });
+  }
+
+  toggle() {
+    if (this.isOpen) this.hide();
+    else this.show();
+  }
+
+  show() {
+    if (!this.element) this._create();
+    this.isOpen = true;
+    this.element.classList.remove('hidden');
+    this.render();
+    window.dispatchEvent(new CustomEvent('undo:panel-toggled', { detail: { open: true } }));
+  }
+
+  hide() {
+    if (!this.element) return;
+    this.isOpen = false;
+    this.element.classList.add('hidden');
+    window.dispatchEvent(new CustomEvent('undo:panel-toggled', { detail: { open: false } }));
+  }
+
+  /**
+   * Dock the panel below the instructions, or let it float where it was dropped
+   * @param {boolean} docked
+   */
+  setDocked(docked) {
+    this.isDocked = docked;
+    if (!this.element) return;
+    this.element.classList.toggle('docked', docked);
+    this.element.classList.toggle('floating', !docked);
+    // First float: just left of the instructions
+    const at = this._floatAt || { left: Math.max(0, window.innerWidth - 600), top: 80 };
+    this.element.style.left = docked ? '' : `${at.left}px`;
+    this.element.style.top = docked ? '' : `${at.top}px`;
+    this.render();
+  }
+
+  /**
+   * Rebuild the list from the undo history
+   */
+  render() {
+    if (!this.element) return;
+    this.element.querySelector('.undo-history-title').textContent = t('undoHistory.title');
+    const dockBtn = this.element.querySelector('.undo-history-dock');
+    dockBtn.title = t(this.isDocked ? 'undoHistory.undock' : 'undoHistory.dock');
+    dockBtn.innerHTML = `<i class="fa-solid ${this.isDocked ? 'fa-up-right-from-square' : 'fa-thumbtack'}"></i>`;
+    this.element.querySelector('.undo-history-close').title = t('common.close');
+
+    // Before clearing: collecting a pending action re-renders through undo:changed
+    const history = undoRedoController.getHistory();
+    const list = this.list;
+    list.innerHTML = '';
+    if (!history.available) {
+      const empty = document.createElement('li');
+      empty.className = 'undo-history-empty';
+      empty.textContent = t('undoHistory.unavailable');
+      list.appendChild(empty);
+      return;
+    }
+
+    const addItem = (label, position, className) => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = className;
+      button.textContent = label;
+      button.addEventListener('click', () => undoRedoController.goTo(position));
+      item.appendChild(button);
+      list.appendChild(item);
+      return button;
+    };
+
+    const current = history.done.length;
+    addItem(t('undoHistory.start'), 0, current === 0 ? 'current' : '');
+    history.done.forEach((command, i) => addItem(describeCommand(command), i + 1, i + 1 === current ? 'current' : ''));
+    history.undone.forEach((command, i) => addItem(describeCommand(command), current + i + 1, 'undone'));
+
+    const active = list.querySelector('.current');
+    if (active && active.scrollIntoView) active.scrollIntoView({ block: 'nearest' });
+  }
+
+  _create() {
+    const panel = document.createElement('div');
+    panel.id = 'undo-history-panel';
+    panel.className = 'undo-history-panel hidden';
+    panel.innerHTML = `
+      <div class="undo-history-header">
+        <span class="undo-history-title"></span>
+        <button type="button" class="undo-history-dock"></button>
+        <button type="button" class="undo-history-close"><i class="fa-solid fa-xmark"></i></button>
+      </div>
+      <ol class="undo-history-list"></ol>
+    `;
+    this.element = panel;
+    this.list = panel.querySelector('.undo-history-list');
+    panel.querySelector('.undo-history-dock').addEventListener('click', () => this.setDocked(!this.isDocked));
+    panel.querySelector('.undo-history-close').addEventListener('click', () => this.hide());
+    panel.querySelector('.undo-history-header').addEventListener('pointerdown', (e) => this._startDrag(e));
+    document.body.appendChild(panel);
+    this.setDocked(this.isDocked);
+  }
+
+  _startDrag(e) {
+    if (this.isDocked || e.target.closest('button')) return;
+    const rect = this.element.getBoundingClientRect();
+    this._drag = { dx: e.clientX - rect.left, dy: e.clientY - rect.top };
+    const move = (ev) => {
+      const left = Math.min(Math.max(0, ev.clientX - this._drag.dx), window.innerWidth - 40);
+      const top = Math.min(Math.max(0, ev.clientY - this._drag.dy), window.innerHeight - 40);
+      this._floatAt = { left, top };
+      this.element.style.left = `${left}px`;
+      this.element.style.top = `${top}px`;
+    };
+    const up = () => {
+      this._drag = null;
+      window.removeEventListener('pointermove', move);
+      window.removeEventListener('pointerup', up);
+    };
+    window.addEventListener('pointermove', move);
+    window.addEventListener('pointerup', up);
+    e.preventDefault();
+  }
+}
+
+export const undoHistoryPanel = new UndoHistoryPanel();
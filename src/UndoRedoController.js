@@ -1,13 +1,127 @@
 /**
  * UndoRedoController
  * Handles Ctrl+Z (undo) and Ctrl+Shift+Z (redo) functionality for Fabric.js canvas
- * Maintains a history stack of canvas states
+ * Maintains a history of reversible commands
+ *
+ * History is only recorded while a lesson takes part: the lesson attaches a
+ * participant `{ name, snapshot(), restore(state) }` whose own state is saved
+ * and restored alongside the canvas. Only objects the learner can edit are
+ * restored, and in place, so lessons keep their object references, the
+ * MetadataRegistry entries and running animations. Objects protected with
+ * LockedFromDelete are never undone, and checkpoint() makes the current
+ * state the oldest one (lessons call it when a step is entered, so completed
+ * steps survive undo).
+ *
+ * Each command records what one action changed, never the whole scene:
+ * - add / paste / remove   { obj, index } per object
+ * - modify                 { obj, before, after } with only the changed properties;
+ *                          its kind is move, scale, rotate, style, node, text or transform
+ * The canvas events of one action (a multi-object delete, a paste) are
+ * collected until the end of the current task and become one command. Moves,
+ * resizes, rotations and restyles made without a pointer gesture (nudges,
+ * panel sliders, number inputs) merge into the previous command when they
+ * change the same objects within mergeWindow milliseconds.
+ *
+ * getHistory() lists the done and undone commands for the Undo History panel,
+ * goTo(position) undoes or redoes up to a point in it, and 'undo:changed' is
+ * dispatched on window whenever the history changes.
  */
 
 import { canvas } from './canvas.js';
 import { register as registerEvent, unregisterAllForOwner } from './EventRegistry.js';
 import { KeyboardController } from './KeyboardController.js';
-import { LastPos } from './MetadataRegistry.js';
+import { LastPos, LockedFromDelete, Pasted } from './MetadataRegistry.js';
+
+const TRANSFORM_PROPS = ['left', 'top', 'scaleX', 'scaleY', 'angle', 'skewX', 'skewY', 'flipX', 'flipY'];
+const STYLE_PROPS = ['fill', 'stroke', 'strokeWidth', 'strokeDashArray', 'opacity', 'visible'];
+// Own geometry of the object types the learner can edit
+const GEOMETRY_PROPS = {
+  path: ['path', 'pathOffset', 'width', 'height'],
+  rect: ['width', 'height', 'rx', 'ry'],
+  ellipse: ['rx', 'ry'],
+  circle: ['radius']
+};
+const SIZE_PROPS = ['scaleX', 'scaleY', 'width', 'height', 'rx', 'ry', 'radius'];
+// A node edit restores the whole path geometry, which exiting node editing recalculates
+const NODE_PROPS = ['path', 'pathOffset', 'width', 'height', 'left', 'top'];
+const MERGEABLE_KINDS = ['move', 'scale', 'rotate', 'style'];
+
+/**
+ * Whether undo may add, remove or change an object
+ * @param {fabric.Object} obj
+ * @returns {boolean}
+ */
+function isEditable(obj) {
+  return !!obj && obj.selectable !== false && !LockedFromDelete.has(obj);
+}
+
+function cloneValue(value) {
+  if (Array.isArray(value)) return value.map(cloneValue);
+  if (value instanceof fabric.Point) return new fabric.Point(value.x, value.y);
+  // Plain objects such as pathOffset; gradients and patterns are replaced, not mutated
+  if (value && typeof value === 'object' && value.constructor === Object) return { ...value };
+  return value;
+}
+
+function sameValue(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return Math.abs(a - b) < 1e-6;
+  if (a && b && typeof a === 'object' && typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+  return a === b;
+}
+
+function propsFor(obj) {
+  const props = TRANSFORM_PROPS.concat(STYLE_PROPS, GEOMETRY_PROPS[obj.type] || []);
+  if (typeof obj.text === 'string') props.push('text');
+  return props;
+}
+
+function pick(source, keys) {
+  const picked = {};
+  keys.forEach(key => { if (key in source) picked[key] = cloneValue(source[key]); });
+  return picked;
+}
+
+/**
+ * Transform of an object inside an ActiveSelection as it will be once the
+ * selection is dropped (what Group.realizeTransform computes)
+ */
+function realizedTransform(obj) {
+  const own = pick(obj, TRANSFORM_PROPS);
+  const d = fabric.util.qrDecompose(obj.calcTransformMatrix());
+  obj.set({ flipX: false, flipY: false, scaleX: d.scaleX, scaleY: d.scaleY, skewX: d.skewX, skewY: d.skewY, angle: d.angle });
+  obj.setPositionByOrigin(new fabric.Point(d.translateX, d.translateY), 'center', 'center');
+  const realized = pick(obj, TRANSFORM_PROPS);
+  obj.set(own);
+  return realized;
+}
+
+/**
+ * Current recorded properties of an object, in canvas coordinates
+ * @param {fabric.Object} obj
+ * @returns {Object}
+ */
+function readProps(obj) {
+  const props = {};
+  propsFor(obj).forEach(prop => {
+    if (obj[prop] !== undefined) props[prop] = cloneValue(obj[prop]);
+  });
+  if (obj.group && obj.group.type === 'activeSelection') Object.assign(props, realizedTransform(obj));
+  return props;
+}
+
+function kindOf(keys) {
+  if (keys.includes('path')) return 'node';
+  if (keys.includes('text')) return 'text';
+  if (keys.includes('angle')) return 'rotate';
+  if (keys.some(key => SIZE_PROPS.includes(key))) return 'scale';
+  if (keys.every(key => key === 'left' || key === 'top')) return 'move';
+  if (keys.every(key => STYLE_PROPS.includes(key))) return 'style';
+  return 'transform';
+}
+
+function members(obj) {
+  return obj && obj.type === 'activeSelection' ? obj.getObjects() : [obj];
+}
 
 class UndoRedoController {
   constructor() {
@@ -16,12 +130,21 @@ class UndoRedoController {
     this.keydownHandler = null;
     // Start disabled; enable explicitly on app init so listeners are registered once
     this.isEnabled = false;
-    this.maxStackSize = 50; // Maximum number of undo states to keep
+    this.maxStackSize = 100; // Maximum number of commands to keep
     this.isRecording = true; // Flag to prevent recording during undo/redo
-    this.saveTimeout = null; // Debounce timer for saving state
-    this.debounceDelay = 500; // milliseconds to wait before saving
-    // bound handler reference so we can remove listeners precisely
-    this._boundCanvasModified = this.onCanvasModified.bind(this);
+    this.mergeWindow = 1000; // milliseconds in which repeated nudges and slider changes merge
+    this.participant = null; // Lesson taking part in undo, see attach()
+    this._known = new WeakMap(); // object -> { props, index } as last recorded
+    this._pending = [];
+    this._flushScheduled = false;
+    this._lastRecorded = null; // command later changes may merge into
+    this._lessonState = null; // participant snapshot after the last command
+    this._silent = false; // no undo:changed events while goTo() steps through the history
+    // bound handler references so we can remove listeners precisely
+    this._boundAdded = (e) => this._queue('added', e);
+    this._boundRemoved = (e) => this._queue('removed', e);
+    this._boundModified = (e) => this._queue('modified', e);
+    this._boundRefresh = (e) => this._refresh(e);
   }
 
   /**
@@ -36,13 +159,10 @@ class UndoRedoController {
     this.keydownHandler = this.handleKeydown.bind(this);
     // Register via KeyboardController so handlers are owner-scoped
     KeyboardController.register(this, this.keydownHandler);
-    
+
     // Track canvas modifications
     this.setupCanvasListeners();
-    
-    // Save initial state
-    this.saveState();
-    
+
     this.isEnabled = true;
     console.log('[UndoRedo] Enabled (Ctrl+Z / Ctrl+Shift+Z)');
   }
@@ -58,26 +178,60 @@ class UndoRedoController {
       KeyboardController.unregister(this);
       this.keydownHandler = null;
     }
-    
+
     this.removeCanvasListeners();
-    this.undoStack = [];
-    this.redoStack = [];
+    this.clearHistory();
     this.isEnabled = false;
     console.log('[UndoRedo] Disabled');
   }
 
+  /**
+   * Let a lesson take part in undo. History starts over from the current state.
+   * @param {Object} participant
+   * @param {string} participant.name - Log name (e.g. 'Lesson6')
+   * @param {Function} [participant.snapshot] - () => lesson state to keep with each command
+   * @param {Function} [participant.restore] - (state) => void, called after a command is undone or redone
+   */
+  attach(participant) {
+    this.participant = participant;
+    this.checkpoint();
+    console.log(`[UndoRedo] ${participant.name} takes part in undo`);
+  }
+
+  /**
+   * Stop recording for a lesson and forget its history
+   * @param {Object} participant - The object passed to attach()
+   */
+  detach(participant) {
+    if (this.participant !== participant) return;
+    this.participant = null;
+    this.clearHistory();
+  }
+
+  /**
+   * Make the current state the oldest one; nothing before it can be undone
+   */
+  checkpoint() {
+    this.clearHistory();
+    if (!this.participant || !canvas) return;
+    canvas.getObjects().forEach((obj, index) => {
+      if (isEditable(obj)) this._known.set(obj, { props: readProps(obj), index });
+    });
+    this._lessonState = this._snapshotLesson();
+  }
+
   /**
    * Setup canvas event listeners to track changes
    */
   setupCanvasListeners() {
-    // Track object modifications (includes color, size, rotation changes)
-    registerEvent(canvas, 'object:modified', this._boundCanvasModified, this);
-    registerEvent(canvas, 'object:added', this._boundCanvasModified, this);
-    registerEvent(canvas, 'object:removed', this._boundCanvasModified, this);
-    // Track property changes that might not trigger object:modified
-    registerEvent(canvas, 'object:scaling', this._boundCanvasModified, this);
-    registerEvent(canvas, 'object:rotating', this._boundCanvasModified, this);
-    registerEvent(canvas, 'object:skewing', this._boundCanvasModified, this);
+    registerEvent(canvas, 'object:added', this._boundAdded, this);
+    registerEvent(canvas, 'object:removed', this._boundRemoved, this);
+    // Fired at the end of a gesture and by panels after they change an object
+    registerEvent(canvas, 'object:modified', this._boundModified, this);
+    // Forget changes the lessons made in code before the learner acts on an object
+    registerEvent(canvas, 'before:transform', this._boundRefresh, this);
+    registerEvent(canvas, 'selection:created', this._boundRefresh, this);
+    registerEvent(canvas, 'selection:updated', this._boundRefresh, this);
   }
 
   /**
@@ -90,27 +244,13 @@ class UndoRedoController {
     } catch (e) { /* ignore */ }
   }
 
-  /**
-   * Handle canvas modification events
-   */
-  onCanvasModified() {
-    if (this.isRecording) {
-      // Debounce the save to avoid creating too many undo states
-      // during rapid changes (like dragging sliders)
-      if (this.saveTimeout) {
-        clearTimeout(this.saveTimeout);
-      }
-      this.saveTimeout = setTimeout(() => {
-        this.saveState();
-        this.saveTimeout = null;
-      }, this.debounceDelay);
-    }
-  }
-
   /**
    * Handle keyboard events
    */
   handleKeydown(e) {
+    // Lessons that don't take part keep the browser's default behaviour
+    if (!this.participant) return;
+
     // Ignore key events from inputs/textareas or contenteditable elements
     try {
       const t = e.target;
@@ -130,165 +270,276 @@ class UndoRedoController {
   }
 
   /**
-   * Save the current canvas state to the undo stack
+   * Undo the last command
+   * @returns {boolean} False if there was nothing to undo
    */
-  saveState() {
-    if (!this.isRecording) return;
-    // Use a transient approach: generate canvas JSON, then inject _lastPos
-    // into the serialized object entries without mutating fabric objects.
-    const canvasObjects = canvas.getObjects().slice();
-    const json = canvas.toJSON([
-      'perPixelTargetFind',
-      'targetFindTolerance',
-      'objectCaching',
-      'hasControls',
-      'hasBorders',
-      'selectable',
-      'evented',
-      'hoverCursor',
-      // Note: we don't include '_lastPos' here on purpose; we'll inject below
-    ]);
-
-    // Inject _lastPos into the serialized JSON objects by aligning
-    // with canvas.getObjects() order (fabric preserves object order).
-    try {
-      if (json && Array.isArray(json.objects)) {
-        json.objects.forEach((objJson, idx) => {
-          const o = canvasObjects[idx];
-          try {
-            if (o && typeof LastPos !== 'undefined' && LastPos && LastPos.has && LastPos.has(o)) {
-              const val = LastPos.get(o);
-              if (typeof val !== 'undefined') {
-                objJson._lastPos = val;
-              }
-            }
-          } catch (e) { /* ignore */ }
-        });
-      }
-    } catch (e) { /* ignore */ }
-
-    // Wrap the canvas JSON together with the current URL hash so undo/redo can restore lesson navigation
-    const wrapper = {
-      canvas: json,
-      hash: (typeof location !== 'undefined' && location.hash) ? location.hash : ''
-    };
-
-    this.undoStack.push(JSON.stringify(wrapper));
-    
-    // Limit stack size
-    if (this.undoStack.length > this.maxStackSize) {
-      this.undoStack.shift();
+  undo() {
+    // Record an action whose events are still being collected
+    this._flush();
+    const command = this.undoStack.pop();
+    if (!command) {
+      console.log('[UndoRedo] Nothing to undo');
+      return false;
     }
-
-    // Clear redo stack when a new action is performed
-    this.redoStack = [];
+    this._apply(command, true);
+    this.redoStack.push(command);
+    console.log(`[UndoRedo] Undo: ${command.kind}`);
+    this._notify();
+    return true;
   }
 
   /**
-   * Undo the last action
+   * Redo the last undone command
+   * @returns {boolean} False if there was nothing to redo
    */
-  undo() {
-    if (this.undoStack.length <= 1) {
-      console.log('[UndoRedo] Nothing to undo');
-      return;
+  redo() {
+    // A new action clears the redo stack
+    this._flush();
+    const command = this.redoStack.pop();
+    if (!command) {
+      console.log('[UndoRedo] Nothing to redo');
+      return false;
     }
+    this._apply(command, false);
+    this.undoStack.push(command);
+    console.log(`[UndoRedo] Redo: ${command.kind}`);
+    this._notify();
+    return true;
+  }
 
-    // Clear any pending save
-    if (this.saveTimeout) {
-      clearTimeout(this.saveTimeout);
-      this.saveTimeout = null;
+  /**
+   * Undo or redo until `position` commands are done (0 is the checkpoint)
+   * @param {number} position
+   */
+  goTo(position) {
+    this._flush();
+    this._silent = true;
+    try {
+      while (this.undoStack.length > position && this.undo()) { /* step back */ }
+      while (this.undoStack.length < position && this.redo()) { /* step forward */ }
+    } finally {
+      this._silent = false;
     }
+    this._notify();
+  }
 
-    // Stop recording during undo
-    this.isRecording = false;
+  /**
+   * Commands in order: `done` from the oldest, `undone` in the order redo
+   * replays them. The undone branch is dropped by the next new action.
+   * @returns {{available: boolean, done: Array<Object>, undone: Array<Object>}}
+   */
+  getHistory() {
+    this._flush();
+    return {
+      available: !!this.participant,
+      done: this.undoStack.slice(),
+      undone: this.redoStack.slice().reverse()
+    };
+  }
 
-    // Move current state to redo stack
-    const currentState = this.undoStack.pop();
-    this.redoStack.push(currentState);
+  /**
+   * Clear all history
+   */
+  clearHistory() {
+    this._pending = [];
+    this.undoStack = [];
+    this.redoStack = [];
+    this._known = new WeakMap();
+    this._lastRecorded = null;
+    this._lessonState = null;
+    this._notify();
+  }
 
-    // Load previous state
-    const previousState = this.undoStack[this.undoStack.length - 1];
-    this.loadState(previousState);
+  _queue(type, e) {
+    if (!this.isRecording || !this.participant || !e || !e.target) return;
+    this._pending.push({ type, target: e.target, pointer: !!e.transform, action: e.action || null });
+    if (this._flushScheduled) return;
+    this._flushScheduled = true;
+    // Handlers that run after ours (snapping, locking, the paste code) finish first
+    queueMicrotask(() => {
+      this._flushScheduled = false;
+      this._flush();
+    });
+  }
 
-    console.log('[UndoRedo] Undo performed');
+  _refresh(e) {
+    if (!this.isRecording || !this.participant) return;
+    const targets = e.transform ? [e.transform.target] : (e.selected || []);
+    targets.forEach(target => members(target).forEach(obj => {
+      if (isEditable(obj)) this._known.set(obj, { props: readProps(obj), index: canvas.getObjects().indexOf(obj) });
+    }));
   }
 
-  /**
-   * Redo the last undone action
-   */
-  redo() {
-    if (this.redoStack.length === 0) {
-      console.log('[UndoRedo] Nothing to redo');
-      return;
+  _flush() {
+    const pending = this._pending;
+    this._pending = [];
+    if (!pending.length || !this.participant) return;
+
+    const added = new Set();
+    const removed = new Set();
+    const modified = new Map(); // object -> { pointer, action }
+    pending.forEach(({ type, target, pointer, action }) => {
+      if (type === 'added') added.add(target);
+      else if (type === 'removed') removed.add(target);
+      else members(target).forEach(obj => {
+        const seen = modified.get(obj);
+        modified.set(obj, { pointer: pointer || (seen && seen.pointer), action: (seen && seen.action) || action });
+      });
+    });
+
+    const objects = canvas.getObjects();
+    const adds = [...added].filter(obj => canvas.contains(obj) && isEditable(obj) && !this._known.has(obj));
+    if (adds.length) {
+      const entries = adds.map(obj => {
+        const index = objects.indexOf(obj);
+        this._known.set(obj, { props: readProps(obj), index });
+        return { obj, index };
+      });
+      this._record({ type: adds.every(obj => Pasted.has(obj)) ? 'paste' : 'add', entries });
     }
 
-    // Clear any pending save
-    if (this.saveTimeout) {
-      clearTimeout(this.saveTimeout);
-      this.saveTimeout = null;
+    const removes = [...removed].filter(obj => !canvas.contains(obj) && this._known.has(obj));
+    if (removes.length) {
+      const entries = removes.map(obj => {
+        const { index } = this._known.get(obj);
+        this._known.delete(obj);
+        return { obj, index };
+      });
+      this._record({ type: 'remove', entries });
     }
 
-    // Stop recording during redo
-    this.isRecording = false;
+    const entries = [];
+    let pointer = false;
+    let action = null;
+    modified.forEach((info, obj) => {
+      if (added.has(obj) || !canvas.contains(obj)) return;
+      const known = this._known.get(obj);
+      const props = readProps(obj);
+      this._known.set(obj, { props, index: known ? known.index : objects.indexOf(obj) });
+      // Without a recorded state there is nothing to go back to; protected objects are not undone
+      if (!known || !isEditable(obj)) return;
+      let keys = Object.keys(props).filter(key => !sameValue(props[key], known.props[key]));
+      if (!keys.length) return;
+      if (keys.includes('path')) keys = [...new Set(keys.concat(NODE_PROPS))];
+      entries.push({ obj, before: pick(known.props, keys), after: pick(props, keys) });
+      pointer = pointer || info.pointer;
+      action = action || info.action;
+    });
+    if (entries.length) {
+      const keys = [...new Set(entries.flatMap(entry => Object.keys(entry.after)))];
+      this._record({ type: 'modify', kind: kindOf(keys), action, entries, mergeable: !pointer });
+    }
+  }
 
-    // Move state from redo to undo stack
-    const nextState = this.redoStack.pop();
-    this.undoStack.push(nextState);
+  _record(command) {
+    command.kind = command.kind || command.type;
+    command.time = Date.now();
+    command.lessonBefore = this._lessonState;
+    command.lessonAfter = this._snapshotLesson();
+    this._lessonState = command.lessonAfter;
+    this.redoStack = [];
 
-    // Load next state
-    this.loadState(nextState);
+    const last = this._lastRecorded;
+    if (last && this._canMerge(last, command)) {
+      command.entries.forEach(entry => {
+        const previous = last.entries.find(e => e.obj === entry.obj);
+        previous.before = { ...entry.before, ...previous.before };
+        previous.after = { ...previous.after, ...entry.after };
+      });
+      last.time = command.time;
+      last.lessonAfter = command.lessonAfter;
+      this._notify();
+      return;
+    }
 
-    console.log('[UndoRedo] Redo performed');
+    this.undoStack.push(command);
+    this._lastRecorded = command;
+    // Limit stack size
+    if (this.undoStack.length > this.maxStackSize) {
+      this.undoStack.shift();
+    }
+    this._notify();
   }
 
-  /**
-   * Load a canvas state from JSON
-   */
-  loadState(stateJson) {
-    const parsed = JSON.parse(stateJson);
-    // Support legacy format (raw canvas JSON) and new wrapper format { canvas, hash }
-    const canvasState = (parsed && parsed.canvas) ? parsed.canvas : parsed;
-    const savedHash = (parsed && typeof parsed.hash !== 'undefined') ? parsed.hash : null;
-
-    canvas.clear();
-    canvas.loadFromJSON(canvasState, () => {
-      canvas.requestRenderAll();
+  // Tell the history panel (and anyone else) that the history changed
+  _notify() {
+    if (this._silent) return;
+    try {
+      window.dispatchEvent(new CustomEvent('undo:changed', {
+        detail: { available: !!this.participant, canUndo: this.undoStack.length > 0, canRedo: this.redoStack.length > 0 }
+      }));
+    } catch (e) { /* ignore dispatch failures */ }
+  }
 
-      // Restore LastPos metadata from any _lastPos properties present in restored objects
-      try {
-        canvas.getObjects().forEach(o => {
-          try {
-            if (o && typeof o._lastPos !== 'undefined') {
-              try { LastPos.set(o, o._lastPos); } catch (e) {}
-              try { delete o._lastPos; } catch (e) {}
-            }
-          } catch (e) { /* ignore */ }
+  _canMerge(last, command) {
+    if (last.type !== 'modify' || command.type !== 'modify') return false;
+    if (!last.mergeable || !command.mergeable || last.kind !== command.kind) return false;
+    if (!MERGEABLE_KINDS.includes(command.kind) || command.time - last.time > this.mergeWindow) return false;
+    return last.entries.length === command.entries.length &&
+      command.entries.every(entry => last.entries.some(e => e.obj === entry.obj));
+  }
+
+  _apply(command, undo) {
+    // Stop recording during undo/redo; the canvas events below are synchronous
+    this.isRecording = false;
+    try {
+      canvas.discardActiveObject();
+      if (command.type === 'modify') {
+        command.entries.forEach(({ obj, before, after }) => {
+          // Objects the lesson has protected since stay as they are
+          if (LockedFromDelete.has(obj)) return;
+          Object.entries(undo ? before : after).forEach(([prop, value]) => obj.set(prop, cloneValue(value)));
+          obj.dirty = true;
+          this._settle(obj);
         });
-      } catch (e) { /* ignore */ }
-
-      // Restore URL hash if present in the saved state. Use replaceState to avoid adding extra history
-      try {
-        if (savedHash !== null && savedHash !== undefined) {
-          history.replaceState(null, '', savedHash);
-          // Notify listeners that the hash changed so lessons update accordingly
-          try { window.dispatchEvent(new HashChangeEvent('hashchange')); } catch (e) { /* ignore */ }
+      } else {
+        const adding = (command.type === 'remove') === undo;
+        // Lowest index first, so every object goes back to its own place
+        const entries = adding ? command.entries.slice().sort((a, b) => a.index - b.index) : command.entries;
+        entries.forEach(({ obj, index }) => {
+          if (LockedFromDelete.has(obj)) return;
+          if (!adding) {
+            canvas.remove(obj);
+            this._known.delete(obj);
+            return;
+          }
+          if (!canvas.contains(obj)) canvas.insertAt(obj, Math.min(index, canvas.getObjects().length));
+          this._settle(obj);
+        });
+      }
+
+      this._lessonState = undo ? command.lessonBefore : command.lessonAfter;
+      if (this.participant && this.participant.restore) {
+        try {
+          this.participant.restore(this._lessonState);
+        } catch (e) {
+          console.warn(`[UndoRedo] ${this.participant.name} restore failed:`, e);
         }
-      } catch (e) { /* ignore */ }
+      }
+      canvas.requestRenderAll();
+    } catch (e) {
+      console.warn('[UndoRedo] Could not apply command:', e);
+    } finally {
+      this.isRecording = true;
+      // A nudge after an undo starts a new command
+      this._lastRecorded = null;
+    }
+  }
 
-      // Resume recording after a short delay
-      setTimeout(() => {
-        this.isRecording = true;
-      }, 100);
-    });
+  _settle(obj) {
+    obj.setCoords();
+    if (LastPos.has(obj)) LastPos.set(obj, { left: obj.left, top: obj.top });
+    this._known.set(obj, { props: readProps(obj), index: canvas.getObjects().indexOf(obj) });
   }
 
-  /**
-   * Clear all history
-   */
-  clearHistory() {
-    this.undoStack = [];
-    this.redoStack = [];
-    console.log('[UndoRedo] History cleared');
+  _snapshotLesson() {
+    if (!this.participant || !this.participant.snapshot) return null;
+    try {
+      return this.participant.snapshot();
+    } catch (e) {
+      console.warn(`[UndoRedo] ${this.participant.name} snapshot failed:`, e);
+      return null;
+    }
   }
 }
 
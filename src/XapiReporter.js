@@ -0,0 +1,400 @@
+/**
+ * xAPI Reporter
+ * Turns the lesson event stream (see Analytics.js) into xAPI statements for a
+ * learning record store (LRS).
+ *
+ * - lesson_started   -> "attempted" the lesson
+ * - step_completed   -> "completed" the step, with its duration
+ * - lesson_completed -> "completed" the lesson, with its duration and score
+ *
+ * The score starts at XAPI.SCORE_MAX and loses points for every failed attempt
+ * and hint in that attempt. All statements of one attempt share a registration.
+ * The learner is the active profile, identified by an account on this site.
+ *
+ * Statements are queued on this computer first, so nothing is lost while the
+ * LRS can't be reached. With an endpoint (?xapi=<URL> for one page load, or
+ * saved from the instructor dialog) the queue is posted in batches; without
+ * one it can be downloaded as a JSON file and posted to the LRS later. The
+ * LRS key and secret are never written to this computer. Statements the LRS
+ * refuses (a 4xx other than 429) are set aside until the LRS settings change.
+ */
+
+import { XAPI } from './constants.js';
+import { analytics, ANALYTICS_EVENTS } from './Analytics.js';
+import { profileStore } from './ProfileStore.js';
+import { getLanguage, lessonHeading } from './i18n.js';
+import { instructorMode } from './InstructorMode.js';
+
+const QUEUE_KEY = 'inkscape-tutorial:xapi-queue';
+const CONFIG_KEY = 'inkscape-tutorial:xapi';
+const REJECTED_KEY = 'inkscape-tutorial:xapi-rejected';
+
+export const XAPI_VERBS = {
+  attempted: { id: 'http://adlnet.gov/expapi/verbs/attempted', display: { 'en-US': 'attempted' } },
+  completed: { id: 'http://adlnet.gov/expapi/verbs/completed', display: { 'en-US': 'completed' } }
+};
+
+const ACTIVITY_TYPES = {
+  course: 'http://adlnet.gov/expapi/activities/course',
+  lesson: 'http://adlnet.gov/expapi/activities/lesson',
+  step: 'http://adlnet.gov/expapi/activities/interaction'
+};
+
+function createUuid() {
+  try {
+    if (crypto && crypto.randomUUID) return crypto.randomUUID();
+  } catch (e) { /* fall through */ }
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+    const r = Math.floor(Math.random() * 16);
+    return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+  });
+}
+
+/**
+ * ISO 8601 duration, e.g. 'PT83.4S'
+ * @param {number} ms
+ */
+function toIsoDuration(ms) {
+  return `PT${Math.round(ms / 100) / 10}S`;
+}
+
+function readConfig() {
+  try {
+    const config = JSON.parse(localStorage.getItem(CONFIG_KEY) || 'null');
+    return config && typeof config.endpoint === 'string' ? config : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeConfig(endpoint) {
+  try {
+    if (endpoint) localStorage.setItem(CONFIG_KEY, JSON.stringify({ endpoint }));
+    else localStorage.removeItem(CONFIG_KEY);
+  } catch (e) { /* ignore */ }
+}
+
+function readStatements(key) {
+  try {
+    const statements = JSON.parse(localStorage.getItem(key) || '[]');
+    return Array.isArray(statements) ? statements : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * @param {string|null} url
+ * @returns {string|null} Base URL without /statements, '' for none, or null if it is not http(s)
+ */
+function cleanEndpoint(url) {
+  const clean = url ? String(url).trim().replace(/\/+$/, '').replace(/\/statements$/, '') : '';
+  if (!clean) return '';
+  try {
+    const parsed = new URL(clean);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') throw new Error(parsed.protocol);
+  } catch (e) {
+    console.warn('[XapiReporter] Not an http(s) LRS endpoint:', url);
+    return null;
+  }
+  return clean;
+}
+
+/**
+ * Whether a failed post is worth repeating: the LRS is busy or down.
+ * Any other 4xx means the LRS refuses these statements as they are.
+ * @param {number} status
+ */
+function isRetryable(status) {
+  return status === 429 || status >= 500;
+}
+
+export class XapiReporter {
+  constructor() {
+    this.name = 'xapi';
+    this.endpoint = null;
+    this.auth = null;
+    this.queue = [];
+    this.rejected = [];   // statements the LRS refused, see _send()
+    this._attempts = new Map();   // lesson id -> { registration, failures, hints, completed }
+    this._timer = null;
+    this._sending = null;    // promise of the running flush
+  }
+
+  /**
+   * Load the queue and the LRS settings, and start listening to the event stream
+   * @param {string} [search=location.search]
+   */
+  init(search = location.search) {
+    this.queue = readStatements(QUEUE_KEY);
+    this.rejected = readStatements(REJECTED_KEY);
+
+    const config = readConfig();
+    if (config) {
+      this.endpoint = config.endpoint;
+      // Earlier versions saved the credentials as well
+      if (config.auth) writeConfig(config.endpoint);
+    }
+    // The URL only applies to this page load: anyone can edit a link, and the
+    // statements carry the learners' names
+    const value = new URLSearchParams(search).get(XAPI.URL_PARAM);
+    if (value === 'off') this.endpoint = null;
+    else if (value) {
+      const clean = cleanEndpoint(value);
+      if (clean) this.endpoint = clean;
+    }
+    if (this.endpoint) console.log('[XapiReporter] Sending statements to', this.endpoint);
+
+    analytics.addSink(this);
+    window.addEventListener('online', () => this.flush());
+    if (this.endpoint && this.queue.length > 0) this.flush();
+  }
+
+  /**
+   * LRS that receives the statements. Only in instructor mode. The endpoint
+   * is remembered on this computer; the credentials last for this page load.
+   * Statements the LRS refused get another try with the new settings.
+   * @param {string|null} url - Base URL of the LRS (without /statements); null to only queue
+   * @param {string|null} [auth] - Authorization header value, e.g. 'Basic a2V5OnNlY3JldA=='
+   * @returns {boolean} False if the URL is not http(s) or instructor mode is off
+   */
+  setEndpoint(url, auth = null) {
+    if (!instructorMode.isActive) {
+      console.warn('[XapiReporter] Saving an LRS needs instructor mode');
+      return false;
+    }
+    const clean = cleanEndpoint(url);
+    if (clean === null) return false;
+    this.endpoint = clean || null;
+    this.auth = this.endpoint ? auth : null;
+    writeConfig(this.endpoint);
+    if (this.endpoint) {
+      this._requeueRejected();
+      console.log('[XapiReporter] Sending statements to', this.endpoint);
+      this.flush();
+    }
+    return true;
+  }
+
+  getEndpoint() {
+    return this.endpoint;
+  }
+
+  /**
+   * Authorization header for an LRS key and secret
+   * @param {string} key
+   * @param {string} secret
+   * @returns {string|null}
+   */
+  static basicAuth(key, secret) {
+    if (!key) return null;
+    const bytes = new TextEncoder().encode(`${key}:${secret || ''}`);
+    return `Basic ${btoa(String.fromCharCode(...bytes))}`;
+  }
+
+  // -------------------------
+  // Statements
+  // -------------------------
+
+  /**
+   * Analytics sink: build the statement for an event and queue it
+   * @param {Object} event - Event from analytics.emit()
+   */
+  handle(event) {
+    const statement = this.toStatement(event);
+    if (!statement) return;
+    this.queue.push(statement);
+    if (this.queue.length > XAPI.MAX_QUEUED) this.queue.splice(0, this.queue.length - XAPI.MAX_QUEUED);
+    this._saveQueue();
+    if (this.endpoint && !this._timer) this.flush();
+  }
+
+  /**
+   * @param {Object} event
+   * @returns {Object|null} Statement, or null for events that don't make one
+   */
+  toStatement(event) {
+    const lessonId = event.lesson;
+    switch (event.type) {
+      case ANALYTICS_EVENTS.LESSON_STARTED: {
+        const attempt = { registration: createUuid(), failures: 0, hints: 0, completed: false };
+        this._attempts.set(lessonId, attempt);
+        return this._statement(event, XAPI_VERBS.attempted, this._lessonActivity(lessonId), attempt);
+      }
+      case ANALYTICS_EVENTS.ATTEMPT_FAILED:
+      case ANALYTICS_EVENTS.HINT_SHOWN: {
+        const attempt = this._attempts.get(lessonId);
+        if (attempt && event.type === ANALYTICS_EVENTS.ATTEMPT_FAILED) attempt.failures += 1;
+        else if (attempt) attempt.hints += 1;
+        return null;
+      }
+      case ANALYTICS_EVENTS.STEP_COMPLETED: {
+        const statement = this._statement(event, XAPI_VERBS.completed, this._stepActivity(lessonId, event.step), this._attempts.get(lessonId));
+        statement.context.contextActivities.parent = [this._lessonActivity(lessonId)];
+        statement.result = { completion: true, duration: toIsoDuration(event.durationMs) };
+        return statement;
+      }
+      case ANALYTICS_EVENTS.LESSON_COMPLETED: {
+        const attempt = this._attempts.get(lessonId);
+        // Lessons may report their end more than once; only the first counts
+        if (attempt && attempt.completed) return null;
+        if (attempt) attempt.completed = true;
+        const statement = this._statement(event, XAPI_VERBS.completed, this._lessonActivity(lessonId), attempt);
+        statement.result = { completion: true, success: true };
+        if (typeof event.durationMs === 'number') statement.result.duration = toIsoDuration(event.durationMs);
+        if (attempt) {
+          const raw = Math.max(0, XAPI.SCORE_MAX - attempt.failures * XAPI.FAILURE_PENALTY - attempt.hints * XAPI.HINT_PENALTY);
+          statement.result.score = { raw, min: 0, max: XAPI.SCORE_MAX, scaled: raw / XAPI.SCORE_MAX };
+        }
+        return statement;
+      }
+      default:
+        return null;
+    }
+  }
+
+  _statement(event, verb, object, attempt) {
+    const profile = profileStore.getProfile(event.profile) || profileStore.getActiveProfile();
+    const statement = {
+      id: createUuid(),
+      actor: {
+        objectType: 'Agent',
+        name: profile.name,
+        account: { homePage: this._activityBase(), name: profile.id }
+      },
+      verb,
+      object,
+      timestamp: event.time,
+      context: {
+        language: getLanguage(),
+        contextActivities: { grouping: [this._courseActivity()] }
+      }
+    };
+    if (attempt) statement.context.registration = attempt.registration;
+    return statement;
+  }
+
+  _activityBase() {
+    return `${location.origin}${location.pathname.replace(/[^/]*$/, '')}`;
+  }
+
+  _courseActivity() {
+    return {
+      objectType: 'Activity',
+      id: this._activityBase(),
+      definition: { type: ACTIVITY_TYPES.course, name: { [getLanguage()]: document.title } }
+    };
+  }
+
+  _lessonActivity(lessonId) {
+    return {
+      objectType: 'Activity',
+      id: `${this._activityBase()}lesson/${lessonId}`,
+      definition: { type: ACTIVITY_TYPES.lesson, name: { [getLanguage()]: lessonHeading(lessonId) } }
+    };
+  }
+
+  _stepActivity(lessonId, stepId) {
+    return {
+      objectType: 'Activity',
+      id: `${this._activityBase()}lesson/${lessonId}/step/${encodeURIComponent(stepId)}`,
+      definition: { type: ACTIVITY_TYPES.step, name: { [getLanguage()]: `${lessonHeading(lessonId)}: ${stepId}` } }
+    };
+  }
+
+  // -------------------------
+  // Queue
+  // -------------------------
+
+  getQueuedStatements() {
+    return this.queue.slice();
+  }
+
+  clearQueue() {
+    this.queue = [];
+    this._saveQueue();
+  }
+
+  /**
+   * Statements the LRS refused; they are not sent again until the LRS
+   * settings change
+   * @returns {Array<Object>}
+   */
+  getRejectedStatements() {
+    return this.rejected.slice();
+  }
+
+  _saveQueue() {
+    try {
+      localStorage.setItem(QUEUE_KEY, JSON.stringify(this.queue));
+      localStorage.setItem(REJECTED_KEY, JSON.stringify(this.rejected));
+    } catch (error) {
+      console.warn('[XapiReporter] Could not store statements:', error);
+    }
+  }
+
+  _requeueRejected() {
+    if (this.rejected.length === 0) return;
+    this.queue = this.rejected.concat(this.queue).slice(-XAPI.MAX_QUEUED);
+    this.rejected = [];
+    this._saveQueue();
+  }
+
+  /**
+   * Post the queue to the LRS in batches. Statements leave the queue once
+   * the LRS has accepted them, or refused them for good; their ids make a
+   * repeated post harmless.
+   * @returns {Promise<boolean>} True if the queue is empty afterwards
+   */
+  flush() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+    if (!this.endpoint) return Promise.resolve(this.queue.length === 0);
+    if (!this._sending) this._sending = this._send().finally(() => { this._sending = null; });
+    return this._sending;
+  }
+
+  async _send() {
+    try {
+      while (this.queue.length > 0) {
+        const batch = this.queue.slice(0, XAPI.BATCH_SIZE);
+        const headers = { 'Content-Type': 'application/json', 'X-Experience-API-Version': XAPI.VERSION };
+        if (this.auth) headers.Authorization = this.auth;
+        const response = await fetch(`${this.endpoint}/statements`, { method: 'POST', headers, body: JSON.stringify(batch) });
+        if (!response.ok && isRetryable(response.status)) throw new Error(`HTTP ${response.status}`);
+        if (!response.ok) {
+          // Sending them again would be refused again and hold up the rest of the queue
+          console.warn(`[XapiReporter] The LRS refused ${batch.length} statement(s) with HTTP ${response.status}; setting them aside`);
+          this.rejected = this.rejected.concat(batch).slice(-XAPI.MAX_QUEUED);
+        }
+        const sent = new Set(batch.map(statement => statement.id));
+        this.queue = this.queue.filter(statement => !sent.has(statement.id));
+        this._saveQueue();
+      }
+    } catch (error) {
+      console.warn('[XapiReporter] Could not reach the LRS, keeping statements for later:', error);
+      this._timer = setTimeout(() => this.flush(), XAPI.RETRY_MS);
+    }
+    return this.queue.length === 0;
+  }
+
+  /**
+   * Download the queued statements as a JSON array, ready to POST to an LRS
+   * @param {string} [filename]
+   */
+  exportToFile(filename = 'inkscape-xapi.json') {
+    const blob = new Blob([JSON.stringify(this.queue, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+}
+
+export const xapiReporter = new XapiReporter();
@@ -0,0 +1,296 @@
+/**
+ * ZoomToolController
+ * The Zoom tool: click to zoom in at the cursor, Shift+click to zoom out and
+ * drag a rectangle to zoom to that area
+ * Provides zoom controls in the top toolbar (zoom to selection, zoom to
+ * drawing, 1:1 and the zoom percentage), all limited to ZOOM.MIN..ZOOM.MAX
+ */
+
+import { canvas, zoomAt, zoomToBounds } from './canvas.js';
+import { register as registerEvent, unregisterAllForOwner } from './EventRegistry.js';
+import { ZOOM, INTERACTION_THRESHOLD } from './constants.js';
+import { t } from './i18n.js';
+
+/**
+ * Bounding box around objects, in canvas coordinates
+ * @param {fabric.Object[]} objects
+ * @returns {{left: number, top: number, width: number, height: number}|null}
+ */
+function boundsOf(objects) {
+  const rects = objects.map(obj => obj.getBoundingRect(true, true));
+  if (!rects.length) return null;
+  const left = Math.min(...rects.map(r => r.left));
+  const top = Math.min(...rects.map(r => r.top));
+  const right = Math.max(...rects.map(r => r.left + r.width));
+  const bottom = Math.max(...rects.map(r => r.top + r.height));
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+class ZoomToolController {
+  constructor() {
+    this.isEnabled = false;
+    this.dragStart = null; // Screen point of the mouse down while the button is held
+    this.isDragging = false; // Moved far enough to zoom to a rectangle
+    this.spaceDown = false; // Space + drag pans (canvas.js), the tool stays out of the way
+    this.savedSkipTargetFind = false;
+
+    // Zoom controls
+    this.zoomControls = null;
+  }
+
+  /**
+   * Enable the Zoom tool
+   */
+  enable() {
+    if (this.isEnabled) {
+      console.log('[ZoomTool] Already enabled');
+      return;
+    }
+    this.isEnabled = true;
+
+    // Clicks zoom instead of picking objects; the selection is left alone
+    this.savedSkipTargetFind = canvas.skipTargetFind;
+    canvas.skipTargetFind = true;
+    this.updateCursor(false);
+
+    // Capture on the wrapper: the tool takes the mouse down before Fabric and the pan handlers see it
+    registerEvent(canvas.wrapperEl, 'mousedown', (e) => this.onMouseDown(e), this, { capture: true });
+    registerEvent(window, 'mousemove', (e) => this.onMouseMove(e), this);
+    registerEvent(window, 'mouseup', (e) => this.onMouseUp(e), this);
+    registerEvent(window, 'keydown', (e) => this.onKey(e, true), this);
+    registerEvent(window, 'keyup', (e) => this.onKey(e, false), this);
+    registerEvent(canvas, 'after:render', () => this.updateZoomInput(), this);
+    ['selection:created', 'selection:updated', 'selection:cleared'].forEach(eventName => {
+      registerEvent(canvas, eventName, () => this.updateSelectionButton(), this);
+    });
+
+    this.createZoomControls();
+
+    console.log('[ZoomTool] Enabled');
+  }
+
+  /**
+   * Disable the Zoom tool
+   */
+  disable() {
+    if (!this.isEnabled) return;
+
+    unregisterAllForOwner(this);
+    this.clearZoomRect();
+    this.removeZoomControls();
+
+    canvas.skipTargetFind = this.savedSkipTargetFind;
+    canvas.defaultCursor = 'default';
+    canvas.setCursor('default');
+
+    this.isEnabled = false;
+    this.dragStart = null;
+    this.isDragging = false;
+    this.spaceDown = false;
+
+    console.log('[ZoomTool] Disabled');
+  }
+
+  /**
+   * Create the zoom controls in the toolbar
+   */
+  createZoomControls() {
+    const toolbar = document.getElementById('toolbar');
+    if (!toolbar) return;
+
+    let container = document.getElementById('zoom-controls');
+    if (!container) {
+      container = document.createElement('div');
+      container.id = 'zoom-controls';
+      container.className = 'dimension-controls zoom-controls';
+      // Insert after the brand element, where the shape tools show their controls
+      const brand = toolbar.querySelector('.brand');
+      if (brand) {
+        brand.insertAdjacentElement('afterend', container);
+      } else {
+        toolbar.insertBefore(container, toolbar.firstChild);
+      }
+      container.style.marginLeft = '-500px';
+    }
+
+    container.innerHTML = `
+      <div class="dimension-group">
+        <button type="button" class="zoom-control-btn" id="zoom-selection" data-i18n-title="zoom.toSelection" title="${t('zoom.toSelection')}"><i class="fa-solid fa-vector-square"></i></button>
+        <button type="button" class="zoom-control-btn" id="zoom-drawing" data-i18n-title="zoom.toDrawing" title="${t('zoom.toDrawing')}"><i class="fa-solid fa-expand"></i></button>
+        <button type="button" class="zoom-control-btn" id="zoom-actual" data-i18n-title="zoom.actualSize" title="${t('zoom.actualSize')}">1:1</button>
+      </div>
+      <div class="dimension-group">
+        <label for="zoom-percent" data-i18n="zoom.level">${t('zoom.level')}</label>
+        <input type="number" id="zoom-percent" min="${Math.round(ZOOM.MIN * 100)}" max="${Math.round(ZOOM.MAX * 100)}" step="10" value="${Math.round(canvas.getZoom() * 100)}" />
+        <span>%</span>
+      </div>
+    `;
+
+    container.querySelector('#zoom-selection').addEventListener('click', () => this.zoomToSelection());
+    container.querySelector('#zoom-drawing').addEventListener('click', () => this.zoomToDrawing());
+    container.querySelector('#zoom-actual').addEventListener('click', () => zoomAt(ZOOM.DEFAULT));
+    const input = container.querySelector('#zoom-percent');
+    input.addEventListener('change', () => {
+      const percent = parseFloat(input.value);
+      if (Number.isFinite(percent) && percent > 0) zoomAt(percent / 100);
+      // Show the level that was applied, which may have been limited
+      input.value = Math.round(canvas.getZoom() * 100);
+    });
+
+    this.zoomControls = container;
+    this.updateSelectionButton();
+  }
+
+  /**
+   * Remove the zoom controls from the toolbar
+   */
+  removeZoomControls() {
+    if (this.zoomControls && this.zoomControls.parentNode) {
+      this.zoomControls.parentNode.removeChild(this.zoomControls);
+    }
+    this.zoomControls = null;
+  }
+
+  /**
+   * Show the current zoom level in the percentage input, unless the learner is typing in it
+   */
+  updateZoomInput() {
+    if (!this.zoomControls) return;
+    const input = this.zoomControls.querySelector('#zoom-percent');
+    if (!input || document.activeElement === input) return;
+    const value = String(Math.round(canvas.getZoom() * 100));
+    if (input.value !== value) input.value = value;
+  }
+
+  /**
+   * Zoom to selection only works with something selected
+   */
+  updateSelectionButton() {
+    if (!this.zoomControls) return;
+    const button = this.zoomControls.querySelector('#zoom-selection');
+    if (button) button.disabled = !canvas.getActiveObject();
+  }
+
+  /**
+   * Zoom so the selected objects fill the view
+   */
+  zoomToSelection() {
+    const active = canvas.getActiveObject();
+    if (!active) return;
+    zoomToBounds(boundsOf([active]), ZOOM.FIT_PADDING);
+  }
+
+  /**
+   * Zoom so everything visible on the canvas fills the view
+   */
+  zoomToDrawing() {
+    const bounds = boundsOf(canvas.getObjects().filter(obj => obj.visible !== false));
+    if (bounds) zoomToBounds(bounds, ZOOM.FIT_PADDING);
+  }
+
+  /**
+   * Zoom-in or zoom-out cursor, as Shift is held
+   * @param {boolean} zoomOut
+   */
+  updateCursor(zoomOut) {
+    canvas.defaultCursor = zoomOut ? 'zoom-out' : 'zoom-in';
+    canvas.setCursor(canvas.defaultCursor);
+  }
+
+  onKey(e, down) {
+    if (e.code === 'Space') {
+      this.spaceDown = down;
+      // canvas.js shows the grab cursor while Space is held
+      if (!down) this.updateCursor(e.shiftKey);
+    } else if (e.key === 'Shift' && !this.spaceDown) {
+      this.updateCursor(down);
+    }
+  }
+
+  /**
+   * Handle mouse down - remember where a click or drag starts
+   */
+  onMouseDown(e) {
+    // Middle button and Space + drag keep panning
+    if (e.button !== 0 || this.spaceDown) return;
+    e.preventDefault();
+    e.stopPropagation();
+    this.dragStart = canvas.getPointer(e, true);
+    this.isDragging = false;
+  }
+
+  /**
+   * Handle mouse move - draw the zoom rectangle once the mouse moved far enough
+   */
+  onMouseMove(e) {
+    if (!this.dragStart) return;
+    const point = canvas.getPointer(e, true);
+    if (!this.isDragging) {
+      const threshold = INTERACTION_THRESHOLD.DRAG_START_MOVEMENT;
+      if (Math.abs(point.x - this.dragStart.x) <= threshold && Math.abs(point.y - this.dragStart.y) <= threshold) return;
+      this.isDragging = true;
+    }
+    this.drawZoomRect(this.dragStart, point);
+  }
+
+  /**
+   * Handle mouse up - zoom at the click, or to the dragged rectangle
+   */
+  onMouseUp(e) {
+    if (!this.dragStart) {
+      // A pan that just ended reset the cursor
+      if (!this.spaceDown) this.updateCursor(e.shiftKey);
+      return;
+    }
+    const start = this.dragStart;
+    const end = canvas.getPointer(e, true);
+    this.dragStart = null;
+
+    if (this.isDragging) {
+      this.isDragging = false;
+      this.clearZoomRect();
+      const a = canvas.restorePointerVpt(new fabric.Point(start.x, start.y));
+      const b = canvas.restorePointerVpt(new fabric.Point(end.x, end.y));
+      zoomToBounds({
+        left: Math.min(a.x, b.x),
+        top: Math.min(a.y, b.y),
+        width: Math.abs(a.x - b.x),
+        height: Math.abs(a.y - b.y)
+      });
+    } else {
+      const factor = e.shiftKey ? 1 / ZOOM.STEP : ZOOM.STEP;
+      zoomAt(canvas.getZoom() * factor, start);
+    }
+    this.updateCursor(e.shiftKey);
+  }
+
+  /**
+   * Draw the zoom rectangle on Fabric's top layer, so it never becomes a canvas object
+   * @param {{x: number, y: number}} a - Screen point
+   * @param {{x: number, y: number}} b - Screen point
+   */
+  drawZoomRect(a, b) {
+    const ctx = canvas.contextTop;
+    if (!ctx) return;
+    canvas.clearContext(ctx);
+    ctx.save();
+    ctx.fillStyle = 'rgba(25, 118, 210, 0.08)';
+    ctx.strokeStyle = '#1976d2';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+    const x = Math.min(a.x, b.x);
+    const y = Math.min(a.y, b.y);
+    const width = Math.abs(a.x - b.x);
+    const height = Math.abs(a.y - b.y);
+    ctx.fillRect(x, y, width, height);
+    ctx.strokeRect(x + 0.5, y + 0.5, width, height);
+    ctx.restore();
+  }
+
+  clearZoomRect() {
+    if (canvas.contextTop) canvas.clearContext(canvas.contextTop);
+  }
+}
+
+// Export singleton instance
+export const zoomToolController = new ZoomToolController();
@@ -1,9 +1,20 @@
 // Canvas module: initialize Fabric canvas and handlers
 import { enableInkscapeTransformMode } from './InkscapeTransformMode.js';
+import { ZOOM } from './constants.js';
 
 export let canvas = null;
 // When false, starting a marquee (box) selection by dragging on empty canvas is disabled.
 export let allowBoxSelection = true;
+// Selection changes are logged to the console when enabled (window.InkscapeTutorial.setDebug)
+let logSelection = false;
+
+/**
+ * Log selection changes to the console
+ * @param {boolean} enabled
+ */
+export function setSelectionLogging(enabled) {
+  logSelection = !!enabled;
+}
 
 // Store cleanup function for Inkscape transform mode
 let inkscapeTransformCleanup = null;
@@ -70,6 +81,46 @@ export function resetViewport() {
   canvas.requestRenderAll();
 }
 
+/**
+ * Limit a zoom level to ZOOM.MIN..ZOOM.MAX
+ * @param {number} zoom
+ * @returns {number}
+ */
+export function clampZoom(zoom) {
+  return Math.max(ZOOM.MIN, Math.min(ZOOM.MAX, zoom));
+}
+
+/**
+ * Zoom to a level, keeping one point of the view in place
+ * @param {number} zoom - Clamped to ZOOM.MIN..ZOOM.MAX
+ * @param {{x: number, y: number}} [point] - Canvas element coordinates; defaults to the center of the view
+ */
+export function zoomAt(zoom, point = null) {
+  if (!canvas) return;
+  const at = point || { x: canvas.getWidth() / 2, y: canvas.getHeight() / 2 };
+  canvas.zoomToPoint(new fabric.Point(at.x, at.y), clampZoom(zoom));
+  canvas.requestRenderAll();
+}
+
+/**
+ * Zoom so an area of the drawing fills the view, centered
+ * @param {{left: number, top: number, width: number, height: number}} bounds - Canvas coordinates
+ * @param {number} [padding=0] - Margin around the area, in screen pixels
+ */
+export function zoomToBounds(bounds, padding = 0) {
+  if (!canvas || !bounds) return;
+  const width = canvas.getWidth();
+  const height = canvas.getHeight();
+  const zoom = clampZoom(Math.min(
+    Math.max(1, width - padding * 2) / Math.max(1, bounds.width),
+    Math.max(1, height - padding * 2) / Math.max(1, bounds.height)
+  ));
+  const centerX = bounds.left + bounds.width / 2;
+  const centerY = bounds.top + bounds.height / 2;
+  canvas.setViewportTransform([zoom, 0, 0, zoom, width / 2 - centerX * zoom, height / 2 - centerY * zoom]);
+  canvas.requestRenderAll();
+}
+
 // Input / panning handlers
 let isPanning = false;
 let lastPos = { x: 0, y: 0 };
@@ -287,7 +338,7 @@ function setupInputHandlers() {
       let zoom = canvas.getZoom();
       const oldZoom = zoom;
       zoom *= 0.999 ** delta;
-      zoom = Math.max(0.25, Math.min(6, zoom));
+      zoom = clampZoom(zoom);
       
       // Get current viewport transform
       const vpt = canvas.viewportTransform;
@@ -345,7 +396,7 @@ function setupInputHandlers() {
     const objs = canvas.getActiveObjects();
     if (objs && objs.length === 1) {
       const label = getObjectLabel(objs[0]);
-      if (window._dbg && window._dbg.log) window._dbg.log('[select] selected ' + label);
+      if (logSelection) console.log('[canvas] selected ' + label);
     }
     const objsAll = canvas.getActiveObjects();
     if (objsAll && objsAll.length > 0) lastNonEmptySelection = objsAll.slice();
@@ -354,9 +405,9 @@ function setupInputHandlers() {
     const objs = canvas.getActiveObjects();
     if (objs && objs.length === 1) {
       const label = getObjectLabel(objs[0]);
-      if (window._dbg && window._dbg.log) window._dbg.log('[select] updated selection ' + label);
+      if (logSelection) console.log('[canvas] updated selection ' + label);
     } else if (objs && objs.length > 1) {
-      if (window._dbg && window._dbg.log) window._dbg.log('[select] updated group selection (' + objs.length + ' items)');
+      if (logSelection) console.log('[canvas] updated group selection (' + objs.length + ' items)');
     }
     const objsAll2 = canvas.getActiveObjects();
     if (objsAll2 && objsAll2.length > 0) lastNonEmptySelection = objsAll2.slice();
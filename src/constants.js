@@ -35,7 +35,9 @@ export const ZOOM = {
   MIN: 0.25,
   MAX: 6,
   DEFAULT: 1,
-  REQUIRED_FOR_BUTTON: 2
+  REQUIRED_FOR_BUTTON: 2,
+  STEP: Math.SQRT2, // Zoom tool click factor, as in Inkscape
+  FIT_PADDING: 20 // screen px around an area the Zoom tool zooms to
 };
 
 // Layout Positions (relative to canvas)
@@ -55,6 +57,82 @@ export const STYLE = {
   BUTTON_BORDER_RADIUS: '32px'
 };
 
+// Instructor mode
+// The PIN only keeps learners out of the instructor tools; it ships with the page
+export const INSTRUCTOR = {
+  DEFAULT_PIN: '2468',
+  URL_PARAM: 'instructor',
+  MIN_PIN_LENGTH: 4
+};
+
+// Hints for stuck learners (see HintController)
+export const HINTS = {
+  IDLE_MS: 20000,
+  FAILURES_PER_LEVEL: 2,
+  DEMO_REPEATS: 2
+};
+
+// Ghost cursor demonstrations (durations in milliseconds)
+export const GHOST_CURSOR = {
+  MOVE: 700,
+  PRESS: 250,
+  RELEASE: 200,
+  DOUBLE_CLICK_GAP: 120,
+  DRAG: 1000,
+  WHEEL_TICK: 220,
+  WHEEL_TICKS: 3,
+  PAUSE: 500,
+  START_OFFSET: 80,      // px the cursor glides in from when no start point is given
+  COPY_OPACITY: 0.45     // dragged object preview
+};
+
+// Session recording and replay (see SessionRecorder)
+export const SESSION_RECORDING = {
+  MAX_EVENTS: 200000,
+  VIEWPORT_TOLERANCE: 0.01   // larger differences mean the replay no longer matches
+};
+
+// Learning analytics (see Analytics.js)
+export const ANALYTICS = {
+  URL_PARAM: 'analytics',     // ?analytics=<endpoint URL>, ?analytics=console or ?analytics=off (this page load only)
+  MAX_STORED_EVENTS: 2000,    // localStorage keeps the newest events
+  BATCH_SIZE: 20,             // events posted together
+  FLUSH_MS: 10000,            // longest wait before waiting events are posted
+  MAX_PENDING: 1000           // events kept for an endpoint that can't be reached
+};
+
+// xAPI statements for a learning record store (see XapiReporter.js)
+export const XAPI = {
+  URL_PARAM: 'xapi',          // ?xapi=<LRS endpoint URL> or ?xapi=off (this page load only)
+  VERSION: '1.0.3',
+  BATCH_SIZE: 25,             // statements posted together
+  RETRY_MS: 30000,            // wait before retrying an LRS that can't be reached, is busy (429) or fails (5xx)
+  MAX_QUEUED: 5000,           // statements kept on this computer until they are sent
+  SCORE_MAX: 100,
+  FAILURE_PENALTY: 10,        // points off per failed attempt in the lesson
+  HINT_PENALTY: 5             // points off per hint shown
+};
+
+// SCORM 1.2 package mode (see ScormAdapter.js)
+export const SCORM = {
+  URL_PARAM: 'scorm',         // ?scorm=1, set by the launch URL in imsmanifest.xml
+  API_SEARCH_DEPTH: 7,        // parent frames searched for the LMS API object
+  SUSPEND_DATA_MAX: 4096      // characters the LMS must keep in cmi.suspend_data
+};
+
+// Single-lesson embedding in another page's iframe (see EmbedMode.js)
+export const EMBED = {
+  URL_PARAM: 'embed',               // ?embed=<lesson id>
+  ORIGIN_PARAM: 'origin',           // ?origin=<parent page origin>; messages go to '*' without it
+  LANGUAGE_PARAM: 'lang',           // ?lang=en
+  MESSAGE_SOURCE: 'inkscape-tutorial'
+};
+
+// Autosave of lesson work (see LessonAutosave.js)
+export const AUTOSAVE = {
+  INTERVAL_MS: 5000           // how often changed work of the active lesson is saved
+};
+
 // Tutorial Asset Paths
 export const ASSETS = {
   LESSON_1_SVG: 'assets/tutorials/les1.svg',
@@ -64,6 +142,7 @@ export const ASSETS = {
   LESSON_5_SVG: 'assets/tutorials/les5.svg',
   LESSON_6_SVG: 'assets/tutorials/les6.svg'
   , LESSON_6_BADGE: 'assets/tutorials/les6_badge.svg'
+  , COURSE_MANIFEST: 'assets/course.json'
 };
 
 // SVG Element IDs
@@ -115,9 +194,9 @@ export const SVG_IDS = {
 
 // Color Palette (from MaakBib palette)
 export const COLOR_PALETTE = [
-  { r: 255, g: 0, b: 0, name: 'Snijden' },
-  { r: 0, g: 0, b: 255, name: 'Graveren' },
-  { r: 0, g: 0, b: 0, name: 'Rasteren' },
+  { r: 255, g: 0, b: 0, name: 'Snijden', key: 'cut' },
+  { r: 0, g: 0, b: 255, name: 'Graveren', key: 'engrave' },
+  { r: 0, g: 0, b: 0, name: 'Rasteren', key: 'raster' },
   { r: 234, g: 77, b: 100, name: 'Maakbib Rood 1' },
   { r: 190, g: 32, b: 51, name: 'Maakbib Rood 2' },
   { r: 255, g: 245, b: 223, name: 'Maakbib Geel 1' },
@@ -162,36 +241,6 @@ export const TRANSFORM_MODE = {
   ICON_ROTATE_HANDLE: 'assets/icons/transform/arrow-rotate-handle.svg'
 };
 
-// Lesson Feature Flags
-export const LESSON_FEATURES = {
-  1: {
-    COPY_PASTE: false,
-    SHAPE_TOOLS: false,
-    NODE_EDITING: false
-  },
-  2: {
-    COPY_PASTE: false,
-    SHAPE_TOOLS: false,
-    NODE_EDITING: false
-  },
-  3: {
-    COPY_PASTE: false,
-    SHAPE_TOOLS: false,
-    NODE_EDITING: false
-  },
-  4: {
-    COPY_PASTE: false,
-    SHAPE_TOOLS: false,
-    NODE_EDITING: false
-  },
-  5: {
-    COPY_PASTE: false,
-    SHAPE_TOOLS: false,
-    NODE_EDITING: false
-  },
-  6: {
-    COPY_PASTE: false,
-    SHAPE_TOOLS: false,
-    NODE_EDITING: false
-  }
-};
+// Lesson Feature Flags (lesson id -> flags)
+// Populated by LessonRegistry from each lesson's declared feature set
+export const LESSON_FEATURES = {};
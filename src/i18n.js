@@ -0,0 +1,178 @@
+/**
+ * Internationalization
+ * Message catalogs for all learner-facing text and the active language.
+ *
+ * Catalogs live in src/locales/<code>.js as nested objects; t('lesson6.circle.size',
+ * { target: '10 mm', rx: 8, ry: 8 }) looks up a dotted key in the active
+ * language, falls back to Dutch (the reference catalog) and finally to the key
+ * itself. {name} placeholders are replaced by the matching parameter.
+ *
+ * The language is a preference of the active learner profile. The last choice
+ * made on the station is kept as the default for profiles that never picked one.
+ * Changing it dispatches 'i18n:changed' so open panels can re-render.
+ */
+
+import { profileStore } from './ProfileStore.js';
+import nl from './locales/nl.js';
+import en from './locales/en.js';
+import fr from './locales/fr.js';
+
+export const DEFAULT_LANGUAGE = 'nl';
+
+/**
+ * Available languages, in switcher order
+ * @type {Array<{code: string, label: string}>}
+ */
+export const LANGUAGES = [
+  { code: 'nl', label: 'Nederlands' },
+  { code: 'en', label: 'English' },
+  { code: 'fr', label: 'Français' }
+];
+
+const CATALOGS = { nl, en, fr };
+const LANGUAGE_PREFERENCE = 'language';
+const STATION_KEY = 'inkscape-tutorial:language';
+
+let currentLanguage = DEFAULT_LANGUAGE;
+const reportedMissing = new Set();
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+}
+
+function interpolate(message, params) {
+  return message.replace(/\{(\w+)\}/g, (match, name) => (
+    Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match
+  ));
+}
+
+/**
+ * Translate a message key
+ * @param {string} key - Dotted key, e.g. 'lesson1.intro'
+ * @param {Object} [params] - Values for {placeholders}
+ * @returns {string|Array<string>} The message (arrays, like skill lists, are returned as-is)
+ */
+export function t(key, params = {}) {
+  let message = lookup(CATALOGS[currentLanguage], key);
+  if (message === undefined) message = lookup(CATALOGS[DEFAULT_LANGUAGE], key);
+  if (message === undefined || (typeof message === 'object' && !Array.isArray(message))) {
+    if (!reportedMissing.has(key)) {
+      reportedMissing.add(key);
+      console.warn('[i18n] Missing message:', key);
+    }
+    return key;
+  }
+  return typeof message === 'string' ? interpolate(message, params) : message;
+}
+
+/**
+ * Whether a key exists in the active language or the fallback
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function hasMessage(key) {
+  return lookup(CATALOGS[currentLanguage], key) !== undefined
+    || lookup(CATALOGS[DEFAULT_LANGUAGE], key) !== undefined;
+}
+
+/**
+ * Escape user-provided text before interpolating it into an HTML message
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Page/toolbar heading for a lesson, e.g. 'Inkscape Les 1: Selecteren en slepen'
+ * @param {number} id - Lesson id
+ * @returns {string}
+ */
+export function lessonHeading(id) {
+  return t('common.pageTitle', { title: t(`lessons.${id}.title`), name: t(`lessons.${id}.name`) });
+}
+
+export function getLanguage() {
+  return currentLanguage;
+}
+
+function isSupported(code) {
+  return Object.prototype.hasOwnProperty.call(CATALOGS, code);
+}
+
+function readStationLanguage() {
+  try {
+    return localStorage.getItem(STATION_KEY);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Switch the interface language and remember it for the active profile
+ * @param {string} code - Language code from LANGUAGES
+ * @returns {boolean} False if the language is not available
+ */
+export function setLanguage(code) {
+  if (!isSupported(code)) {
+    console.warn('[i18n] Unsupported language:', code);
+    return false;
+  }
+  profileStore.setPreference(LANGUAGE_PREFERENCE, code);
+  try {
+    localStorage.setItem(STATION_KEY, code);
+  } catch (e) { /* storage unavailable */ }
+  if (code === currentLanguage) return true;
+
+  currentLanguage = code;
+  document.documentElement.lang = code;
+  applyTranslations();
+  console.log('[i18n] Language:', code);
+  try {
+    window.dispatchEvent(new CustomEvent('i18n:changed', { detail: { language: code } }));
+  } catch (e) { /* ignore dispatch failures */ }
+  return true;
+}
+
+/**
+ * Pick the language for the active profile: its preference, then the station
+ * default, then the browser languages, then Dutch. Call after profileStore.load().
+ * @returns {string} The chosen language code
+ */
+export function initLanguage() {
+  const candidates = [
+    profileStore.getPreference(LANGUAGE_PREFERENCE),
+    readStationLanguage(),
+    ...((navigator.languages && navigator.languages.length) ? navigator.languages : [navigator.language])
+      .map(lang => String(lang || '').slice(0, 2).toLowerCase())
+  ];
+  const code = candidates.find(c => c && isSupported(c)) || DEFAULT_LANGUAGE;
+  const changed = code !== currentLanguage;
+  currentLanguage = code;
+  document.documentElement.lang = code;
+  applyTranslations();
+  if (changed) {
+    try {
+      window.dispatchEvent(new CustomEvent('i18n:changed', { detail: { language: code } }));
+    } catch (e) { /* ignore dispatch failures */ }
+  }
+  return code;
+}
+
+/**
+ * Fill static markup from the catalog:
+ * data-i18n (textContent), data-i18n-title, data-i18n-alt and data-i18n-placeholder.
+ * @param {ParentNode} [root=document]
+ */
+export function applyTranslations(root = document) {
+  if (!root || !root.querySelectorAll) return;
+  root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+  root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle); });
+  root.querySelectorAll('[data-i18n-alt]').forEach(el => { el.alt = t(el.dataset.i18nAlt); });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+}
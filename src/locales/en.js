@@ -0,0 +1,344 @@
+/**
+ * English message catalog
+ */
+export default {
+  language: {
+    label: 'Language'
+  },
+
+  common: {
+    assignment: 'Assignment',
+    congratulations: '🎉 Congratulations!',
+    nextLessonReady: 'Well done, you are ready for the next lesson',
+    pageTitle: 'Inkscape {title}: {name}',
+    next: 'Next',
+    close: 'Close',
+    releaseToPlace: 'Release to place it',
+    dragToMove: 'Click and drag to move'
+  },
+
+  lessons: {
+    1: {
+      title: 'Lesson 1',
+      name: 'Select and drag',
+      description: 'Help the little owl: put the helmet on its head by selecting and dragging it.',
+      skills: ['Selecting', 'Dragging']
+    },
+    2: {
+      title: 'Lesson 2',
+      name: 'Rotate',
+      description: 'Rotate the wrench to the right angle and put it in place.',
+      skills: ['Selecting', 'Rotating', 'Dragging']
+    },
+    3: {
+      title: 'Lesson 3',
+      name: 'Select multiple objects',
+      description: 'Put the fallen tools back in the case by selecting several objects at once.',
+      skills: ['Shift+click', 'Multiple selection']
+    },
+    4: {
+      title: 'Lesson 4',
+      name: 'Rubber-band selection',
+      description: 'Open the toolbox with the key and collect everything with a selection box.',
+      skills: ['Rotating', 'Selection box']
+    },
+    5: {
+      title: 'Lesson 5',
+      name: 'Pan and zoom',
+      description: 'Find the creativity machine and switch it on by panning and zooming.',
+      skills: ['Panning', 'Zooming']
+    },
+    6: {
+      title: 'Lesson 6',
+      name: 'Maker Badge',
+      description: 'Finish your own maker badge: delete, draw, copy, colour and edit text.',
+      skills: ['Deleting', 'Drawing shapes', 'Pen tool', 'Fill and stroke', 'Copy and paste', 'Text', 'Exporting']
+    }
+  },
+
+  lesson1: {
+    intro: 'Help the little owl get ready for the makerspace!',
+    goal: 'Put the helmet on its head.',
+    select: 'Left mouse button: select the helmet',
+    hint: "Click the helmet, keep the left mouse button pressed and drag it to the blinking outline above the owl's head."
+  },
+
+  lesson2: {
+    intro: 'The little owl needs a wrench!',
+    goal: 'Rotate the wrench to the right angle.',
+    select: 'Left mouse button: select the wrench',
+    clickAgain: 'Left mouse button: click the wrench a second time to be able to rotate it.',
+    rotate: 'Drag one of the corner handles to rotate',
+    drag: 'Drag the wrench to the right position',
+    hint: 'Click the wrench twice to see the rotate arrows. Turn it until it is tilted like the outline, then drag it onto it.'
+  },
+
+  lesson3: {
+    intro: 'Oh no! All the tools fell out of the case.',
+    goal: 'Can you put them back?',
+    shiftClick: 'Hold <strong>Shift</strong> and click every tool to select them.',
+    dragAll: 'Once you have selected <strong>all</strong> the tools, drag them into the toolbox.',
+    hint: 'Click the first tool. Then hold <strong>Shift</strong> while you click the others. Then drag them together into the box.'
+  },
+
+  lesson4: {
+    unlock: {
+      intro: 'The toolbox is locked!',
+      goal: 'Use the key to open it.',
+      select: 'Select the key',
+      drag: 'Drag the key to the lock',
+      rotate: 'Rotate the key to open the lock',
+      hint: 'First drag the key to the middle of the box. Then click it again and turn it with a corner arrow.'
+    },
+    collect: {
+      intro: 'The box is open! Now the tools have to go in.',
+      goal: 'Use a selection box to select everything.',
+      drawBox: 'Click and drag to draw a selection box',
+      inside: 'Make sure every tool is inside the box',
+      drag: 'Drag everything into the toolbox',
+      hint: 'Start on an empty spot next to the tools, keep the mouse button pressed and draw a box around <strong>all</strong> the tools.'
+    }
+  },
+
+  lesson5: {
+    intro: "Let's start the creativity machine!",
+    followArrow: 'Follow the {arrow} to find the machine.',
+    blueArrow: 'blue arrow',
+    pan: 'Click and drag with the middle mouse button to <strong>pan</strong> (move the view).',
+    zoom: 'to <strong>zoom</strong> in and out.',
+    zoomTool: 'Or use the <strong>Zoom tool</strong>: click to zoom in, Shift + click to zoom out, or drag a box around what you want to see.',
+    findButton: 'Zoom in far enough on the machine to find the <strong>green start button</strong>.',
+    clickStart: 'Click the start button to switch the machine on!',
+    done: {
+      lead: 'You can now move around Inkscape with ease!',
+      canNow: 'You can now:',
+      select: '<strong>Select</strong> by clicking objects',
+      drag: '<strong>Drag</strong> to move objects',
+      rotate: '<strong>Click</strong> again to rotate objects',
+      multi: '<strong>Select several objects</strong> with Shift or a selection box',
+      pan: '<strong>Pan</strong> by clicking and dragging on the canvas',
+      zoom: '<strong>Zoom</strong> with Ctrl + Scroll or the Zoom tool',
+      ready: 'You are now ready to learn <strong>drawing in Inkscape!</strong>'
+    },
+    hint: 'Hold <strong>Ctrl</strong> and turn the mouse wheel to zoom in. Keep zooming until you can see the start button clearly.'
+  },
+
+  lesson6: {
+    cannotDelete: "This object can't be deleted.",
+    deleteInk: {
+      title: 'Assignment: remove the ink stains',
+      intro: 'The machine has spat out a badge.',
+      body: 'Remove all ink stains by clicking them and pressing {deleteKey} or {backspaceKey}.',
+      hint: 'Click an ink stain so a box appears around it, then press Delete.'
+    },
+    drawHole: {
+      title: 'Step 2: Draw a circle',
+      praise: 'You removed all the ink stains. Well done!',
+      badge: 'Now you can see the beautiful badge the machine made.',
+      noHole: "Unfortunately the maker owl can't hang it around its neck yet, because there is no hole for a string.",
+      useTool: 'Can you add one with the {tool} tool?',
+      size: '<strong>Note:</strong> the circle has to be <strong>{size} × {size}</strong>. Use the toolbar at the top to set the exact size.',
+      noFill: 'Make sure the circle has no fill, only a black outline (stroke).',
+      hint: 'Pick the ellipse tool and drag a small circle on the dotted spot. Then set W and H at the top to 15.'
+    },
+    circle: {
+      oops: "<strong>Oops!</strong> The circle isn't right:",
+      size: 'Size must be {target} × {target} (now: {rx} × {ry})',
+      needsStroke: 'The circle needs an outline (stroke)',
+      strokeBlack: 'The outline must be black',
+      noFill: 'The circle must not have a fill',
+      tryAgain: 'Try again!',
+      position: 'Put the hole in the right place.'
+    },
+    traceLightning: {
+      title: 'Step 3: Use the pen tool',
+      question: 'The badge only has 1 lightning bolt. Is that enough?',
+      trace: 'Use the pen tool {tool} to trace the original lightning bolt as closely as you can.',
+      move: "When you're done, select the path you drew and move it to the outlined spot with the select tool.",
+      hint: 'Pick the pen tool and click point by point along the corners of the lightning bolt. Double-click to stop.'
+    },
+    strokeAside: {
+      title: 'Step 4: Select the stroke (not the fill)',
+      explain: 'The path you drew has <strong>no fill</strong> by default, only a <strong>stroke</strong> (the line). To select the path you have to click exactly on the line — clicking the empty inside does not work.',
+      tryIt: 'Now try to select the path (click the line). Use the panel on the right to try out the <strong>stroke</strong> colour and the <strong>fill</strong>. Once you add a fill, you can also click inside the shape to select it.'
+    },
+    placeTrace: {
+      title: 'Step 4: Place your lightning bolt',
+      body: 'Select the path you drew and move it to the outlined spot with the select tool {tool}',
+      hint: 'Click exactly on the line of your lightning bolt and drag it to the outlined spot.'
+    },
+    copyPaste: {
+      title: 'Step 4: Copy and paste',
+      copy: 'Copy the path you drew with {ctrl}<strong> + C</strong> and paste copies on the outlined spots with {ctrl}<strong> + V</strong>',
+      drag: 'Drag the copies to the right spot with the select tool {tool}',
+      hint: 'Select your lightning bolt, press Ctrl + C and then Ctrl + V twice. Drag each copy to an outlined spot.'
+    },
+    editName: {
+      title: 'Step 5: Edit the name',
+      you: "Today's real maker, that's you!",
+      rename: 'Change the name on the badge to your own name.',
+      howTo: 'Click the {tool} button and then select the name to edit it.',
+      hint: 'Pick the text tool and click in the name on the badge. Delete the old name and type your own.'
+    },
+    download: {
+      done: 'You now know the basics of Inkscape and you finished the badge.',
+      download: 'Download the badge as an SVG file with the button below.',
+      later: 'You can always edit the badge again later in Inkscape!'
+    }
+  },
+
+  welcome: {
+    title: 'Welcome — MaakBib: Inkscape Lesson 1',
+    start: 'Click the select tool {icon} to begin.'
+  },
+
+  mouseRequired: {
+    title: 'Computer with a mouse required',
+    intro: 'These Inkscape tutorials are designed for desktop or laptop computers with a physical mouse.',
+    accessFrom: 'You can use this tutorial from:',
+    desktop: 'A desktop computer or laptop',
+    mouse: 'A physical mouse (not a touchpad or touchscreen)'
+  },
+
+  profiles: {
+    guest: 'Guest',
+    whoAreYou: 'Who are you? You are working as {name}.',
+    wipeGuest: 'Wipe the guest progress',
+    wipeProfile: 'Wipe profile {name}',
+    confirmWipeGuest: 'Wipe all guest progress?',
+    confirmWipeProfile: 'Wipe profile "{name}" and all its progress?',
+    newName: 'New name',
+    add: 'Add',
+    choose: 'Choose a profile',
+    switch: 'Switch profile'
+  },
+
+  toolbar: {
+    overview: 'Lesson overview',
+    exportProgress: 'Save progress to a file',
+    importProgress: 'Load progress from a file',
+    importFailed: 'This file does not contain valid progress.',
+    instructor: 'Instructor mode',
+    undoHistory: 'Undo history'
+  },
+
+  instructor: {
+    pinPrompt: 'Instructor PIN:',
+    wrongPin: 'Wrong PIN.'
+  },
+
+  tracks: {
+    choose: 'Choose a track',
+    label: 'Track',
+    names: {
+      'all': 'All lessons',
+      'mouse-basics': 'Mouse basics',
+      'laser-cut': 'Preparing for the laser cutter'
+    }
+  },
+
+  overview: {
+    title: 'Lessons — {track}',
+    done: 'Completed',
+    locked: 'Locked',
+    started: 'Started',
+    new: 'Not started yet',
+    bestTime: 'Best time {time}',
+    start: 'Start',
+    requires: 'First: {lessons}'
+  },
+
+  fillStroke: {
+    fill: 'Fill',
+    strokePaint: 'Stroke paint',
+    strokeStyle: 'Stroke style',
+    none: 'None',
+    flat: 'Flat colour',
+    linear: 'Linear gradient',
+    linearShort: 'Linear',
+    radial: 'Radial gradient',
+    radialShort: 'Radial',
+    pattern: 'Pattern',
+    noPaint: 'No paint',
+    width: 'Width:',
+    reset: 'Reset',
+    swatches: {
+      cut: 'Cut',
+      engrave: 'Engrave',
+      raster: 'Raster'
+    }
+  },
+
+  hints: {
+    label: 'Tip:'
+  },
+
+  shapes: {
+    width: 'W:',
+    height: 'H:'
+  },
+
+  zoom: {
+    toSelection: 'Zoom to selection',
+    toDrawing: 'Zoom to drawing',
+    actualSize: 'Zoom 1:1',
+    level: 'Zoom:'
+  },
+
+  undoHistory: {
+    title: 'Undo History',
+    dock: 'Dock the panel',
+    undock: 'Float the panel',
+    start: 'Start of this step',
+    unavailable: 'Undo is not available in this lesson.',
+    none: 'none',
+    objectCount: '{count} objects',
+    add: 'Draw {name}',
+    paste: 'Paste {name}',
+    remove: 'Delete {name}',
+    move: 'Move {name}',
+    scale: 'Scale {name}',
+    rotate: 'Rotate {name}',
+    transform: 'Transform {name}',
+    text: 'Edit text',
+    style: 'Change style of {name}',
+    setFill: 'Set fill {value}',
+    setStroke: 'Set stroke {value}',
+    setStrokeWidth: 'Set stroke width {value}',
+    setOpacity: 'Set opacity {value}',
+    node: {
+      move: 'Move node',
+      addNode: 'Add node',
+      deleteNode: 'Delete node',
+      makeCusp: 'Make node corner',
+      makeSmooth: 'Make node smooth',
+      makeAutoSmooth: 'Make node auto-smooth',
+      makeCurve: 'Make segment curved',
+      makeLine: 'Make segment straight'
+    },
+    objects: {
+      path: 'path',
+      rect: 'rectangle',
+      ellipse: 'ellipse',
+      circle: 'circle',
+      'i-text': 'text',
+      textbox: 'text',
+      group: 'group',
+      object: 'object'
+    }
+  },
+
+  autosave: {
+    resumeTitle: 'Welcome back!',
+    resumeBody: 'You were working on {lesson} ({time}). Do you want to continue where you left off?',
+    resume: 'Continue',
+    discard: 'Discard saved work',
+    leaveTitle: 'Leave this lesson?',
+    leaveBody: 'Your work in this lesson is saved. When you open the lesson again, you can continue where you left off.',
+    leave: 'Switch lesson',
+    restartTitle: 'Start this lesson over?',
+    restartBody: 'Your work in this lesson will be lost.',
+    startOver: 'Start over',
+    stay: 'Keep working'
+  }
+};
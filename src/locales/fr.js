@@ -0,0 +1,344 @@
+/**
+ * French message catalog
+ */
+export default {
+  language: {
+    label: 'Langue'
+  },
+
+  common: {
+    assignment: 'Consigne',
+    congratulations: '🎉 Félicitations !',
+    nextLessonReady: 'Bravo, tu es prêt·e pour la leçon suivante',
+    pageTitle: 'Inkscape {title} : {name}',
+    next: 'Suivant',
+    close: 'Fermer',
+    releaseToPlace: 'Relâche pour le placer',
+    dragToMove: 'Clique et fais glisser pour déplacer'
+  },
+
+  lessons: {
+    1: {
+      title: 'Leçon 1',
+      name: 'Sélectionner et déplacer',
+      description: 'Aide le petit hibou : mets-lui le casque sur la tête en le sélectionnant et en le faisant glisser.',
+      skills: ['Sélectionner', 'Faire glisser']
+    },
+    2: {
+      title: 'Leçon 2',
+      name: 'Faire pivoter',
+      description: 'Fais pivoter la clé à l’angle correct et mets-la à sa place.',
+      skills: ['Sélectionner', 'Faire pivoter', 'Faire glisser']
+    },
+    3: {
+      title: 'Leçon 3',
+      name: 'Sélectionner plusieurs objets',
+      description: 'Remets les outils tombés dans la mallette en sélectionnant plusieurs objets à la fois.',
+      skills: ['Maj+clic', 'Sélection multiple']
+    },
+    4: {
+      title: 'Leçon 4',
+      name: 'Cadre de sélection',
+      description: 'Ouvre la caisse à outils avec la clé et rassemble tout avec un cadre de sélection.',
+      skills: ['Faire pivoter', 'Cadre de sélection']
+    },
+    5: {
+      title: 'Leçon 5',
+      name: 'Se déplacer et zoomer',
+      description: 'Trouve la machine à créativité et mets-la en marche en te déplaçant et en zoomant.',
+      skills: ['Se déplacer', 'Zoomer']
+    },
+    6: {
+      title: 'Leçon 6',
+      name: 'Badge de maker',
+      description: 'Termine ton propre badge de maker : supprimer, dessiner, copier, colorer et modifier du texte.',
+      skills: ['Supprimer', 'Dessiner des formes', 'Outil plume', 'Fond et contour', 'Copier-coller', 'Texte', 'Exporter']
+    }
+  },
+
+  lesson1: {
+    intro: 'Aide le petit hibou à se préparer pour l’atelier !',
+    goal: 'Mets-lui le casque sur la tête.',
+    select: 'Bouton gauche de la souris : sélectionne le casque',
+    hint: 'Clique sur le casque, garde le bouton gauche enfoncé et fais-le glisser sur le contour qui clignote au-dessus de la tête du hibou.'
+  },
+
+  lesson2: {
+    intro: 'Le petit hibou a besoin d’une clé !',
+    goal: 'Fais pivoter la clé à l’angle correct.',
+    select: 'Bouton gauche de la souris : sélectionne la clé',
+    clickAgain: 'Bouton gauche de la souris : clique une deuxième fois sur la clé pour pouvoir la faire pivoter.',
+    rotate: 'Fais glisser l’une des poignées d’angle pour faire pivoter',
+    drag: 'Fais glisser la clé à la bonne position',
+    hint: 'Clique deux fois sur la clé pour voir les flèches de rotation. Tourne-la jusqu’à ce qu’elle soit inclinée comme le contour, puis fais-la glisser dessus.'
+  },
+
+  lesson3: {
+    intro: 'Oh non ! Tous les outils sont tombés de la mallette.',
+    goal: 'Tu peux les remettre dedans ?',
+    shiftClick: 'Maintiens <strong>Maj</strong> enfoncée et clique sur tous les outils pour les sélectionner.',
+    dragAll: 'Quand <strong>tous</strong> les outils sont sélectionnés, fais-les glisser dans la caisse à outils.',
+    hint: 'Clique sur le premier outil. Ensuite, maintiens <strong>Maj</strong> enfoncée en cliquant sur les autres. Fais-les ensuite glisser ensemble dans la caisse.'
+  },
+
+  lesson4: {
+    unlock: {
+      intro: 'La caisse à outils est fermée à clé !',
+      goal: 'Utilise la clé pour l’ouvrir.',
+      select: 'Sélectionne la clé',
+      drag: 'Fais glisser la clé jusqu’à la serrure',
+      rotate: 'Tourne la clé pour ouvrir',
+      hint: 'Fais d’abord glisser la clé au milieu de la caisse. Clique ensuite encore une fois dessus et tourne-la avec une flèche d’angle.'
+    },
+    collect: {
+      intro: 'La caisse est ouverte ! Maintenant, les outils doivent y aller.',
+      goal: 'Utilise un cadre de sélection pour tout sélectionner.',
+      drawBox: 'Clique et fais glisser pour tracer un cadre de sélection',
+      inside: 'Vérifie que tous les outils sont dans le cadre',
+      drag: 'Fais tout glisser dans la caisse à outils',
+      hint: 'Commence sur un endroit vide à côté des outils, garde le bouton enfoncé et trace un cadre autour de <strong>tous</strong> les outils.'
+    }
+  },
+
+  lesson5: {
+    intro: 'Démarrons la machine à créativité !',
+    followArrow: 'Suis la {arrow} pour trouver la machine.',
+    blueArrow: 'flèche bleue',
+    pan: 'Clique et fais glisser avec le bouton du milieu pour te <strong>déplacer</strong> dans le dessin.',
+    zoom: 'pour <strong>zoomer</strong> et dézoomer.',
+    zoomTool: 'Ou utilise l’<strong>outil Zoom</strong> : clique pour zoomer, Maj + clic pour dézoomer, ou trace un cadre autour de ce que tu veux voir.',
+    findButton: 'Zoome assez sur la machine pour trouver le <strong>bouton de démarrage vert</strong>.',
+    clickStart: 'Clique sur le bouton de démarrage pour allumer la machine !',
+    done: {
+      lead: 'Tu sais maintenant te déplacer facilement dans Inkscape !',
+      canNow: 'Tu sais maintenant :',
+      select: '<strong>Sélectionner</strong> en cliquant sur des objets',
+      drag: '<strong>Faire glisser</strong> pour déplacer des objets',
+      rotate: '<strong>Cliquer</strong> une deuxième fois pour faire pivoter des objets',
+      multi: '<strong>Sélectionner plusieurs objets</strong> avec Maj ou un cadre de sélection',
+      pan: '<strong>Te déplacer</strong> en cliquant et en faisant glisser sur le canevas',
+      zoom: '<strong>Zoomer</strong> avec Ctrl + molette ou l’outil Zoom',
+      ready: 'Tu es prêt·e à apprendre à <strong>dessiner dans Inkscape !</strong>'
+    },
+    hint: 'Maintiens <strong>Ctrl</strong> et tourne la molette pour zoomer. Continue jusqu’à bien voir le bouton de démarrage.'
+  },
+
+  lesson6: {
+    cannotDelete: 'Cet objet ne peut pas être supprimé.',
+    deleteInk: {
+      title: 'Consigne : supprime les taches d’encre',
+      intro: 'La machine a craché un badge.',
+      body: 'Supprime toutes les taches d’encre en cliquant dessus puis en appuyant sur {deleteKey} ou {backspaceKey}.',
+      hint: 'Clique sur une tache d’encre pour qu’un cadre apparaisse autour, puis appuie sur Suppr.'
+    },
+    drawHole: {
+      title: 'Étape 2 : dessine un cercle',
+      praise: 'Tu as supprimé toutes les taches d’encre. Bravo !',
+      badge: 'Tu vois maintenant le beau badge que la machine a fabriqué.',
+      noHole: 'Malheureusement, le hibou maker ne peut pas encore le porter autour du cou : il n’y a pas de trou pour la ficelle.',
+      useTool: 'Tu peux en ajouter un avec l’outil {tool} ?',
+      size: '<strong>Attention :</strong> le cercle doit mesurer <strong>{size} × {size}</strong>. Utilise la barre d’outils en haut pour régler les dimensions exactes.',
+      noFill: 'Vérifie que le cercle n’a pas de fond, seulement un contour noir.',
+      hint: 'Choisis l’outil ellipse et trace un petit cercle sur l’emplacement en pointillés. Règle ensuite L et H à 15 en haut.'
+    },
+    circle: {
+      oops: '<strong>Oups !</strong> Le cercle ne convient pas :',
+      size: 'La taille doit être {target} × {target} (maintenant : {rx} × {ry})',
+      needsStroke: 'Le cercle doit avoir un contour',
+      strokeBlack: 'Le contour doit être noir',
+      noFill: 'Le cercle ne doit pas avoir de fond',
+      tryAgain: 'Réessaie !',
+      position: 'Place le trou au bon endroit.'
+    },
+    traceLightning: {
+      title: 'Étape 3 : utilise l’outil plume',
+      question: 'Le badge n’a qu’un seul éclair. Est-ce suffisant ?',
+      trace: 'Utilise l’outil plume {tool} pour décalquer l’éclair d’origine le mieux possible.',
+      move: 'Quand tu as fini, sélectionne le chemin dessiné et déplace-le vers l’emplacement entouré avec l’outil de sélection.',
+      hint: 'Choisis l’outil plume et clique point par point le long des angles de l’éclair. Double-clique pour terminer.'
+    },
+    strokeAside: {
+      title: 'Étape 4 : sélectionne le contour (pas le fond)',
+      explain: 'Par défaut, ton chemin n’a <strong>pas de fond</strong>, seulement un <strong>contour</strong> (la ligne). Pour sélectionner le chemin, clique exactement sur la ligne — cliquer à l’intérieur vide ne fonctionne pas.',
+      tryIt: 'Essaie maintenant de sélectionner le chemin (clique sur la ligne). Utilise le panneau de droite pour essayer la couleur du <strong>contour</strong> et le <strong>fond</strong>. Si tu ajoutes un fond, tu pourras ensuite aussi cliquer à l’intérieur pour sélectionner.'
+    },
+    placeTrace: {
+      title: 'Étape 4 : place ton éclair',
+      body: 'Sélectionne le chemin dessiné et déplace-le vers l’emplacement entouré avec l’outil de sélection {tool}',
+      hint: 'Clique exactement sur la ligne de ton éclair et fais-le glisser vers l’emplacement entouré.'
+    },
+    copyPaste: {
+      title: 'Étape 4 : copie et colle',
+      copy: 'Copie le chemin que tu as dessiné avec {ctrl}<strong> + C</strong> et colle des copies sur les emplacements entourés avec {ctrl}<strong> + V</strong>',
+      drag: 'Fais glisser les copies au bon endroit avec l’outil de sélection {tool}',
+      hint: 'Sélectionne ton éclair, appuie sur Ctrl + C puis deux fois sur Ctrl + V. Fais glisser chaque copie sur un emplacement entouré.'
+    },
+    editName: {
+      title: 'Étape 5 : modifie le nom',
+      you: 'Le vrai maker du jour, c’est toi !',
+      rename: 'Remplace le nom sur le badge par ton propre nom.',
+      howTo: 'Clique sur le bouton {tool} puis sélectionne le nom pour le modifier.',
+      hint: 'Choisis l’outil texte et clique dans le nom sur le badge. Efface l’ancien nom et tape le tien.'
+    },
+    download: {
+      done: 'Tu connais maintenant les bases d’Inkscape et tu as terminé le badge.',
+      download: 'Télécharge le badge en fichier SVG avec le bouton ci-dessous.',
+      later: 'Tu pourras toujours modifier le badge plus tard dans Inkscape !'
+    }
+  },
+
+  welcome: {
+    title: 'Bienvenue — MaakBib : Inkscape leçon 1',
+    start: 'Clique sur l’outil de sélection {icon} pour commencer.'
+  },
+
+  mouseRequired: {
+    title: 'Ordinateur avec souris nécessaire',
+    intro: 'Ces tutoriels Inkscape sont conçus pour des ordinateurs de bureau ou portables avec une vraie souris.',
+    accessFrom: 'Tu peux suivre ce tutoriel depuis :',
+    desktop: 'Un ordinateur de bureau ou un portable',
+    mouse: 'Une vraie souris (pas de pavé tactile ni d’écran tactile)'
+  },
+
+  profiles: {
+    guest: 'Invité',
+    whoAreYou: 'Qui es-tu ? Tu travailles en tant que {name}.',
+    wipeGuest: 'Effacer la progression de l’invité',
+    wipeProfile: 'Effacer le profil {name}',
+    confirmWipeGuest: 'Effacer toute la progression de l’invité ?',
+    confirmWipeProfile: 'Effacer le profil « {name} » et toute sa progression ?',
+    newName: 'Nouveau nom',
+    add: 'Ajouter',
+    choose: 'Choisir un profil',
+    switch: 'Changer de profil'
+  },
+
+  toolbar: {
+    overview: 'Vue d’ensemble des leçons',
+    exportProgress: 'Enregistrer la progression dans un fichier',
+    importProgress: 'Charger la progression depuis un fichier',
+    importFailed: 'Ce fichier ne contient pas de progression valide.',
+    instructor: 'Mode formateur',
+    undoHistory: 'Historique des annulations'
+  },
+
+  instructor: {
+    pinPrompt: 'Code PIN du formateur :',
+    wrongPin: 'Code PIN incorrect.'
+  },
+
+  tracks: {
+    choose: 'Choisir un parcours',
+    label: 'Parcours',
+    names: {
+      'all': 'Toutes les leçons',
+      'mouse-basics': 'Bases de la souris',
+      'laser-cut': 'Préparer pour la découpe laser'
+    }
+  },
+
+  overview: {
+    title: 'Leçons — {track}',
+    done: 'Terminée',
+    locked: 'Verrouillée',
+    started: 'Commencée',
+    new: 'Pas encore commencée',
+    bestTime: 'Meilleur temps {time}',
+    start: 'Commencer',
+    requires: 'D’abord : {lessons}'
+  },
+
+  fillStroke: {
+    fill: 'Fond',
+    strokePaint: 'Couleur du contour',
+    strokeStyle: 'Style du contour',
+    none: 'Aucun',
+    flat: 'Couleur unie',
+    linear: 'Dégradé linéaire',
+    linearShort: 'Linéaire',
+    radial: 'Dégradé radial',
+    radialShort: 'Radial',
+    pattern: 'Motif',
+    noPaint: 'Aucune peinture',
+    width: 'Épaisseur :',
+    reset: 'Réinitialiser',
+    swatches: {
+      cut: 'Découper',
+      engrave: 'Graver',
+      raster: 'Tramer'
+    }
+  },
+
+  hints: {
+    label: 'Astuce :'
+  },
+
+  shapes: {
+    width: 'L :',
+    height: 'H :'
+  },
+
+  zoom: {
+    toSelection: 'Zoomer sur la sélection',
+    toDrawing: 'Zoomer sur le dessin',
+    actualSize: 'Zoom 1:1',
+    level: 'Zoom :'
+  },
+
+  undoHistory: {
+    title: 'Historique',
+    dock: 'Ancrer le panneau',
+    undock: 'Détacher le panneau',
+    start: 'Début de cette étape',
+    unavailable: 'L’annulation n’est pas disponible dans cette leçon.',
+    none: 'aucun',
+    objectCount: '{count} objets',
+    add: 'Dessiner {name}',
+    paste: 'Coller {name}',
+    remove: 'Supprimer {name}',
+    move: 'Déplacer {name}',
+    scale: 'Redimensionner {name}',
+    rotate: 'Tourner {name}',
+    transform: 'Transformer {name}',
+    text: 'Modifier le texte',
+    style: 'Modifier le style de {name}',
+    setFill: 'Remplissage {value}',
+    setStroke: 'Contour {value}',
+    setStrokeWidth: 'Épaisseur du contour {value}',
+    setOpacity: 'Opacité {value}',
+    node: {
+      move: 'Déplacer le nœud',
+      addNode: 'Ajouter un nœud',
+      deleteNode: 'Supprimer le nœud',
+      makeCusp: 'Rendre le nœud anguleux',
+      makeSmooth: 'Rendre le nœud doux',
+      makeAutoSmooth: 'Rendre le nœud automatiquement doux',
+      makeCurve: 'Rendre le segment courbe',
+      makeLine: 'Rendre le segment droit'
+    },
+    objects: {
+      path: 'chemin',
+      rect: 'rectangle',
+      ellipse: 'ellipse',
+      circle: 'cercle',
+      'i-text': 'texte',
+      textbox: 'texte',
+      group: 'groupe',
+      object: 'objet'
+    }
+  },
+
+  autosave: {
+    resumeTitle: 'Bon retour !',
+    resumeBody: 'Vous travailliez sur {lesson} ({time}). Voulez-vous reprendre là où vous vous étiez arrêté ?',
+    resume: 'Reprendre',
+    discard: 'Supprimer le travail enregistré',
+    leaveTitle: 'Quitter cette leçon ?',
+    leaveBody: 'Votre travail dans cette leçon est enregistré. En rouvrant la leçon, vous pourrez reprendre là où vous vous étiez arrêté.',
+    leave: 'Changer de leçon',
+    restartTitle: 'Recommencer cette leçon ?',
+    restartBody: 'Votre travail dans cette leçon sera perdu.',
+    startOver: 'Recommencer',
+    stay: 'Continuer à travailler'
+  }
+};
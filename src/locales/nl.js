@@ -0,0 +1,345 @@
+/**
+ * Dutch message catalog (reference language; other catalogs fall back to it)
+ * Placeholders like {size} are filled in by t(); messages may contain inline HTML.
+ */
+export default {
+  language: {
+    label: 'Taal'
+  },
+
+  common: {
+    assignment: 'Opdracht',
+    congratulations: '🎉 Gefeliciteerd!',
+    nextLessonReady: 'Goed gedaan, je bent klaar voor de volgende les',
+    pageTitle: 'Inkscape {title}: {name}',
+    next: 'Volgende',
+    close: 'Sluiten',
+    releaseToPlace: 'Laat los om te plaatsen',
+    dragToMove: 'Klik en sleep om te verplaatsen'
+  },
+
+  lessons: {
+    1: {
+      title: 'Les 1',
+      name: 'Selecteren en slepen',
+      description: 'Help het uiltje: zet de helm op zijn hoofd door hem te selecteren en te verslepen.',
+      skills: ['Selecteren', 'Slepen']
+    },
+    2: {
+      title: 'Les 2',
+      name: 'Draaien',
+      description: 'Draai de moersleutel in de juiste hoek en zet hem op zijn plaats.',
+      skills: ['Selecteren', 'Draaien', 'Slepen']
+    },
+    3: {
+      title: 'Les 3',
+      name: 'Meerdere objecten selecteren',
+      description: 'Steek het gevallen gereedschap terug in de koffer door meerdere objecten tegelijk te selecteren.',
+      skills: ['Shift+klik', 'Meervoudige selectie']
+    },
+    4: {
+      title: 'Les 4',
+      name: 'Selectiekader',
+      description: 'Open de gereedschapskist met de sleutel en verzamel alles met een selectiekader.',
+      skills: ['Draaien', 'Selectiekader']
+    },
+    5: {
+      title: 'Les 5',
+      name: 'Pannen en zoomen',
+      description: 'Zoek de creativiteits-machine en zet ze aan door te pannen en te zoomen.',
+      skills: ['Pannen', 'Zoomen']
+    },
+    6: {
+      title: 'Les 6',
+      name: 'Maker Badge',
+      description: 'Werk je eigen maker badge af: verwijderen, tekenen, kopiëren, kleuren en tekst aanpassen.',
+      skills: ['Verwijderen', 'Vormen tekenen', 'Pen-tool', 'Vulling en streek', 'Kopiëren en plakken', 'Tekst', 'Exporteren']
+    }
+  },
+
+  lesson1: {
+    intro: 'Help het uiltje zich klaar te maken voor de maakplaats!',
+    goal: 'Zet de helm op zijn hoofd.',
+    select: 'Linker muisknop: Selecteer de helm',
+    hint: 'Klik op de helm, houd de linker muisknop ingedrukt en sleep hem naar de knipperende omtrek boven het hoofd van het uiltje.'
+  },
+
+  lesson2: {
+    intro: 'Het uiltje heeft een moersleutel nodig!',
+    goal: 'Draai de moersleutel naar de juiste hoek.',
+    select: 'Linker muisknop: Selecteer de moersleutel',
+    clickAgain: 'Linker muisknop: Klik een tweede keer op de moersleutel om hem te kunnen draaien.',
+    rotate: 'Sleep met de muis op een van de hoekpunten om te roteren',
+    drag: 'Sleep de sleutel naar de juiste positie',
+    hint: 'Klik twee keer op de moersleutel om de draaipijlen te zien. Draai hem tot hij schuin staat zoals de omtrek en sleep hem er dan op.'
+  },
+
+  lesson3: {
+    intro: 'Oh nee! Al het gereedschap is uit de koffer gevallen.',
+    goal: 'Steek jij ze er terug in?',
+    shiftClick: 'Houd <strong>Shift</strong> ingedrukt en klik op alle gereedschappen om ze te selecteren.',
+    dragAll: 'Als je <strong>al</strong> het gereedschap geselecteerd hebt, sleep je het naar de gereedschapskist.',
+    hint: 'Klik op het eerste gereedschap. Houd dan <strong>Shift</strong> ingedrukt terwijl je op de andere klikt. Sleep ze daarna samen naar de kist.'
+  },
+
+  lesson4: {
+    unlock: {
+      intro: 'De gereedschapskist zit op slot!',
+      goal: 'Gebruik de sleutel om hem te openen.',
+      select: 'Selecteer de sleutel',
+      drag: 'Sleep de sleutel naar het slot',
+      rotate: 'Draai de sleutel om te openen',
+      hint: 'Sleep de sleutel eerst tot midden op de kist. Klik er dan nog eens op en draai hem met een hoekpijl.'
+    },
+    collect: {
+      intro: 'De kist is open! Nu moet het gereedschap erin.',
+      goal: 'Gebruik het selectiekader om alles te selecteren.',
+      drawBox: 'Klik en sleep om een selectiekader te maken',
+      inside: 'Zorg dat alle gereedschappen binnen het kader vallen',
+      drag: 'Sleep alles naar de gereedschapskist',
+      hint: 'Begin naast het gereedschap op een lege plek, houd de muisknop ingedrukt en trek een kader rond <strong>alle</strong> gereedschappen.'
+    }
+  },
+
+  lesson5: {
+    intro: 'Laten we de creativiteits-machine starten!',
+    followArrow: 'Volg de {arrow} om de machine te vinden.',
+    blueArrow: 'blauwe pijl',
+    pan: 'Klik en sleep met de midden-muis knop om te <strong>pannen</strong> (verschuiven).',
+    zoom: 'om in en uit te <strong>zoomen</strong>.',
+    zoomTool: 'Of gebruik het <strong>zoomgereedschap</strong>: klik om in te zoomen, Shift + klik om uit te zoomen, of sleep een kader om wat je wilt zien.',
+    findButton: 'Zoom ver genoeg in op de machine om de <strong>groene startknop</strong> te vinden.',
+    clickStart: 'Klik op de startknop om de machine aan te zetten!',
+    done: {
+      lead: 'Je kan nu vlot bewegen in Inkscape!',
+      canNow: 'Je kunt nu:',
+      select: '<strong>Selecteren</strong> door op objecten te klikken',
+      drag: '<strong>Slepen</strong> om objecten te verplaatsen',
+      rotate: '<strong>Klikken</strong> om objecten te draaien',
+      multi: '<strong>Meerdere objecten selecteren</strong> met Shift of een selectievak',
+      pan: '<strong>Pannen</strong> door te klikken en slepen op het canvas',
+      zoom: '<strong>Zoomen</strong> met Ctrl + Scroll of het zoomgereedschap',
+      ready: 'Je bent nu klaar om te leren <strong>tekenen in Inkscape!</strong>'
+    },
+    hint: 'Houd <strong>Ctrl</strong> ingedrukt en draai aan het muiswieltje om in te zoomen. Zoom zo ver in tot je de startknop goed ziet.'
+  },
+
+  lesson6: {
+    cannotDelete: 'Dit object kan niet verwijderd worden.',
+    deleteInk: {
+      title: 'Opdracht: Verwijder de inktplekken',
+      intro: 'De machine heeft een badge uitgespuwd.',
+      body: 'Verwijder alle inktplekken door ze aan te klikken en op {deleteKey} of {backspaceKey} te drukken.',
+      hint: 'Klik op een inktvlek zodat er een kader rond staat en druk dan op Delete.'
+    },
+    drawHole: {
+      title: 'Stap 2: Teken een cirkel',
+      praise: 'Je hebt alle inktplekken verwijderd. Goed gedaan!',
+      badge: 'Nu zie je de mooie badge die de machine heeft gemaakt.',
+      noHole: 'Spijtig genoeg kan de maakuil deze nog niet om zijn nek hangen, want er is geen gaatje voor een touwtje.',
+      useTool: 'Voeg jij dit toe met de {tool} tool?',
+      size: '<strong>Let op:</strong> De cirkel moet <strong>{size} × {size}</strong> zijn. Gebruik de werkbalk bovenaan om de afmetingen exact aan te passen.',
+      noFill: 'Zorg dat het cirkeltje geen vulling heeft, alleen een zwarte omtrek (streek).',
+      hint: 'Kies de ellips-tool en sleep een cirkeltje op de gestippelde plek. Zet daarna B en H bovenaan op 15.'
+    },
+    circle: {
+      oops: '<strong>Oeps!</strong> De cirkel voldoet niet:',
+      size: 'Grootte moet {target} × {target} zijn (nu: {rx} × {ry})',
+      needsStroke: 'De cirkel moet een omtrek (streek) hebben',
+      strokeBlack: 'De omtrek moet zwart zijn',
+      noFill: 'De cirkel mag geen vulling hebben',
+      tryAgain: 'Probeer opnieuw!',
+      position: 'Zet het gaatje op de juiste plaats.'
+    },
+    traceLightning: {
+      title: 'Stap 3: Gebruik de pen-tool',
+      question: 'De badge heeft maar 1 bliksemschicht. Is dat wel genoeg?',
+      trace: 'Gebruik de pen-tool {tool} om zo goed mogelijk de originele bliksemschicht te traceren.',
+      move: 'Als je klaar bent, selecteer je het getekende pad en verplaats je die naar de omlijnde plek met de selectie-tool.',
+      hint: 'Kies de pen-tool en klik punt per punt langs de hoeken van de bliksemschicht. Dubbelklik om te stoppen.'
+    },
+    strokeAside: {
+      title: 'Stap 4: Selecteer de streek (niet de vulling)',
+      explain: 'Je getekende pad heeft standaard <strong>geen vulling</strong> en alleen een <strong>streek</strong> (de lijn). Om het pad te selecteren moet je precies op de lijn klikken — klikken in het lege binnengebied werkt niet.',
+      tryIt: 'Probeer nu het pad te selecteren (klik op de lijn). Gebruik het paneel rechts om de <strong>streek</strong> kleur en de <strong>vulling</strong> uit te proberen. Als je een vulling toevoegt, kun je daarna ook in het binnengebied klikken om te selecteren.'
+    },
+    placeTrace: {
+      title: 'Stap 4: Plaats je bliksemschicht',
+      body: 'Selecteer het getekende pad en verplaats het naar de omlijnde plek met de selectie-tool {tool}',
+      hint: 'Klik precies op de lijn van je bliksemschicht en sleep hem naar de omlijnde plek.'
+    },
+    copyPaste: {
+      title: 'Stap 4: Kopieer en plak',
+      copy: 'Kopieer je eerder getekende pad met {ctrl}<strong> + C</strong> en plak kopieën op de omlijnde plekken met {ctrl}<strong> + V</strong>',
+      drag: 'Sleep de kopieën naar de juiste plek met de selectie-tool {tool}',
+      hint: 'Selecteer je bliksemschicht, druk Ctrl + C en dan twee keer Ctrl + V. Sleep elke kopie naar een omlijnde plek.'
+    },
+    editName: {
+      title: 'Stap 5: Bewerk de naam',
+      you: 'De echte maker van vandaag, dat ben jij!',
+      rename: 'Pas de naam op de badge aan naar jouw naam.',
+      howTo: 'Klik op de {tool} knop en selecteer vervolgens de naam om deze te bewerken.',
+      hint: 'Kies de tekst-tool en klik in de naam op de badge. Wis de oude naam en typ je eigen naam.'
+    },
+    download: {
+      done: 'Je kent nu de basisfuncties van Inkscape en hebt de badge voltooid.',
+      download: 'Download de badge als een SVG-bestand via de knop hieronder.',
+      later: 'Je kunt de badge later altijd opnieuw bewerken in Inkscape!'
+    }
+  },
+
+  welcome: {
+    title: 'Welkom — MaakBib: Inkscape Les 1',
+    start: 'Klik op de selectie tool {icon} om te beginnen.'
+  },
+
+  mouseRequired: {
+    title: 'Computer met muis vereist',
+    intro: 'Deze Inkscape tutorials zijn ontworpen voor desktop- of laptopcomputers met een fysieke muis.',
+    accessFrom: 'Toegang tot deze tutorial is mogelijk vanaf:',
+    desktop: 'Een desktopcomputer of laptop',
+    mouse: 'Gebruik van een fysieke muis (geen touchpad of touchscreen)'
+  },
+
+  profiles: {
+    guest: 'Gast',
+    whoAreYou: 'Wie ben jij? Je werkt nu als {name}.',
+    wipeGuest: 'Voortgang van Gast wissen',
+    wipeProfile: 'Profiel {name} wissen',
+    confirmWipeGuest: 'Alle voortgang van Gast wissen?',
+    confirmWipeProfile: 'Profiel "{name}" en alle voortgang wissen?',
+    newName: 'Nieuwe naam',
+    add: 'Toevoegen',
+    choose: 'Profiel kiezen',
+    switch: 'Profiel wisselen'
+  },
+
+  toolbar: {
+    overview: 'Overzicht van de lessen',
+    exportProgress: 'Voortgang opslaan als bestand',
+    importProgress: 'Voortgang laden uit bestand',
+    importFailed: 'Dit bestand bevat geen geldige voortgang.',
+    instructor: 'Docentmodus',
+    undoHistory: 'Geschiedenis ongedaan maken'
+  },
+
+  instructor: {
+    pinPrompt: 'Docent-PIN:',
+    wrongPin: 'Onjuiste PIN.'
+  },
+
+  tracks: {
+    choose: 'Leerlijn kiezen',
+    label: 'Leerlijn',
+    names: {
+      'all': 'Alle lessen',
+      'mouse-basics': 'Muisbasis',
+      'laser-cut': 'Voorbereiden voor de lasersnijder'
+    }
+  },
+
+  overview: {
+    title: 'Lessen — {track}',
+    done: 'Voltooid',
+    locked: 'Vergrendeld',
+    started: 'Begonnen',
+    new: 'Nog niet gestart',
+    bestTime: 'Beste tijd {time}',
+    start: 'Start',
+    requires: 'Eerst: {lessons}'
+  },
+
+  fillStroke: {
+    fill: 'Vulling',
+    strokePaint: 'Streekkleur',
+    strokeStyle: 'Streekstijl',
+    none: 'Geen',
+    flat: 'Egale kleur',
+    linear: 'Lineair verloop',
+    linearShort: 'Lineair',
+    radial: 'Radiaal verloop',
+    radialShort: 'Radiaal',
+    pattern: 'Patroon',
+    noPaint: 'Geen opvulling',
+    width: 'Dikte:',
+    reset: 'Reset',
+    swatches: {
+      cut: 'Snijden',
+      engrave: 'Graveren',
+      raster: 'Rasteren'
+    }
+  },
+
+  hints: {
+    label: 'Tip:'
+  },
+
+  shapes: {
+    width: 'B:',
+    height: 'H:'
+  },
+
+  zoom: {
+    toSelection: 'Zoom naar selectie',
+    toDrawing: 'Zoom naar tekening',
+    actualSize: 'Zoom 1:1',
+    level: 'Zoom:'
+  },
+
+  undoHistory: {
+    title: 'Geschiedenis',
+    dock: 'Paneel vastzetten',
+    undock: 'Paneel losmaken',
+    start: 'Begin van deze stap',
+    unavailable: 'Ongedaan maken kan niet in deze les.',
+    none: 'geen',
+    objectCount: '{count} objecten',
+    add: '{name} tekenen',
+    paste: '{name} plakken',
+    remove: '{name} verwijderen',
+    move: '{name} verplaatsen',
+    scale: '{name} schalen',
+    rotate: '{name} draaien',
+    transform: '{name} transformeren',
+    text: 'Tekst bewerken',
+    style: 'Stijl van {name} wijzigen',
+    setFill: 'Vulling {value} instellen',
+    setStroke: 'Lijn {value} instellen',
+    setStrokeWidth: 'Lijndikte {value} instellen',
+    setOpacity: 'Ondoorzichtigheid {value} instellen',
+    node: {
+      move: 'Knooppunt verplaatsen',
+      addNode: 'Knooppunt toevoegen',
+      deleteNode: 'Knooppunt verwijderen',
+      makeCusp: 'Knooppunt hoekig maken',
+      makeSmooth: 'Knooppunt glad maken',
+      makeAutoSmooth: 'Knooppunt automatisch glad maken',
+      makeCurve: 'Segment gebogen maken',
+      makeLine: 'Segment recht maken'
+    },
+    objects: {
+      path: 'pad',
+      rect: 'rechthoek',
+      ellipse: 'ellips',
+      circle: 'cirkel',
+      'i-text': 'tekst',
+      textbox: 'tekst',
+      group: 'groep',
+      object: 'object'
+    }
+  },
+
+  autosave: {
+    resumeTitle: 'Welkom terug!',
+    resumeBody: 'Je was bezig met {lesson} ({time}). Wil je verdergaan waar je gebleven was?',
+    resume: 'Verdergaan',
+    discard: 'Opgeslagen werk weggooien',
+    leaveTitle: 'Deze les verlaten?',
+    leaveBody: 'Je werk in deze les is bewaard. Als je de les opnieuw opent, kun je verdergaan waar je gebleven was.',
+    leave: 'Andere les openen',
+    restartTitle: 'Deze les opnieuw beginnen?',
+    restartBody: 'Je werk in deze les gaat verloren.',
+    startOver: 'Opnieuw beginnen',
+    stay: 'Verder werken'
+  }
+};
@@ -1,21 +1,34 @@
 import { initCanvas, centerCanvas, canvas } from './canvas.js';
 import { undoRedoController } from './UndoRedoController.js';
-import { installWelcomeOverlay, createSelectOverlayButton } from './overlay.js';
-import { startTutorial, startTutorialDirect, startLesson2, startLesson3, startLesson4, startLesson5 } from './tutorial.js';
-import { startLesson6, cleanupLesson6 } from './Lesson6.js';
+import { undoHistoryPanel } from './UndoHistoryPanel.js';
+import { installWelcomeOverlay, createSelectOverlayButton, openProfileDialog, getProfileDisplayName, askChoice } from './overlay.js';
+import { LESSONS, openLesson, refreshLesson, closeActiveLesson, parseLessonHash, parseStepHash, getActiveLessonId, isLessonFeatureEnabled, localizeActiveLesson, setNextLessonNavigator } from './LessonRegistry.js';
 import { getCompletedLessons, markLessonCompleted } from './utils.js';
+import { progressStore } from './ProgressStore.js';
+import { lessonAutosave } from './LessonAutosave.js';
+import { profileStore } from './ProfileStore.js';
+import { instructorMode } from './InstructorMode.js';
+import { analytics, ANALYTICS_EVENTS } from './Analytics.js';
+import { xapiReporter } from './XapiReporter.js';
+import { scormAdapter } from './ScormAdapter.js';
+import { embedMode } from './EmbedMode.js';
+import { installPublicApi } from './PublicApi.js';
+import { courseManifest, getTrackTitle } from './CourseManifest.js';
+import { openLessonOverview } from './LessonOverview.js';
+import { t, LANGUAGES, getLanguage, setLanguage, initLanguage, lessonHeading } from './i18n.js';
+import { isAuthoringRequested, getAuthoringSvgParam, authoringMode } from './AuthoringMode.js';
 import { shapeDrawingController } from './ShapeDrawingController.js';
 import { penToolController } from './PenToolController.js';
+import { zoomToolController } from './ZoomToolController.js';
 import { isInNodeEditMode, exitNodeEdit, makeSegmentCurve, makeSegmentLine, makeAllSegmentsCurves, makeSelectedSegmentsCurves, makeSelectedSegmentsLines, getSelectedNodes, clearNodeSelection, deleteSelectedNodes, addNodeAtSelectedSegment, makeNodesCusp, makeNodesSmooth, makeNodesAutoSmooth, getCurrentMode, TRANSFORM_MODE, enterNodeEditMode } from './InkscapeTransformMode.js';
-import { LESSON_FEATURES } from './constants.js';
 
 /**
  * Get the current lesson number from the URL hash
  * @returns {number|null} The current lesson number or null if not found
  */
 function getCurrentLessonNumber() {
-  const match = (location.hash || '').match(/lesson=(\d+)/);
-  return match ? parseInt(match[1], 10) : null;
+  const lesson = parseLessonHash();
+  return lesson ? Math.floor(lesson) : null;
 }
 
 /**
@@ -25,7 +38,7 @@ function getCurrentLessonNumber() {
  */
 function isFeatureEnabled(featureName) {
   const lesson = getCurrentLessonNumber();
-  return lesson && LESSON_FEATURES[lesson]?.[featureName] === true;
+  return !!lesson && isLessonFeatureEnabled(lesson, featureName);
 }
 
 // Device detection - check for desktop/laptop with mouse
@@ -91,17 +104,17 @@ function showUnsupportedDeviceOverlay() {
   const title = document.createElement('h1');
   title.style.fontSize = '28px';
   title.style.marginBottom = '16px';
-  title.textContent = 'Computer met muis vereist';
+  title.textContent = t('mouseRequired.title');
 
   const message = document.createElement('p');
   message.style.fontSize = '18px';
   message.style.maxWidth = '600px';
   message.style.lineHeight = '1.6';
   message.innerHTML = `
-    Deze Inkscape tutorials zijn ontworpen voor desktop- of laptopcomputers met een fysieke muis.<br><br>
-    <strong>Toegang tot deze tutorial is mogelijk vanaf:</strong><br>
-    • Een desktopcomputer of laptop<br>
-    • Gebruik van een fysieke muis (geen touchpad of touchscreen)
+    ${t('mouseRequired.intro')}<br><br>
+    <strong>${t('mouseRequired.accessFrom')}</strong><br>
+    • ${t('mouseRequired.desktop')}<br>
+    • ${t('mouseRequired.mouse')}
   `;
 
   overlay.appendChild(icon);
@@ -110,6 +123,10 @@ function showUnsupportedDeviceOverlay() {
   document.body.appendChild(overlay);
 }
 
+// Load the tab's learner profile first: its preferences pick the interface language
+profileStore.load();
+initLanguage();
+
 // Check device compatibility before initializing
 if (!isDesktopWithMouse()) {
   showUnsupportedDeviceOverlay();
@@ -120,23 +137,41 @@ if (!isDesktopWithMouse()) {
 initCanvas('c');
 centerCanvas();
 
-// Enable global undo/redo (Ctrl+Z / Ctrl+Shift+Z)
+// Enable global undo/redo (Ctrl+Z / Ctrl+Shift+Z); history is only kept
+// while a lesson takes part (see undoRedoController.attach)
 try {
-  // Global undo/redo intentionally disabled due to lesson state restoration issues.
-  // To re-enable, call `undoRedoController.enable()` here.
+  undoRedoController.enable();
 } catch (e) { console.warn('[Main] Could not enable undo/redo controller:', e); }
 
+// Load the profile's progress (migrating the old cookie) before the welcome
+// overlay and lesson unlocking need it. Inside an LMS the progress belongs to
+// the LMS learner and lives in cmi.suspend_data instead.
+if (scormAdapter.init()) {
+  await progressStore.init({ backend: scormAdapter.createProgressBackend(), migrateCookie: false });
+  scormAdapter.reportProgress();
+} else {
+  await progressStore.init({ key: profileStore.getProgressKey() });
+}
+instructorMode.init();
+undoHistoryPanel.init();
+analytics.init();
+xapiReporter.init();
+embedMode.init();
+
+// Lesson we put in the URL hash ourselves; its hashchange needs no handling
+let lastProgrammaticLessonChange = null;
+// Set while a hashchange starts a lesson, against re-entrancy
+let handlingHashChange = false;
+
 // Install overlay and hook select tool
-const welcomeOverlay = installWelcomeOverlay();
+const welcomeOverlay = installWelcomeOverlay({ showProfiles: !scormAdapter.isActive });
 const selectTool = document.getElementById('tool-select');
 const selectButtonOverlay = createSelectOverlayButton(async () => {
   // If lesson 1 is already active, don't reinitialize the view.
-  const currentMatch = (location.hash || '').match(/lesson=([\d.]+)/);
-  const currentLesson = currentMatch ? parseFloat(currentMatch[1]) : null;
+  const currentLesson = parseLessonHash();
   if (currentLesson === 1) {
     // simply remove overlays and highlight the select tool without re-initializing
-    if (welcomeOverlay && welcomeOverlay.parentNode) welcomeOverlay.parentNode.removeChild(welcomeOverlay);
-    if (selectButtonOverlay && selectButtonOverlay.parentNode) selectButtonOverlay.parentNode.removeChild(selectButtonOverlay);
+    dismissWelcomeOverlays();
     if (selectTool) {
       document.querySelectorAll('.tool-btn').forEach(b => b.classList.remove('active'));
       selectTool.classList.add('active');
@@ -144,29 +179,185 @@ const selectButtonOverlay = createSelectOverlayButton(async () => {
     return;
   }
 
-  // navigate to lesson 1 and initialize the lesson state
-  try { window._lastProgrammaticLessonChange = 1; location.hash = 'lesson=1'; } catch (e) {}
-  if (welcomeOverlay && welcomeOverlay.parentNode) welcomeOverlay.parentNode.removeChild(welcomeOverlay);
-  if (selectButtonOverlay && selectButtonOverlay.parentNode) selectButtonOverlay.parentNode.removeChild(selectButtonOverlay);
+  // navigate to lesson 1 the way its lesson button does (saved work is offered)
+  dismissWelcomeOverlays();
   if (selectTool) {
     document.querySelectorAll('.tool-btn').forEach(b => b.classList.remove('active'));
     selectTool.classList.add('active');
   }
-  await startTutorialDirect();
+  await selectLesson(1);
 });
 document.body.appendChild(selectButtonOverlay);
 
-// Lesson buttons (bottom of the aside panel)
-const lessons = [
-  { id: 1, title: 'Les 1', icon: 'assets/icons/tutorial_icons/les1.svg' },
-  { id: 2, title: 'Les 2', icon: 'assets/icons/tutorial_icons/les2.svg' },
-  { id: 3, title: 'Les 3', icon: 'assets/icons/tutorial_icons/les3.svg' },
-  { id: 4, title: 'Les 4', icon: 'assets/icons/tutorial_icons/les4.svg' },
-  { id: 5, title: 'Les 5', icon: 'assets/icons/tutorial_icons/les5.svg' },
-  { id: 6, title: 'Les 6', icon: 'assets/icons/tutorial_icons/les6.svg' }
-];
+/**
+ * Remove the welcome overlay and the wiggling select-tool button
+ */
+function dismissWelcomeOverlays() {
+  try {
+    if (welcomeOverlay && welcomeOverlay.parentNode) welcomeOverlay.parentNode.removeChild(welcomeOverlay);
+    if (selectButtonOverlay && selectButtonOverlay.parentNode) selectButtonOverlay.parentNode.removeChild(selectButtonOverlay);
+  } catch (e) { /* ignore */ }
+}
+
+/**
+ * Offer autosaved work when a lesson is opened
+ * @param {number} target - Lesson id
+ * @returns {Promise<Object|null>} The work to resume, or null to start without it
+ */
+async function askResume(target) {
+  const saved = lessonAutosave.load(target);
+  if (!saved) return null;
+  const time = saved.savedAt ? new Date(saved.savedAt).toLocaleString(getLanguage()) : '';
+  const choice = await askChoice('resumeDialog', t('autosave.resumeTitle'), t('autosave.resumeBody', { lesson: lessonHeading(target), time }), [
+    { value: 'discard', label: t('autosave.discard') },
+    { value: 'resume', label: t('autosave.resume'), primary: true }
+  ]);
+  if (choice === 'resume') return saved.work;
+  if (choice === 'discard') lessonAutosave.discard(target);
+  return null;
+}
+
+/**
+ * Ask before any lesson switch leaves or restarts a lesson with work in it.
+ * Leaving keeps the work for later; restarting throws it away.
+ * @param {number} target - Lesson id about to be opened
+ * @returns {Promise<boolean>} False if the learner stays
+ */
+async function confirmLeavingWork(target) {
+  const active = getActiveLessonId();
+  if (active === null || !lessonAutosave.hasWork()) return true;
+  const restart = active === target;
+  const choice = await askChoice('leaveLessonDialog',
+    t(restart ? 'autosave.restartTitle' : 'autosave.leaveTitle'),
+    t(restart ? 'autosave.restartBody' : 'autosave.leaveBody'),
+    [
+      { value: 'stay', label: t('autosave.stay') },
+      { value: 'go', label: t(restart ? 'autosave.startOver' : 'autosave.leave'), primary: true }
+    ]);
+  return choice === 'go';
+}
+
+/**
+ * Navigate to a lesson through the registry.
+ * Re-selecting the active lesson restarts it (dropping its autosaved work);
+ * any other lesson is opened fresh or, if the learner chooses so, with its
+ * autosaved work.
+ * @param {number} target - Lesson id
+ * @param {Object} [options] - Lesson start options (e.g. { step } from the URL)
+ * @param {Object} [flags]
+ * @param {boolean} [flags.interactive=true] - False for scripts: no resume prompt
+ */
+async function goToLesson(target, options = {}, { interactive = true } = {}) {
+  try {
+    if (getActiveLessonId() === target) {
+      lessonAutosave.discard(target);
+      await refreshLesson(target, options);
+    } else {
+      const resume = interactive ? await askResume(target) : null;
+      await openLesson(target, resume ? { ...options, resume } : options);
+    }
+  } catch (err) {
+    console.warn('[main] Error starting lesson', target, err);
+  }
+  updateLessonButtons();
+  positionLessonButtons();
+}
+
+/**
+ * Whether the active profile may open a lesson: all of its prerequisites in
+ * the course manifest are completed, or an instructor has unlocked every lesson
+ * @param {number} id - Lesson id
+ * @returns {boolean}
+ */
+function isLessonUnlocked(id) {
+  if (instructorMode.isUnlockAll()) return true;
+  return courseManifest.isUnlocked(id, getCompletedLessons());
+}
+
+/**
+ * Lesson a finished lesson's "Next" button opens: the first lesson after it
+ * in the active track that is unlocked once the finished lesson counts as completed
+ * @param {number} id - The finished lesson
+ * @returns {number|null} Null at the end of the track or if the lesson isn't in it
+ */
+function getNextLessonInTrack(id) {
+  const lessons = courseManifest.getActiveTrack().lessons;
+  const index = lessons.indexOf(id);
+  if (index === -1) return null;
+  const completed = [...getCompletedLessons(), id];
+  const next = lessons.slice(index + 1).find(lessonId =>
+    instructorMode.isUnlockAll() || courseManifest.isUnlocked(lessonId, completed));
+  return next === undefined ? null : next;
+}
+
+/**
+ * Track label and switcher shown above the lesson buttons
+ * @returns {HTMLElement}
+ */
+function createTrackSwitcher() {
+  const header = document.createElement('div');
+  header.className = 'lesson-track';
+  header.style.gridColumn = '1 / -1';
+
+  const tracks = courseManifest.getTracks();
+  const active = courseManifest.getActiveTrack();
+  if (tracks.length < 2) {
+    header.textContent = getTrackTitle(active);
+    return header;
+  }
+
+  const select = document.createElement('select');
+  select.title = t('tracks.choose');
+  select.setAttribute('aria-label', t('tracks.label'));
+  tracks.forEach(track => {
+    const option = document.createElement('option');
+    option.value = track.id;
+    option.textContent = getTrackTitle(track);
+    option.selected = track.id === active.id;
+    select.appendChild(option);
+  });
+  select.addEventListener('change', () => courseManifest.setActiveTrack(select.value));
+  header.appendChild(select);
+  return header;
+}
+
+/**
+ * Open a lesson picked from the lesson bar, the overview or the public API
+ * @param {number} target - Lesson id
+ * @param {Object} [options] - Lesson start options (e.g. { step })
+ * @param {Object} [flags]
+ * @param {boolean} [flags.interactive=true] - False for scripts: no questions asked
+ */
+async function selectLesson(target, options = {}, { interactive = true } = {}) {
+  if (interactive && !(await confirmLeavingWork(target))) return;
+
+  const cur = parseLessonHash();
+  // If clicking current lesson, treat as refresh: reinitialize
+  if (cur === target) {
+    await goToLesson(target, options, { interactive });
+    return;
+  }
+
+  // switch to target lesson (mark as programmatic so hashchange handler can ignore)
+  try { lastProgrammaticLessonChange = target; location.hash = `lesson=${target}`; } catch (err) {}
+  dismissWelcomeOverlays();
+  await goToLesson(target, options, { interactive });
+}
+
+/**
+ * Leave the active lesson: clean up, clear the canvas and drop the lesson from the URL
+ */
+function closeLesson() {
+  closeActiveLesson();
+  // replaceState fires no hashchange
+  try { history.replaceState(null, '', location.pathname + location.search); } catch (e) {}
+  updateLessonButtons();
+  positionLessonButtons();
+}
 
 function createLessonButtons() {
+  // An embedded page shows only its own lesson
+  if (embedMode.isActive) return;
   let container = document.getElementById('lesson-buttons');
   if (!container) {
     container = document.createElement('div');
@@ -190,12 +381,14 @@ function createLessonButtons() {
     document.body.appendChild(container);
   }
   container.innerHTML = '';
-  // Determine which lessons are unlocked via cookie progress
-  const completed = getCompletedLessons();
-  const highestCompleted = completed.length ? Math.max(...completed) : 0;
-  const maxUnlocked = Math.max(1, highestCompleted + 1);
+  container.appendChild(createTrackSwitcher());
 
-  lessons.forEach(lesson => {
+  // Only the lessons of the active track, in track order
+  const trackLessons = courseManifest.getActiveTrack().lessons
+    .map(id => LESSONS.find(l => l.id === id))
+    .filter(Boolean);
+
+  trackLessons.forEach(lesson => {
     const btn = document.createElement('button');
     btn.className = 'lesson-btn';
     btn.type = 'button';
@@ -219,72 +412,20 @@ function createLessonButtons() {
     img.style.height = '28px';
     btn.appendChild(img);
 
-    // Disable button if lesson is locked (cannot skip ahead)
-    if (lesson.id > maxUnlocked) {
+    // Disable button if lesson is locked (prerequisites not completed yet)
+    if (!isLessonUnlocked(lesson.id)) {
       btn.disabled = true;
       btn.style.opacity = '0.45';
       btn.style.cursor = 'not-allowed';
     }
 
     btn.addEventListener('click', async (e) => {
-      if (lesson.id > maxUnlocked) {
+      if (!isLessonUnlocked(lesson.id)) {
         // prevent skipping ahead
-        console.log('[main] Lesson', lesson.id, 'is locked. Complete previous lessons first.');
+        console.log('[main] Lesson', lesson.id, 'is locked. Complete its prerequisites first:', courseManifest.getPrerequisites(lesson.id));
         return;
       }
-      const curMatch = (location.hash || '').match(/lesson=([\d.]+)/);
-      const cur = curMatch ? parseFloat(curMatch[1]) : null;
-      const target = lesson.id;
-      // If clicking current lesson, treat as refresh: reinitialize
-      if (cur === target) {
-        // clear canvas and re-run initialization for the lesson
-        try {
-          const objs = canvas.getObjects().slice();
-          objs.forEach(o => canvas.remove(o));
-          canvas.discardActiveObject();
-        } catch (err) {}
-        if (target === 1) await startTutorialDirect();
-        if (target === 2) { const mod = await import('./tutorial.js'); await mod.startLesson2(); }
-        if (target === 3) { const mod = await import('./tutorial.js'); await mod.startLesson3(); }
-        if (target === 4) { const mod = await import('./tutorial.js'); await mod.startLesson4(); }
-        if (target === 5) { const mod = await import('./tutorial.js'); await mod.startLesson5(); }
-        if (target === 6) { const mod = await import('./Lesson6.js'); if (typeof mod.restartLesson6 === 'function') await mod.restartLesson6(); else await mod.startLesson6(); }
-        // mark as started/completed? keep UI updated after switching
-        updateLessonButtons();
-        return;
-      }
-
-      // switch to target lesson (mark as programmatic so hashchange handler can ignore)
-      try { window._lastProgrammaticLessonChange = target; location.hash = `lesson=${target}`; } catch (err) {}
-      // remove overlays
-      try {
-        if (welcomeOverlay && welcomeOverlay.parentNode) welcomeOverlay.parentNode.removeChild(welcomeOverlay);
-        if (selectButtonOverlay && selectButtonOverlay.parentNode) selectButtonOverlay.parentNode.removeChild(selectButtonOverlay);
-      } catch (err) {}
-
-      // clear canvas before switching
-      try {
-        const objs = canvas.getObjects().slice();
-        objs.forEach(o => canvas.remove(o));
-        canvas.discardActiveObject();
-        // Clean up any active lesson
-        if (cur === 6) cleanupLesson6();
-      } catch (err) {}
-
-      if (target === 1) {
-        await startTutorialDirect();
-      } else if (target === 2) {
-        const mod = await import('./tutorial.js'); await mod.startLesson2();
-      } else if (target === 3) {
-        const mod = await import('./tutorial.js'); await mod.startLesson3();
-      } else if (target === 4) {
-        const mod = await import('./tutorial.js'); await mod.startLesson4();
-      } else if (target === 5) {
-        const mod = await import('./tutorial.js'); await mod.startLesson5();
-      } else if (target === 6) {
-        const mod = await import('./Lesson6.js'); await mod.startLesson6();
-      }
-      updateLessonButtons();
+      await selectLesson(lesson.id);
     });
 
     container.appendChild(btn);
@@ -294,14 +435,9 @@ function createLessonButtons() {
 function updateLessonButtons() {
   const container = document.getElementById('lesson-buttons');
   if (!container) return;
-  const currentMatch = (location.hash || '').match(/lesson=([\d.]+)/);
-  const currentLesson = currentMatch ? parseFloat(currentMatch[1]) : null;
-  // compute unlocked lessons from cookie
-  const completed = getCompletedLessons();
-  const highestCompleted = completed.length ? Math.max(...completed) : 0;
-  const maxUnlocked = Math.max(1, highestCompleted + 1);
-
-  Array.from(container.children).forEach(child => {
+  const currentLesson = parseLessonHash();
+
+  Array.from(container.querySelectorAll('.lesson-btn')).forEach(child => {
     const btn = child;
     const lessonId = parseInt(btn.dataset.lesson, 10);
     // remove any refresh overlay
@@ -328,7 +464,7 @@ function updateLessonButtons() {
       btn.appendChild(span);
     }
     // update locked appearance
-    if (lessonId > maxUnlocked) {
+    if (!isLessonUnlocked(lessonId)) {
       btn.disabled = true;
       btn.style.opacity = '0.45';
       btn.style.cursor = 'not-allowed';
@@ -340,9 +476,195 @@ function updateLessonButtons() {
   });
 }
 
+/**
+ * Toolbar button showing the active learner; opens the profile picker
+ */
+function installProfileButton() {
+  const container = document.querySelector('#toolbar .buttons');
+  if (!container) return;
+
+  const btn = document.createElement('button');
+  btn.id = 'profile-btn';
+  btn.type = 'button';
+  btn.dataset.i18nTitle = 'profiles.switch';
+  btn.title = t('profiles.switch');
+  const label = document.createElement('span');
+  const update = () => { label.textContent = getProfileDisplayName(profileStore.getActiveProfile()); };
+  btn.innerHTML = '<i class="fa-solid fa-user"></i>';
+  btn.appendChild(label);
+  btn.addEventListener('click', () => openProfileDialog());
+  window.addEventListener('profile:changed', update);
+  window.addEventListener('i18n:changed', update);
+  update();
+  container.appendChild(btn);
+}
+
+/**
+ * Toolbar button that opens the lesson overview
+ */
+function installOverviewButton() {
+  const container = document.querySelector('#toolbar .buttons');
+  if (!container) return;
+
+  const btn = document.createElement('button');
+  btn.id = 'overview-btn';
+  btn.type = 'button';
+  btn.dataset.i18nTitle = 'toolbar.overview';
+  btn.title = t('toolbar.overview');
+  btn.innerHTML = '<i class="fa-solid fa-table-cells-large"></i>';
+  btn.addEventListener('click', () => openLessonOverview({ isUnlocked: isLessonUnlocked, onOpen: selectLesson }));
+  container.appendChild(btn);
+}
+
+/**
+ * Toolbar button for instructors; asks for the PIN, then opens the instructor dialog
+ */
+function installInstructorButton() {
+  const container = document.querySelector('#toolbar .buttons');
+  if (!container) return;
+
+  const btn = document.createElement('button');
+  btn.id = 'instructor-btn';
+  btn.type = 'button';
+  btn.dataset.i18nTitle = 'toolbar.instructor';
+  btn.title = t('toolbar.instructor');
+  btn.innerHTML = '<i class="fa-solid fa-chalkboard-user"></i>';
+  const update = () => btn.classList.toggle('active', instructorMode.isActive);
+  btn.addEventListener('click', () => instructorMode.requestAccess());
+  window.addEventListener('instructor:changed', update);
+  update();
+  container.appendChild(btn);
+}
+
+/**
+ * Toolbar button that shows or hides the Undo History panel
+ */
+function installUndoHistoryButton() {
+  const container = document.querySelector('#toolbar .buttons');
+  if (!container) return;
+
+  const btn = document.createElement('button');
+  btn.id = 'undo-history-btn';
+  btn.type = 'button';
+  btn.dataset.i18nTitle = 'toolbar.undoHistory';
+  btn.title = t('toolbar.undoHistory');
+  btn.innerHTML = '<i class="fa-solid fa-clock-rotate-left"></i>';
+  btn.addEventListener('click', () => undoHistoryPanel.toggle());
+  window.addEventListener('undo:panel-toggled', (e) => btn.classList.toggle('active', e.detail.open));
+  container.appendChild(btn);
+}
+
+/**
+ * Toolbar buttons to save progress to a file and load it on another machine
+ */
+function installProgressFileButtons() {
+  const container = document.querySelector('#toolbar .buttons');
+  if (!container) return;
+
+  const exportBtn = document.createElement('button');
+  exportBtn.id = 'progress-export-btn';
+  exportBtn.type = 'button';
+  exportBtn.dataset.i18nTitle = 'toolbar.exportProgress';
+  exportBtn.title = t('toolbar.exportProgress');
+  exportBtn.innerHTML = '<i class="fa-solid fa-file-arrow-down"></i>';
+  exportBtn.addEventListener('click', () => progressStore.exportToFile());
+
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = '.json,application/json';
+  fileInput.style.display = 'none';
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files && fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+    const ok = await progressStore.importFromFile(file);
+    if (!ok) alert(t('toolbar.importFailed'));
+  });
+
+  const importBtn = document.createElement('button');
+  importBtn.id = 'progress-import-btn';
+  importBtn.type = 'button';
+  importBtn.dataset.i18nTitle = 'toolbar.importProgress';
+  importBtn.title = t('toolbar.importProgress');
+  importBtn.innerHTML = '<i class="fa-solid fa-file-arrow-up"></i>';
+  importBtn.addEventListener('click', () => fileInput.click());
+
+  container.appendChild(exportBtn);
+  container.appendChild(importBtn);
+  container.appendChild(fileInput);
+}
+
+/**
+ * Language switcher in the toolbar; the choice is stored on the active profile
+ */
+function installLanguageSelect() {
+  const container = document.querySelector('#toolbar .buttons');
+  if (!container) return;
+
+  const select = document.createElement('select');
+  select.id = 'language-select';
+  select.dataset.i18nTitle = 'language.label';
+  select.title = t('language.label');
+  select.setAttribute('aria-label', t('language.label'));
+  LANGUAGES.forEach(({ code, label }) => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.lang = code;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  const update = () => { select.value = getLanguage(); };
+  select.addEventListener('change', () => setLanguage(select.value));
+  window.addEventListener('i18n:changed', update);
+  update();
+  container.appendChild(select);
+}
+
+/**
+ * Heading of the start page (Lesson 1's, from index.html) until a lesson takes over
+ */
+function localizeStartPage() {
+  if (getActiveLessonId() !== null) return;
+  document.title = lessonHeading(1);
+  const brandTitle = document.getElementById('brand-title');
+  if (brandTitle) brandTitle.textContent = lessonHeading(1);
+}
+
+installLanguageSelect();
+// An embedded lesson has no way to other lessons or learners, and no tutorial
+// controls of its own: the host page drives it
+if (!embedMode.isActive) installOverviewButton();
+// The LMS knows who the learner is
+if (!scormAdapter.isActive && !embedMode.isActive) installProfileButton();
+if (!embedMode.isActive) {
+  installProgressFileButtons();
+  installInstructorButton();
+  installUndoHistoryButton();
+}
+localizeStartPage();
+
+await courseManifest.load();
+// "Next" after a lesson goes the same way as a lesson button: prompts included.
+// Without a navigator (an embedded lesson) there is no "Next" button.
+if (!embedMode.isActive) setNextLessonNavigator({ getNext: getNextLessonInTrack, open: (id) => selectLesson(id) });
 createLessonButtons();
 updateLessonButtons();
 window.addEventListener('hashchange', updateLessonButtons);
+// The active track is a profile preference: rebuild the bar when either changes
+function rebuildLessonButtons() {
+  createLessonButtons();
+  updateLessonButtons();
+  positionLessonButtons();
+}
+window.addEventListener('course:track-changed', rebuildLessonButtons);
+window.addEventListener('profile:changed', rebuildLessonButtons);
+// Every profile keeps its own language
+window.addEventListener('profile:changed', () => initLanguage());
+window.addEventListener('i18n:changed', () => {
+  rebuildLessonButtons();
+  localizeStartPage();
+  localizeActiveLesson();
+});
 // Positioning: align the fixed lesson button bar over the bottom-center of the aside panel
 function positionLessonButtons() {
   const container = document.getElementById('lesson-buttons');
@@ -381,14 +703,13 @@ window.addEventListener('hashchange', async (ev) => {
   }
 
   // Prevent re-entrancy when starting lessons triggers additional hashchange events
-  if (window._handlingHashChange) return;
-  window._handlingHashChange = true;
+  if (handlingHashChange) return;
+  handlingHashChange = true;
   try {
     // If this change was caused by our own programmatic navigation, ignore (buttons already started the lesson)
-    const match = (location.hash || '').match(/lesson=(\d+)/);
-    const target = match ? parseInt(match[1], 10) : null;
-    if (window._lastProgrammaticLessonChange && window._lastProgrammaticLessonChange === target) {
-      window._lastProgrammaticLessonChange = null;
+    const target = getCurrentLessonNumber();
+    if (lastProgrammaticLessonChange && lastProgrammaticLessonChange === target) {
+      lastProgrammaticLessonChange = null;
       updateLessonButtons();
       positionLessonButtons();
       return;
@@ -401,47 +722,23 @@ window.addEventListener('hashchange', async (ev) => {
       return;
     }
 
-    // If this lesson is already active, treat as refresh: re-run init for that lesson
-    if (window._currentLesson === target) {
-      try {
-        if (target === 1) await startTutorialDirect();
-        else if (target === 2) { const mod = await import('./tutorial.js'); await mod.startLesson2(); }
-        else if (target === 3) { const mod = await import('./tutorial.js'); await mod.startLesson3(); }
-        else if (target === 4) { const mod = await import('./tutorial.js'); await mod.startLesson4(); }
-        else if (target === 5) { const mod = await import('./tutorial.js'); await mod.startLesson5(); }
-        else if (target === 6) { const mod = await import('./Lesson6.js'); if (typeof mod.restartLesson6 === 'function') await mod.restartLesson6(); else await mod.startLesson6(); }
-      } catch (err) { console.warn('[main] Error refreshing current lesson from hashchange:', err); }
+    // Refresh the active lesson or switch to the requested one (user navigated with back/forward),
+    // unless the learner stays with their work: then the URL goes back as well
+    if (!(await confirmLeavingWork(target))) {
+      try { history.replaceState(null, '', ev.oldURL); } catch (e) {}
       updateLessonButtons();
       positionLessonButtons();
       return;
     }
-
-    // Otherwise, switch to the requested lesson (user navigated with back/forward)
-    try {
-      // Clear canvas and cleanup any active lesson
-      try { const objs = canvas.getObjects().slice(); objs.forEach(o => canvas.remove(o)); canvas.discardActiveObject(); } catch (e) {}
-      try { if (window._currentLesson === 6) cleanupLesson6(); } catch (e) {}
-
-      if (target === 1) await startTutorialDirect();
-      else if (target === 2) { const mod = await import('./tutorial.js'); await mod.startLesson2(); }
-      else if (target === 3) { const mod = await import('./tutorial.js'); await mod.startLesson3(); }
-      else if (target === 4) { const mod = await import('./tutorial.js'); await mod.startLesson4(); }
-      else if (target === 5) { const mod = await import('./tutorial.js'); await mod.startLesson5(); }
-      else if (target === 6) { const mod = await import('./Lesson6.js'); await mod.startLesson6(); }
-
-      try { window._currentLesson = target; } catch (e) {}
-      updateLessonButtons();
-      positionLessonButtons();
-    } catch (err) {
-      console.warn('[main] Error handling user hashchange navigation:', err);
-    }
+    await goToLesson(target, { step: parseStepHash() });
   } finally {
-    window._handlingHashChange = false;
+    handlingHashChange = false;
   }
 });
 
 // Refresh lesson buttons when lesson progress changes elsewhere (no reload needed)
 window.addEventListener('lessons:updated', () => { updateLessonButtons(); positionLessonButtons(); });
+window.addEventListener('instructor:changed', updateLessonButtons);
 
 // Observe panel size/position changes (e.g., when panel content is updated) and reposition
 const panel = document.getElementById('panel');
@@ -455,8 +752,7 @@ if (panel && typeof ResizeObserver !== 'undefined') {
 // Wire the select tool in the left toolbar
 if (selectTool) {
   selectTool.addEventListener('click', async () => {
-    const currentMatch = (location.hash || '').match(/lesson=(\d+)/);
-    const currentLesson = currentMatch ? parseInt(currentMatch[1], 10) : null;
+    const currentLesson = getCurrentLessonNumber();
     // If lesson 1 is already showing, do not reset the view
     if (currentLesson > 0) {
       // just ensure the select tool is visually active
@@ -465,13 +761,20 @@ if (selectTool) {
       return;
     }
 
-    // set the URL to lesson 1 and start the lesson initialization
-    //try { location.hash = 'lesson=1'; } catch (e) {}
+    // start lesson 1 the way its lesson button does (saved work is offered)
     document.querySelectorAll('.tool-btn').forEach(b => b.classList.remove('active'));
     selectTool.classList.add('active');
-    if (welcomeOverlay && welcomeOverlay.parentNode) welcomeOverlay.parentNode.removeChild(welcomeOverlay);
-    if (selectButtonOverlay && selectButtonOverlay.parentNode) selectButtonOverlay.parentNode.removeChild(selectButtonOverlay);
-    await startTutorialDirect();
+    dismissWelcomeOverlays();
+    await selectLesson(1);
+  });
+}
+
+// Report tool choices to the analytics (disabled buttons don't fire clicks)
+const leftToolbar = document.getElementById('leftToolbar');
+if (leftToolbar) {
+  leftToolbar.addEventListener('click', (e) => {
+    const button = e.target && e.target.closest ? e.target.closest('.tool-btn') : null;
+    if (button && button.id) analytics.emit(ANALYTICS_EVENTS.TOOL_SELECTED, { tool: button.id });
   });
 }
 
@@ -496,6 +799,7 @@ if (rectTool) {
     // Enable rectangle drawing mode
     shapeDrawingController.enable('rect');
     penToolController.disable();
+    zoomToolController.disable();
   });
 }
 
@@ -508,6 +812,7 @@ if (ellipseTool) {
     // Enable ellipse drawing mode
     shapeDrawingController.enable('ellipse');
     penToolController.disable();
+    zoomToolController.disable();
   });
 }
 
@@ -521,6 +826,7 @@ if (penTool) {
     
     // Disable shape drawing and enable pen tool
     shapeDrawingController.disable();
+    zoomToolController.disable();
     penToolController.enable();
   });
 }
@@ -536,15 +842,32 @@ if (textTool) {
     // Ensure other interactive controllers are disabled; editing will occur on selection
     shapeDrawingController.disable();
     penToolController.disable();
+    zoomToolController.disable();
   });
 }
 
-// When select tool is clicked, disable shape drawing, pen tool, and exit node edit mode
+// Zoom tool handler
+const zoomTool = document.getElementById('tool-zoom');
+if (zoomTool) {
+  zoomTool.addEventListener('click', () => {
+    // Deactivate other tools
+    document.querySelectorAll('.tool-btn').forEach(b => b.classList.remove('active'));
+    zoomTool.classList.add('active');
+
+    // Drawing tools off; the selection stays as it is
+    shapeDrawingController.disable();
+    penToolController.disable();
+    zoomToolController.enable();
+  });
+}
+
+// When select tool is clicked, disable shape drawing, pen tool, zoom tool, and exit node edit mode
 if (selectTool) {
   const originalSelectHandler = selectTool.onclick;
   selectTool.addEventListener('click', () => {
     shapeDrawingController.disable();
     penToolController.disable();
+    zoomToolController.disable();
     // Exit node edit mode if active
     exitNodeEdit(canvas);
   }, { capture: true });
@@ -613,6 +936,7 @@ if (nodeTool) {
   nodeTool.addEventListener('click', () => {
     // Only allow node editing if the feature is enabled for the current lesson
     if (!isFeatureEnabled('NODE_EDITING')) return;
+    zoomToolController.disable();
     
     const activeObj = canvas.getActiveObject();
     
@@ -636,12 +960,23 @@ canvas.on('selection:cleared', updateNodeToolbarVisibility);
 // Also check after any render in case mode changed via double-click
 canvas.on('after:render', updateNodeToolbarVisibility);
 
+/**
+ * Node toolbar edits change the path in place; report them like a finished
+ * gesture so the undo history records them
+ * @param {fabric.Path} path
+ * @param {string} action - e.g. 'deleteNode'
+ */
+function notifyPathEdited(path, action) {
+  canvas.fire('object:modified', { target: path, action });
+}
+
 // Make Curve button - convert selected segment(s) to curves
 if (btnMakeCurve) {
   btnMakeCurve.addEventListener('click', () => {
     const activeObj = canvas.getActiveObject();
     if (activeObj && activeObj.path) {
       makeSelectedSegmentsCurves(activeObj, canvas);
+      notifyPathEdited(activeObj, 'makeCurve');
     }
   });
 }
@@ -652,6 +987,7 @@ if (btnMakeLine) {
     const activeObj = canvas.getActiveObject();
     if (activeObj && activeObj.path) {
       makeSelectedSegmentsLines(activeObj, canvas);
+      notifyPathEdited(activeObj, 'makeLine');
     }
   });
 }
@@ -662,6 +998,7 @@ if (btnNodeAdd) {
     const activeObj = canvas.getActiveObject();
     if (activeObj && activeObj.path) {
       addNodeAtSelectedSegment(activeObj, canvas);
+      notifyPathEdited(activeObj, 'addNode');
     }
   });
 }
@@ -672,6 +1009,7 @@ if (btnNodeDelete) {
     const activeObj = canvas.getActiveObject();
     if (activeObj && activeObj.path) {
       deleteSelectedNodes(activeObj, canvas);
+      notifyPathEdited(activeObj, 'deleteNode');
     }
   });
 }
@@ -682,6 +1020,7 @@ if (btnNodeCusp) {
     const activeObj = canvas.getActiveObject();
     if (activeObj && activeObj.path) {
       makeNodesCusp(activeObj, canvas);
+      notifyPathEdited(activeObj, 'makeCusp');
     }
   });
 }
@@ -691,6 +1030,7 @@ if (btnNodeSmooth) {
     const activeObj = canvas.getActiveObject();
     if (activeObj && activeObj.path) {
       makeNodesSmooth(activeObj, canvas);
+      notifyPathEdited(activeObj, 'makeSmooth');
     }
   });
 }
@@ -700,16 +1040,14 @@ if (btnNodeAutoSmooth) {
     const activeObj = canvas.getActiveObject();
     if (activeObj && activeObj.path) {
       makeNodesAutoSmooth(activeObj, canvas);
+      notifyPathEdited(activeObj, 'makeAutoSmooth');
     }
   });
 }
 
 // Remove overlay when selection is made in Fabric
 if (canvas) {
-  canvas.on('selection:created', () => {
-    if (welcomeOverlay && welcomeOverlay.parentNode) welcomeOverlay.parentNode.removeChild(welcomeOverlay);
-    if (selectButtonOverlay && selectButtonOverlay.parentNode) selectButtonOverlay.parentNode.removeChild(selectButtonOverlay);
-  });
+  canvas.on('selection:created', dismissWelcomeOverlays);
 }
 
 // Keyboard shortcut to activate the select tool and dismiss overlay
@@ -726,61 +1064,38 @@ window.addEventListener('keydown', (e) => {
 // Highlight select tool
 if (selectTool) selectTool.classList.add('highlight');
 
-// Expose for debugging
-window.startTutorial = startTutorial;
-window.startLesson3 = startLesson3;
+// Automation scripts, embedders and the console use window.InkscapeTutorial (see PublicApi.js)
+installPublicApi({
+  startLesson: (id, options) => selectLesson(id, options, { interactive: false }),
+  closeLesson,
+  isLessonUnlocked
+});
 
-// Start a specific tutorial when requested via URL hash (#lesson=1 or #lesson=2)
+// Start a specific tutorial when requested via URL hash (#lesson=1, or #lesson=6&step=3 for a checkpoint)
 async function startFromHash() {
   try {
-    const h = location.hash || '';
-    if (!h) return;
-    const m = h.match(/lesson=([\d.]+)/);
-    if (!m) return;
-    const lesson = parseFloat(m[1]);
-    if (lesson === 1) {
-      // remove overlays and start lesson 1 directly without overlay
-      try {
-        if (welcomeOverlay && welcomeOverlay.parentNode) welcomeOverlay.parentNode.removeChild(welcomeOverlay);
-        if (selectButtonOverlay && selectButtonOverlay.parentNode) selectButtonOverlay.parentNode.removeChild(selectButtonOverlay);
-      } catch (e) {}
-      await startTutorialDirect();
-    } else if (lesson === 2) {
-      try {
-        if (welcomeOverlay && welcomeOverlay.parentNode) welcomeOverlay.parentNode.removeChild(welcomeOverlay);
-        if (selectButtonOverlay && selectButtonOverlay.parentNode) selectButtonOverlay.parentNode.removeChild(selectButtonOverlay);
-      } catch (e) {}
-      await startLesson2();
-    } else if (lesson === 3) {
-      try {
-        if (welcomeOverlay && welcomeOverlay.parentNode) welcomeOverlay.parentNode.removeChild(welcomeOverlay);
-        if (selectButtonOverlay && selectButtonOverlay.parentNode) selectButtonOverlay.parentNode.removeChild(selectButtonOverlay);
-      } catch (e) {}
-      await startLesson3();
-    } else if (lesson === 4) {
-      try {
-        if (welcomeOverlay && welcomeOverlay.parentNode) welcomeOverlay.parentNode.removeChild(welcomeOverlay);
-        if (selectButtonOverlay && selectButtonOverlay.parentNode) selectButtonOverlay.parentNode.removeChild(selectButtonOverlay);
-      } catch (e) {}
-      await startLesson4();
-    } else if (lesson === 5) {
-      try {
-        if (welcomeOverlay && welcomeOverlay.parentNode) welcomeOverlay.parentNode.removeChild(welcomeOverlay);
-        if (selectButtonOverlay && selectButtonOverlay.parentNode) selectButtonOverlay.parentNode.removeChild(selectButtonOverlay);
-      } catch (e) {}
-      await startLesson5();
-    } else if (lesson === 6) {
-      try {
-        if (welcomeOverlay && welcomeOverlay.parentNode) welcomeOverlay.parentNode.removeChild(welcomeOverlay);
-        if (selectButtonOverlay && selectButtonOverlay.parentNode) selectButtonOverlay.parentNode.removeChild(selectButtonOverlay);
-      } catch (e) {}
-      await startLesson6();
-    }
+    const lesson = parseLessonHash();
+    if (!lesson || !LESSONS.some(l => l.id === lesson)) return;
+    // remove overlays and start the lesson directly without overlay
+    dismissWelcomeOverlays();
+    await goToLesson(lesson, { step: parseStepHash() });
   } catch (e) { /* ignore */ }
 }
 
-// run at load
-startFromHash();
+// run at load (?author opens the lesson editor instead of a lesson, ?embed=<id> only that lesson)
+if (isAuthoringRequested()) {
+  dismissWelcomeOverlays();
+  authoringMode.start(getAuthoringSvgParam());
+} else if (embedMode.isActive) {
+  dismissWelcomeOverlays();
+  // Lesson features and the select tool read the lesson from the hash
+  if (LESSONS.some(l => l.id === embedMode.lessonId)) {
+    try { lastProgrammaticLessonChange = embedMode.lessonId; location.hash = `lesson=${embedMode.lessonId}`; } catch (e) {}
+  }
+  embedMode.start();
+} else {
+  startFromHash();
+}
 
 // Ensure Fabric.js canvases are styled correctly
 // --- Canvas CSS: ensure pointer events and scrolling work ---
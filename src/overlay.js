@@ -1,5 +1,221 @@
-// Overlay module: welcome overlay and select overlay button
-export function installWelcomeOverlay() {
+// Overlay module: welcome overlay, profile picker and select overlay button
+import { profileStore } from './ProfileStore.js';
+import { t } from './i18n.js';
+
+/**
+ * Name to show for a profile; the guest is named in the interface language
+ * @param {Object} profile
+ * @returns {string}
+ */
+export function getProfileDisplayName(profile) {
+  return profileStore.isGuest(profile.id) ? t('profiles.guest') : profile.name;
+}
+
+/**
+ * Re-run render whenever the language changes, until the element leaves the page
+ * @param {HTMLElement} element
+ * @param {Function} render
+ */
+function rerenderOnLanguageChange(element, render) {
+  const onChange = () => {
+    if (!element.isConnected) {
+      window.removeEventListener('i18n:changed', onChange);
+      return;
+    }
+    render();
+  };
+  window.addEventListener('i18n:changed', onChange);
+}
+
+/**
+ * Profile picker: pick an existing learner, add a new one or wipe one.
+ * @param {Object} [options]
+ * @param {Function} [options.onSelect] - Called with the profile after it became active
+ * @returns {HTMLElement}
+ */
+export function createProfilePicker({ onSelect = null } = {}) {
+  const picker = document.createElement('div');
+  picker.className = 'profile-picker';
+
+  const render = () => {
+    const active = profileStore.getActiveProfile();
+    picker.innerHTML = '';
+
+    const heading = document.createElement('p');
+    heading.className = 'profile-picker-heading';
+    // Split the message around {name} so the learner's name stays plain text
+    const [before, after = ''] = t('profiles.whoAreYou').split('{name}');
+    heading.appendChild(document.createTextNode(before));
+    const current = document.createElement('strong');
+    current.textContent = getProfileDisplayName(active);
+    heading.appendChild(current);
+    heading.appendChild(document.createTextNode(after));
+    picker.appendChild(heading);
+
+    const list = document.createElement('div');
+    list.className = 'profile-list';
+    profileStore.getProfiles().forEach(profile => {
+      const item = document.createElement('div');
+      item.className = 'profile-item' + (profile.id === active.id ? ' active' : '');
+
+      const pick = document.createElement('button');
+      pick.type = 'button';
+      pick.className = 'profile-pick';
+      pick.textContent = getProfileDisplayName(profile);
+      pick.addEventListener('click', async () => {
+        await profileStore.selectProfile(profile.id);
+        render();
+        if (onSelect) onSelect(profileStore.getActiveProfile());
+      });
+
+      const wipe = document.createElement('button');
+      wipe.type = 'button';
+      wipe.className = 'profile-wipe';
+      wipe.title = profileStore.isGuest(profile.id) ? t('profiles.wipeGuest') : t('profiles.wipeProfile', { name: profile.name });
+      wipe.innerHTML = '<i class="fa-solid fa-trash-can"></i>';
+      wipe.addEventListener('click', async () => {
+        const question = profileStore.isGuest(profile.id)
+          ? t('profiles.confirmWipeGuest')
+          : t('profiles.confirmWipeProfile', { name: profile.name });
+        if (!confirm(question)) return;
+        await profileStore.wipeProfile(profile.id);
+        render();
+      });
+
+      item.appendChild(pick);
+      item.appendChild(wipe);
+      list.appendChild(item);
+    });
+    picker.appendChild(list);
+
+    const form = document.createElement('form');
+    form.className = 'profile-new';
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = t('profiles.newName');
+    input.maxLength = 40;
+    const add = document.createElement('button');
+    add.type = 'submit';
+    add.innerHTML = `<i class="fa-solid fa-user-plus"></i> ${t('profiles.add')}`;
+    form.appendChild(input);
+    form.appendChild(add);
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const profile = profileStore.createProfile(input.value);
+      if (!profile) return;
+      await profileStore.selectProfile(profile.id);
+      render();
+      if (onSelect) onSelect(profileStore.getActiveProfile());
+    });
+    picker.appendChild(form);
+  };
+
+  render();
+  rerenderOnLanguageChange(picker, render);
+  return picker;
+}
+
+/**
+ * Modal dialog card on a dimmed backdrop. Clicking the backdrop or the
+ * close button removes it.
+ * @param {string} id - Element id (an open dialog with this id is reused)
+ * @param {string} title
+ * @param {Object} [options]
+ * @param {string} [options.width='420px'] - Card width
+ * @param {Function} [options.onClose] - Called when the dialog is removed
+ * @returns {{overlay: HTMLElement, card: HTMLElement, close: Function, isNew: boolean}}
+ */
+export function createDialog(id, title, { width = '420px', onClose = null } = {}) {
+  const existing = document.getElementById(id);
+  if (existing) {
+    return { overlay: existing, card: existing.firstChild, close: () => existing.remove(), isNew: false };
+  }
+
+  const overlay = document.createElement('div');
+  overlay.id = id;
+  overlay.style.cssText = 'position:fixed;inset:0;display:flex;align-items:center;justify-content:center;background:rgba(0,0,0,0.45);z-index:10002';
+
+  const card = document.createElement('div');
+  card.className = 'welcome-card';
+  card.style.cssText = `width:${width};max-width:90%;max-height:90vh;overflow:auto;background:white;padding:20px;border-radius:10px;position:relative`;
+
+  const close = () => {
+    overlay.remove();
+    if (onClose) onClose();
+  };
+  const closeBtn = document.createElement('button');
+  closeBtn.type = 'button';
+  closeBtn.title = t('common.close');
+  closeBtn.style.cssText = 'position:absolute;top:8px;right:8px;border:none;background:none;font-size:18px;cursor:pointer';
+  closeBtn.innerHTML = '<i class="fa-solid fa-xmark"></i>';
+  closeBtn.addEventListener('click', close);
+  overlay.addEventListener('click', (e) => { if (e.target === overlay) close(); });
+
+  const heading = document.createElement('h3');
+  heading.textContent = title;
+  card.appendChild(closeBtn);
+  card.appendChild(heading);
+  overlay.appendChild(card);
+  document.body.appendChild(overlay);
+  return { overlay, card, close, isNew: true };
+}
+
+/**
+ * Dialog with a message and a row of answer buttons
+ * @param {string} id - Element id
+ * @param {string} title
+ * @param {string} message
+ * @param {Array<{value: string, label: string, primary: boolean}>} choices - Buttons, left to right
+ * @returns {Promise<string|null>} Value of the chosen button, or null if the dialog was closed
+ */
+export function askChoice(id, title, message, choices) {
+  return new Promise((resolve) => {
+    let chosen = null;
+    const { card, close, isNew } = createDialog(id, title, { onClose: () => resolve(chosen) });
+    // Already asking
+    if (!isNew) {
+      resolve(null);
+      return;
+    }
+
+    const text = document.createElement('p');
+    text.textContent = message;
+    card.appendChild(text);
+
+    const actions = document.createElement('div');
+    actions.className = 'dialog-actions';
+    choices.forEach(choice => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = choice.primary ? 'dialog-choice primary' : 'dialog-choice';
+      btn.textContent = choice.label;
+      btn.addEventListener('click', () => {
+        chosen = choice.value;
+        close();
+      });
+      actions.appendChild(btn);
+    });
+    card.appendChild(actions);
+  });
+}
+
+/**
+ * Modal with the profile picker, for switching learners later on
+ * @returns {HTMLElement}
+ */
+export function openProfileDialog() {
+  const { overlay, card, close, isNew } = createDialog('profileDialog', t('profiles.choose'));
+  if (isNew) card.appendChild(createProfilePicker({ onSelect: close }));
+  return overlay;
+}
+
+/**
+ * Welcome card with the start hint and the profile picker
+ * @param {Object} [options]
+ * @param {boolean} [options.showProfiles=true] - False when the learner is already known (e.g. in an LMS)
+ * @returns {HTMLElement}
+ */
+export function installWelcomeOverlay({ showProfiles = true } = {}) {
   const overlay = document.createElement('div');
   overlay.id = 'welcomeOverlay';
   overlay.style.cssText = 'position:fixed;inset:0;display:flex;align-items:center;justify-content:center;background:rgba(0,0,0,0.45);z-index:10000;pointer-events:none';
@@ -12,7 +228,15 @@ export function installWelcomeOverlay() {
   logo.innerHTML = '<img src="assets/branding/MaakBib_Logo_LeftRight.svg" alt="logo" style="height:56px">';
 
   const content = document.createElement('div');
-  content.innerHTML = '<h2>Welkom — MaakBib: Inkscape Les 1</h2><p>Klik op de selectie tool <img src="assets/icons/tool-pointer.svg" alt="Select" style="width:24px;height:24px"> om te beginnen.</p>';
+  const intro = document.createElement('div');
+  const renderIntro = () => {
+    intro.innerHTML = `<h2>${t('welcome.title')}</h2><p>${t('welcome.start', { icon: '<img src="assets/icons/tool-pointer.svg" alt="Select" style="width:24px;height:24px">' })}</p>`;
+  };
+  renderIntro();
+  rerenderOnLanguageChange(intro, renderIntro);
+  content.appendChild(intro);
+
+  if (showProfiles) content.appendChild(createProfilePicker());
 
   card.appendChild(logo);
   card.appendChild(content);
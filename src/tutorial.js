@@ -1,56 +1,14 @@
 import { canvas } from './canvas.js';
 import { rectsOverlap, findGroupFragments, makeFabricGroupFromFragment } from './utils.js';
-import { startLesson1 as startLesson1Refactored, restartLesson1, cleanupLesson1 } from './Lesson1.js';
-import { startLesson2 as startLesson2Refactored, restartLesson2, cleanupLesson2 } from './Lesson2.js';
-import { startLesson3 as startLesson3Refactored, restartLesson3, cleanupLesson3 } from './Lesson3.js';
-import { startLesson4 as startLesson4Refactored, restartLesson4, cleanupLesson4 } from './Lesson4.js';
-import { startLesson5 as startLesson5Refactored, restartLesson5, cleanupLesson5 } from './Lesson5.js';
-import { startLesson6 as startLesson6Refactored, restartLesson6, cleanupLesson6 } from './Lesson6.js';
+import { openLesson, refreshLesson } from './LessonRegistry.js';
 
 let tutorialStarted = false;
 let tutorialInitializing = false;
 let tutorialObjects = { owl: null, helmet: null, helmetTarget: null, owlWithHelmet: null, helmetAnimId: null, machine: null, machineBulb: null, machineArrowAnim: null };
 
-/**
- * Clean up all lessons to ensure clean state when switching between them
- */
-function cleanupAllLessons() {
-  try {
-    cleanupLesson1();
-  } catch (e) {
-    console.warn('[Tutorial] Error cleaning up Lesson 1:', e);
-  }
-  try {
-    cleanupLesson2();
-  } catch (e) {
-    console.warn('[Tutorial] Error cleaning up Lesson 2:', e);
-  }
-  try {
-    cleanupLesson3();
-  } catch (e) {
-    console.warn('[Tutorial] Error cleaning up Lesson 3:', e);
-  }
-  try {
-    cleanupLesson4();
-  } catch (e) {
-    console.warn('[Tutorial] Error cleaning up Lesson 4:', e);
-  }
-  try {
-    cleanupLesson5();
-  } catch (e) {
-    console.warn('[Tutorial] Error cleaning up Lesson 5:', e);
-  }
-  try {
-    cleanupLesson6();
-  } catch (e) {
-    console.warn('[Tutorial] Error cleaning up Lesson 6:', e);
-  }
-}
-
 export async function startTutorial() {
-  // Use refactored version
-  cleanupAllLessons();
-  return startLesson1Refactored();
+  // Use refactored version (via the lesson registry)
+  return openLesson(1);
 }
 
 // Keep original implementation as fallback
@@ -234,9 +192,8 @@ export async function startTutorialOriginal() {
 
 // Reset tutorial state and restart lesson 1 without overlays
 export async function startTutorialDirect() {
-  // Use refactored version
-  cleanupAllLessons();
-  return restartLesson1();
+  // Use refactored version (via the lesson registry)
+  return refreshLesson(1);
 }
 
 // Keep original implementation as fallback
@@ -274,15 +231,13 @@ export async function startTutorialDirectOriginal() {
 
 // --- Second tutorial: rotation ---
 export async function startLesson2() {
-  // Use refactored version
-  cleanupAllLessons();
-  return startLesson2Refactored();
+  // Use refactored version (via the lesson registry)
+  return openLesson(2);
 }
 
 export async function startSecondTutorial() {
   // Alias for backward compatibility - now lesson 3
-  cleanupAllLessons();
-  return startLesson3Refactored();
+  return openLesson(3);
 }
 
 // Keep original implementation as fallback
@@ -595,32 +550,27 @@ export async function prepareLesson2State() {
 // --- Third tutorial: Maker Machine spawn off-canvas and arrow indicator ---
 export async function startThirdTutorial() {
   // Alias for backward compatibility - now lesson 5
-  cleanupAllLessons();
-  return startLesson5Refactored();
+  return openLesson(5);
 }
 
 export async function startLesson3() {
-  // Use refactored version
-  cleanupAllLessons();
-  return startLesson3Refactored();
+  // Use refactored version (via the lesson registry)
+  return openLesson(3);
 }
 
 export async function startLesson4() {
-  // Use refactored version
-  cleanupAllLessons();
-  return startLesson4Refactored();
+  // Use refactored version (via the lesson registry)
+  return openLesson(4);
 }
 
 export async function startLesson5() {
-  // Use refactored version
-  cleanupAllLessons();
-  return startLesson5Refactored();
+  // Use refactored version (via the lesson registry)
+  return openLesson(5);
 }
 
 export async function startLesson6() {
-  // Use refactored version
-  cleanupAllLessons();
-  return startLesson6Refactored();
+  // Use refactored version (via the lesson registry)
+  return openLesson(6);
 }
 
 // Keep original implementation as fallback
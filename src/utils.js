@@ -1,4 +1,7 @@
 // Utility helpers extracted from app.js
+import { progressStore } from './ProgressStore.js';
+import { analytics, ANALYTICS_EVENTS } from './Analytics.js';
+
 export function rectsOverlap(a, b) {
   return !(a.left > b.left + b.width || a.left + a.width < b.left || a.top > b.top + b.height || a.top + a.height < b.top);
 }
@@ -44,9 +47,8 @@ export function makeFabricGroupFromFragment(svgFragment) {
 }
 
 // -------------------------
-// Lesson progress via cookies
+// Cookies
 // -------------------------
-// Store completed lessons as a JSON array in a cookie named 'lessons_completed'.
 export function _setCookie(name, value, days = 365) {
   try {
     const expires = new Date(Date.now() + days * 864e5).toUTCString();
@@ -61,38 +63,40 @@ export function _getCookie(name) {
   } catch (e) { console.warn('[utils] getCookie failed', e); return null; }
 }
 
+// -------------------------
+// Lesson progress
+// -------------------------
+// Thin wrappers around the progress store (see ProgressStore.js), kept so lessons
+// can keep calling markLessonCompleted(n).
 export function getCompletedLessons() {
-  try {
-    const raw = _getCookie('lessons_completed');
-    if (!raw) return [];
-    const arr = JSON.parse(raw);
-    if (!Array.isArray(arr)) return [];
-    return arr.map(n => parseInt(n, 10)).filter(n => !isNaN(n));
-  } catch (e) { return []; }
+  return progressStore.getCompletedLessons();
 }
 
 export function saveCompletedLessons(list) {
-  try {
-    const uniq = Array.from(new Set(list.map(n => parseInt(n, 10)).filter(n => !isNaN(n))));
-    _setCookie('lessons_completed', JSON.stringify(uniq));
-  } catch (e) { console.warn('[utils] saveCompletedLessons failed', e); }
+  try { progressStore.setCompletedLessons(list); } catch (e) { console.warn('[utils] saveCompletedLessons failed', e); }
 }
 
 export function markLessonCompleted(lessonNumber) {
-  try {
-    const list = getCompletedLessons();
-    if (!list.includes(lessonNumber)) {
-      list.push(lessonNumber);
-      saveCompletedLessons(list);
-      try {
-        if (typeof window !== 'undefined' && typeof window.dispatchEvent === 'function') {
-          window.dispatchEvent(new CustomEvent('lessons:updated', { detail: { lesson: lessonNumber } }));
-        }
-      } catch (e) { /* ignore dispatch failures */ }
-    }
-  } catch (e) { console.warn('[utils] markLessonCompleted failed', e); }
+  try { progressStore.recordLessonFinished(lessonNumber); } catch (e) { console.warn('[utils] markLessonCompleted failed', e); }
+  analytics.emit(ANALYTICS_EVENTS.LESSON_COMPLETED, { lesson: lessonNumber });
 }
 
 export function clearLessonProgress() {
-  try { _setCookie('lessons_completed', JSON.stringify([])); } catch (e) {}
+  try { return progressStore.clear(); } catch (e) {}
+}
+
+// -------------------------
+// Toolbar
+// -------------------------
+/**
+ * Enable or disable a toolbar button
+ * @param {string} id - Button element id
+ * @param {boolean} enabled
+ */
+export function setToolEnabled(id, enabled) {
+  const btn = document.getElementById(id);
+  if (!btn) return;
+  btn.disabled = !enabled;
+  btn.setAttribute('aria-disabled', enabled ? 'false' : 'true');
+  if (!enabled && btn.classList) btn.classList.remove('active');
 }